@@ -23,11 +23,54 @@ const config = {
     }
   },
   
+  // Background job queues (BullMQ)
+  queues: {
+    webhooks: {
+      name: process.env.WEBHOOK_QUEUE_NAME || 'webhook-events',
+      attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+      backoffDelayMs: parseInt(process.env.WEBHOOK_BACKOFF_DELAY_MS) || 2000,
+      concurrency: parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY) || 5,
+    },
+    outbound: {
+      name: process.env.OUTBOUND_QUEUE_NAME || 'outbound-messages',
+      attempts: parseInt(process.env.OUTBOUND_MAX_ATTEMPTS) || 5,
+      backoffDelayMs: parseInt(process.env.OUTBOUND_BACKOFF_DELAY_MS) || 5000,
+      concurrency: parseInt(process.env.OUTBOUND_WORKER_CONCURRENCY) || 5,
+    },
+  },
+  
   // JWT Configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'fallback-secret-key',
     expiresIn: process.env.JWT_EXPIRES_IN || '24h',
   },
+
+  // Envelope encryption for ChannelAccount.connection_data
+  encryption: {
+    keys: process.env.CREDENTIALS_ENCRYPTION_KEYS || '',
+    currentKeyId: process.env.CREDENTIALS_ENCRYPTION_KEY_ID,
+  },
+
+  // OAuth token refresh for email accounts
+  tokens: {
+    refreshSkewMs: parseInt(process.env.TOKEN_REFRESH_SKEW_MS) || 300000,
+    sweepIntervalMs: parseInt(process.env.TOKEN_REFRESH_SWEEP_INTERVAL_MS) || 60000,
+  },
+
+  // Background incremental sync of connected accounts
+  sync: {
+    enabled: process.env.SYNC_SCHEDULER_ENABLED !== 'false',
+    tickIntervalMs: parseInt(process.env.SYNC_TICK_INTERVAL_MS) || 60000,
+    intervalMs: parseInt(process.env.SYNC_INTERVAL_MS) || 300000,
+    backoffBaseMs: parseInt(process.env.SYNC_BACKOFF_BASE_MS) || 60000,
+    backoffMaxMs: parseInt(process.env.SYNC_BACKOFF_MAX_MS) || 3600000,
+    batchSize: parseInt(process.env.SYNC_BATCH_SIZE) || 50,
+  },
+  
+  // Conversation lifecycle
+  chatStatus: {
+    snoozeSweepIntervalMs: parseInt(process.env.SNOOZE_SWEEP_INTERVAL_MS) || 60000,
+  },
   
   // Pricing Mode Configuration
   pricing: {
@@ -42,7 +85,7 @@ const config = {
         limits: { messagesPerMonth: 5000 } 
       },
       scale: { 
-        includes: ['linkedin', 'crm', 'whatsapp', 'instagram', 'email'], 
+        includes: ['linkedin', 'crm', 'whatsapp', 'instagram', 'email', 'telegram'], 
         limits: { messagesPerMonth: 50000 } 
       },
     },
@@ -59,6 +102,10 @@ const config = {
         feature: 'email', 
         limits: { messagesPerMonth: 10000 } 
       },
+      telegram: { 
+        feature: 'telegram', 
+        limits: { messagesPerMonth: 5000 } 
+      },
     }
   },
   
@@ -73,7 +120,7 @@ const config = {
     gmail: {
       clientId: process.env.GMAIL_CLIENT_ID,
       clientSecret: process.env.GMAIL_CLIENT_SECRET,
-      redirectUri: process.env.GMAIL_REDIRECT_URI || 'http://localhost:5001/auth/gmail/callback',
+      redirectUri: process.env.GMAIL_REDIRECT_URI || 'http://localhost:5001/api/auth/gmail/callback',
       scopes: [
         'https://www.googleapis.com/auth/gmail.readonly',
         'https://www.googleapis.com/auth/gmail.send',
@@ -83,13 +130,33 @@ const config = {
     microsoft: {
       clientId: process.env.MICROSOFT_CLIENT_ID,
       clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
-      redirectUri: process.env.MICROSOFT_REDIRECT_URI || 'http://localhost:5001/auth/microsoft/callback',
+      redirectUri: process.env.MICROSOFT_REDIRECT_URI || 'http://localhost:5001/api/auth/microsoft/callback',
+      authority: process.env.MICROSOFT_AUTHORITY || 'https://login.microsoftonline.com/common',
+      graphBaseUrl: process.env.MICROSOFT_GRAPH_BASE_URL || 'https://graph.microsoft.com/v1.0',
       scopes: [
+        'offline_access',
+        'https://graph.microsoft.com/User.Read',
         'https://graph.microsoft.com/Mail.Read',
         'https://graph.microsoft.com/Mail.Send',
         'https://graph.microsoft.com/Mail.ReadWrite'
       ],
-    }
+    },
+    imap: {
+      pollIntervalMs: parseInt(process.env.IMAP_POLL_INTERVAL_MS) || 30000,
+      fetchBatchSize: parseInt(process.env.IMAP_FETCH_BATCH_SIZE) || 50,
+      connectionTimeoutMs: parseInt(process.env.IMAP_CONNECTION_TIMEOUT_MS) || 15000,
+    },
+    telegram: {
+      apiBaseUrl: process.env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org',
+      webhookBaseUrl: process.env.TELEGRAM_WEBHOOK_BASE_URL || 'http://localhost:5001',
+    },
+    // WhatsApp Cloud API, used for message templates; accounts may override these in connection_data
+    whatsapp: {
+      apiUrl: process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v18.0',
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+      businessAccountId: process.env.WHATSAPP_BUSINESS_ACCOUNT_ID,
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    },
   },
   
   // Stripe Configuration
@@ -110,6 +177,20 @@ const config = {
     trialDailyCap: parseInt(process.env.EMAIL_TRIAL_DAILY_CAP) || 20,
   },
   
+  // Team notifications (@mentions). Email goes out over this SMTP server when a
+  // host is configured; push has no delivery service yet.
+  notifications: {
+    appUrl: process.env.APP_URL || 'http://localhost:3000',
+    from: process.env.NOTIFICATIONS_FROM || 'Unified Inbox <notifications@localhost>',
+    smtp: {
+      host: process.env.NOTIFICATIONS_SMTP_HOST,
+      port: parseInt(process.env.NOTIFICATIONS_SMTP_PORT) || 587,
+      secure: process.env.NOTIFICATIONS_SMTP_SECURE === 'true',
+      user: process.env.NOTIFICATIONS_SMTP_USER,
+      pass: process.env.NOTIFICATIONS_SMTP_PASS,
+    },
+  },
+  
   // CORS Configuration
   cors: {
     origin: process.env.CORS_ORIGIN || ['http://localhost:3001', 'http://localhost:3002', 'http://localhost:3000'],
@@ -127,6 +208,24 @@ const config = {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
     uploadPath: process.env.UPLOAD_PATH || './uploads',
   },
+
+  // Attachment storage. Uploads and downloaded inbound media are kept on local disk
+  // or in an S3-compatible bucket (MinIO works locally) and handed out through
+  // signed download URLs that expire after urlTtlSeconds.
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local', // 'local' | 's3'
+    localPath: process.env.STORAGE_LOCAL_PATH || './storage/attachments',
+    s3: {
+      endpoint: process.env.S3_ENDPOINT || 'https://s3.amazonaws.com',
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+    },
+    urlSecret: process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET || 'fallback-secret-key',
+    urlTtlSeconds: parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS) || 15 * 60, // 15 minutes
+  },
   
   // Logging
   logging: {
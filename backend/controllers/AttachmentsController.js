@@ -0,0 +1,98 @@
+const config = require('../config');
+const { ChannelAccount, ChannelChat, ChannelMessage } = require('../models');
+
+class AttachmentsController {
+  constructor(attachmentService) {
+    this.attachmentService = attachmentService;
+  }
+
+  /**
+   * An attachment's details with fresh signed download and preview URLs
+   */
+  async getAttachment(req, res) {
+    try {
+      const attachment = await this.attachmentService.findAccessible(req.params.attachmentId, req.user.userId);
+      res.json(this.attachmentService.serialize(attachment));
+    } catch (error) {
+      console.error('Error getting attachment:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * A message's attachment by its position in message.attachments. Media is fetched
+   * from the provider on the first request and served from attachment storage after that.
+   */
+  async getMessageAttachment(req, res) {
+    try {
+      const { provider, accountId, chatId, messageId, index } = req.params;
+      const account = await ChannelAccount.findOne({
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(req.user.userId) },
+      });
+
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+
+      const message = await ChannelMessage.findOne({
+        where: { id: messageId, chat_id: chatId },
+        include: [{ model: ChannelChat, as: 'chat', required: true, where: { account_id: account.id } }],
+      });
+
+      if (!message) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+
+      const attachment = await this.attachmentService.fetchForMessage(account, message, Number(index));
+      res.json(this.attachmentService.serialize(attachment));
+    } catch (error) {
+      console.error('Error fetching message attachment:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Serve a signed download URL. The signature stands in for the bearer token so the
+   * URL works in <img> and <a> tags; S3 storage redirects to a presigned bucket URL.
+   * Query: expires, disposition (attachment or inline), signature
+   */
+  async download(req, res) {
+    try {
+      const { expires, disposition = 'attachment', signature } = req.query;
+      const attachment = await this.attachmentService.verifyDownload(req.params.attachmentId, {
+        expires,
+        disposition,
+        signature,
+      });
+      const target = await this.attachmentService.openDownload(attachment, { expires, disposition });
+
+      if (target.redirect) {
+        return res.redirect(302, target.redirect);
+      }
+
+      res.set({
+        'Content-Type': attachment.mime_type,
+        'Content-Length': String(attachment.size),
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+        'Cache-Control': `private, max-age=${Math.max(Number(expires) - Math.floor(Date.now() / 1000), 0)}`,
+        // The inbox is served from another origin
+        'Cross-Origin-Resource-Policy': 'cross-origin',
+      });
+      if (disposition === 'inline') {
+        // Let the inbox show PDF previews in a frame
+        res.removeHeader('X-Frame-Options');
+        res.set('Content-Security-Policy', `frame-ancestors 'self' ${[].concat(config.cors.origin).join(' ')}`);
+      }
+      target.stream.on('error', (error) => {
+        console.error('Error streaming attachment:', error);
+        res.destroy(error);
+      });
+      target.stream.pipe(res);
+    } catch (error) {
+      console.error('Error downloading attachment:', error.message);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+}
+
+module.exports = AttachmentsController;
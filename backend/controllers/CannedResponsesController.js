@@ -0,0 +1,86 @@
+const { ChannelAccount, ChannelChat } = require('../models');
+
+class CannedResponsesController {
+  constructor(cannedResponseService) {
+    this.cannedResponseService = cannedResponseService;
+  }
+
+  /**
+   * The user's personal replies and those shared with their workspaces
+   */
+  async listResponses(req, res) {
+    try {
+      const responses = await this.cannedResponseService.listResponses(req.user.userId);
+      res.json({ responses });
+    } catch (error) {
+      console.error('Error listing canned responses:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Body: shortcut, title, body, workspace_id (to share it; omit for a personal reply)
+   */
+  async createResponse(req, res) {
+    try {
+      const response = await this.cannedResponseService.createResponse(req.user.userId, req.body);
+      res.status(201).json(response);
+    } catch (error) {
+      console.error('Error creating canned response:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Body: any of shortcut, title, body
+   */
+  async updateResponse(req, res) {
+    try {
+      const response = await this.cannedResponseService.updateResponse(req.params.id, req.user.userId, req.body);
+      res.json(response);
+    } catch (error) {
+      console.error('Error updating canned response:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  async deleteResponse(req, res) {
+    try {
+      await this.cannedResponseService.deleteResponse(req.params.id, req.user.userId);
+      res.json({ message: 'Canned response deleted' });
+    } catch (error) {
+      console.error('Error deleting canned response:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Expand a reply's variables for a chat, formatted for its channel
+   */
+  async expandResponse(req, res) {
+    try {
+      const { provider, accountId, chatId, responseId } = req.params;
+      const userId = req.user.userId;
+
+      const account = await ChannelAccount.findOne({
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(userId) },
+      });
+      const chat = account && await ChannelChat.findOne({
+        where: { id: chatId, account_id: account.id },
+      });
+
+      if (!chat) {
+        return res.status(404).json({ error: 'Chat not found' });
+      }
+
+      const response = await this.cannedResponseService.findVisible(responseId, userId);
+      const expanded = await this.cannedResponseService.expand(response, { chat, userId });
+      res.json(expanded);
+    } catch (error) {
+      console.error('Error expanding canned response:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+}
+
+module.exports = CannedResponsesController;
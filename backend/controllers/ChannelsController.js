@@ -1,15 +1,36 @@
-const { ChannelAccount, ChannelChat, ChannelMessage, ChannelUsage } = require('../models');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { User, ChannelAccount, ChannelChat, ChannelMessage } = require('../models');
 const EntitlementService = require('../services/EntitlementService');
-const UniPileService = require('../services/UniPileService');
-const EmailService = require('../services/EmailService');
 const EmailLimitsService = require('../services/EmailLimitsService');
+const ProviderRegistry = require('../services/ProviderRegistry');
+const CursorPaginator = require('../services/CursorPaginator');
+const ChannelSyncService = require('../services/ChannelSyncService');
+const OutboundMessageService = require('../services/OutboundMessageService');
+const WorkspaceService = require('../services/WorkspaceService');
+const ChatStatusService = require('../services/ChatStatusService');
+const WhatsAppTemplateService = require('../services/WhatsAppTemplateService');
+const AttachmentService = require('../services/AttachmentService');
 
 class ChannelsController {
-  constructor() {
+  constructor(
+    providerRegistry = ProviderRegistry.createDefault(),
+    outboundMessageService = new OutboundMessageService(null, providerRegistry),
+    workspaceService = new WorkspaceService(),
+    chatStatusService = new ChatStatusService(),
+    attachmentService = new AttachmentService(providerRegistry)
+  ) {
     this.entitlementService = new EntitlementService();
-    this.unipileService = new UniPileService();
-    this.emailService = new EmailService();
     this.emailLimitsService = new EmailLimitsService();
+    this.providerRegistry = providerRegistry;
+    this.outboundMessageService = outboundMessageService;
+    this.workspaceService = workspaceService;
+    this.chatStatusService = chatStatusService;
+    this.attachmentService = attachmentService;
+    this.whatsappTemplateService = new WhatsAppTemplateService();
+    this.channelSyncService = new ChannelSyncService(providerRegistry, config.sync, chatStatusService, attachmentService);
+    this.chatPaginator = new CursorPaginator({ timeField: 'last_message_at' });
+    this.messagePaginator = new CursorPaginator({ timeField: 'sent_at' });
   }
 
   /**
@@ -30,21 +51,25 @@ class ChannelsController {
       }
 
       const accounts = await ChannelAccount.findByUserAndProvider(userId, provider);
+      const roles = await Promise.all(accounts.map(account => this.workspaceService.getAccountRole(account, userId)));
       
       res.json({
         provider,
-        accounts: accounts.map(account => ({
+        accounts: accounts.map((account, index) => ({
           id: account.id,
           external_account_id: account.external_account_id,
           status: account.status,
           account_info: account.account_info,
+          workspace_id: account.workspace_id,
+          shared: account.user_id !== userId,
+          role: roles[index],
           last_sync_at: account.last_sync_at,
           created_at: account.created_at,
         })),
       });
     } catch (error) {
       console.error('Error getting accounts:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 
@@ -56,6 +81,7 @@ class ChannelsController {
       const { provider } = req.params;
       const userId = req.user.userId;
       const { credentials = {} } = req.body;
+      const adapter = this.providerRegistry.get(provider);
 
       // Check entitlement
       const hasAccess = await this.entitlementService.hasAccess(userId, provider);
@@ -66,66 +92,17 @@ class ChannelsController {
         });
       }
 
-      let connectionData;
-      let externalAccountId;
-
-      if (provider === 'whatsapp' || provider === 'instagram') {
-        // Use UniPile for WhatsApp and Instagram
-        connectionData = await this.unipileService.initializeConnection(provider, credentials);
-        externalAccountId = connectionData.connectionId;
-      } else if (provider === 'email') {
-        // Handle email OAuth flow
-        const { code, emailProvider } = credentials;
-        
-        if (!code) {
-          // Return auth URL for OAuth flow
-          const authUrl = emailProvider === 'gmail' 
-            ? this.emailService.getGmailAuthUrl()
-            : this.emailService.getMicrosoftAuthUrl();
-          
-          return res.json({ authUrl, provider: emailProvider });
-        }
-
-        // Exchange code for tokens
-        const tokens = emailProvider === 'gmail'
-          ? await this.emailService.exchangeGmailCode(code)
-          : await this.emailService.exchangeMicrosoftCode(code);
-
-        connectionData = tokens;
-        externalAccountId = tokens.email;
-      }
-
-      // Create or update account record
-      const [account, created] = await ChannelAccount.findOrCreate({
-        where: {
-          user_id: userId,
-          provider,
-          external_account_id: externalAccountId,
-        },
-        defaults: {
-          user_id: userId,
-          provider,
-          external_account_id: externalAccountId,
-          status: 'connected',
-          connection_data: connectionData,
-          account_info: {
-            name: connectionData.name || externalAccountId,
-            email: connectionData.email,
-          },
-        },
+      const connection = await adapter.connect({
+        ...credentials,
+        oauthState: this.createOAuthState(userId, provider),
       });
-
-      if (!created) {
-        account.status = 'connected';
-        account.connection_data = connectionData;
-        account.account_info = {
-          ...account.account_info,
-          name: connectionData.name || externalAccountId,
-          email: connectionData.email,
-        };
-        await account.save();
+      if (connection.authUrl) {
+        // Provider needs an OAuth redirect before the account can be created
+        return res.json({ authUrl: connection.authUrl, provider: connection.provider });
       }
 
+      const account = await this.saveConnectedAccount(userId, provider, connection);
+
       res.json({
         message: `${provider} account connected successfully`,
         account: {
@@ -138,10 +115,86 @@ class ChannelsController {
       });
     } catch (error) {
       console.error('Error connecting account:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 
+  /**
+   * OAuth redirect target for email providers (/api/auth/:emailProvider/callback).
+   * The signed state from connectAccount identifies the user.
+   */
+  async completeEmailOAuth(req, res) {
+    const { emailProvider } = req.params;
+    const redirectBase = `${process.env.FRONTEND_URL}/auth/callback?provider=${emailProvider}`;
+
+    try {
+      const { code, state } = req.query;
+
+      if (!code) {
+        return res.status(400).json({ error: 'Authorization code required' });
+      }
+
+      let userId;
+      try {
+        ({ userId } = jwt.verify(state, config.jwt.secret));
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid or expired OAuth state' });
+      }
+
+      const connection = await this.providerRegistry.get('email').connect({ code, emailProvider });
+      const account = await this.saveConnectedAccount(userId, 'email', connection);
+
+      res.redirect(`${redirectBase}&success=true&account_id=${account.id}`);
+    } catch (error) {
+      console.error(`${emailProvider} OAuth error:`, error);
+      res.redirect(`${redirectBase}&success=false&error=${encodeURIComponent(error.message)}`);
+    }
+  }
+
+  /**
+   * Helper: Short-lived token carried through an OAuth redirect
+   */
+  createOAuthState(userId, provider) {
+    return jwt.sign({ userId, provider }, config.jwt.secret, { expiresIn: '15m' });
+  }
+
+  /**
+   * Helper: Create or update the account record for a completed connection
+   */
+  async saveConnectedAccount(userId, provider, { connectionData, externalAccountId }) {
+    const [account, created] = await ChannelAccount.findOrCreate({
+      where: {
+        user_id: userId,
+        provider,
+        external_account_id: externalAccountId,
+      },
+      defaults: {
+        user_id: userId,
+        provider,
+        external_account_id: externalAccountId,
+        status: 'connected',
+        connection_data: connectionData,
+        account_info: {
+          name: connectionData.name || externalAccountId,
+          email: connectionData.email,
+        },
+      },
+    });
+
+    if (!created) {
+      account.status = 'connected';
+      account.connection_data = connectionData;
+      account.account_info = {
+        ...account.account_info,
+        name: connectionData.name || externalAccountId,
+        email: connectionData.email,
+      };
+      await account.save();
+    }
+
+    return account;
+  }
+
   /**
    * Disconnect an account
    */
@@ -150,8 +203,9 @@ class ChannelsController {
       const { provider, accountId } = req.params;
       const userId = req.user.userId;
 
+      // Owners and admins of a shared account's workspace may disconnect it (see requirePermission)
       const account = await ChannelAccount.findOne({
-        where: { id: accountId, user_id: userId, provider },
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(userId) },
       });
 
       if (!account) {
@@ -159,9 +213,7 @@ class ChannelsController {
       }
 
       // Disconnect from provider
-      if (provider === 'whatsapp' || provider === 'instagram') {
-        await this.unipileService.disconnect(account.connection_data.connectionId);
-      }
+      await this.providerRegistry.get(provider).disconnect(account);
 
       // Update account status
       account.status = 'disconnected';
@@ -171,7 +223,7 @@ class ChannelsController {
       res.json({ message: `${provider} account disconnected successfully` });
     } catch (error) {
       console.error('Error disconnecting account:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 
@@ -193,40 +245,30 @@ class ChannelsController {
       }
 
       const account = await ChannelAccount.findOne({
-        where: { id: accountId, user_id: userId, provider },
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(userId) },
       });
 
       if (!account) {
         return res.status(404).json({ error: 'Account not found' });
       }
 
-      // Get chats from provider and sync
-      let providerChats;
-      if (provider === 'whatsapp' || provider === 'instagram') {
-        providerChats = await this.unipileService.getChats(
-          account.connection_data.connectionId,
-          100, // Get more chats for sync
-          0
-        );
-      } else if (provider === 'email') {
-        const messages = await this.emailService.getGmailMessages(
-          account.connection_data,
-          '',
-          100
-        );
-        providerChats = this.groupEmailMessagesIntoChats(messages);
-      }
+      // Get chats from provider and sync (more than a page, to catch up fully)
+      const providerChats = await this.providerRegistry.get(provider).fetchChats({
+        account,
+        limit: 100,
+        offset: 0,
+      });
 
       // Sync with local database
-      const chats = await this.syncChats(account, providerChats);
+      const chats = await this.channelSyncService.syncChats(account, providerChats);
 
       // Filter out chats with own phone number (self-messages)
-      const ownPhoneNumber = process.env.WHATSAPP_ACCOUNT_NUMBER || '919566651479';
+      const ownPhoneNumber = account.getOwnPhoneNumber();
       const hideOwnChats = process.env.HIDE_OWN_CHATS !== 'false'; // Default to true
       const filteredChats = hideOwnChats ? chats.filter(chat => {
         const chatPhoneNumber = chat.chat_info?.phone_number;
         // Don't show chats with own phone number
-        return chatPhoneNumber !== ownPhoneNumber;
+        return !ownPhoneNumber || chatPhoneNumber !== ownPhoneNumber;
       }) : chats;
 
       res.json({
@@ -244,18 +286,22 @@ class ChannelsController {
       });
     } catch (error) {
       console.error('Error syncing chats:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 
   /**
-   * Get chats for an account
+   * Get chats for an account, most recent first
+   * Query: limit, cursor (next_cursor from the previous page), assignee (me, unassigned or all),
+   * status (open, pending, snoozed, closed or all)
    */
   async getChats(req, res) {
     try {
       const { provider, accountId } = req.params;
       const userId = req.user.userId;
-      const { limit = 50, offset = 0 } = req.query;
+      const { limit, cursor, assignee = 'all', status = 'all' } = req.query;
+      const assigneeWhere = this.getAssigneeFilter(assignee, userId);
+      const statusWhere = this.getStatusFilter(status);
 
       // Check entitlement
       const hasAccess = await this.entitlementService.hasAccess(userId, provider);
@@ -267,7 +313,7 @@ class ChannelsController {
       }
 
       const account = await ChannelAccount.findOne({
-        where: { id: accountId, user_id: userId, provider },
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(userId) },
       });
 
       if (!account) {
@@ -275,44 +321,35 @@ class ChannelsController {
       }
 
       // Get chats directly from local database (consolidated)
-      let chats = await ChannelChat.findAll({
-        where: { account_id: accountId },
-        order: [['last_message_at', 'DESC']],
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      });
+      const query = {
+        ...this.chatPaginator.query({ account_id: accountId, ...assigneeWhere, ...statusWhere }, { cursor, limit }),
+        include: [{ model: User, as: 'assignee', attributes: ['id', 'firstName', 'lastName'] }],
+      };
+      let chats = await ChannelChat.findAll(query);
 
       // If no local chats, try to sync from provider
-      if (chats.length === 0) {
-        let providerChats;
-        if (provider === 'whatsapp' || provider === 'instagram') {
-          providerChats = await this.unipileService.getChats(
-            account.connection_data.connectionId,
-            limit,
-            offset
-          );
-        } else if (provider === 'email') {
-          // For email, we'll get messages and group them by thread
-          const messages = await this.emailService.getGmailMessages(
-            account.connection_data,
-            '',
-            limit
-          );
-          providerChats = this.groupEmailMessagesIntoChats(messages);
-        }
+      if (chats.length === 0 && !cursor && assignee === 'all' && status === 'all') {
+        const providerChats = await this.providerRegistry.get(provider).fetchChats({
+          account,
+          limit: this.chatPaginator.maxLimit,
+          offset: 0,
+        });
 
-        // Sync with local database
-        chats = await this.syncChats(account, providerChats);
+        // Sync with local database, then serve the first page from it
+        await this.channelSyncService.syncChats(account, providerChats);
+        chats = await ChannelChat.findAll(query);
       }
 
+      const page = this.chatPaginator.page(chats, limit);
+
       // Filter out chats with own phone number (self-messages)
-      const ownPhoneNumber = process.env.WHATSAPP_ACCOUNT_NUMBER || '919566651479';
+      const ownPhoneNumber = account.getOwnPhoneNumber();
       const hideOwnChats = process.env.HIDE_OWN_CHATS !== 'false'; // Default to true
-      const filteredChats = hideOwnChats ? chats.filter(chat => {
+      const filteredChats = hideOwnChats ? page.rows.filter(chat => {
         const chatPhoneNumber = chat.chat_info?.phone_number;
         // Don't show chats with own phone number
-        return chatPhoneNumber !== ownPhoneNumber;
-      }) : chats;
+        return !ownPhoneNumber || chatPhoneNumber !== ownPhoneNumber;
+      }) : page.rows;
 
       res.json({
         provider,
@@ -324,22 +361,191 @@ class ChannelsController {
           last_message_at: chat.last_message_at,
           unread_count: chat.unread_count,
           chat_info: chat.chat_info,
+          assignee_id: chat.assignee_id,
+          assignee_name: chat.assignee ? `${chat.assignee.firstName} ${chat.assignee.lastName}` : null,
+          assigned_at: chat.assigned_at,
+          status: chat.status,
+          snoozed_until: chat.snoozed_until,
         })),
+        workspace_id: account.workspace_id,
+        next_cursor: page.nextCursor,
       });
     } catch (error) {
       console.error('Error getting chats:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Helper: Chat where clause for a status view
+   */
+  getStatusFilter(status) {
+    if (status === 'all') {
+      return {};
+    }
+    if (!ChatStatusService.STATUSES.includes(status)) {
+      const error = new Error(`status must be one of: ${ChatStatusService.STATUSES.join(', ')}, all`);
+      error.status = 400;
+      error.code = 'INVALID_STATUS_FILTER';
+      throw error;
+    }
+    return { status };
+  }
+
+  /**
+   * Helper: Chat where clause for the Mine / Unassigned / All queues
+   */
+  getAssigneeFilter(assignee, userId) {
+    switch (assignee) {
+      case 'me':
+        return { assignee_id: userId };
+      case 'unassigned':
+        return { assignee_id: null };
+      case 'all':
+        return {};
+      default: {
+        const error = new Error('assignee must be me, unassigned or all');
+        error.status = 400;
+        error.code = 'INVALID_ASSIGNEE_FILTER';
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Assign a chat to a teammate, or back to the unassigned queue
+   * Body: assignee_id (null to unassign)
+   */
+  async assignChat(req, res) {
+    try {
+      const { provider, accountId, chatId } = req.params;
+      const userId = req.user.userId;
+
+      const account = await ChannelAccount.findOne({
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(userId) },
+      });
+
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+
+      const chat = await ChannelChat.findOne({
+        where: { id: chatId, account_id: accountId },
+      });
+
+      if (!chat) {
+        return res.status(404).json({ error: 'Chat not found' });
+      }
+
+      await this.workspaceService.assignChat(account, chat, req.body.assignee_id, userId);
+
+      res.json({
+        chat_id: chat.id,
+        assignee_id: chat.assignee_id,
+        assigned_at: chat.assigned_at,
+      });
+    } catch (error) {
+      console.error('Error assigning chat:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
     }
   }
 
   /**
-   * Get messages for a chat
+   * Open, set pending, snooze or close a chat
+   * Body: status, snoozed_until (required for snoozed)
+   */
+  async setChatStatus(req, res) {
+    try {
+      const { provider, accountId, chatId } = req.params;
+      const userId = req.user.userId;
+
+      const account = await ChannelAccount.findOne({
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(userId) },
+      });
+      const chat = account && await ChannelChat.findOne({
+        where: { id: chatId, account_id: account.id },
+      });
+
+      if (!chat) {
+        return res.status(404).json({ error: 'Chat not found' });
+      }
+
+      await this.chatStatusService.setStatus(account, [chat], req.body.status, req.body.snoozed_until);
+      res.json(this.serializeStatus(chat));
+    } catch (error) {
+      console.error('Error updating chat status:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Change the status of many chats at once, across the user's accounts
+   * Body: chat_ids, status, snoozed_until (required for snoozed)
+   */
+  async bulkSetChatStatus(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { chat_ids: chatIds, status, snoozed_until: snoozedUntil } = req.body;
+
+      if (!Array.isArray(chatIds) || chatIds.length === 0) {
+        return res.status(400).json({ error: 'chat_ids must be a non-empty array', code: 'CHAT_IDS_REQUIRED' });
+      }
+      this.chatStatusService.parseChange(status, snoozedUntil);
+
+      const chats = await ChannelChat.findAll({
+        where: { id: chatIds },
+        include: [{
+          model: ChannelAccount,
+          as: 'account',
+          required: true,
+          where: ChannelAccount.accessibleBy(userId),
+        }],
+      });
+
+      if (chats.length !== new Set(chatIds).size) {
+        return res.status(404).json({ error: 'One or more chats were not found' });
+      }
+
+      // Check every account before changing anything
+      const chatsByAccount = new Map();
+      for (const chat of chats) {
+        if (!chatsByAccount.has(chat.account.id)) {
+          await this.workspaceService.authorize(userId, 'chats:update', chat.account);
+          chatsByAccount.set(chat.account.id, []);
+        }
+        chatsByAccount.get(chat.account.id).push(chat);
+      }
+
+      for (const accountChats of chatsByAccount.values()) {
+        await this.chatStatusService.setStatus(accountChats[0].account, accountChats, status, snoozedUntil);
+      }
+
+      res.json({ chats: chats.map(chat => this.serializeStatus(chat)) });
+    } catch (error) {
+      console.error('Error updating chat statuses:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  serializeStatus(chat) {
+    return {
+      chat_id: chat.id,
+      status: chat.status,
+      snoozed_until: chat.snoozed_until,
+      status_changed_at: chat.status_changed_at,
+    };
+  }
+
+  /**
+   * Get messages for a chat from the local database
+   * Query: limit, cursor (next_cursor from the previous page). Each page is returned
+   * oldest first; next_cursor walks back to older messages.
    */
   async getMessages(req, res) {
     try {
       const { provider, accountId, chatId } = req.params;
       const userId = req.user.userId;
-      const { limit = 50, offset = 0 } = req.query;
+      const { limit, cursor } = req.query;
 
       // Check entitlement
       const hasAccess = await this.entitlementService.hasAccess(userId, provider);
@@ -351,63 +557,86 @@ class ChannelsController {
       }
 
       const account = await ChannelAccount.findOne({
-        where: { id: accountId, user_id: userId, provider },
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(userId) },
       });
 
       if (!account) {
         return res.status(404).json({ error: 'Account not found' });
       }
 
-      // Get messages from provider
-      let providerMessages;
-      if (provider === 'whatsapp' || provider === 'instagram') {
-        providerMessages = await this.unipileService.getMessages(
-          account.connection_data.connectionId,
+      const chat = await ChannelChat.findOne({
+        where: { id: chatId, account_id: accountId },
+      });
+
+      if (!chat) {
+        return res.status(404).json({ error: 'Chat not found' });
+      }
+
+      const query = {
+        ...this.messagePaginator.query({ chat_id: chatId }, { cursor, limit }),
+        include: [{ model: User, as: 'author', attributes: ['id', 'firstName', 'lastName'] }],
+      };
+      let messages = await ChannelMessage.findAll(query);
+
+      // Backfill from the provider the first time a chat is opened; afterwards
+      // webhooks and pollers keep the local copy current
+      if (messages.length === 0 && !cursor) {
+        const providerMessages = await this.providerRegistry.get(provider).fetchMessages({
+          account,
           chatId,
-          limit,
-          offset
-        );
-      } else if (provider === 'email') {
-        providerMessages = await this.emailService.getGmailMessages(
-          account.connection_data,
-          `thread:${chatId}`,
-          limit
-        );
+          limit: this.messagePaginator.maxLimit,
+          offset: 0,
+        });
+
+        await this.channelSyncService.syncMessages(account, chatId, providerMessages);
+        messages = await ChannelMessage.findAll(query);
       }
 
-      // Sync with local database
-      const messages = await this.syncMessages(account, chatId, providerMessages);
+      const page = this.messagePaginator.page(messages, limit);
+      const attachments = await this.attachmentService.describeMessages(account, page.rows);
+      // Only WhatsApp limits free-form replies to the customer service window
+      const serviceWindow = provider === 'whatsapp' ? await this.whatsappTemplateService.getServiceWindow(chat) : null;
 
       res.json({
         provider,
         account_id: accountId,
         chat_id: chatId,
-        messages: messages.map(message => ({
+        service_window: serviceWindow,
+        messages: page.rows.reverse().map(message => ({
           id: message.id,
           provider_msg_id: message.provider_msg_id,
+          type: message.type,
           direction: message.direction,
           body: message.body,
           subject: message.subject,
-          attachments: message.attachments,
+          attachments: attachments.get(message.id),
           sent_at: message.sent_at,
           status: message.status,
           read_at: message.read_at,
+          scheduled_at: message.scheduled_at,
+          author_id: message.author_id,
+          author_name: message.author ? `${message.author.firstName} ${message.author.lastName}` : null,
+          mentions: message.mentions,
         })),
+        next_cursor: page.nextCursor,
       });
     } catch (error) {
       console.error('Error getting messages:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 
   /**
    * Send a message
+   * Body: body, subject, attachments, to/cc/bcc (email),
+   * or template { name, language, parameters: { header, body } } for WhatsApp.
+   * Files uploaded as multipart `attachments` are kept in attachment storage.
    */
   async sendMessage(req, res) {
     try {
       const { provider, accountId, chatId } = req.params;
       const userId = req.user.userId;
-      const { body, subject, attachments = [] } = req.body;
+      const { subject } = req.body;
 
       // Check entitlement
       const hasAccess = await this.entitlementService.hasAccess(userId, provider);
@@ -418,85 +647,70 @@ class ChannelsController {
         });
       }
 
-      // Check usage limits
-      await this.entitlementService.enforceUsageLimits(userId, provider);
-
       const account = await ChannelAccount.findOne({
-        where: { id: accountId, user_id: userId, provider },
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(userId) },
       });
 
       if (!account) {
         return res.status(404).json({ error: 'Account not found' });
       }
 
-      // Apply email safety limits for email provider
-      if (provider === 'email') {
-        const recipients = [req.body.to].filter(Boolean);
-        const domains = recipients.map(email => email.split('@')[1]);
-        const attachmentBytes = attachments.reduce((total, att) => total + (att.size || 0), 0);
+      // Shared accounts send against the account owner's plan
+      await this.entitlementService.enforceUsageLimits(account.user_id, provider);
 
-        await this.emailLimitsService.enforceLimits({
-          userId,
-          mailboxId: account.id,
-          to: recipients,
-          domains,
-          attachmentBytes,
-        });
+      const chat = await ChannelChat.findOne({
+        where: { id: chatId, account_id: accountId },
+      });
+
+      if (!chat) {
+        return res.status(404).json({ error: 'Chat not found' });
       }
 
-      // Send message via provider
-      let providerMessage;
-      if (provider === 'whatsapp' || provider === 'instagram') {
-        providerMessage = await this.unipileService.sendMessage(
-          account.connection_data.connectionId,
-          chatId,
-          { body, attachments }
-        );
-      } else if (provider === 'email') {
-        providerMessage = await this.emailService.sendGmailMessage(
-          account.connection_data,
-          {
-            to: req.body.to,
-            cc: req.body.cc,
-            bcc: req.body.bcc,
-            subject,
-            body,
-            attachments,
-          }
-        );
+      // WhatsApp templates are checked now and stored with their rendered text;
+      // free-form WhatsApp replies need an open customer service window
+      if (provider === 'whatsapp' && !req.body.template) {
+        await this.whatsappTemplateService.enforceServiceWindow(chat);
+      }
+      const { body, template } = req.body.template
+        ? await this.whatsappTemplateService.prepare(account, req.body.template)
+        : { body: req.body.body, template: null };
+
+      const attachments = this.attachmentService.fromRequest(req.body.attachments);
+      const uploads = [];
+      for (const file of req.files || []) {
+        uploads.push(await this.attachmentService.storeUpload(account, userId, file));
       }
 
-      // Save message to database
-      const message = await ChannelMessage.create({
-        chat_id: chatId,
-        provider_msg_id: providerMessage.id,
-        direction: 'out',
-        body,
+      // Persist as pending; the outbound worker sends it and reports status over Socket.io
+      const message = await this.outboundMessageService.enqueue({
+        account,
+        chat,
+        to: req.body.to,
+        cc: req.body.cc,
+        bcc: req.body.bcc,
         subject,
-        attachments,
-        sent_at: new Date(),
-        status: 'sent',
-        provider_metadata: providerMessage,
+        body,
+        attachments: [...attachments, ...uploads.map(upload => this.attachmentService.toMessageEntry(upload))],
+        template,
       });
+      await this.attachmentService.attachToMessage(uploads, message);
 
-      // Update usage
-      await this.updateUsage(userId, provider, 'sent');
-
-      res.json({
-        message: 'Message sent successfully',
+      res.status(202).json({
+        message: 'Message queued for delivery',
         message_id: message.id,
-        provider_message: providerMessage,
+        status: message.status,
+        body: message.body,
       });
     } catch (error) {
       console.error('Error sending message:', error);
-      if (error.status === 402) {
-        res.status(402).json({ 
+      if (error.details) {
+        res.status(error.status).json({ 
           error: error.message,
           code: error.code,
           details: error.details,
         });
       } else {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message, code: error.code });
       }
     }
   }
@@ -511,32 +725,55 @@ class ChannelsController {
       const { messageIds } = req.body;
 
       const account = await ChannelAccount.findOne({
-        where: { id: accountId, user_id: userId, provider },
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(userId) },
       });
 
       if (!account) {
         return res.status(404).json({ error: 'Account not found' });
       }
 
-      // Mark as read in provider
-      if (provider === 'whatsapp' || provider === 'instagram') {
-        await this.unipileService.markAsRead(
-          account.connection_data.connectionId,
-          req.body.chatId,
-          messageIds
-        );
+      if (!Array.isArray(messageIds) || messageIds.length === 0) {
+        return res.status(400).json({ error: 'messageIds must be a non-empty array' });
       }
 
-      // Update local database
-      await ChannelMessage.update(
-        { status: 'read', read_at: new Date() },
-        { where: { id: messageIds } }
-      );
+      // Only the account's own messages; other IDs are ignored
+      const messages = await ChannelMessage.findAll({
+        where: { id: messageIds },
+        attributes: ['id', 'chat_id'],
+        include: [{
+          model: ChannelChat,
+          as: 'chat',
+          required: true,
+          attributes: [],
+          where: { account_id: account.id },
+        }],
+      });
+      const ownIds = messages.map(message => message.id);
+      const chatIds = [...new Set(messages.map(message => message.chat_id))];
+
+      if (ownIds.length > 0) {
+        // Mark as read in provider
+        await this.providerRegistry.get(provider).markAsRead({
+          account,
+          chatId: req.body.chatId,
+          messageIds: ownIds,
+        });
+
+        // Update local database
+        await ChannelMessage.update(
+          { status: 'read', read_at: new Date() },
+          { where: { id: ownIds } }
+        );
+        await ChannelChat.update(
+          { unread_count: 0 },
+          { where: { id: chatIds, account_id: account.id } }
+        );
+      }
 
       res.json({ message: 'Messages marked as read' });
     } catch (error) {
       console.error('Error marking messages as read:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 
@@ -549,7 +786,7 @@ class ChannelsController {
       const userId = req.user.userId;
 
       const account = await ChannelAccount.findOne({
-        where: { id: accountId, user_id: userId, provider: 'email' },
+        where: { id: accountId, provider: 'email', ...ChannelAccount.accessibleBy(userId) },
       });
 
       if (!account) {
@@ -561,171 +798,7 @@ class ChannelsController {
       res.json(limits);
     } catch (error) {
       console.error('Error getting email limits:', error);
-      res.status(500).json({ error: error.message });
-    }
-  }
-
-  /**
-   * Helper: Sync chats with local database
-   */
-  async syncChats(account, providerChats) {
-    // First, get all existing chats for this account to avoid duplicates
-    const existingChats = await ChannelChat.findAll({
-      where: { account_id: account.id }
-    });
-    
-    // Create a map of existing chats by phone number
-    const existingChatsByPhone = {};
-    existingChats.forEach(chat => {
-      const phoneNumber = chat.chat_info?.phone_number || 'unknown';
-      if (!existingChatsByPhone[phoneNumber]) {
-        existingChatsByPhone[phoneNumber] = chat;
-      }
-    });
-    
-    const chats = [];
-    const processedPhoneNumbers = new Set();
-    
-    for (const providerChat of providerChats) {
-      const normalizedChat = this.unipileService.normalizeChat(providerChat, account.provider);
-      
-      // Extract phone number from chat participants or metadata
-      const phoneNumber = this.extractPhoneNumberFromChat(providerChat);
-      const uniqueChatId = `${phoneNumber}_${account.provider}`;
-      
-      // Skip if we've already processed this phone number
-      if (processedPhoneNumbers.has(phoneNumber)) {
-        console.log(`Skipping duplicate chat for phone number: ${phoneNumber}`);
-        continue;
-      }
-      
-      // Check if we already have a chat for this phone number
-      let chat = existingChatsByPhone[phoneNumber];
-      
-      if (chat) {
-        // Update existing chat with latest info
-        chat.title = normalizedChat.title;
-        chat.last_message_at = normalizedChat.last_message_at;
-        chat.chat_info = {
-          ...chat.chat_info,
-          ...normalizedChat.chat_info,
-          original_chat_id: normalizedChat.provider_chat_id,
-          phone_number: phoneNumber,
-        };
-        await chat.save();
-      } else {
-        // Create new chat
-        chat = await ChannelChat.create({
-          account_id: account.id,
-          provider_chat_id: uniqueChatId,
-          title: normalizedChat.title,
-          last_message_at: normalizedChat.last_message_at,
-          chat_info: {
-            ...normalizedChat.chat_info,
-            original_chat_id: normalizedChat.provider_chat_id,
-            phone_number: phoneNumber,
-          },
-          unread_count: normalizedChat.unread_count,
-        });
-      }
-
-      chats.push(chat);
-      processedPhoneNumbers.add(phoneNumber);
-    }
-
-    return chats;
-  }
-
-  /**
-   * Extract phone number from chat data
-   */
-  extractPhoneNumberFromChat(chat) {
-    // Try to extract phone number from participants or metadata
-    if (chat.participants && chat.participants.length > 0) {
-      for (const participant of chat.participants) {
-        if (participant.phone || participant.id) {
-          const phoneNumber = participant.phone || participant.id;
-          const cleanPhone = phoneNumber.replace(/^whatsapp:/, '').replace(/^\+/, '').replace(/\D/g, '');
-          if (cleanPhone && cleanPhone.length >= 10) {
-            return cleanPhone;
-          }
-        }
-      }
-    }
-    
-    // Fallback to chat ID or name
-    return chat.id || chat.name || 'unknown';
-  }
-
-  /**
-   * Helper: Sync messages with local database
-   */
-  async syncMessages(account, chatId, providerMessages) {
-    const messages = [];
-    
-    for (const providerMessage of providerMessages) {
-      const normalizedMessage = this.unipileService.normalizeMessage(providerMessage, account.provider);
-      
-      const [message, created] = await ChannelMessage.findOrCreate({
-        where: {
-          chat_id: chatId,
-          provider_msg_id: normalizedMessage.provider_msg_id,
-        },
-        defaults: {
-          chat_id: chatId,
-          ...normalizedMessage,
-        },
-      });
-
-      if (!created) {
-        Object.assign(message, normalizedMessage);
-        await message.save();
-      }
-
-      messages.push(message);
-    }
-
-    return messages;
-  }
-
-  /**
-   * Helper: Group email messages into chats
-   */
-  groupEmailMessagesIntoChats(messages) {
-    const chatMap = new Map();
-    
-    for (const message of messages) {
-      const threadId = message.provider_metadata.thread_id;
-      if (!chatMap.has(threadId)) {
-        chatMap.set(threadId, {
-          id: threadId,
-          name: message.subject || 'No Subject',
-          last_message_at: message.sent_at,
-          unread_count: 0,
-          participants: [],
-        });
-      }
-      
-      const chat = chatMap.get(threadId);
-      if (message.sent_at > chat.last_message_at) {
-        chat.last_message_at = message.sent_at;
-      }
-    }
-
-    return Array.from(chatMap.values());
-  }
-
-  /**
-   * Helper: Update usage statistics
-   */
-  async updateUsage(userId, provider, type) {
-    const currentPeriod = ChannelUsage.getCurrentPeriod();
-    const usage = await ChannelUsage.getOrCreate(userId, provider, currentPeriod);
-    
-    if (type === 'sent') {
-      await usage.incrementSent();
-    } else if (type === 'received') {
-      await usage.incrementReceived();
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 }
@@ -0,0 +1,194 @@
+const { ChannelMessage, ChannelChat, ChannelAccount } = require('../models');
+const CursorPaginator = require('../services/CursorPaginator');
+
+// Editing a contact changes how its chats are grouped, so it needs the same role as editing a chat
+const WRITE_PERMISSION = 'chats:update';
+
+class ContactsController {
+  constructor(contactService, workspaceService) {
+    this.contactService = contactService;
+    this.workspaceService = workspaceService;
+    this.timelinePaginator = new CursorPaginator({ timeField: 'sent_at' });
+  }
+
+  /**
+   * List contacts, most recently active first
+   * Query: q (name or identifier), limit, offset
+   */
+  async listContacts(req, res) {
+    try {
+      const { q, limit, offset } = req.query;
+      const contacts = await this.contactService.listContacts(req.user.userId, { q, limit, offset });
+      res.json({ contacts });
+    } catch (error) {
+      console.error('Error listing contacts:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  async getContact(req, res) {
+    try {
+      const contact = await this.contactService.getContact(req.user.userId, req.params.id);
+      res.json(this.serialize(contact));
+    } catch (error) {
+      console.error('Error fetching contact:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Rename a contact or set the time zone used for scheduled sends
+   */
+  async updateContact(req, res) {
+    try {
+      const contact = await this.loadWritable(req.user.userId, req.params.id);
+      const { display_name: displayName, timezone } = req.body;
+
+      if (displayName !== undefined) contact.display_name = displayName;
+      if (timezone) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (e) {
+          const error = new Error(`Unknown time zone: ${timezone}`);
+          error.status = 400;
+          error.code = 'INVALID_TIMEZONE';
+          throw error;
+        }
+      }
+      if (timezone !== undefined) contact.timezone = timezone || null;
+      await contact.save();
+
+      res.json(this.serialize(contact));
+    } catch (error) {
+      console.error('Error updating contact:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * One timeline of the contact's messages across every channel, newest page first
+   * Query: cursor, limit
+   */
+  async getTimeline(req, res) {
+    try {
+      const { cursor, limit } = req.query;
+      const contact = await this.contactService.getContact(req.user.userId, req.params.id);
+      const chatIds = await this.contactService.getChatIds(req.user.userId, contact.id);
+
+      const rows = chatIds.length === 0 ? [] : await ChannelMessage.findAll({
+        // Internal notes stay in their chat's conversation view
+        ...this.timelinePaginator.query({ chat_id: chatIds, type: 'message' }, { cursor, limit }),
+        include: [{
+          model: ChannelChat,
+          as: 'chat',
+          attributes: ['id', 'title', 'account_id'],
+          include: [{ model: ChannelAccount, as: 'account', attributes: ['id', 'provider'] }],
+        }],
+      });
+      const page = this.timelinePaginator.page(rows, limit);
+
+      res.json({
+        contact_id: contact.id,
+        // Oldest first within the page, like a conversation
+        messages: page.rows.reverse().map(message => ({
+          id: message.id,
+          chat_id: message.chat_id,
+          chat_title: message.chat.title,
+          account_id: message.chat.account_id,
+          provider: message.chat.account.provider,
+          direction: message.direction,
+          body: message.body,
+          subject: message.subject,
+          attachments: message.attachments,
+          status: message.status,
+          sent_at: message.sent_at,
+          read_at: message.read_at,
+          scheduled_at: message.scheduled_at,
+        })),
+        next_cursor: page.nextCursor,
+      });
+    } catch (error) {
+      console.error('Error fetching contact timeline:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Merge other contacts into this one
+   * Body: contact_ids
+   */
+  async mergeContacts(req, res) {
+    try {
+      const contactIds = Array.isArray(req.body.contact_ids) ? req.body.contact_ids : [];
+      for (const contactId of new Set([req.params.id, ...contactIds])) {
+        await this.loadWritable(req.user.userId, contactId);
+      }
+      const contact = await this.contactService.merge(req.user.userId, req.params.id, req.body.contact_ids);
+      res.json(this.serialize(contact));
+    } catch (error) {
+      console.error('Error merging contacts:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Move identities (and their chats) off this contact into a new one
+   * Body: identity_ids
+   */
+  async splitContact(req, res) {
+    try {
+      await this.loadWritable(req.user.userId, req.params.id);
+      const contact = await this.contactService.split(req.user.userId, req.params.id, req.body.identity_ids);
+      res.status(201).json(this.serialize(contact));
+    } catch (error) {
+      console.error('Error splitting contact:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Load a contact the user may edit: their role must allow WRITE_PERMISSION on every
+   * account whose chats they see under it
+   * @throws {Error} 404 when the contact is not visible, 403 when a role falls short
+   */
+  async loadWritable(userId, contactId) {
+    const contact = await this.contactService.getContact(userId, contactId);
+    const accounts = new Map();
+    for (const identity of contact.identities || []) {
+      for (const chat of identity.chats || []) {
+        accounts.set(chat.account.id, chat.account);
+      }
+    }
+
+    for (const account of accounts.values()) {
+      await this.workspaceService.authorize(userId, WRITE_PERMISSION, account);
+    }
+    return contact;
+  }
+
+  serialize(contact) {
+    const identities = contact.identities || [];
+    return {
+      id: contact.id,
+      display_name: contact.display_name,
+      timezone: contact.timezone,
+      identities: identities.map(identity => ({
+        id: identity.id,
+        type: identity.type,
+        value: identity.value,
+        display_name: identity.display_name,
+      })),
+      chats: identities.flatMap(identity => (identity.chats || []).map(chat => ({
+        id: chat.id,
+        identity_id: identity.id,
+        account_id: chat.account_id,
+        provider: chat.account?.provider,
+        title: chat.title,
+        last_message_at: chat.last_message_at,
+        unread_count: chat.unread_count,
+      }))),
+    };
+  }
+}
+
+module.exports = ContactsController;
@@ -0,0 +1,37 @@
+const { ChannelAccount, ChannelChat } = require('../models');
+
+class NotesController {
+  constructor(noteService) {
+    this.noteService = noteService;
+  }
+
+  /**
+   * Add an internal note to a chat. The note is never sent to the customer.
+   * Body: body (may @mention teammates by username)
+   */
+  async createNote(req, res) {
+    try {
+      const { provider, accountId, chatId } = req.params;
+      const userId = req.user.userId;
+
+      const account = await ChannelAccount.findOne({
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(userId) },
+      });
+      const chat = account && await ChannelChat.findOne({
+        where: { id: chatId, account_id: account.id },
+      });
+
+      if (!chat) {
+        return res.status(404).json({ error: 'Chat not found' });
+      }
+
+      const note = await this.noteService.createNote(account, chat, userId, req.body.body);
+      res.status(201).json(note);
+    } catch (error) {
+      console.error('Error creating note:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+}
+
+module.exports = NotesController;
@@ -0,0 +1,234 @@
+const { Op } = require('sequelize');
+const { User, ChannelAccount, ChannelChat, ChannelMessage, ContactIdentity } = require('../models');
+const EntitlementService = require('../services/EntitlementService');
+
+class ScheduledMessagesController {
+  constructor(outboundMessageService, workspaceService, attachmentService) {
+    this.outboundMessageService = outboundMessageService;
+    this.workspaceService = workspaceService;
+    this.attachmentService = attachmentService;
+    this.entitlementService = new EntitlementService();
+  }
+
+  /**
+   * Schedule a message for a chat
+   * Body: body, subject, to, cc, bcc, attachments, send_at, timezone. A send_at without
+   * a UTC offset is read in `timezone`, else the recipient's (contact or chat_info.timezone),
+   * else the sender's preference.
+   */
+  async scheduleMessage(req, res) {
+    try {
+      const { provider, accountId, chatId } = req.params;
+      const userId = req.user.userId;
+      const { body, subject, to, cc, bcc, send_at: sendAt, timezone } = req.body;
+
+      const hasAccess = await this.entitlementService.hasAccess(userId, provider);
+      if (!hasAccess) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: `You don't have access to ${provider}. Please upgrade your plan or purchase the add-on.`
+        });
+      }
+
+      const account = await ChannelAccount.findOne({
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(userId) },
+      });
+
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+
+      const chat = await ChannelChat.findOne({
+        where: { id: chatId, account_id: accountId },
+      });
+
+      if (!chat) {
+        return res.status(404).json({ error: 'Chat not found' });
+      }
+
+      const attachments = this.attachmentService.fromRequest(req.body.attachments);
+      const timeZone = timezone || await this.getDefaultTimeZone(userId, chat);
+      const scheduledAt = this.outboundMessageService.resolveScheduledAt(sendAt, timeZone);
+
+      const message = await this.outboundMessageService.enqueue({
+        account,
+        chat,
+        body,
+        subject,
+        attachments,
+        to,
+        cc,
+        bcc,
+        scheduledAt,
+      });
+
+      res.status(201).json(this.serialize(message, chat, account));
+    } catch (error) {
+      console.error('Error scheduling message:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * List the user's messages waiting to be sent, soonest first
+   * Query: chat_id
+   */
+  async listScheduled(req, res) {
+    try {
+      const where = { status: 'pending', scheduled_at: { [Op.ne]: null } };
+      const chatWhere = req.query.chat_id ? { id: req.query.chat_id } : undefined;
+
+      const messages = await ChannelMessage.findAll({
+        where,
+        include: [{
+          model: ChannelChat,
+          as: 'chat',
+          required: true,
+          where: chatWhere,
+          include: [{
+            model: ChannelAccount,
+            as: 'account',
+            required: true,
+            where: ChannelAccount.accessibleBy(req.user.userId),
+          }],
+        }],
+        order: [['scheduled_at', 'ASC']],
+      });
+
+      res.json({
+        scheduled_messages: messages.map(message => this.serialize(message, message.chat, message.chat.account)),
+      });
+    } catch (error) {
+      console.error('Error listing scheduled messages:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Edit a scheduled message's content or send time before it is dispatched
+   */
+  async updateScheduled(req, res) {
+    try {
+      const { message, chat, account } = await this.findEditable(req.user.userId, req.params.id);
+      const { body, subject, to, cc, bcc, send_at: sendAt, timezone } = req.body;
+
+      if (body !== undefined) message.body = body;
+      if (subject !== undefined) message.subject = subject;
+      if (to !== undefined || cc !== undefined || bcc !== undefined) {
+        const outbound = message.provider_metadata?.outbound || {};
+        message.provider_metadata = {
+          ...message.provider_metadata,
+          // Keep the rest of the payload, such as a WhatsApp template
+          outbound: {
+            ...outbound,
+            to: to !== undefined ? to : outbound.to,
+            cc: cc !== undefined ? cc : outbound.cc,
+            bcc: bcc !== undefined ? bcc : outbound.bcc,
+          },
+        };
+      }
+
+      if (sendAt !== undefined) {
+        const timeZone = timezone || await this.getDefaultTimeZone(req.user.userId, chat);
+        const scheduledAt = this.outboundMessageService.resolveScheduledAt(sendAt, timeZone);
+        await this.outboundMessageService.reschedule(account, message, scheduledAt);
+      } else {
+        await message.save();
+      }
+
+      res.json(this.serialize(message, chat, account));
+    } catch (error) {
+      console.error('Error updating scheduled message:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Cancel a scheduled message before it is dispatched
+   */
+  async cancelScheduled(req, res) {
+    try {
+      const { message } = await this.findEditable(req.user.userId, req.params.id);
+      await this.outboundMessageService.cancel(message);
+
+      res.json({ message: 'Scheduled message cancelled', message_id: message.id });
+    } catch (error) {
+      console.error('Error cancelling scheduled message:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Load a scheduled message the user may send that has not been dispatched yet
+   */
+  async findEditable(userId, messageId) {
+    const message = await ChannelMessage.findOne({
+      where: { id: messageId },
+      include: [{
+        model: ChannelChat,
+        as: 'chat',
+        required: true,
+        include: [{
+          model: ChannelAccount,
+          as: 'account',
+          required: true,
+          where: ChannelAccount.accessibleBy(userId),
+        }],
+      }],
+    });
+
+    if (!message || !message.scheduled_at) {
+      const error = new Error('Scheduled message not found');
+      error.status = 404;
+      throw error;
+    }
+
+    await this.workspaceService.authorize(userId, 'messages:send', message.chat.account);
+
+    if (message.status !== 'pending' || new Date(message.scheduled_at) <= new Date()) {
+      const error = new Error('Message has already been dispatched');
+      error.status = 409;
+      error.code = 'MESSAGE_ALREADY_DISPATCHED';
+      throw error;
+    }
+
+    return { message, chat: message.chat, account: message.chat.account };
+  }
+
+  /**
+   * Recipient's time zone from their contact or the chat's data, falling back to the sender's
+   */
+  async getDefaultTimeZone(userId, chat) {
+    if (chat.contact_identity_id) {
+      const identity = await ContactIdentity.findByPk(chat.contact_identity_id, { include: ['contact'] });
+      if (identity?.contact?.timezone) {
+        return identity.contact.timezone;
+      }
+    }
+    if (chat.chat_info?.timezone) {
+      return chat.chat_info.timezone;
+    }
+    const user = await User.findByPk(userId);
+    return user?.preferences?.timezone || 'UTC';
+  }
+
+  serialize(message, chat, account) {
+    return {
+      id: message.id,
+      chat_id: message.chat_id,
+      chat_title: chat?.title,
+      account_id: account?.id,
+      provider: account?.provider,
+      direction: message.direction,
+      body: message.body,
+      subject: message.subject,
+      attachments: message.attachments,
+      to: message.provider_metadata?.outbound?.to,
+      status: message.status,
+      scheduled_at: message.scheduled_at,
+      sent_at: message.sent_at,
+    };
+  }
+}
+
+module.exports = ScheduledMessagesController;
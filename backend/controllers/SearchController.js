@@ -0,0 +1,40 @@
+const SearchService = require('../services/SearchService');
+
+class SearchController {
+  constructor(searchService = new SearchService()) {
+    this.searchService = searchService;
+  }
+
+  /**
+   * Full-text search across the user's messages and chats
+   */
+  async search(req, res) {
+    try {
+      const { q, provider, account_id, direction, from, to, has_attachment, limit, offset } = req.query;
+
+      const results = await this.searchService.search(req.user.userId, {
+        q,
+        provider,
+        accountId: account_id,
+        direction,
+        from,
+        to,
+        hasAttachment: has_attachment,
+        limit,
+        offset,
+      });
+
+      res.json({
+        query: q,
+        total: results.total,
+        chats: results.chats,
+        messages: results.messages,
+      });
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+}
+
+module.exports = SearchController;
@@ -0,0 +1,52 @@
+const { ChannelAccount } = require('../models');
+
+class TemplatesController {
+  constructor(whatsappTemplateService) {
+    this.whatsappTemplateService = whatsappTemplateService;
+  }
+
+  async findAccount(req) {
+    const { provider, accountId } = req.params;
+    return ChannelAccount.findOne({
+      where: { id: accountId, provider, ...ChannelAccount.accessibleBy(req.user.userId) },
+    });
+  }
+
+  /**
+   * The account's stored WhatsApp templates, with the parameters each one needs
+   */
+  async listTemplates(req, res) {
+    try {
+      const account = await this.findAccount(req);
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+
+      const templates = await this.whatsappTemplateService.listTemplates(account);
+      res.json({ templates });
+    } catch (error) {
+      console.error('Error listing templates:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Refresh the account's templates from the WhatsApp Cloud API
+   */
+  async syncTemplates(req, res) {
+    try {
+      const account = await this.findAccount(req);
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+
+      const templates = await this.whatsappTemplateService.syncTemplates(account);
+      res.json({ templates });
+    } catch (error) {
+      console.error('Error syncing templates:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+}
+
+module.exports = TemplatesController;
@@ -1,13 +1,34 @@
 const crypto = require('crypto');
-const { ChannelAccount, ChannelChat, ChannelMessage, ChannelUsage } = require('../models');
-const UniPileService = require('../services/UniPileService');
-const EmailService = require('../services/EmailService');
+const config = require('../config');
+const { sequelize } = require('../config/database');
+const { User, ChannelAccount, ChannelChat, ChannelMessage, ChannelUsage, WebhookEvent, WebhookDeadLetter } = require('../models');
+const EntitlementService = require('../services/EntitlementService');
+const QueueService = require('../services/QueueService');
+const IdempotencyService = require('../services/IdempotencyService');
+const ProviderRegistry = require('../services/ProviderRegistry');
+const OutboundMessageService = require('../services/OutboundMessageService');
+const ContactService = require('../services/ContactService');
+const ChatStatusService = require('../services/ChatStatusService');
+const AttachmentService = require('../services/AttachmentService');
 
 class WebhooksController {
-  constructor(io) {
+  constructor(
+    io,
+    providerRegistry = ProviderRegistry.createDefault(),
+    outboundMessageService = new OutboundMessageService(io, providerRegistry),
+    contactService = new ContactService(providerRegistry),
+    chatStatusService = new ChatStatusService(io),
+    attachmentService = new AttachmentService(providerRegistry)
+  ) {
     this.io = io;
-    this.unipileService = new UniPileService();
-    this.emailService = new EmailService();
+    this.providerRegistry = providerRegistry;
+    this.outboundMessageService = outboundMessageService;
+    this.contactService = contactService;
+    this.chatStatusService = chatStatusService;
+    this.attachmentService = attachmentService;
+    this.entitlementService = new EntitlementService();
+    this.webhookQueue = new QueueService(config.queues.webhooks.name, config.queues.webhooks);
+    this.idempotencyService = new IdempotencyService();
   }
 
   /**
@@ -15,10 +36,7 @@ class WebhooksController {
    */
   async handleUniPileWebhook(req, res) {
     try {
-      console.log('Raw webhook body:', JSON.stringify(req.body, null, 2));
-      console.log('Webhook headers:', req.headers);
-      
-      const { event, data } = req.body;
+      const { event } = req.body;
       
       // Verify webhook signature (optional for testing - set UNIPILE_WEBHOOK_SECRET to disable)
       if (process.env.UNIPILE_WEBHOOK_SECRET && !this.verifyUniPileSignature(req)) {
@@ -30,27 +48,12 @@ class WebhooksController {
         return res.json({ status: 'success', message: 'No event to process' });
       }
 
-      switch (event) {
-        case 'message.new':
-        case 'message_received':
-          if (data) {
-            await this.handleNewMessage(data);
-          } else {
-            // Handle direct webhook format (no data wrapper)
-            await this.handleNewMessage(req.body);
-          }
-          break;
-        case 'account.updated':
-          await this.handleAccountUpdate(data);
-          break;
-        case 'connection.status':
-          await this.handleConnectionStatus(data);
-          break;
-        default:
-          console.log(`Unhandled UniPile event: ${event}`);
+      const webhookEvent = await this.ingestEvent('unipile', event, req);
+      if (webhookEvent.duplicate) {
+        return res.json({ status: 'duplicate' });
       }
 
-      res.json({ status: 'success' });
+      res.status(202).json({ status: 'accepted', event_id: webhookEvent.id });
     } catch (error) {
       console.error('Error handling UniPile webhook:', error);
       res.status(500).json({ error: error.message });
@@ -62,212 +65,446 @@ class WebhooksController {
    */
   async handleEmailWebhook(req, res) {
     try {
-      const { provider, event, data } = req.body;
+      const { provider, event } = req.body;
       
       // Verify webhook signature
       if (!this.verifyEmailSignature(req, provider)) {
         return res.status(401).json({ error: 'Invalid signature' });
       }
 
-      switch (event) {
-        case 'message.received':
-          await this.handleEmailMessage(data, provider);
-          break;
-        case 'message.read':
-          await this.handleEmailRead(data, provider);
-          break;
-        default:
-          console.log(`Unhandled email event: ${event}`);
+      const webhookEvent = await this.ingestEvent('email', event, req);
+      if (webhookEvent.duplicate) {
+        return res.json({ status: 'duplicate' });
       }
 
-      res.json({ status: 'success' });
+      res.status(202).json({ status: 'accepted', event_id: webhookEvent.id });
     } catch (error) {
       console.error('Error handling email webhook:', error);
       res.status(500).json({ error: error.message });
     }
   }
 
+  /**
+   * Handle Telegram Bot API updates for one bot
+   */
+  async handleTelegramWebhook(req, res) {
+    try {
+      const { botId } = req.params;
+      const adapter = this.providerRegistry.get('telegram');
+
+      const account = await adapter.findWebhookAccount({ botId });
+      if (!account) {
+        return res.status(404).json({ error: 'Unknown bot' });
+      }
+
+      // Telegram echoes the secret_token registered with setWebhook
+      if (!adapter.validateWebhookSignature(account, req.headers['x-telegram-bot-api-secret-token'])) {
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+
+      const updateType = Object.keys(req.body).find(key => key !== 'update_id');
+      const webhookEvent = await this.ingestEvent('telegram', updateType, req, {
+        bot_id: String(botId),
+        update: req.body,
+      });
+      if (webhookEvent.duplicate) {
+        return res.json({ status: 'duplicate' });
+      }
+
+      res.json({ status: 'accepted', event_id: webhookEvent.id });
+    } catch (error) {
+      console.error('Error handling Telegram webhook:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   /**
    * Handle Stripe webhook events
    */
   async handleStripeWebhook(req, res) {
     try {
-      const { type, data } = req.body;
+      const { type } = req.body;
       
       // Verify Stripe signature
       if (!this.verifyStripeSignature(req)) {
         return res.status(401).json({ error: 'Invalid signature' });
       }
 
-      switch (type) {
-        case 'checkout.session.completed':
-          await this.handleCheckoutCompleted(data.object);
+      await this.ingestEvent('stripe', type, req);
+
+      res.json({ received: true });
+    } catch (error) {
+      console.error('Error handling Stripe webhook:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Persist an inbound webhook and queue it for processing.
+   * The event is stored before anything else so it survives queue or worker outages.
+   * Sources that need request context (e.g. which bot) pass the payload to store explicitly;
+   * internal producers such as the IMAP poller pass no request at all.
+   */
+  async ingestEvent(source, eventType, req, payload = req?.body) {
+    const eventKey = this.idempotencyService.getEventKey(source, payload);
+    if (await this.idempotencyService.isProcessed(source, eventKey)) {
+      console.log(`🔁 Ignoring redelivered ${source} event: ${eventKey}`);
+      return { id: null, duplicate: true };
+    }
+
+    const webhookEvent = await WebhookEvent.create({
+      source,
+      event_type: eventType || null,
+      payload,
+      headers: req ? this.pickHeaders(req.headers) : {},
+    });
+
+    try {
+      await this.webhookQueue.add(source, { webhookEventId: webhookEvent.id }, { jobId: webhookEvent.id });
+    } catch (error) {
+      // Queue unavailable - park the event so it can be replayed from the admin routes
+      console.error(`Failed to enqueue ${source} webhook ${webhookEvent.id}:`, error);
+      await webhookEvent.markFailed(error);
+      await this.moveToDeadLetter(webhookEvent, error);
+    }
+
+    return webhookEvent;
+  }
+
+  /**
+   * Start the worker that processes queued webhook events
+   */
+  startWorker() {
+    return this.webhookQueue.startWorker(
+      (job) => this.processWebhookJob(job),
+      {
+        onFailed: async (job, error, isFinal) => {
+          if (!isFinal) return;
+          const webhookEvent = await WebhookEvent.findByPk(job.data.webhookEventId);
+          if (webhookEvent) {
+            await this.moveToDeadLetter(webhookEvent, error);
+          }
+        },
+      }
+    );
+  }
+
+  /**
+   * Process a single queued webhook event. Errors propagate so BullMQ retries the job.
+   */
+  async processWebhookJob(job) {
+    const webhookEvent = await WebhookEvent.findByPk(job.data.webhookEventId);
+    if (!webhookEvent) {
+      console.error(`Webhook event not found: ${job.data.webhookEventId}`);
+      return;
+    }
+
+    if (webhookEvent.status === 'processed') {
+      return;
+    }
+
+    await webhookEvent.markProcessing();
+
+    try {
+      const { source, payload } = webhookEvent;
+      const eventKey = this.idempotencyService.getEventKey(source, payload);
+
+      await this.idempotencyService.runOnce(source, eventKey, async () => {
+        if (source === 'stripe') {
+          await this.processStripeEvent(payload);
+          return;
+        }
+
+        const adapter = this.providerRegistry.getByWebhookSource(source);
+        if (!adapter) {
+          console.log(`Unhandled webhook source: ${source}`);
+          return;
+        }
+        await this.processChannelEvent(adapter, payload);
+      }, webhookEvent.id);
+
+      await webhookEvent.markProcessed();
+    } catch (error) {
+      await webhookEvent.markFailed(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a channel webhook with its adapter and dispatch the resulting events
+   */
+  async processChannelEvent(adapter, payload) {
+    const events = await adapter.handleWebhook(payload);
+
+    for (const event of events) {
+      switch (event.type) {
+        case 'message.received':
+          await this.handleNewMessage(adapter, event);
           break;
-        case 'customer.subscription.updated':
-          await this.handleSubscriptionUpdated(data.object);
+        case 'message.delivered':
+          await this.handleMessageReceipt(adapter, event, 'delivered');
           break;
-        case 'customer.subscription.deleted':
-          await this.handleSubscriptionDeleted(data.object);
+        case 'message.read':
+          await this.handleMessageReceipt(adapter, event, 'read');
           break;
-        case 'invoice.payment_succeeded':
-          await this.handlePaymentSucceeded(data.object);
+        case 'account.updated':
+          await this.handleAccountUpdate(event);
           break;
-        case 'invoice.payment_failed':
-          await this.handlePaymentFailed(data.object);
+        case 'connection.status':
+          await this.handleConnectionStatus(event);
           break;
         default:
-          console.log(`Unhandled Stripe event: ${type}`);
+          console.log(`Unhandled ${adapter.webhookSource} event: ${event.type}`);
       }
+    }
+  }
 
-      res.json({ received: true });
+  /**
+   * Dispatch a Stripe event to its handler
+   */
+  async processStripeEvent(payload) {
+    const { type, data } = payload;
+
+    switch (type) {
+      case 'checkout.session.completed':
+        await this.handleCheckoutCompleted(data.object);
+        break;
+      case 'customer.subscription.updated':
+        await this.handleSubscriptionUpdated(data.object);
+        break;
+      case 'customer.subscription.deleted':
+        await this.handleSubscriptionDeleted(data.object);
+        break;
+      case 'invoice.payment_succeeded':
+        await this.handlePaymentSucceeded(data.object);
+        break;
+      case 'invoice.payment_failed':
+        await this.handlePaymentFailed(data.object);
+        break;
+      default:
+        console.log(`Unhandled Stripe event: ${type}`);
+    }
+  }
+
+  /**
+   * Record a webhook event that exhausted its retries
+   */
+  async moveToDeadLetter(webhookEvent, error) {
+    webhookEvent.status = 'dead_lettered';
+    webhookEvent.last_error = error?.message || String(error);
+    await webhookEvent.save();
+
+    const deadLetter = await WebhookDeadLetter.create({
+      webhook_event_id: webhookEvent.id,
+      source: webhookEvent.source,
+      event_type: webhookEvent.event_type,
+      error: webhookEvent.last_error,
+      attempts: webhookEvent.attempts,
+    });
+
+    console.error(`☠️ Webhook event ${webhookEvent.id} moved to dead-letter storage: ${deadLetter.id}`);
+    return deadLetter;
+  }
+
+  /**
+   * List dead-lettered webhook events of every tenant (system admins only)
+   */
+  async listDeadLetters(req, res) {
+    try {
+      const { limit = 50, offset = 0, include_replayed } = req.query;
+
+      const result = include_replayed === 'true'
+        ? await WebhookDeadLetter.findAndCountAll({
+          order: [['failed_at', 'DESC']],
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          include: ['event'],
+        })
+        : await WebhookDeadLetter.findPending(parseInt(limit), parseInt(offset));
+
+      res.json({
+        total: result.count,
+        dead_letters: result.rows,
+      });
     } catch (error) {
-      console.error('Error handling Stripe webhook:', error);
+      console.error('Error listing dead letters:', error);
       res.status(500).json({ error: error.message });
     }
   }
 
   /**
-   * Handle new message from UniPile
+   * Get a single dead-lettered webhook event with its raw payload (system admins only)
    */
-  async handleNewMessage(data) {
+  async getDeadLetter(req, res) {
     try {
-      console.log('Processing new message with data:', JSON.stringify(data, null, 2));
-      
-      // Handle different data structures
-      let connectionId, message;
-      
-      if (data.connectionId && data.message) {
-        // Direct structure: { connectionId, message }
-        connectionId = data.connectionId;
-        message = data.message;
-      } else if (data.connection_id && data.message) {
-        // Alternative structure: { connection_id, message }
-        connectionId = data.connection_id;
-        message = data.message;
-      } else if (data.message && data.message.connectionId) {
-        // Message contains connectionId
-        connectionId = data.message.connectionId;
-        message = data.message;
-      } else if (data.account_id && data.message) {
-        // Real UniPile format: { account_id, message, sender, etc. }
-        connectionId = data.account_id;
-            message = {
-              id: data.message_id,
-              body: data.message,
-              from: data.sender?.attendee_provider_id || data.sender?.attendee_id,
-              to: data.provider_chat_id,
-              timestamp: data.timestamp,
-              chat_id: data.chat_id,
-              subject: data.subject,
-              attachments: data.attachments || [],
-              sender: data.sender // Add sender object
-            };
-      } else {
-        console.error('Invalid data structure for new message:', data);
-        return;
+      const deadLetter = await WebhookDeadLetter.findByPk(req.params.id, { include: ['event'] });
+
+      if (!deadLetter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
       }
 
-      if (!connectionId) {
-        console.error('No connectionId found in data:', data);
-        return;
+      res.json(deadLetter);
+    } catch (error) {
+      console.error('Error getting dead letter:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Re-queue a dead-lettered webhook event (system admins only)
+   */
+  async replayDeadLetter(req, res) {
+    try {
+      const deadLetter = await WebhookDeadLetter.findByPk(req.params.id, { include: ['event'] });
+
+      if (!deadLetter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
       }
-      
-      // Find the account by connection ID
-      let account = await ChannelAccount.findOne({
-        where: { 
-          'connection_data.connectionId': connectionId 
-        },
+
+      const webhookEvent = deadLetter.event;
+      webhookEvent.status = 'received';
+      await webhookEvent.save();
+
+      await deadLetter.markReplayed();
+      await this.webhookQueue.add(
+        webhookEvent.source,
+        { webhookEventId: webhookEvent.id },
+        { jobId: `${webhookEvent.id}:replay:${deadLetter.replay_count}` }
+      );
+
+      res.status(202).json({
+        message: 'Webhook event queued for replay',
+        event_id: webhookEvent.id,
+        replay_count: deadLetter.replay_count,
       });
+    } catch (error) {
+      console.error('Error replaying dead letter:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
 
-      // If not found by connectionId, try by external_account_id
-      if (!account) {
-        account = await ChannelAccount.findOne({
-          where: { 
-            external_account_id: connectionId 
-          },
-        });
+  /**
+   * Keep only the headers worth storing with a webhook event
+   */
+  pickHeaders(headers = {}) {
+    const keep = ['content-type', 'user-agent', 'x-unipile-signature', 'x-signature', 'stripe-signature'];
+    return keep.reduce((picked, name) => {
+      if (headers[name]) {
+        picked[name] = headers[name];
       }
+      return picked;
+    }, {});
+  }
 
+  /**
+   * Handle a new inbound message from any channel adapter
+   */
+  async handleNewMessage(adapter, event) {
+    try {
+      const account = await adapter.findWebhookAccount(event);
       if (!account) {
-        console.error(`Account not found for connection: ${connectionId}`);
-        console.log('Available accounts:', await ChannelAccount.findAll({ attributes: ['id', 'provider', 'external_account_id', 'connection_data'] }));
+        console.error(`Account not found for ${adapter.webhookSource} event:`, event.connectionId || event.accountId);
         return;
       }
 
-      // Normalize message
-      const normalizedMessage = this.unipileService.normalizeMessage(message, account.provider);
-      
-      // Create unique chat identifier using phone number
-      const phoneNumber = normalizedMessage.provider_metadata.phone_number;
-      
-      // Skip processing if it's from own phone number
-      const ownPhoneNumber = process.env.WHATSAPP_ACCOUNT_NUMBER || '919566651479';
-      if (phoneNumber === ownPhoneNumber) {
-        console.log(`Skipping webhook processing for own phone number: ${phoneNumber}`);
+      // Normalize with the adapter for the account's own provider
+      const accountAdapter = this.providerRegistry.get(account.provider);
+      const normalizedMessage = await accountAdapter.resolveInboundMessage(account, event);
+      if (!normalizedMessage) {
+        console.error(`Failed to get message data for ${account.provider} event`);
         return;
       }
-      
-      const uniqueChatId = `${phoneNumber}_${account.provider}`;
-      
-      // Find or create chat based on phone number
-      const [chat, created] = await ChannelChat.findOrCreate({
+
+      // The adapter decides which chat the message belongs to, or skips it
+      const chatData = accountAdapter.getInboundChat(account, normalizedMessage);
+      if (!chatData) {
+        return;
+      }
+
+      // Find or create chat
+      const [chat] = await ChannelChat.findOrCreate({
         where: {
           account_id: account.id,
-          provider_chat_id: uniqueChatId,
+          provider_chat_id: chatData.provider_chat_id,
         },
         defaults: {
           account_id: account.id,
-          provider_chat_id: uniqueChatId,
-          title: normalizedMessage.provider_metadata.fromName || `Chat ${phoneNumber}`,
+          provider_chat_id: chatData.provider_chat_id,
+          title: chatData.title,
           last_message_at: normalizedMessage.sent_at,
-          unread_count: 1,
-          chat_info: {
-            original_chat_id: normalizedMessage.provider_metadata.chat_id,
-            phone_number: phoneNumber,
-            from: normalizedMessage.provider_metadata.from,
-          },
+          unread_count: 0,
+          chat_info: chatData.chat_info || {},
         },
       });
 
-      if (!created) {
+      // The message and the chat changes it causes commit together. A failure rolls them all
+      // back, so the retried job stores the message afresh instead of finding it and stopping.
+      const { message: newMessage, created, attachments } = await sequelize.transaction(async (transaction) => {
+        // Create message once per (chat_id, provider_msg_id); redeliveries are no-ops
+        const [message, messageCreated] = await ChannelMessage.findOrCreate({
+          where: {
+            chat_id: chat.id,
+            provider_msg_id: normalizedMessage.provider_msg_id || this.fingerprintMessage(normalizedMessage),
+          },
+          defaults: {
+            direction: normalizedMessage.direction || 'in',
+            body: normalizedMessage.body,
+            subject: normalizedMessage.subject,
+            attachments: normalizedMessage.attachments,
+            sent_at: normalizedMessage.sent_at,
+            status: 'received',
+            provider_metadata: normalizedMessage.provider_metadata,
+          },
+          transaction,
+        });
+
+        if (!messageCreated) {
+          return { message, created: false };
+        }
+
+        const recorded = await this.attachmentService.record(account, message, { transaction });
+
         chat.last_message_at = normalizedMessage.sent_at;
-        chat.unread_count += 1;
         // Update chat title if we have a better name
-        if (normalizedMessage.provider_metadata.fromName && chat.title.startsWith('Chat ')) {
-          chat.title = normalizedMessage.provider_metadata.fromName;
+        if (chatData.title && chat.title.startsWith('Chat ') && !chatData.title.startsWith('Chat ')) {
+          chat.title = chatData.title;
         }
         // Update chat info with latest metadata
-        chat.chat_info = {
-          ...chat.chat_info,
-          original_chat_id: normalizedMessage.provider_metadata.chat_id,
-          phone_number: phoneNumber,
-          from: normalizedMessage.provider_metadata.from,
-        };
-        await chat.save();
-      }
+        if (chatData.chat_info) {
+          chat.chat_info = { ...chat.chat_info, ...chatData.chat_info };
+        }
+        await chat.save({ transaction });
 
-      // Create message
-      const newMessage = await ChannelMessage.create({
-        chat_id: chat.id,
-        provider_msg_id: normalizedMessage.provider_msg_id,
-        direction: normalizedMessage.direction,
-        body: normalizedMessage.body,
-        subject: normalizedMessage.subject,
-        attachments: normalizedMessage.attachments,
-        sent_at: normalizedMessage.sent_at,
-        status: 'received',
-        provider_metadata: normalizedMessage.provider_metadata,
+        if (message.direction === 'in') {
+          await chat.increment('unread_count', { transaction });
+          await this.chatStatusService.reopenOnInbound(account, chat, message, { transaction });
+        }
+
+        return { message, created: true, attachments: recorded };
       });
 
+      if (!created) {
+        console.log(`🔁 Duplicate message ignored: ${newMessage.provider_msg_id}`);
+        return;
+      }
+
+      // The steps below never throw; each logs its own failures
+      // Copy media into attachment storage while the provider still serves it
+      await this.attachmentService.prefetch(account, newMessage, attachments);
+
+      // Link new chats to the person behind them
+      await this.contactService.matchChat(account, chat);
+
       // Update usage
       await this.updateUsage(account.user_id, account.provider, 'received');
 
       // Emit real-time update
-      this.emitMessageUpdate(account.user_id, newMessage);
+      this.emitMessageUpdate(account.getRoom(), newMessage);
 
+      console.log(`New ${account.provider} message processed: ${newMessage.id}`);
     } catch (error) {
       console.error('Error handling new message:', error);
-      throw error; // Re-throw to see the error in webhook response
+      throw error; // Re-throw so the queue retries the event
     }
   }
 
@@ -278,9 +515,11 @@ class WebhooksController {
     try {
       const { connectionId, status, accountInfo } = data;
       
+      // connection_data is encrypted; UniPile accounts are keyed by connection ID instead
       const account = await ChannelAccount.findOne({
-        where: { 
-          'connection_data.connectionId': connectionId 
+        where: {
+          provider: ['whatsapp', 'instagram'],
+          external_account_id: connectionId,
         },
       });
 
@@ -296,6 +535,7 @@ class WebhooksController {
       console.log(`Account updated: ${account.id} - ${status}`);
     } catch (error) {
       console.error('Error handling account update:', error);
+      throw error;
     }
   }
 
@@ -306,9 +546,11 @@ class WebhooksController {
     try {
       const { connectionId, status } = data;
       
+      // connection_data is encrypted; UniPile accounts are keyed by connection ID instead
       const account = await ChannelAccount.findOne({
-        where: { 
-          'connection_data.connectionId': connectionId 
+        where: {
+          provider: ['whatsapp', 'instagram'],
+          external_account_id: connectionId,
         },
       });
 
@@ -323,123 +565,29 @@ class WebhooksController {
       console.log(`Connection status updated: ${account.id} - ${status}`);
     } catch (error) {
       console.error('Error handling connection status:', error);
+      throw error;
     }
   }
 
   /**
-   * Handle email message received
+   * Handle a delivery or read receipt for a message
    */
-  async handleEmailMessage(data, provider) {
+  async handleMessageReceipt(adapter, event, status) {
     try {
-      const { messageId, accountId } = data;
+      const { messageId } = event;
       
-      const account = await ChannelAccount.findOne({
-        where: { 
-          id: accountId,
-          provider: 'email'
-        },
-      });
-
+      const account = await adapter.findWebhookAccount(event);
       if (!account) {
-        console.error(`Email account not found: ${accountId}`);
+        console.error(`Account not found for ${adapter.webhookSource} ${status} event:`, event.connectionId || event.accountId);
         return;
       }
 
-      // Get message details from provider
-      let messageData;
-      if (provider === 'gmail') {
-        const gmail = this.emailService.createGmailClient(account.connection_data);
-        const message = await gmail.users.messages.get({
-          userId: 'me',
-          id: messageId,
-          format: 'full',
-        });
-        messageData = this.emailService.normalizeGmailMessage(message.data);
-      } else if (provider === 'microsoft') {
-        const client = this.emailService.createMicrosoftClient(account.connection_data);
-        const message = await client.api(`/me/messages/${messageId}`).get();
-        messageData = this.emailService.normalizeMicrosoftMessage(message);
-      }
+      await this.outboundMessageService.applyReceipt(account, messageId, status);
 
-      if (!messageData) {
-        console.error(`Failed to get message data for: ${messageId}`);
-        return;
-      }
-
-      // Find or create chat (thread)
-      const [chat, created] = await ChannelChat.findOrCreate({
-        where: {
-          account_id: account.id,
-          provider_chat_id: messageData.provider_metadata.thread_id || messageData.provider_metadata.conversation_id,
-        },
-        defaults: {
-          account_id: account.id,
-          provider_chat_id: messageData.provider_metadata.thread_id || messageData.provider_metadata.conversation_id,
-          title: messageData.subject || 'No Subject',
-          last_message_at: messageData.sent_at,
-          unread_count: 1,
-        },
-      });
-
-      if (!created) {
-        chat.last_message_at = messageData.sent_at;
-        chat.unread_count += 1;
-        await chat.save();
-      }
-
-      // Create message
-      const newMessage = await ChannelMessage.create({
-        chat_id: chat.id,
-        provider_msg_id: messageData.provider_msg_id,
-        direction: 'in',
-        body: messageData.body,
-        subject: messageData.subject,
-        attachments: messageData.attachments,
-        sent_at: messageData.sent_at,
-        status: 'received',
-        provider_metadata: messageData.provider_metadata,
-      });
-
-      // Update usage
-      await this.updateUsage(account.user_id, account.provider, 'received');
-
-      // Emit real-time update
-      this.emitMessageUpdate(account.user_id, newMessage);
-
-      console.log(`New email message processed: ${newMessage.id}`);
-    } catch (error) {
-      console.error('Error handling email message:', error);
-    }
-  }
-
-  /**
-   * Handle email read status
-   */
-  async handleEmailRead(data, provider) {
-    try {
-      const { messageId, accountId } = data;
-      
-      const account = await ChannelAccount.findOne({
-        where: { 
-          id: accountId,
-          provider: 'email'
-        },
-      });
-
-      if (!account) {
-        console.error(`Email account not found: ${accountId}`);
-        return;
-      }
-
-      // Update message status
-      await ChannelMessage.update(
-        { status: 'read', read_at: new Date() },
-        { where: { provider_msg_id: messageId } }
-      );
-
-      console.log(`Email message marked as read: ${messageId}`);
+      console.log(`Message marked as ${status}: ${messageId}`);
     } catch (error) {
-      console.error('Error handling email read:', error);
+      console.error(`Error handling message ${status}:`, error);
+      throw error;
     }
   }
 
@@ -468,6 +616,7 @@ class WebhooksController {
       }
     } catch (error) {
       console.error('Error handling checkout completion:', error);
+      throw error;
     }
   }
 
@@ -495,6 +644,7 @@ class WebhooksController {
       console.log(`Subscription updated for user ${user.id}: ${status}`);
     } catch (error) {
       console.error('Error handling subscription update:', error);
+      throw error;
     }
   }
 
@@ -517,6 +667,7 @@ class WebhooksController {
       console.log(`Subscription cancelled for user ${user.id}`);
     } catch (error) {
       console.error('Error handling subscription deletion:', error);
+      throw error;
     }
   }
 
@@ -539,6 +690,7 @@ class WebhooksController {
       console.log(`Payment succeeded for user ${user.id}`);
     } catch (error) {
       console.error('Error handling payment success:', error);
+      throw error;
     }
   }
 
@@ -561,6 +713,7 @@ class WebhooksController {
       console.log(`Payment failed for user ${user.id}`);
     } catch (error) {
       console.error('Error handling payment failure:', error);
+      throw error;
     }
   }
 
@@ -637,6 +790,18 @@ class WebhooksController {
     }
   }
 
+  /**
+   * Build a stable message ID for payloads that arrive without one
+   */
+  fingerprintMessage(normalizedMessage) {
+    const { provider_metadata: metadata = {}, sent_at: sentAt, body } = normalizedMessage;
+    const digest = crypto
+      .createHash('sha256')
+      .update([metadata.chat_id, metadata.from, new Date(sentAt).toISOString(), body].join('|'))
+      .digest('hex');
+    return `fp_${digest.slice(0, 32)}`;
+  }
+
   /**
    * Update usage statistics
    */
@@ -658,13 +823,12 @@ class WebhooksController {
   /**
    * Emit real-time message update
    */
-  emitMessageUpdate(userId, message) {
+  emitMessageUpdate(roomName, message) {
     if (this.io) {
-      const roomName = `user_${userId}`;
       const fromName = message.provider_metadata?.fromName || message.provider_metadata?.sender?.attendee_name || 'Unknown';
       
       // Skip emitting "You" messages to prevent duplicates
-      // The frontend already receives sent messages from the /api/send-message endpoint
+      // The frontend already has sent messages from the send response and message_status events
       if (fromName === 'You') {
         console.log(`🚫 Skipping emission of "You" message to prevent duplicates:`, message.id);
         return;
@@ -694,9 +858,9 @@ class WebhooksController {
       
       // Emit to user's specific room with frontend-compatible format
       this.io.to(roomName).emit('new_message', messageData);
-      console.log(`✅ Message emitted to user ${userId}:`, message.id);
+      console.log(`✅ Message emitted to room ${roomName}:`, message.id);
     } else {
-      console.log(`❌ Socket.io not available. Message update for user ${userId}:`, message.id);
+      console.log(`❌ Socket.io not available. Message update for room ${roomName}:`, message.id);
     }
   }
 }
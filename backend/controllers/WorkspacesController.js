@@ -0,0 +1,105 @@
+const { ChannelAccount } = require('../models');
+
+class WorkspacesController {
+  constructor(workspaceService) {
+    this.workspaceService = workspaceService;
+  }
+
+  async listWorkspaces(req, res) {
+    try {
+      const workspaces = await this.workspaceService.listWorkspaces(req.user.userId);
+      res.json({ workspaces });
+    } catch (error) {
+      console.error('Error listing workspaces:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  async createWorkspace(req, res) {
+    try {
+      const workspace = await this.workspaceService.createWorkspace(req.user.userId, req.body.name);
+      res.status(201).json({ id: workspace.id, name: workspace.name, owner_id: workspace.owner_id, role: 'owner' });
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Workspace routes run behind requirePermission, which sets req.role to the user's role
+   */
+  async listMembers(req, res) {
+    try {
+      const members = await this.workspaceService.listMembers(req.params.workspaceId);
+      res.json({ members });
+    } catch (error) {
+      console.error('Error listing workspace members:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Add a teammate by email
+   * Body: email, role (admin, agent or viewer)
+   */
+  async addMember(req, res) {
+    try {
+      const { email, role } = req.body;
+      const member = await this.workspaceService.addMember(req.params.workspaceId, email, role, req.role);
+      res.status(201).json({ user_id: member.user_id, role: member.role });
+    } catch (error) {
+      console.error('Error adding workspace member:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Change a member's role
+   * Body: role (admin, agent or viewer)
+   */
+  async updateMember(req, res) {
+    try {
+      const { workspaceId, userId } = req.params;
+      const member = await this.workspaceService.updateMemberRole(workspaceId, userId, req.body.role, req.role);
+      res.json({ user_id: member.user_id, role: member.role });
+    } catch (error) {
+      console.error('Error updating workspace member:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  async removeMember(req, res) {
+    try {
+      await this.workspaceService.removeMember(req.params.workspaceId, req.params.userId, req.role);
+      res.json({ message: 'Member removed' });
+    } catch (error) {
+      console.error('Error removing workspace member:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  /**
+   * Share one of the user's accounts with a workspace, or unshare it
+   * Body: workspace_id (null to make the account personal again)
+   */
+  async shareAccount(req, res) {
+    try {
+      const { provider, accountId } = req.params;
+      const account = await ChannelAccount.findOne({
+        where: { id: accountId, provider, ...ChannelAccount.accessibleBy(req.user.userId) },
+      });
+
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+
+      await this.workspaceService.shareAccount(account, req.user.userId, req.body.workspace_id);
+      res.json({ id: account.id, provider: account.provider, workspace_id: account.workspace_id });
+    } catch (error) {
+      console.error('Error sharing account:', error);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  }
+}
+
+module.exports = WorkspacesController;
@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Attachment = sequelize.define('Attachment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  account_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'channels_account',
+      key: 'id',
+    },
+  },
+  message_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'channels_message',
+      key: 'id',
+    },
+    comment: 'Null until an upload is sent with a message',
+  },
+  uploaded_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  source: {
+    type: DataTypes.ENUM('upload', 'inbound'),
+    allowNull: false,
+  },
+  // Inbound media starts pending until its bytes are downloaded from the provider
+  status: {
+    type: DataTypes.ENUM('pending', 'stored', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+  filename: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'attachment',
+  },
+  mime_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'application/octet-stream',
+  },
+  size: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Bytes stored; the provider-reported size until then',
+  },
+  checksum_sha256: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  storage_driver: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Backend holding the bytes (local or s3)',
+  },
+  storage_key: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  provider_ref: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Attachment entry from the provider, used to download inbound media',
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  stored_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'channels_attachment',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['message_id'],
+    },
+    {
+      fields: ['account_id', 'status'],
+    },
+  ],
+});
+
+Attachment.prototype.isStored = function() {
+  return this.status === 'stored';
+};
+
+module.exports = Attachment;
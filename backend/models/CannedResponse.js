@@ -0,0 +1,83 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const CannedResponse = sequelize.define('CannedResponse', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    comment: 'Author',
+  },
+  workspace_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'channels_workspace',
+      key: 'id',
+    },
+    comment: 'Shared with this workspace; null for a personal reply',
+  },
+  shortcut: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      is: /^[\w-]+$/,
+    },
+    comment: 'Typed after / in the composer',
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Plain text with {{contact.first_name}}-style variables',
+  },
+}, {
+  tableName: 'channels_canned_response',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id'],
+    },
+    {
+      fields: ['workspace_id'],
+    },
+  ],
+});
+
+// Static methods
+
+/**
+ * Where clause for replies a user can use: their personal ones and those shared
+ * with a workspace they belong to
+ */
+CannedResponse.visibleTo = function(userId) {
+  return {
+    [Op.or]: [
+      { user_id: userId, workspace_id: null },
+      {
+        workspace_id: {
+          [Op.in]: sequelize.literal(
+            `(SELECT workspace_id FROM channels_workspace_member WHERE user_id = ${sequelize.escape(userId)})`
+          ),
+        },
+      },
+    ],
+  };
+};
+
+CannedResponse.prototype.isShared = function() {
+  return !!this.workspace_id;
+};
+
+module.exports = CannedResponse;
@@ -1,5 +1,12 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const { sequelize } = require('../config/database');
+const CredentialEncryptionService = require('../services/CredentialEncryptionService');
+
+let encryptionService;
+const getEncryptionService = () => {
+  encryptionService = encryptionService || new CredentialEncryptionService();
+  return encryptionService;
+};
 
 const ChannelAccount = sequelize.define('ChannelAccount', {
   id: {
@@ -16,9 +23,18 @@ const ChannelAccount = sequelize.define('ChannelAccount', {
     },
   },
   provider: {
-    type: DataTypes.ENUM('whatsapp', 'instagram', 'email'),
+    type: DataTypes.ENUM('whatsapp', 'instagram', 'email', 'telegram'),
     allowNull: false,
   },
+  workspace_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'channels_workspace',
+      key: 'id',
+    },
+    comment: 'Workspace the account is shared with; null for personal accounts',
+  },
   external_account_id: {
     type: DataTypes.STRING,
     allowNull: false,
@@ -29,11 +45,22 @@ const ChannelAccount = sequelize.define('ChannelAccount', {
     defaultValue: 'disconnected',
   },
   
-  // Provider-specific connection data
+  // Provider-specific connection data, encrypted at rest (see getConnectionData)
   connection_data: {
     type: DataTypes.JSONB,
     defaultValue: {},
-    comment: 'Stores tokens, credentials, and provider-specific data',
+    comment: 'Encrypted envelope holding tokens, credentials, and provider-specific data',
+    get() {
+      return this.getConnectionData();
+    },
+    set(value) {
+      this.setConnectionData(value);
+    },
+  },
+  connection_key_id: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Master key wrapping connection_data; null while the row is still plaintext',
   },
   
   // Account metadata
@@ -56,6 +83,19 @@ const ChannelAccount = sequelize.define('ChannelAccount', {
     type: DataTypes.TEXT,
     allowNull: true,
   },
+  sync_cursor: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Incremental sync high-water mark (newest chat activity already synced)',
+  },
+  next_sync_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  sync_failures: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
 }, {
   tableName: 'channels_account',
   timestamps: true,
@@ -67,15 +107,34 @@ const ChannelAccount = sequelize.define('ChannelAccount', {
     {
       fields: ['provider', 'status'],
     },
+    {
+      fields: ['workspace_id'],
+    },
   ],
 });
 
 // Instance methods
-ChannelAccount.prototype.updateSyncStatus = async function(status, error = null) {
+/**
+ * Record a sync state change. Failures are counted so the scheduler can back off;
+ * a successful sync resets the count.
+ * @param {string} status - pending, syncing, synced or failed
+ * @param {string|null} error - Error message for failed syncs
+ * @param {Object} options - { cursor, nextSyncAt }
+ */
+ChannelAccount.prototype.updateSyncStatus = async function(status, error = null, { cursor, nextSyncAt } = {}) {
   this.sync_status = status;
   this.sync_error = error;
   if (status === 'synced') {
     this.last_sync_at = new Date();
+    this.sync_failures = 0;
+  } else if (status === 'failed') {
+    this.sync_failures = (this.sync_failures || 0) + 1;
+  }
+  if (cursor !== undefined) {
+    this.sync_cursor = cursor;
+  }
+  if (nextSyncAt !== undefined) {
+    this.next_sync_at = nextSyncAt;
   }
   return this.save();
 };
@@ -84,28 +143,120 @@ ChannelAccount.prototype.isConnected = function() {
   return this.status === 'connected';
 };
 
+/**
+ * Decrypted connection data. Rows written before encryption are returned as stored.
+ */
 ChannelAccount.prototype.getConnectionData = function() {
-  return this.connection_data || {};
+  const stored = this.getDataValue('connection_data');
+  const keyId = this.getDataValue('connection_key_id');
+  if (!keyId || !getEncryptionService().isEnvelope(stored)) {
+    return stored || {};
+  }
+  return getEncryptionService().decrypt(stored, keyId);
 };
 
-ChannelAccount.prototype.setConnectionData = async function(data) {
-  this.connection_data = { ...this.connection_data, ...data };
-  return this.save();
+/**
+ * Encrypt and replace connection data under the current key
+ */
+ChannelAccount.prototype.setConnectionData = function(data) {
+  const { keyId, envelope } = getEncryptionService().encrypt(data || {});
+  this.setDataValue('connection_data', envelope);
+  this.setDataValue('connection_key_id', keyId);
+};
+
+/**
+ * Re-wrap connection data under the current key (key rotation)
+ * @returns {boolean} Whether the row changed
+ */
+ChannelAccount.prototype.rotateConnectionKey = function() {
+  const service = getEncryptionService();
+  const keyId = this.getDataValue('connection_key_id');
+
+  if (!keyId) {
+    this.setConnectionData(this.getDataValue('connection_data'));
+    return true;
+  }
+  if (keyId === service.currentKeyId) {
+    return false;
+  }
+
+  const rewrapped = service.rewrap(this.getDataValue('connection_data'), keyId);
+  this.setDataValue('connection_data', rewrapped.envelope);
+  this.setDataValue('connection_key_id', rewrapped.keyId);
+  return true;
+};
+
+ChannelAccount.prototype.getOwnPhoneNumber = function() {
+  const connectionData = this.connection_data || {};
+  const number = connectionData.accountNumber
+    || connectionData.phone_number
+    || this.account_info?.phone;
+  return number ? String(number).replace(/\D/g, '') : null;
+};
+
+/**
+ * Socket.io room for the account's events: its workspace when shared, else its owner
+ */
+ChannelAccount.prototype.getRoom = function() {
+  return this.workspace_id ? `workspace_${this.workspace_id}` : `user_${this.user_id}`;
 };
 
 // Static methods
+/**
+ * Where clause for accounts a user may use: their own, plus those shared with a
+ * workspace they belong to
+ */
+ChannelAccount.accessibleBy = function(userId) {
+  return {
+    [Op.or]: [
+      { user_id: userId },
+      {
+        workspace_id: {
+          [Op.in]: sequelize.literal(
+            `(SELECT workspace_id FROM channels_workspace_member WHERE user_id = ${sequelize.escape(userId)})`
+          ),
+        },
+      },
+    ],
+  };
+};
+
+/**
+ * The same rule as accessibleBy as a SQL condition on the account table alias, for raw queries
+ */
+ChannelAccount.accessibleSql = function(alias, userId) {
+  const user = sequelize.escape(userId);
+  return `(${alias}.user_id = ${user} OR ${alias}.workspace_id IN `
+    + `(SELECT workspace_id FROM channels_workspace_member WHERE user_id = ${user}))`;
+};
+
 ChannelAccount.findByUserAndProvider = function(userId, provider) {
   return this.findAll({
-    where: { user_id: userId, provider },
+    where: { ...this.accessibleBy(userId), provider },
     include: ['user'],
   });
 };
 
-ChannelAccount.findConnectedAccounts = function(userId) {
+ChannelAccount.findConnectedAccounts = function(userId = null) {
+  const where = { status: 'connected' };
+  if (userId) {
+    where.user_id = userId;
+  }
   return this.findAll({
-    where: { user_id: userId, status: 'connected' },
+    where,
     include: ['user'],
   });
 };
 
+ChannelAccount.findForUser = function(userId, provider, accountId = null) {
+  const where = { ...this.accessibleBy(userId), provider };
+  if (accountId) {
+    where.id = accountId;
+  }
+  return this.findOne({
+    where,
+    order: [['created_at', 'ASC']],
+  });
+};
+
 module.exports = ChannelAccount;
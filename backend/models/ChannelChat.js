@@ -36,16 +36,51 @@ const ChannelChat = sequelize.define('ChannelChat', {
     comment: 'Provider-specific chat information (participants, type, etc.)',
   },
   
+  // Person on the other end; null for groups and unmatched chats
+  contact_identity_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'channels_contact_identity',
+      key: 'id',
+    },
+  },
+
+  // Team assignment
+  assignee_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  assigned_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+
   // Unread count
   unread_count: {
     type: DataTypes.INTEGER,
     defaultValue: 0,
   },
   
-  // Chat status
+  // Conversation lifecycle: open → pending (waiting on the customer) / snoozed / closed.
+  // New inbound messages reopen the conversation.
   status: {
-    type: DataTypes.ENUM('active', 'archived', 'muted'),
-    defaultValue: 'active',
+    type: DataTypes.ENUM('open', 'pending', 'snoozed', 'closed'),
+    allowNull: false,
+    defaultValue: 'open',
+  },
+  snoozed_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When a snoozed chat returns to open',
+  },
+  status_changed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
   },
 }, {
   tableName: 'channels_chat',
@@ -58,6 +93,18 @@ const ChannelChat = sequelize.define('ChannelChat', {
     {
       fields: ['account_id', 'last_message_at'],
     },
+    {
+      fields: ['contact_identity_id'],
+    },
+    {
+      fields: ['assignee_id'],
+    },
+    {
+      fields: ['account_id', 'status'],
+    },
+    {
+      fields: ['status', 'snoozed_until'],
+    },
   ],
 });
 
@@ -77,6 +124,13 @@ ChannelChat.prototype.resetUnreadCount = async function() {
   return this.save();
 };
 
+ChannelChat.prototype.setStatus = async function(status, snoozedUntil = null, options = {}) {
+  this.status = status;
+  this.snoozed_until = status === 'snoozed' ? snoozedUntil : null;
+  this.status_changed_at = new Date();
+  return this.save(options);
+};
+
 ChannelChat.prototype.getChatInfo = function() {
   return this.chat_info || {};
 };
@@ -95,9 +149,9 @@ ChannelChat.findByAccount = function(accountId) {
   });
 };
 
-ChannelChat.findActiveChats = function(accountId) {
+ChannelChat.findOpenChats = function(accountId) {
   return this.findAll({
-    where: { account_id: accountId, status: 'active' },
+    where: { account_id: accountId, status: 'open' },
     order: [['last_message_at', 'DESC']],
     include: ['account'],
   });
@@ -16,7 +16,7 @@ const ChannelEntitlement = sequelize.define('ChannelEntitlement', {
     },
   },
   provider: {
-    type: DataTypes.ENUM('whatsapp', 'instagram', 'email'),
+    type: DataTypes.ENUM('whatsapp', 'instagram', 'email', 'telegram'),
     allowNull: false,
   },
   is_active: {
@@ -24,6 +24,12 @@ const ChannelMessage = sequelize.define('ChannelMessage', {
     type: DataTypes.ENUM('in', 'out'),
     allowNull: false,
   },
+  type: {
+    type: DataTypes.ENUM('message', 'note'),
+    allowNull: false,
+    defaultValue: 'message',
+    comment: 'Notes are internal to the team and never sent to the provider',
+  },
   body: {
     type: DataTypes.TEXT,
     allowNull: false,
@@ -53,6 +59,11 @@ const ChannelMessage = sequelize.define('ChannelMessage', {
     type: DataTypes.DATE,
     allowNull: true,
   },
+  scheduled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Send-later time for outbound messages',
+  },
   
   // Provider-specific metadata
   provider_metadata: {
@@ -79,6 +90,22 @@ const ChannelMessage = sequelize.define('ChannelMessage', {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
   },
+
+  // Internal notes
+  author_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    comment: 'Teammate who wrote a note',
+  },
+  mentions: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'IDs of users @mentioned in a note',
+  },
   
   // Sync information
   sync_status: {
@@ -113,6 +140,8 @@ const ChannelMessage = sequelize.define('ChannelMessage', {
   ],
 });
 
+const OUTBOUND_STATUS_ORDER = ['pending', 'sent', 'delivered', 'read'];
+
 // Instance methods
 ChannelMessage.prototype.markAsRead = async function() {
   this.status = 'read';
@@ -128,6 +157,25 @@ ChannelMessage.prototype.updateStatus = async function(status) {
   return this.save();
 };
 
+/**
+ * Move a message forward through pending → sent → delivered → read. Late or
+ * out-of-order receipts never move it backwards, and only pending messages can fail.
+ * @returns {Promise<boolean>} Whether the status changed
+ */
+ChannelMessage.prototype.advanceStatus = async function(status) {
+  if (status === 'failed') {
+    if (this.status !== 'pending') return false;
+  } else if (OUTBOUND_STATUS_ORDER.indexOf(status) <= OUTBOUND_STATUS_ORDER.indexOf(this.status)) {
+    return false;
+  }
+  await this.updateStatus(status);
+  return true;
+};
+
+ChannelMessage.prototype.isNote = function() {
+  return this.type === 'note';
+};
+
 ChannelMessage.prototype.addAttachment = async function(attachment) {
   const attachments = this.attachments || [];
   attachments.push(attachment);
@@ -16,7 +16,7 @@ const ChannelUsage = sequelize.define('ChannelUsage', {
     },
   },
   provider: {
-    type: DataTypes.ENUM('whatsapp', 'instagram', 'email'),
+    type: DataTypes.ENUM('whatsapp', 'instagram', 'email', 'telegram'),
     allowNull: false,
   },
   period_ym: {
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Contact = sequelize.define('Contact', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  display_name: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'IANA time zone used for scheduled sends to this contact',
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+  },
+}, {
+  tableName: 'channels_contact',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id'],
+    },
+  ],
+});
+
+module.exports = Contact;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ContactIdentity = sequelize.define('ContactIdentity', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  contact_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'channels_contact',
+      key: 'id',
+    },
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  type: {
+    type: DataTypes.ENUM('phone', 'email', 'instagram', 'telegram'),
+    allowNull: false,
+  },
+  value: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Normalized identifier (digits-only phone, lowercased email or handle)',
+  },
+  display_name: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+}, {
+  tableName: 'channels_contact_identity',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'type', 'value'],
+    },
+    {
+      fields: ['contact_id'],
+    },
+  ],
+});
+
+module.exports = ContactIdentity;
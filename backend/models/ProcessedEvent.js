@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ProcessedEvent = sequelize.define('ProcessedEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  source: {
+    type: DataTypes.ENUM('unipile', 'email', 'stripe', 'telegram'),
+    allowNull: false,
+  },
+  event_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Provider event or message ID used as the idempotency key',
+  },
+  webhook_event_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'channels_webhook_event',
+      key: 'id',
+    },
+  },
+  processed_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'channels_processed_event',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['source', 'event_id'],
+    },
+    {
+      fields: ['processed_at'],
+    },
+  ],
+});
+
+// Static methods
+ProcessedEvent.isProcessed = async function(source, eventId, { transaction } = {}) {
+  const count = await this.count({ where: { source, event_id: eventId }, transaction });
+  return count > 0;
+};
+
+ProcessedEvent.markProcessed = async function(source, eventId, webhookEventId = null, { transaction } = {}) {
+  const [record] = await this.findOrCreate({
+    where: { source, event_id: eventId },
+    defaults: {
+      source,
+      event_id: eventId,
+      webhook_event_id: webhookEventId,
+    },
+    transaction,
+  });
+  return record;
+};
+
+module.exports = ProcessedEvent;
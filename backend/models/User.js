@@ -64,6 +64,13 @@ const User = sequelize.define('User', {
     type: DataTypes.ENUM('active', 'inactive', 'suspended', 'pending'),
     defaultValue: 'active',
   },
+  // Operators of this installation; only they reach the system-wide /api/admin tools.
+  // Granted with scripts/addSystemAdmins.js, never through a workspace role.
+  isSystemAdmin: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
   emailVerified: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
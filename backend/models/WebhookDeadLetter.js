@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WebhookDeadLetter = sequelize.define('WebhookDeadLetter', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  webhook_event_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'channels_webhook_event',
+      key: 'id',
+    },
+  },
+  source: {
+    type: DataTypes.ENUM('unipile', 'email', 'stripe', 'telegram'),
+    allowNull: false,
+  },
+  event_type: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error from the final failed attempt',
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  failed_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+
+  // Replay tracking
+  replay_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  replayed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'channels_webhook_dead_letter',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['webhook_event_id'],
+    },
+    {
+      fields: ['source', 'failed_at'],
+    },
+  ],
+});
+
+// Instance methods
+WebhookDeadLetter.prototype.markReplayed = async function() {
+  this.replay_count += 1;
+  this.replayed_at = new Date();
+  return this.save();
+};
+
+// Static methods
+WebhookDeadLetter.findPending = function(limit = 50, offset = 0) {
+  return this.findAndCountAll({
+    where: { replayed_at: null },
+    order: [['failed_at', 'DESC']],
+    limit,
+    offset,
+    include: ['event'],
+  });
+};
+
+module.exports = WebhookDeadLetter;
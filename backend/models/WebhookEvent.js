@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WebhookEvent = sequelize.define('WebhookEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  source: {
+    type: DataTypes.ENUM('unipile', 'email', 'stripe', 'telegram'),
+    allowNull: false,
+  },
+  event_type: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Event name as sent by the provider',
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Raw webhook body',
+  },
+  headers: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Request headers relevant for processing',
+  },
+
+  // Processing state
+  status: {
+    type: DataTypes.ENUM('received', 'processing', 'processed', 'failed', 'dead_lettered'),
+    defaultValue: 'received',
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  processed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'channels_webhook_event',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['source', 'status'],
+    },
+    {
+      fields: ['created_at'],
+    },
+  ],
+});
+
+// Instance methods
+WebhookEvent.prototype.markProcessing = async function() {
+  this.status = 'processing';
+  this.attempts += 1;
+  return this.save();
+};
+
+WebhookEvent.prototype.markProcessed = async function() {
+  this.status = 'processed';
+  this.last_error = null;
+  this.processed_at = new Date();
+  return this.save();
+};
+
+WebhookEvent.prototype.markFailed = async function(error) {
+  this.status = 'failed';
+  this.last_error = error?.message || String(error);
+  return this.save();
+};
+
+module.exports = WebhookEvent;
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WhatsAppTemplate = sequelize.define('WhatsAppTemplate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  account_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'channels_account',
+      key: 'id',
+    },
+  },
+  provider_template_id: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  language: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+  },
+  category: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  // Review status from the provider, lowercased (approved, pending, rejected, paused, disabled)
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+  },
+  components: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Header, body, footer and buttons as returned by the provider',
+  },
+  parameters: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Placeholders to fill when sending: [{ component, index, example }]',
+  },
+  synced_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'channels_whatsapp_template',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['account_id', 'name', 'language'],
+    },
+  ],
+});
+
+WhatsAppTemplate.prototype.isApproved = function() {
+  return this.status === 'approved';
+};
+
+/**
+ * Text of a component (header, body or footer), or null
+ */
+WhatsAppTemplate.prototype.getText = function(component) {
+  const match = (this.components || []).find(item => item.type?.toLowerCase() === component);
+  return match?.text || null;
+};
+
+module.exports = WhatsAppTemplate;
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WorkspaceMember = sequelize.define('WorkspaceMember', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  workspace_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'channels_workspace',
+      key: 'id',
+    },
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  role: {
+    type: DataTypes.ENUM('owner', 'admin', 'agent', 'viewer'),
+    allowNull: false,
+    defaultValue: 'agent',
+  },
+}, {
+  tableName: 'channels_workspace_member',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['workspace_id', 'user_id'],
+    },
+    {
+      fields: ['user_id'],
+    },
+  ],
+});
+
+// Static methods
+WorkspaceMember.findMembership = function(workspaceId, userId) {
+  return this.findOne({ where: { workspace_id: workspaceId, user_id: userId } });
+};
+
+WorkspaceMember.findWorkspaceIds = async function(userId) {
+  const memberships = await this.findAll({ where: { user_id: userId }, attributes: ['workspace_id'] });
+  return memberships.map(membership => membership.workspace_id);
+};
+
+module.exports = WorkspaceMember;
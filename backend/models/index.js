@@ -5,6 +5,16 @@ const ChannelChat = require('./ChannelChat');
 const ChannelMessage = require('./ChannelMessage');
 const ChannelEntitlement = require('./ChannelEntitlement');
 const ChannelUsage = require('./ChannelUsage');
+const WebhookEvent = require('./WebhookEvent');
+const WebhookDeadLetter = require('./WebhookDeadLetter');
+const ProcessedEvent = require('./ProcessedEvent');
+const Contact = require('./Contact');
+const ContactIdentity = require('./ContactIdentity');
+const Workspace = require('./Workspace');
+const WorkspaceMember = require('./WorkspaceMember');
+const CannedResponse = require('./CannedResponse');
+const WhatsAppTemplate = require('./WhatsAppTemplate');
+const Attachment = require('./Attachment');
 
 // Define associations
 User.hasMany(ChannelAccount, { foreignKey: 'user_id', as: 'accounts' });
@@ -22,6 +32,45 @@ ChannelEntitlement.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 User.hasMany(ChannelUsage, { foreignKey: 'user_id', as: 'usage' });
 ChannelUsage.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
+WebhookEvent.hasMany(WebhookDeadLetter, { foreignKey: 'webhook_event_id', as: 'deadLetters' });
+WebhookDeadLetter.belongsTo(WebhookEvent, { foreignKey: 'webhook_event_id', as: 'event' });
+ProcessedEvent.belongsTo(WebhookEvent, { foreignKey: 'webhook_event_id', as: 'event' });
+
+User.hasMany(Contact, { foreignKey: 'user_id', as: 'contacts' });
+Contact.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Contact.hasMany(ContactIdentity, { foreignKey: 'contact_id', as: 'identities' });
+ContactIdentity.belongsTo(Contact, { foreignKey: 'contact_id', as: 'contact' });
+
+ContactIdentity.hasMany(ChannelChat, { foreignKey: 'contact_identity_id', as: 'chats' });
+ChannelChat.belongsTo(ContactIdentity, { foreignKey: 'contact_identity_id', as: 'contactIdentity' });
+
+User.hasMany(WorkspaceMember, { foreignKey: 'user_id', as: 'memberships' });
+WorkspaceMember.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Workspace.hasMany(WorkspaceMember, { foreignKey: 'workspace_id', as: 'members' });
+WorkspaceMember.belongsTo(Workspace, { foreignKey: 'workspace_id', as: 'workspace' });
+Workspace.belongsTo(User, { foreignKey: 'owner_id', as: 'owner' });
+
+Workspace.hasMany(ChannelAccount, { foreignKey: 'workspace_id', as: 'accounts' });
+ChannelAccount.belongsTo(Workspace, { foreignKey: 'workspace_id', as: 'workspace' });
+
+ChannelChat.belongsTo(User, { foreignKey: 'assignee_id', as: 'assignee' });
+ChannelMessage.belongsTo(User, { foreignKey: 'author_id', as: 'author' });
+
+User.hasMany(CannedResponse, { foreignKey: 'user_id', as: 'cannedResponses' });
+CannedResponse.belongsTo(User, { foreignKey: 'user_id', as: 'author' });
+Workspace.hasMany(CannedResponse, { foreignKey: 'workspace_id', as: 'cannedResponses' });
+CannedResponse.belongsTo(Workspace, { foreignKey: 'workspace_id', as: 'workspace' });
+
+ChannelAccount.hasMany(WhatsAppTemplate, { foreignKey: 'account_id', as: 'templates' });
+WhatsAppTemplate.belongsTo(ChannelAccount, { foreignKey: 'account_id', as: 'account' });
+
+ChannelAccount.hasMany(Attachment, { foreignKey: 'account_id', as: 'attachments' });
+Attachment.belongsTo(ChannelAccount, { foreignKey: 'account_id', as: 'account' });
+ChannelMessage.hasMany(Attachment, { foreignKey: 'message_id', as: 'storedAttachments' });
+Attachment.belongsTo(ChannelMessage, { foreignKey: 'message_id', as: 'message' });
+
 // Sync database
 const syncDatabase = async (force = false) => {
   try {
@@ -41,5 +90,15 @@ module.exports = {
   ChannelMessage,
   ChannelEntitlement,
   ChannelUsage,
+  WebhookEvent,
+  WebhookDeadLetter,
+  ProcessedEvent,
+  Contact,
+  ContactIdentity,
+  Workspace,
+  WorkspaceMember,
+  CannedResponse,
+  WhatsAppTemplate,
+  Attachment,
   syncDatabase
 };
@@ -0,0 +1,20 @@
+const { sequelize, Attachment } = require('../models');
+
+/**
+ * Create the attachment table. Safe to re-run.
+ */
+async function addAttachments() {
+  try {
+    console.log('🔧 Creating attachment table...');
+    await Attachment.sync();
+    console.log('✅ Attachments ready!');
+  } catch (error) {
+    console.error('❌ Error creating attachment table:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+addAttachments();
@@ -0,0 +1,20 @@
+const { sequelize, CannedResponse } = require('../models');
+
+/**
+ * Create the canned responses table. Safe to re-run.
+ */
+async function addCannedResponses() {
+  try {
+    console.log('🔧 Creating canned responses table...');
+    await CannedResponse.sync();
+    console.log('✅ Canned responses ready!');
+  } catch (error) {
+    console.error('❌ Error creating canned responses table:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+addCannedResponses();
@@ -0,0 +1,56 @@
+const { sequelize } = require('../config/database');
+
+/**
+ * Move ChannelChat.status to the open/pending/snoozed/closed lifecycle and add
+ * snoozed_until and status_changed_at. Archived chats become closed; active and
+ * muted chats become open. Safe to re-run.
+ */
+async function addChatStatuses() {
+  try {
+    const [labels] = await sequelize.query(`
+      SELECT e.enumlabel FROM pg_enum e
+      JOIN pg_type t ON t.oid = e.enumtypid
+      WHERE t.typname = 'enum_channels_chat_status'
+    `);
+
+    if (labels.some(label => label.enumlabel === 'open')) {
+      console.log('✓ Chat statuses already migrated');
+    } else {
+      console.log('🔧 Converting chat statuses...');
+      await sequelize.transaction(async (transaction) => {
+        await sequelize.query('ALTER TABLE channels_chat ALTER COLUMN status DROP DEFAULT', { transaction });
+        await sequelize.query('ALTER TYPE "enum_channels_chat_status" RENAME TO "enum_channels_chat_status_old"', { transaction });
+        await sequelize.query(`CREATE TYPE "enum_channels_chat_status" AS ENUM ('open', 'pending', 'snoozed', 'closed')`, { transaction });
+        await sequelize.query(`
+          ALTER TABLE channels_chat
+          ALTER COLUMN status TYPE "enum_channels_chat_status"
+          USING (CASE WHEN status::text = 'archived' THEN 'closed' ELSE 'open' END)::"enum_channels_chat_status"
+        `, { transaction });
+        await sequelize.query(`
+          ALTER TABLE channels_chat
+          ALTER COLUMN status SET DEFAULT 'open',
+          ALTER COLUMN status SET NOT NULL
+        `, { transaction });
+        await sequelize.query('DROP TYPE "enum_channels_chat_status_old"', { transaction });
+      });
+    }
+
+    console.log('🔧 Adding snooze columns...');
+    await sequelize.query(`
+      ALTER TABLE channels_chat
+      ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ
+    `);
+    await sequelize.query('CREATE INDEX IF NOT EXISTS channels_chat_account_id_status ON channels_chat (account_id, status)');
+    await sequelize.query('CREATE INDEX IF NOT EXISTS channels_chat_status_snoozed_until ON channels_chat (status, snoozed_until)');
+    console.log('✅ Chat statuses ready!');
+  } catch (error) {
+    console.error('❌ Error migrating chat statuses:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+addChatStatuses();
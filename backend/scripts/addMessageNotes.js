@@ -0,0 +1,32 @@
+const { sequelize } = require('../config/database');
+
+/**
+ * Add internal notes to ChannelMessage (type, author_id, mentions).
+ * Safe to re-run.
+ */
+async function addMessageNotes() {
+  try {
+    console.log('🔧 Adding note columns...');
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_channels_message_type" AS ENUM ('message', 'note');
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$
+    `);
+    await sequelize.query(`
+      ALTER TABLE channels_message
+      ADD COLUMN IF NOT EXISTS type "enum_channels_message_type" NOT NULL DEFAULT 'message',
+      ADD COLUMN IF NOT EXISTS author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS mentions JSONB DEFAULT '[]'
+    `);
+    console.log('✅ Note columns ready!');
+  } catch (error) {
+    console.error('❌ Error adding note columns:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+addMessageNotes();
@@ -0,0 +1,24 @@
+const { sequelize } = require('../config/database');
+
+/**
+ * Add ChannelMessage.scheduled_at for send-later messages.
+ * Safe to re-run.
+ */
+async function addScheduledSendColumn() {
+  try {
+    console.log('🔧 Adding scheduled_at column...');
+    await sequelize.query(`
+      ALTER TABLE channels_message
+      ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP WITH TIME ZONE
+    `);
+    console.log('✅ scheduled_at column ready!');
+  } catch (error) {
+    console.error('❌ Error adding scheduled_at column:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+addScheduledSendColumn();
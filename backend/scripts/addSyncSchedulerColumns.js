@@ -0,0 +1,26 @@
+const { sequelize } = require('../config/database');
+
+/**
+ * Add the per-account sync scheduler columns to channels_account.
+ * Safe to re-run.
+ */
+async function addSyncSchedulerColumns() {
+  try {
+    console.log('🔧 Adding sync scheduler columns...');
+    await sequelize.query(`
+      ALTER TABLE channels_account
+      ADD COLUMN IF NOT EXISTS sync_cursor VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS next_sync_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS sync_failures INTEGER DEFAULT 0
+    `);
+    console.log('✅ Sync scheduler columns ready!');
+  } catch (error) {
+    console.error('❌ Error adding sync scheduler columns:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+addSyncSchedulerColumns();
@@ -0,0 +1,39 @@
+const { sequelize, User } = require('../models');
+
+/**
+ * Add the users.isSystemAdmin column and grant it to the users whose emails are
+ * passed as arguments. System admins reach the cross-tenant /api/admin tools.
+ * Safe to re-run.
+ *
+ * Usage: node scripts/addSystemAdmins.js [email ...]
+ */
+async function addSystemAdmins(emails) {
+  try {
+    console.log('🔧 Adding system admin column...');
+    await sequelize.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS "isSystemAdmin" BOOLEAN NOT NULL DEFAULT false
+    `);
+
+    for (const email of emails) {
+      const user = await User.findByEmail(email);
+      if (!user) {
+        console.warn(`⚠️ No user with email ${email}`);
+        process.exitCode = 1;
+        continue;
+      }
+      await user.update({ isSystemAdmin: true });
+      console.log(`👑 ${email} is now a system admin`);
+    }
+
+    console.log('✅ System admins ready!');
+  } catch (error) {
+    console.error('❌ Error adding system admins:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+addSystemAdmins(process.argv.slice(2));
@@ -0,0 +1,44 @@
+const { sequelize } = require('../config/database');
+
+// Enum columns that gained 'telegram' with the Telegram adapter
+const ENUM_TYPES = [
+  'enum_channels_account_provider',
+  'enum_channels_entitlement_provider',
+  'enum_channels_usage_provider',
+  'enum_channels_webhook_event_source',
+  'enum_channels_webhook_dead_letter_source',
+  'enum_channels_processed_event_source',
+];
+
+/**
+ * Add 'telegram' to the provider and webhook source enums of tables created before
+ * the Telegram adapter; sequelize.sync() does not alter existing enums. Types whose
+ * table does not exist yet are skipped (they are created with the value). Safe to re-run.
+ */
+async function addTelegramProvider() {
+  try {
+    for (const typeName of ENUM_TYPES) {
+      const [types] = await sequelize.query('SELECT 1 FROM pg_type WHERE typname = :typeName', {
+        replacements: { typeName },
+      });
+
+      if (types.length === 0) {
+        console.log(`✓ ${typeName} does not exist yet, skipping`);
+        continue;
+      }
+
+      console.log(`🔧 Adding telegram to ${typeName}...`);
+      await sequelize.query(`ALTER TYPE "${typeName}" ADD VALUE IF NOT EXISTS 'telegram'`);
+    }
+
+    console.log('✅ Telegram provider ready!');
+  } catch (error) {
+    console.error('❌ Error adding the Telegram provider:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+addTelegramProvider();
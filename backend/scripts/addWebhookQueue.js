@@ -0,0 +1,24 @@
+const { sequelize, WebhookEvent, WebhookDeadLetter } = require('../models');
+
+/**
+ * Create the tables behind the webhook queue: channels_webhook_event (every
+ * received webhook and its processing status) and channels_webhook_dead_letter
+ * (events that exhausted their retries). Safe to re-run.
+ */
+async function addWebhookQueue() {
+  try {
+    console.log('🔧 Creating webhook queue tables...');
+    await WebhookEvent.sync();
+    await WebhookDeadLetter.sync();
+
+    console.log('✅ Webhook queue tables ready!');
+  } catch (error) {
+    console.error('❌ Error adding webhook queue tables:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+addWebhookQueue();
@@ -0,0 +1,20 @@
+const { sequelize, WhatsAppTemplate } = require('../models');
+
+/**
+ * Create the WhatsApp template catalog table. Safe to re-run.
+ */
+async function addWhatsAppTemplates() {
+  try {
+    console.log('🔧 Creating WhatsApp template table...');
+    await WhatsAppTemplate.sync();
+    console.log('✅ WhatsApp templates ready!');
+  } catch (error) {
+    console.error('❌ Error creating WhatsApp template table:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+addWhatsAppTemplates();
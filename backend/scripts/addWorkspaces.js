@@ -0,0 +1,39 @@
+const { sequelize, Workspace, WorkspaceMember } = require('../models');
+
+/**
+ * Create the workspace tables and add the team inbox columns
+ * (ChannelAccount.workspace_id, ChannelChat.assignee_id/assigned_at).
+ * Also adds the viewer role to tables created before it existed.
+ * Safe to re-run.
+ */
+async function addWorkspaces() {
+  try {
+    console.log('🔧 Creating workspace tables...');
+    await Workspace.sync();
+    await WorkspaceMember.sync();
+    await sequelize.query(`ALTER TYPE "enum_channels_workspace_member_role" ADD VALUE IF NOT EXISTS 'viewer'`);
+
+    console.log('🔧 Adding team inbox columns...');
+    await sequelize.query(`
+      ALTER TABLE channels_account
+      ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES channels_workspace(id) ON DELETE SET NULL
+    `);
+    await sequelize.query(`
+      ALTER TABLE channels_chat
+      ADD COLUMN IF NOT EXISTS assignee_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP WITH TIME ZONE
+    `);
+    await sequelize.query('CREATE INDEX IF NOT EXISTS channels_account_workspace_id ON channels_account (workspace_id)');
+    await sequelize.query('CREATE INDEX IF NOT EXISTS channels_chat_assignee_id ON channels_chat (assignee_id)');
+
+    console.log('✅ Workspaces ready!');
+  } catch (error) {
+    console.error('❌ Error adding workspaces:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+addWorkspaces();
@@ -0,0 +1,47 @@
+const { sequelize, ChannelAccount, ChannelChat, Contact, ContactIdentity } = require('../models');
+const ProviderRegistry = require('../services/ProviderRegistry');
+const ContactService = require('../services/ContactService');
+
+/**
+ * Create the contact tables, add ChannelChat.contact_identity_id and link existing
+ * chats to contacts. Safe to re-run; already linked chats are skipped. Email threads
+ * stored before participants were recorded are linked on their next message.
+ */
+async function backfillContacts() {
+  try {
+    console.log('🔧 Creating contact tables...');
+    await Contact.sync();
+    await ContactIdentity.sync();
+    await sequelize.query(`
+      ALTER TABLE channels_chat
+      ADD COLUMN IF NOT EXISTS contact_identity_id UUID REFERENCES channels_contact_identity(id) ON DELETE SET NULL
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS channels_chat_contact_identity_id
+      ON channels_chat (contact_identity_id)
+    `);
+
+    const contactService = new ContactService(ProviderRegistry.createDefault());
+    const chats = await ChannelChat.findAll({
+      where: { contact_identity_id: null },
+      include: [{ model: ChannelAccount, as: 'account', required: true }],
+    });
+
+    let linked = 0;
+    for (const chat of chats) {
+      if (await contactService.matchChat(chat.account, chat)) {
+        linked += 1;
+      }
+    }
+
+    console.log(`✅ Linked ${linked} of ${chats.length} chats to contacts`);
+  } catch (error) {
+    console.error('❌ Error backfilling contacts:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+backfillContacts();
@@ -0,0 +1,70 @@
+const ImapSmtpService = require('../services/ImapSmtpService');
+
+/**
+ * Round-trip check for an IMAP/SMTP mailbox.
+ *
+ * Sends a message to the mailbox itself over SMTP, then polls IMAP until it shows
+ * up and marks it \Seen. Defaults match a local GreenMail container:
+ *   docker run -p 3025:3025 -p 3143:3143 greenmail/standalone
+ *   node scripts/checkImapSmtp.js
+ * GreenMail creates the user on first login, so any address/password works.
+ */
+
+const email = process.env.CHECK_EMAIL || 'test@localhost';
+const pass = process.env.CHECK_PASSWORD || 'test';
+
+const credentials = {
+  email,
+  mailbox: 'INBOX',
+  imap: {
+    host: process.env.CHECK_IMAP_HOST || 'localhost',
+    port: parseInt(process.env.CHECK_IMAP_PORT) || 3143,
+    secure: process.env.CHECK_IMAP_SECURE === 'true',
+    user: email,
+    pass,
+  },
+  smtp: {
+    host: process.env.CHECK_SMTP_HOST || 'localhost',
+    port: parseInt(process.env.CHECK_SMTP_PORT) || 3025,
+    secure: process.env.CHECK_SMTP_SECURE === 'true',
+    user: email,
+    pass,
+  },
+};
+
+async function checkImapSmtp() {
+  const service = new ImapSmtpService();
+
+  try {
+    console.log('🔐 Verifying IMAP and SMTP logins...');
+    const state = await service.verifyCredentials(credentials);
+    console.log(`✅ Connected (uid_validity ${state.uid_validity}, last_uid ${state.last_uid})`);
+
+    const subject = `IMAP/SMTP check ${new Date().toISOString()}`;
+    const sent = await service.sendMessage(credentials, { to: email, subject, body: 'Round-trip check' });
+    console.log(`📤 Sent ${sent.id}`);
+
+    let received = null;
+    for (let attempt = 0; attempt < 10 && !received; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      const { messages } = await service.getMessagesSince({ ...credentials, ...state }, state.last_uid);
+      received = messages.find(message => message.subject === subject);
+    }
+
+    if (!received) {
+      throw new Error('Sent message did not arrive in the mailbox');
+    }
+    console.log(`📥 Received UID ${received.provider_metadata.uid} in thread ${received.provider_metadata.thread_id}`);
+
+    await service.setFlags(credentials, [received.provider_metadata.uid], ['\\Seen']);
+    console.log('👀 Marked as seen');
+
+    console.log('🎉 IMAP/SMTP round trip succeeded');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ IMAP/SMTP check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+checkImapSmtp();
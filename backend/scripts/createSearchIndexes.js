@@ -0,0 +1,18 @@
+const { sequelize } = require('../config/database');
+const SearchService = require('../services/SearchService');
+
+async function createSearchIndexes() {
+  try {
+    console.log('🔎 Creating full-text search indexes...');
+    await SearchService.createIndexes();
+    console.log('✅ Search indexes ready!');
+  } catch (error) {
+    console.error('❌ Error creating search indexes:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+createSearchIndexes();
@@ -0,0 +1,45 @@
+const { sequelize } = require('../config/database');
+
+async function dedupeMessages() {
+  try {
+    console.log('🔧 Removing duplicate messages...');
+
+    // Keep the earliest row for every (chat_id, provider_msg_id) pair
+    const [, deleted] = await sequelize.query(`
+      DELETE FROM channels_message m
+      USING channels_message keep
+      WHERE m.chat_id = keep.chat_id
+        AND m.provider_msg_id = keep.provider_msg_id
+        AND (m.created_at, m.id) > (keep.created_at, keep.id)
+    `);
+    console.log(`🗑️  Duplicate messages removed: ${deleted?.rowCount ?? 0}`);
+
+    console.log('🔒 Ensuring unique constraint on (chat_id, provider_msg_id)...');
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS channels_message_chat_id_provider_msg_id
+      ON channels_message (chat_id, provider_msg_id)
+    `);
+
+    console.log('🔄 Recomputing unread counts...');
+    await sequelize.query(`
+      UPDATE channels_chat c
+      SET unread_count = COALESCE((
+        SELECT COUNT(*)
+        FROM channels_message m
+        WHERE m.chat_id = c.id
+          AND m.direction = 'in'
+          AND m.status <> 'read'
+      ), 0)
+    `);
+
+    console.log('✅ Message deduplication complete!');
+  } catch (error) {
+    console.error('❌ Error deduplicating messages:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+dedupeMessages();
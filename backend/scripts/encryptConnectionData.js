@@ -0,0 +1,36 @@
+const { sequelize } = require('../config/database');
+const { ChannelAccount } = require('../models');
+
+/**
+ * Encrypt ChannelAccount.connection_data rows that are still stored in plaintext.
+ * Safe to re-run: rows that already have a connection_key_id are skipped.
+ */
+async function encryptConnectionData() {
+  try {
+    console.log('🔧 Ensuring connection_key_id column exists...');
+    await sequelize.query(`
+      ALTER TABLE channels_account
+      ADD COLUMN IF NOT EXISTS connection_key_id VARCHAR(255)
+    `);
+
+    const accounts = await ChannelAccount.findAll({
+      where: { connection_key_id: null },
+    });
+    console.log(`🔐 Encrypting connection data for ${accounts.length} accounts...`);
+
+    for (const account of accounts) {
+      account.rotateConnectionKey();
+      await account.save();
+    }
+
+    console.log('✅ Connection data encrypted!');
+  } catch (error) {
+    console.error('❌ Error encrypting connection data:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+encryptConnectionData();
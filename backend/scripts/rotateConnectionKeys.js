@@ -0,0 +1,49 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { ChannelAccount } = require('../models');
+const CredentialEncryptionService = require('../services/CredentialEncryptionService');
+
+/**
+ * Re-wrap every account's connection data under the current master key.
+ *
+ * 1. Add the new key to CREDENTIALS_ENCRYPTION_KEYS (keep the old one)
+ * 2. Point CREDENTIALS_ENCRYPTION_KEY_ID at the new key and deploy
+ * 3. Run `node scripts/rotateConnectionKeys.js`
+ * 4. Remove the old key once this reports nothing left to rotate
+ *
+ * Only the wrapped data keys change, so rotation is fast and never touches plaintext
+ * tokens beyond the data key itself. Plaintext rows are encrypted along the way.
+ */
+async function rotateConnectionKeys() {
+  try {
+    const { currentKeyId } = new CredentialEncryptionService();
+
+    const accounts = await ChannelAccount.findAll({
+      where: {
+        [Op.or]: [
+          { connection_key_id: null },
+          { connection_key_id: { [Op.ne]: currentKeyId } },
+        ],
+      },
+    });
+    console.log(`🔑 Rotating ${accounts.length} accounts to key ${currentKeyId}...`);
+
+    let rotated = 0;
+    for (const account of accounts) {
+      if (account.rotateConnectionKey()) {
+        await account.save();
+        rotated++;
+      }
+    }
+
+    console.log(`✅ Rotated ${rotated} accounts!`);
+  } catch (error) {
+    console.error('❌ Error rotating connection keys:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+rotateConnectionKeys();
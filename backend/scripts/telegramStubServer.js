@@ -0,0 +1,203 @@
+const http = require('http');
+const { Readable } = require('stream');
+
+/**
+ * Local stand-in for the Telegram Bot API.
+ *
+ * Run with `node scripts/telegramStubServer.js` and set
+ * TELEGRAM_API_BASE_URL=http://localhost:8081 for the backend. Bot tokens follow the
+ * real `<botId>:<secret>` shape; the token `invalid` is rejected like a revoked one.
+ *
+ * POST /simulate/<token> with { chat_id, text, first_name } delivers an inbound
+ * update to the webhook the backend registered for that bot. Add
+ * document: { file_name, mime_type, content } to attach a file, which the backend
+ * can then download through getFile and /file/bot<token>/<file_path>.
+ */
+
+const PORT = parseInt(process.env.TELEGRAM_STUB_PORT) || 8081;
+const bots = new Map();
+const files = new Map();
+let nextUpdateId = 1;
+let nextFileId = 1;
+
+const getBot = (token) => {
+  if (!bots.has(token)) {
+    const botId = parseInt(token.split(':')[0]) || 1000;
+    bots.set(token, {
+      user: { id: botId, is_bot: true, first_name: 'Stub Bot', username: `stub_${botId}_bot` },
+      webhook: null,
+      nextMessageId: 1,
+    });
+  }
+  return bots.get(token);
+};
+
+// Multipart uploads (send* with file bytes) are read into fields; files become upload:<name>:<size>
+const readMultipart = async (req) => {
+  const form = await new Response(Readable.toWeb(req), {
+    headers: { 'Content-Type': req.headers['content-type'] },
+  }).formData();
+  return Object.fromEntries([...form.entries()].map(([name, value]) => (
+    [name, typeof value === 'string' ? value : `upload:${value.name}:${value.size}`]
+  )));
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+const readBody = (req) => ((req.headers['content-type'] || '').startsWith('multipart/form-data')
+  ? readMultipart(req)
+  : readJson(req));
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Message object echoed back for every send* method
+const buildSentMessage = (bot, params, extra = {}) => ({
+  message_id: bot.nextMessageId++,
+  from: bot.user,
+  chat: { id: params.chat_id, type: 'private' },
+  date: Math.floor(Date.now() / 1000),
+  ...extra,
+});
+
+const methods = {
+  getMe: (bot) => bot.user,
+  getFile: (bot, params) => {
+    const file = files.get(params.file_id);
+    if (!file) {
+      throw new Error('Bad Request: invalid file_id');
+    }
+    return { file_id: params.file_id, file_size: file.data.length, file_path: file.path };
+  },
+  setWebhook: (bot, params) => {
+    bot.webhook = { url: params.url, secret: params.secret_token };
+    console.log(`🔗 Webhook set for bot ${bot.user.id}: ${params.url}`);
+    return true;
+  },
+  deleteWebhook: (bot) => {
+    bot.webhook = null;
+    console.log(`🔌 Webhook deleted for bot ${bot.user.id}`);
+    return true;
+  },
+  sendMessage: (bot, params) => buildSentMessage(bot, params, { text: params.text }),
+  sendPhoto: (bot, params) => buildSentMessage(bot, params, {
+    caption: params.caption,
+    photo: [{ file_id: String(params.photo), file_unique_id: 'stub', width: 1, height: 1 }],
+  }),
+  sendDocument: (bot, params) => buildSentMessage(bot, params, {
+    caption: params.caption,
+    document: { file_id: String(params.document), file_unique_id: 'stub' },
+  }),
+  sendVideo: (bot, params) => buildSentMessage(bot, params, {
+    caption: params.caption,
+    video: { file_id: String(params.video), file_unique_id: 'stub' },
+  }),
+  sendAudio: (bot, params) => buildSentMessage(bot, params, {
+    caption: params.caption,
+    audio: { file_id: String(params.audio), file_unique_id: 'stub' },
+  }),
+  sendVoice: (bot, params) => buildSentMessage(bot, params, {
+    caption: params.caption,
+    voice: { file_id: String(params.voice), file_unique_id: 'stub' },
+  }),
+};
+
+// Keep a simulated upload so getFile and the file download can serve it
+const storeFile = ({ file_name: fileName = 'stub.txt', mime_type: mimeType = 'text/plain', content = 'Stub file' }) => {
+  const fileId = `stub_file_${nextFileId++}`;
+  const data = Buffer.from(content);
+  files.set(fileId, { path: `documents/${fileId}_${fileName}`, data });
+  return { file_id: fileId, file_unique_id: fileId, file_name: fileName, mime_type: mimeType, file_size: data.length };
+};
+
+// Deliver a fake inbound update to the bot's registered webhook
+const simulateUpdate = async (bot, params) => {
+  if (!bot.webhook) {
+    return { status: 409, body: { ok: false, description: 'No webhook set for this bot' } };
+  }
+
+  const chatId = params.chat_id || 424242;
+  const document = params.document && storeFile(params.document);
+  const update = {
+    update_id: nextUpdateId++,
+    message: {
+      message_id: bot.nextMessageId++,
+      from: { id: chatId, is_bot: false, first_name: params.first_name || 'Stub User' },
+      chat: { id: chatId, type: 'private', first_name: params.first_name || 'Stub User' },
+      date: Math.floor(Date.now() / 1000),
+      ...(document
+        ? { document, caption: params.text }
+        : { text: params.text || 'Hello from the Telegram stub' }),
+    },
+  };
+
+  const response = await fetch(bot.webhook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Telegram-Bot-Api-Secret-Token': bot.webhook.secret || '',
+    },
+    body: JSON.stringify(update),
+  });
+
+  return { status: 200, body: { ok: true, result: { update, webhook_status: response.status } } };
+};
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const fileMatch = /^\/file\/bot[^/]+\/(.+)$/.exec(req.url);
+    if (fileMatch) {
+      const filePath = decodeURIComponent(fileMatch[1]);
+      const file = [...files.values()].find(stored => stored.path === filePath);
+      if (!file) {
+        return send(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+      }
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      return res.end(file.data);
+    }
+
+    const params = await readBody(req);
+
+    const simulateMatch = /^\/simulate\/([^/]+)$/.exec(req.url);
+    if (simulateMatch) {
+      const { status, body } = await simulateUpdate(getBot(decodeURIComponent(simulateMatch[1])), params);
+      return send(res, status, body);
+    }
+
+    const apiMatch = /^\/bot([^/]+)\/(\w+)/.exec(req.url);
+    if (!apiMatch) {
+      return send(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+    }
+
+    const [, token, method] = apiMatch;
+    if (token === 'invalid') {
+      return send(res, 401, { ok: false, error_code: 401, description: 'Unauthorized' });
+    }
+    if (!methods[method]) {
+      return send(res, 404, { ok: false, error_code: 404, description: `Method ${method} not found` });
+    }
+
+    console.log(`📨 ${method}`, params);
+    send(res, 200, { ok: true, result: methods[method](getBot(token), params) });
+  } catch (error) {
+    console.error('❌ Stub error:', error);
+    send(res, 400, { ok: false, error_code: 400, description: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🤖 Telegram Bot API stub listening on http://localhost:${PORT}`);
+});
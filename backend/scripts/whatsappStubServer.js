@@ -0,0 +1,143 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Local stand-in for the WhatsApp Cloud API template endpoints.
+ *
+ * Run with `node scripts/whatsappStubServer.js` and set
+ * WHATSAPP_API_URL=http://localhost:8082 for the backend. Any business account ID
+ * returns the catalog below; the access token `invalid` is rejected like a revoked one.
+ *
+ * GET  /<businessAccountId>/message_templates lists templates, two per page
+ * POST /<phoneNumberId>/messages accepts template sends and returns a message ID
+ */
+
+const PORT = parseInt(process.env.WHATSAPP_STUB_PORT) || 8082;
+const PAGE_SIZE = 2;
+
+const templates = [
+  {
+    id: '1001',
+    name: 'order_update',
+    language: 'en_US',
+    status: 'APPROVED',
+    category: 'UTILITY',
+    components: [
+      { type: 'HEADER', format: 'TEXT', text: 'Order {{1}}', example: { header_text: ['#10234'] } },
+      {
+        type: 'BODY',
+        text: 'Hi {{1}}, your order is {{2}} and should arrive on {{3}}.',
+        example: { body_text: [['Jane', 'on its way', 'Friday']] },
+      },
+      { type: 'FOOTER', text: 'Reply STOP to opt out' },
+    ],
+  },
+  {
+    id: '1002',
+    name: 'follow_up',
+    language: 'en_US',
+    status: 'APPROVED',
+    category: 'MARKETING',
+    components: [
+      { type: 'BODY', text: 'Hi {{1}}, just checking in. Is there anything else we can help with?', example: { body_text: [['Jane']] } },
+    ],
+  },
+  {
+    id: '1003',
+    name: 'follow_up',
+    language: 'es',
+    status: 'APPROVED',
+    category: 'MARKETING',
+    components: [
+      { type: 'BODY', text: 'Hola {{1}}, ¿hay algo más en lo que podamos ayudarte?', example: { body_text: [['Juan']] } },
+    ],
+  },
+  {
+    id: '1004',
+    name: 'appointment_reminder',
+    language: 'en_US',
+    status: 'PENDING',
+    category: 'UTILITY',
+    components: [
+      { type: 'BODY', text: 'Reminder: your appointment is on {{1}} at {{2}}.', example: { body_text: [['May 3', '10:00']] } },
+    ],
+  },
+  {
+    id: '1005',
+    name: 'welcome_offer',
+    language: 'en_US',
+    status: 'REJECTED',
+    category: 'MARKETING',
+    components: [
+      { type: 'BODY', text: 'Welcome! Use code {{1}} for 10% off.', example: { body_text: [['HELLO10']] } },
+    ],
+  },
+];
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const sendError = (res, status, message) => send(res, status, { error: { message, type: 'OAuthException', code: status } });
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    if (req.headers.authorization === 'Bearer invalid') {
+      return sendError(res, 401, 'Invalid OAuth access token');
+    }
+
+    const templatesMatch = /^\/([^/]+)\/message_templates$/.exec(url.pathname);
+    if (templatesMatch && req.method === 'GET') {
+      const offset = parseInt(url.searchParams.get('after')) || 0;
+      const page = templates.slice(offset, offset + PAGE_SIZE);
+      const next = offset + PAGE_SIZE < templates.length
+        ? `http://localhost:${PORT}${url.pathname}?after=${offset + PAGE_SIZE}`
+        : undefined;
+
+      console.log(`📋 Templates for ${templatesMatch[1]} from ${offset}`);
+      return send(res, 200, { data: page, paging: next ? { next } : {} });
+    }
+
+    const messagesMatch = /^\/([^/]+)\/messages$/.exec(url.pathname);
+    if (messagesMatch && req.method === 'POST') {
+      const params = await readBody(req);
+      const template = templates.find(item => item.name === params.template?.name
+        && item.language === params.template?.language?.code);
+
+      if (params.type === 'template' && (!template || template.status !== 'APPROVED')) {
+        return sendError(res, 400, `Template ${params.template?.name} is not approved`);
+      }
+
+      console.log(`📨 Message to ${params.to}`, JSON.stringify(params.template || params.text));
+      return send(res, 200, {
+        messaging_product: 'whatsapp',
+        contacts: [{ input: params.to, wa_id: params.to }],
+        messages: [{ id: `wamid.${crypto.randomUUID()}` }],
+      });
+    }
+
+    sendError(res, 404, 'Unknown path');
+  } catch (error) {
+    console.error('❌ Stub error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`📱 WhatsApp Cloud API stub listening on http://localhost:${PORT}`);
+});
@@ -13,9 +13,32 @@ const { testConnection, syncDatabase } = require('./config/database');
 // Import controllers
 const ChannelsController = require('./controllers/ChannelsController');
 const WebhooksController = require('./controllers/WebhooksController');
+const SearchController = require('./controllers/SearchController');
+const ScheduledMessagesController = require('./controllers/ScheduledMessagesController');
+const ContactsController = require('./controllers/ContactsController');
+const WorkspacesController = require('./controllers/WorkspacesController');
+const NotesController = require('./controllers/NotesController');
+const CannedResponsesController = require('./controllers/CannedResponsesController');
+const TemplatesController = require('./controllers/TemplatesController');
+const AttachmentsController = require('./controllers/AttachmentsController');
 
 // Import services
 const EntitlementService = require('./services/EntitlementService');
+const ProviderRegistry = require('./services/ProviderRegistry');
+const ImapPoller = require('./services/ImapPoller');
+const TokenManager = require('./services/TokenManager');
+const CursorPaginator = require('./services/CursorPaginator');
+const ChannelSyncService = require('./services/ChannelSyncService');
+const SyncScheduler = require('./services/SyncScheduler');
+const OutboundMessageService = require('./services/OutboundMessageService');
+const ContactService = require('./services/ContactService');
+const WorkspaceService = require('./services/WorkspaceService');
+const NotificationService = require('./services/NotificationService');
+const NoteService = require('./services/NoteService');
+const ChatStatusService = require('./services/ChatStatusService');
+const CannedResponseService = require('./services/CannedResponseService');
+const WhatsAppTemplateService = require('./services/WhatsAppTemplateService');
+const AttachmentService = require('./services/AttachmentService');
 
 // Import models
 const { User, ChannelAccount, ChannelChat, ChannelMessage, ChannelEntitlement, ChannelUsage } = require('./models');
@@ -28,14 +51,49 @@ const io = socketIo(server, {
 
 const PORT = config.port;
 
-// Initialize controllers
-const channelsController = new ChannelsController();
-const webhooksController = new WebhooksController(io);
+// Initialize controllers (sharing one set of provider adapters)
+const tokenManager = new TokenManager(io);
+const providerRegistry = ProviderRegistry.createDefault({ tokenManager });
+const attachmentService = new AttachmentService(providerRegistry);
+const outboundMessageService = new OutboundMessageService(io, providerRegistry, config.queues.outbound, attachmentService);
+const contactService = new ContactService(providerRegistry);
+const workspaceService = new WorkspaceService(io);
+const chatStatusService = new ChatStatusService(io);
+const noteService = new NoteService(io, new NotificationService(io));
+const channelsController = new ChannelsController(providerRegistry, outboundMessageService, workspaceService, chatStatusService, attachmentService);
+const webhooksController = new WebhooksController(io, providerRegistry, outboundMessageService, contactService, chatStatusService, attachmentService);
+const searchController = new SearchController();
+const scheduledMessagesController = new ScheduledMessagesController(outboundMessageService, workspaceService, attachmentService);
+const contactsController = new ContactsController(contactService, workspaceService);
+const workspacesController = new WorkspacesController(workspaceService);
+const notesController = new NotesController(noteService);
+const cannedResponsesController = new CannedResponsesController(new CannedResponseService(workspaceService));
+const templatesController = new TemplatesController(new WhatsAppTemplateService());
+const attachmentsController = new AttachmentsController(attachmentService);
 const entitlementService = new EntitlementService();
+const messagePaginator = new CursorPaginator({ timeField: 'sent_at', defaultLimit: 100 });
 
 // Test database connection
 testConnection();
 
+// Start background workers
+webhooksController.startWorker();
+outboundMessageService.startWorker();
+
+// IMAP mailboxes are polled and their new mail goes through the email webhook pipeline
+const imapPoller = new ImapPoller((account, message) => webhooksController.ingestEvent('email', 'message.received', null, {
+  provider: 'imap',
+  event: 'message.received',
+  data: { accountId: account.id, messageId: message.provider_msg_id, message },
+}));
+const syncScheduler = new SyncScheduler(io, new ChannelSyncService(providerRegistry, config.sync, chatStatusService, attachmentService));
+imapPoller.start();
+tokenManager.start();
+chatStatusService.start();
+if (config.sync.enabled) {
+  syncScheduler.start();
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors(config.cors));
@@ -81,66 +139,161 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
-// Socket.io authentication middleware - simplified for testing
+// Permission middleware - runs after authenticateToken. Resolves the user's role on the
+// route's account (:accountId) or workspace (:workspaceId), else owner of their own accounts, and
+// rejects roles without the permission. The resolved role is left on req.role.
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const { provider, accountId, workspaceId } = req.params;
+    const userId = req.user.userId;
+
+    if (accountId) {
+      const account = await ChannelAccount.findOne({
+        where: { id: accountId, ...(provider && { provider }), ...ChannelAccount.accessibleBy(userId) },
+      });
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+      req.role = await workspaceService.authorize(userId, permission, account);
+    } else if (workspaceId) {
+      req.role = (await workspaceService.requireMembership(workspaceId, userId, permission)).role;
+    } else {
+      req.role = await workspaceService.authorize(userId, permission);
+    }
+    next();
+  } catch (error) {
+    if (!error.status) {
+      console.error('Error checking permissions:', error);
+    }
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+};
+
+// System admin middleware - runs after authenticateToken. Guards the tools that act across
+// every tenant; workspace roles do not grant them.
+const requireSystemAdmin = async (req, res, next) => {
+  try {
+    await workspaceService.requireSystemAdmin(req.user.userId);
+    next();
+  } catch (error) {
+    if (!error.status) {
+      console.error('Error checking system admin:', error);
+    }
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+};
+
+// Socket.io authentication middleware - verifies the same JWT as authenticateToken
 io.use((socket, next) => {
-  // Always allow connections for testing
-  socket.userId = '2685891d-cdca-4645-bb87-7bd61541ab06'; // Default user ID
-  console.log(`🔌 Socket.io authentication: User ${socket.userId} connecting`);
-  next();
+  const authHeader = socket.handshake.headers?.authorization;
+  const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) {
+    return next(new Error('Access token required'));
+  }
+
+  jwt.verify(token, config.jwt.secret, (err, user) => {
+    if (err) {
+      return next(new Error('Invalid or expired token'));
+    }
+    socket.user = user;
+    socket.userId = user.userId;
+    console.log(`🔌 Socket.io authentication: User ${socket.userId} connecting`);
+    next();
+  });
 });
 
+// Check whether a socket's user may join a room: their own user room or a chat they can access
+const canJoinRoom = async (userId, roomName) => {
+  if (roomName === `user_${userId}`) {
+    return true;
+  }
+
+  const chatMatch = /^chat_([0-9a-f-]{36})$/i.exec(roomName);
+  if (!chatMatch) {
+    return false;
+  }
+
+  const chat = await ChannelChat.findOne({
+    where: { id: chatMatch[1] },
+    include: [{
+      model: ChannelAccount,
+      as: 'account',
+      where: ChannelAccount.accessibleBy(userId),
+      attributes: [],
+    }],
+  });
+  return !!chat;
+};
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log(`🔌 Socket.io connection established for user: ${socket.userId}`);
   console.log(`🔌 Socket ID: ${socket.id}`);
-  console.log(`🔌 Socket rooms: ${Array.from(socket.rooms)}`);
   
   // Join user-specific room
   socket.join(`user_${socket.userId}`);
   console.log(`🔌 User ${socket.userId} joined room: user_${socket.userId}`);
+
+  // Join the rooms of the user's workspaces for events on shared accounts
+  workspaceService.joinRooms(socket, socket.userId).catch((error) => {
+    console.error(`Error joining workspace rooms for user ${socket.userId}:`, error);
+  });
   
-  // Handle manual room joining (for frontend compatibility)
-  socket.on('join_room', (roomName) => {
-    socket.join(roomName);
-    console.log(`🔌 Socket ${socket.id} joined room: ${roomName}`);
+  // Handle manual room joining, limited to rooms the user owns
+  socket.on('join_room', async (roomName) => {
+    try {
+      if (typeof roomName !== 'string' || !(await canJoinRoom(socket.userId, roomName))) {
+        console.log(`🚫 Socket ${socket.id} denied joining room: ${roomName}`);
+        socket.emit('error', { message: 'Not allowed to join room', room: roomName });
+        return;
+      }
+      socket.join(roomName);
+      console.log(`🔌 Socket ${socket.id} joined room: ${roomName}`);
+    } catch (error) {
+      console.error('Error joining room:', error);
+      socket.emit('error', { message: 'Failed to join room' });
+    }
   });
   
-  // Handle message sending
+  // Handle message sending: queued like REST sends, status follows as message_status
   socket.on('send_message', async (data) => {
     try {
-      console.log('Received message from socket:', data);
-      const { platform, content, threadId, recipient } = data;
-      
-      // Create normalized message
-      const messageData = {
-        id: Date.now().toString(),
-        platform,
-        sender: {
-          name: 'You',
-          id: socket.userId,
-        },
-        recipient,
-        content,
-        timestamp: new Date(),
-        read: false,
-        threadId: threadId || `thread_${Date.now()}`,
-        parentMessageId: threadId ? threadId : null,
-        isReply: !!threadId,
-        replyCount: 0,
-        userId: socket.userId,
-      };
-
-      // Save to database
-      const message = new ChannelMessage(messageData);
-      await message.save();
-      console.log('Message saved successfully:', message.id);
-
-      // Emit to user's room
-      socket.to(`user_${socket.userId}`).emit('new_message', message);
-      socket.emit('message_sent', message);
+      const { accountId, chatId, subject, to, cc, bcc } = data;
+      const body = data.body ?? data.content;
 
+      const account = await ChannelAccount.findOne({
+        where: { id: accountId, ...ChannelAccount.accessibleBy(socket.userId) },
+      });
+      const chat = account && await ChannelChat.findOne({
+        where: { id: chatId, account_id: account.id },
+      });
+      if (!chat) {
+        socket.emit('error', { message: 'Chat not found' });
+        return;
+      }
+      await workspaceService.authorize(socket.userId, 'messages:send', account);
+
+      const hasAccess = await entitlementService.hasAccess(socket.userId, account.provider);
+      if (!hasAccess) {
+        socket.emit('error', { message: `You don't have access to ${account.provider}` });
+        return;
+      }
+      await entitlementService.enforceUsageLimits(account.user_id, account.provider);
+
+      const message = await outboundMessageService.enqueue({
+        account,
+        chat,
+        body,
+        subject,
+        to,
+        cc,
+        bcc,
+      });
+
+      socket.emit('message_sent', message);
     } catch (error) {
-      socket.emit('error', { message: 'Failed to send message' });
+      socket.emit('error', { message: error.status ? error.message : 'Failed to send message' });
       console.error('Socket message error:', error);
     }
   });
@@ -284,16 +437,27 @@ app.get('/api/auth/entitlements', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the user's role and permissions for their own accounts, or in ?workspace_id
+// (account-specific roles come from their workspaces)
+app.get('/api/auth/permissions', authenticateToken, async (req, res) => {
+  try {
+    const permissions = await workspaceService.getUserPermissions(req.user.userId, req.query.workspace_id);
+    res.json(permissions);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
+
 // Channel routes
 app.get('/api/channels/:provider/accounts', authenticateToken, (req, res) => {
   channelsController.getAccounts(req, res);
 });
 
-app.post('/api/channels/:provider/connect', authenticateToken, (req, res) => {
+app.post('/api/channels/:provider/connect', authenticateToken, requirePermission('accounts:manage'), (req, res) => {
   channelsController.connectAccount(req, res);
 });
 
-app.delete('/api/channels/:provider/:accountId/disconnect', authenticateToken, (req, res) => {
+app.delete('/api/channels/:provider/:accountId/disconnect', authenticateToken, requirePermission('accounts:manage'), (req, res) => {
   channelsController.disconnectAccount(req, res);
 });
 
@@ -309,10 +473,52 @@ app.get('/api/channels/:provider/:accountId/chats/:chatId/messages', authenticat
   channelsController.getMessages(req, res);
 });
 
-app.post('/api/channels/:provider/:accountId/chats/:chatId/send', authenticateToken, upload.array('attachments'), (req, res) => {
+app.post('/api/channels/:provider/:accountId/chats/:chatId/send', authenticateToken, requirePermission('messages:send'), upload.array('attachments'), (req, res) => {
   channelsController.sendMessage(req, res);
 });
 
+app.put('/api/channels/:provider/:accountId/chats/:chatId/assignee', authenticateToken, requirePermission('chats:assign'), (req, res) => {
+  channelsController.assignChat(req, res);
+});
+
+app.put('/api/channels/:provider/:accountId/chats/:chatId/status', authenticateToken, requirePermission('chats:update'), (req, res) => {
+  channelsController.setChatStatus(req, res);
+});
+
+// Bulk status changes; permissions are checked per account in the controller
+app.post('/api/chats/status', authenticateToken, (req, res) => {
+  channelsController.bulkSetChatStatus(req, res);
+});
+
+app.post('/api/channels/:provider/:accountId/chats/:chatId/notes', authenticateToken, requirePermission('notes:write'), (req, res) => {
+  notesController.createNote(req, res);
+});
+
+app.get('/api/channels/:provider/:accountId/chats/:chatId/canned-responses/:responseId', authenticateToken, requirePermission('messages:send'), (req, res) => {
+  cannedResponsesController.expandResponse(req, res);
+});
+
+app.get('/api/channels/:provider/:accountId/templates', authenticateToken, requirePermission('workspace:view'), (req, res) => {
+  templatesController.listTemplates(req, res);
+});
+
+app.post('/api/channels/:provider/:accountId/templates/sync', authenticateToken, requirePermission('accounts:manage'), (req, res) => {
+  templatesController.syncTemplates(req, res);
+});
+
+app.get('/api/channels/:provider/:accountId/chats/:chatId/messages/:messageId/attachments/:index(\\d+)', authenticateToken, (req, res) => {
+  attachmentsController.getMessageAttachment(req, res);
+});
+
+app.get('/api/attachments/:attachmentId', authenticateToken, (req, res) => {
+  attachmentsController.getAttachment(req, res);
+});
+
+// Signed, expiring URLs handed out with attachment details; no bearer token needed
+app.get('/api/attachments/:attachmentId/download', (req, res) => {
+  attachmentsController.download(req, res);
+});
+
 app.post('/api/channels/:provider/:accountId/mark-read', authenticateToken, (req, res) => {
   channelsController.markAsRead(req, res);
 });
@@ -322,6 +528,100 @@ app.get('/api/channels/email/:accountId/limits', authenticateToken, (req, res) =
   channelsController.getEmailLimits(req, res);
 });
 
+// Scheduled message routes
+app.post('/api/channels/:provider/:accountId/chats/:chatId/schedule', authenticateToken, requirePermission('messages:send'), (req, res) => {
+  scheduledMessagesController.scheduleMessage(req, res);
+});
+
+app.get('/api/scheduled-messages', authenticateToken, (req, res) => {
+  scheduledMessagesController.listScheduled(req, res);
+});
+
+app.put('/api/scheduled-messages/:id', authenticateToken, (req, res) => {
+  scheduledMessagesController.updateScheduled(req, res);
+});
+
+app.delete('/api/scheduled-messages/:id', authenticateToken, (req, res) => {
+  scheduledMessagesController.cancelScheduled(req, res);
+});
+
+// Workspace routes
+app.get('/api/workspaces', authenticateToken, (req, res) => {
+  workspacesController.listWorkspaces(req, res);
+});
+
+app.post('/api/workspaces', authenticateToken, (req, res) => {
+  workspacesController.createWorkspace(req, res);
+});
+
+app.get('/api/workspaces/:workspaceId/members', authenticateToken, requirePermission('workspace:view'), (req, res) => {
+  workspacesController.listMembers(req, res);
+});
+
+app.post('/api/workspaces/:workspaceId/members', authenticateToken, requirePermission('members:manage'), (req, res) => {
+  workspacesController.addMember(req, res);
+});
+
+app.put('/api/workspaces/:workspaceId/members/:userId', authenticateToken, requirePermission('members:manage'), (req, res) => {
+  workspacesController.updateMember(req, res);
+});
+
+app.delete('/api/workspaces/:workspaceId/members/:userId', authenticateToken, requirePermission('members:manage'), (req, res) => {
+  workspacesController.removeMember(req, res);
+});
+
+app.put('/api/channels/:provider/:accountId/workspace', authenticateToken, requirePermission('accounts:manage'), (req, res) => {
+  workspacesController.shareAccount(req, res);
+});
+
+// Canned response routes; shared replies need responses:manage in their workspace, checked in the service
+app.get('/api/canned-responses', authenticateToken, (req, res) => {
+  cannedResponsesController.listResponses(req, res);
+});
+
+app.post('/api/canned-responses', authenticateToken, (req, res) => {
+  cannedResponsesController.createResponse(req, res);
+});
+
+app.put('/api/canned-responses/:id', authenticateToken, (req, res) => {
+  cannedResponsesController.updateResponse(req, res);
+});
+
+app.delete('/api/canned-responses/:id', authenticateToken, (req, res) => {
+  cannedResponsesController.deleteResponse(req, res);
+});
+
+// Contact routes
+app.get('/api/contacts', authenticateToken, (req, res) => {
+  contactsController.listContacts(req, res);
+});
+
+app.get('/api/contacts/:id', authenticateToken, (req, res) => {
+  contactsController.getContact(req, res);
+});
+
+// Contact edits, merges and splits; permissions are checked on the contact's accounts in the controller
+app.put('/api/contacts/:id', authenticateToken, (req, res) => {
+  contactsController.updateContact(req, res);
+});
+
+app.get('/api/contacts/:id/timeline', authenticateToken, (req, res) => {
+  contactsController.getTimeline(req, res);
+});
+
+app.post('/api/contacts/:id/merge', authenticateToken, (req, res) => {
+  contactsController.mergeContacts(req, res);
+});
+
+app.post('/api/contacts/:id/split', authenticateToken, (req, res) => {
+  contactsController.splitContact(req, res);
+});
+
+// Search routes
+app.get('/api/search', authenticateToken, (req, res) => {
+  searchController.search(req, res);
+});
+
 // Webhook routes
 app.post('/api/webhooks/unipile', (req, res) => {
   webhooksController.handleUniPileWebhook(req, res);
@@ -336,59 +636,30 @@ app.post('/api/webhooks/email', (req, res) => {
   webhooksController.handleEmailWebhook(req, res);
 });
 
+app.post('/api/webhooks/telegram/:botId', (req, res) => {
+  webhooksController.handleTelegramWebhook(req, res);
+});
+
 app.post('/api/webhooks/stripe', (req, res) => {
   webhooksController.handleStripeWebhook(req, res);
 });
 
 // OAuth callback routes
-app.get('/api/auth/gmail/callback', async (req, res) => {
-  try {
-    const { code, state } = req.query;
-    
-    if (!code) {
-      return res.status(400).json({ error: 'Authorization code required' });
-    }
-
-    // Exchange code for tokens
-    const EmailService = require('./services/EmailService');
-    const emailService = new EmailService();
-    const tokens = await emailService.exchangeGmailCode(code);
-
-    // Redirect to frontend with tokens
-    const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?provider=gmail&success=true`;
-    res.redirect(redirectUrl);
-  } catch (error) {
-    console.error('Gmail OAuth error:', error);
-    const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?provider=gmail&success=false&error=${encodeURIComponent(error.message)}`;
-    res.redirect(redirectUrl);
-  }
-});
-
-app.get('/api/auth/microsoft/callback', async (req, res) => {
-  try {
-    const { code, state } = req.query;
-    
-    if (!code) {
-      return res.status(400).json({ error: 'Authorization code required' });
-    }
-
-    // Exchange code for tokens
-    const EmailService = require('./services/EmailService');
-    const emailService = new EmailService();
-    const tokens = await emailService.exchangeMicrosoftCode(code);
-
-    // Redirect to frontend with tokens
-    const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?provider=microsoft&success=true`;
-    res.redirect(redirectUrl);
-  } catch (error) {
-    console.error('Microsoft OAuth error:', error);
-    const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?provider=microsoft&success=false&error=${encodeURIComponent(error.message)}`;
-    res.redirect(redirectUrl);
-  }
+app.get('/api/auth/:emailProvider(gmail|microsoft)/callback', (req, res) => {
+  channelsController.completeEmailOAuth(req, res);
 });
 
-// Admin routes
-app.get('/api/admin/pricing-config', authenticateToken, (req, res) => {
+// Admin routes. The tools that work across all tenants (dead letters, the AdminPanel's
+// mock-data tools) are limited to system admins; billing is gated by workspace role.
+app.use([
+  '/api/admin/webhooks',
+  '/api/admin/mock-data-status',
+  '/api/admin/seed-mock-data',
+  '/api/admin/send-mock-message',
+  '/api/admin/mock-service',
+], authenticateToken, requireSystemAdmin);
+
+app.get('/api/admin/pricing-config', authenticateToken, requirePermission('billing:view'), (req, res) => {
   try {
     const config = entitlementService.getPricingConfig();
     res.json(config);
@@ -397,8 +668,21 @@ app.get('/api/admin/pricing-config', authenticateToken, (req, res) => {
   }
 });
 
+// Webhook dead-letter inspection and replay
+app.get('/api/admin/webhooks/dead-letters', (req, res) => {
+  webhooksController.listDeadLetters(req, res);
+});
+
+app.get('/api/admin/webhooks/dead-letters/:id', (req, res) => {
+  webhooksController.getDeadLetter(req, res);
+});
+
+app.post('/api/admin/webhooks/dead-letters/:id/replay', (req, res) => {
+  webhooksController.replayDeadLetter(req, res);
+});
+
 // Test Socket.io endpoint
-app.get('/api/test-socket', (req, res) => {
+app.get('/api/test-socket', authenticateToken, requireSystemAdmin, (req, res) => {
   console.log('🧪 Testing Socket.io...');
   console.log('📡 Connected sockets:', io.sockets.sockets.size);
   console.log('📡 Rooms:', Array.from(io.sockets.adapter.rooms.keys()));
@@ -416,84 +700,136 @@ app.get('/api/test-socket', (req, res) => {
   });
 });
 
+// Find a message that belongs to one of the user's accounts
+const findUserMessage = (userId, messageId) => ChannelMessage.findOne({
+  where: { id: messageId },
+  include: [{
+    model: ChannelChat,
+    as: 'chat',
+    required: true,
+    attributes: [],
+    include: [{
+      model: ChannelAccount,
+      as: 'account',
+      required: true,
+      attributes: [],
+      where: ChannelAccount.accessibleBy(userId),
+    }],
+  }],
+});
+
+// Require a permission on the account a message belongs to
+const authorizeMessage = async (userId, message, permission) => {
+  const chat = await ChannelChat.findByPk(message.chat_id, {
+    include: [{ model: ChannelAccount, as: 'account' }],
+  });
+  return workspaceService.authorize(userId, permission, chat.account);
+};
+
+// Find or create the WhatsApp chat for a recipient, unless the recipient is the account itself
+const findOrCreateWhatsAppChat = async (account, to, title) => {
+  const phoneNumber = to ? to.replace(/^whatsapp:/, '').replace(/^\+/, '').replace(/\D/g, '') : 'frontend_chat';
+
+  const ownPhoneNumber = account.getOwnPhoneNumber();
+  if (ownPhoneNumber && phoneNumber === ownPhoneNumber) {
+    console.log(`Skipping chat creation for own phone number: ${phoneNumber}`);
+    return null;
+  }
+
+  const uniqueChatId = `${phoneNumber}_whatsapp`;
+  const [chat] = await ChannelChat.findOrCreate({
+    where: {
+      account_id: account.id,
+      provider_chat_id: uniqueChatId
+    },
+    defaults: {
+      account_id: account.id,
+      provider_chat_id: uniqueChatId,
+      title: title || `Chat ${phoneNumber}`,
+      last_message_at: new Date(),
+      chat_info: {
+        original_chat_id: to || 'frontend_chat',
+        phone_number: phoneNumber,
+        to: to,
+      },
+      unread_count: 0,
+      status: 'open'
+    }
+  });
+  await contactService.matchChat(account, chat);
+  return chat;
+};
+
 // Messages API endpoints
-app.get('/api/messages', async (req, res) => {
+app.get('/api/messages', authenticateToken, async (req, res) => {
   try {
+    const accountWhere = ChannelAccount.accessibleBy(req.user.userId);
+    if (req.query.account_id) {
+      accountWhere.id = req.query.account_id;
+    }
+
+    const { cursor, limit } = req.query;
     const messages = await ChannelMessage.findAll({
+      ...messagePaginator.query({}, { cursor, limit }),
       include: [{
         model: ChannelChat,
         as: 'chat',
+        required: true,
         include: [{
           model: ChannelAccount,
           as: 'account',
-          where: { user_id: '2685891d-cdca-4645-bb87-7bd61541ab06' } // Default user for testing
+          required: true,
+          where: accountWhere,
+          // Credentials never leave the server
+          attributes: { exclude: ['connection_data', 'connection_key_id'] },
         }]
-      }],
-      order: [['sent_at', 'DESC']],
-      limit: 100
+      }]
     });
 
-    res.json(messages);
+    const page = messagePaginator.page(messages, limit);
+    res.json({ messages: page.rows, next_cursor: page.nextCursor });
   } catch (error) {
     console.error('Error fetching messages:', error);
-    res.status(500).json({ error: 'Failed to fetch messages' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch messages' });
   }
 });
 
-app.post('/api/messages', async (req, res) => {
+app.post('/api/messages', authenticateToken, async (req, res) => {
   try {
     const messageData = req.body;
     
-    // For frontend messages, we need to find or create a chat first
-    if (!messageData.chat_id) {
-      // Find the WhatsApp account
-      const account = await ChannelAccount.findOne({
-        where: { 
-          user_id: '2685891d-cdca-4645-bb87-7bd61541ab06',
-          provider: 'whatsapp'
-        }
+    if (messageData.chat_id) {
+      // Only allow writing to chats on accounts the user can access
+      const chat = await ChannelChat.findOne({
+        where: { id: messageData.chat_id },
+        include: [{
+          model: ChannelAccount,
+          as: 'account',
+          where: ChannelAccount.accessibleBy(req.user.userId),
+        }],
       });
+
+      if (!chat) {
+        return res.status(404).json({ error: 'Chat not found' });
+      }
+      await workspaceService.authorize(req.user.userId, 'messages:send', chat.account);
+    } else {
+      // For frontend messages, we need to find or create a chat first
+      const account = await ChannelAccount.findForUser(req.user.userId, 'whatsapp', messageData.account_id);
       
       if (!account) {
         return res.status(404).json({ error: 'WhatsApp account not found' });
       }
+      await workspaceService.authorize(req.user.userId, 'messages:send', account);
       
-      // Extract phone number from recipient
-      const phoneNumber = messageData.to ? messageData.to.replace(/^whatsapp:/, '').replace(/^\+/, '').replace(/\D/g, '') : 'frontend_chat';
-      
-      // Skip creating chat if it's with own phone number
-      const ownPhoneNumber = process.env.WHATSAPP_ACCOUNT_NUMBER || '919566651479';
-      if (phoneNumber === ownPhoneNumber) {
-        console.log(`Skipping chat creation for own phone number: ${phoneNumber}`);
+      const chat = await findOrCreateWhatsAppChat(account, messageData.to, messageData.fromName);
+      if (!chat) {
         return res.json({
           success: true,
           message: 'Message processed (own chat not created)'
         });
       }
       
-      const uniqueChatId = `${phoneNumber}_whatsapp`;
-      
-      // Find or create chat
-      const [chat] = await ChannelChat.findOrCreate({
-        where: {
-          account_id: account.id,
-          provider_chat_id: uniqueChatId
-        },
-        defaults: {
-          account_id: account.id,
-          provider_chat_id: uniqueChatId,
-          title: messageData.fromName || `Chat ${phoneNumber}`,
-          last_message_at: new Date(),
-          chat_info: {
-            original_chat_id: messageData.to || 'frontend_chat',
-            phone_number: phoneNumber,
-            to: messageData.to,
-          },
-          unread_count: 0,
-          status: 'active'
-        }
-      });
-      
       messageData.chat_id = chat.id;
     }
     
@@ -504,7 +840,7 @@ app.post('/api/messages', async (req, res) => {
       direction: messageData.direction || 'out',
       body: messageData.body || messageData.text || '',
       subject: messageData.subject || null,
-      attachments: messageData.attachments || [],
+      attachments: attachmentService.fromRequest(messageData.attachments),
       sent_at: messageData.sent_at || new Date(),
       status: messageData.status || 'sent',
       provider_metadata: messageData.provider_metadata || {},
@@ -517,46 +853,53 @@ app.post('/api/messages', async (req, res) => {
     res.status(201).json(message);
   } catch (error) {
     console.error('Error creating message:', error);
-    res.status(500).json({ error: 'Failed to create message' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create message', code: error.code });
   }
 });
 
-app.put('/api/messages/:id', async (req, res) => {
+// Content fields a sender may edit; status, direction, provider ids and the chat stay as synced
+const EDITABLE_MESSAGE_FIELDS = ['body', 'subject'];
+
+app.put('/api/messages/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
-    const message = await ChannelMessage.findByPk(id);
+    const updates = Object.fromEntries(
+      EDITABLE_MESSAGE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    const message = await findUserMessage(req.user.userId, id);
     
     if (!message) {
       return res.status(404).json({ error: 'Message not found' });
     }
+    await authorizeMessage(req.user.userId, message, 'messages:send');
     
     await message.update(updates);
     res.json(message);
   } catch (error) {
     console.error('Error updating message:', error);
-    res.status(500).json({ error: 'Failed to update message' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update message', code: error.code });
   }
 });
 
-app.delete('/api/messages/:id', async (req, res) => {
+app.delete('/api/messages/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const message = await ChannelMessage.findByPk(id);
+    const message = await findUserMessage(req.user.userId, id);
     
     if (!message) {
       return res.status(404).json({ error: 'Message not found' });
     }
+    await authorizeMessage(req.user.userId, message, 'messages:send');
     
     await message.destroy();
     res.json({ message: 'Message deleted successfully' });
   } catch (error) {
     console.error('Error deleting message:', error);
-    res.status(500).json({ error: 'Failed to delete message' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete message', code: error.code });
   }
 });
 
-app.post('/api/messages/sync', async (req, res) => {
+app.post('/api/messages/sync', authenticateToken, (req, res) => {
   try {
     const { messages } = req.body;
     // For now, just return the messages as-is
@@ -568,7 +911,7 @@ app.post('/api/messages/sync', async (req, res) => {
 });
 
 // Clear invalid messages endpoint
-app.post('/api/messages/clear-invalid', async (req, res) => {
+app.post('/api/messages/clear-invalid', authenticateToken, requireSystemAdmin, async (req, res) => {
   try {
     const { ChannelMessage, ChannelChat } = require('./models');
     
@@ -616,114 +959,45 @@ app.post('/api/messages/clear-invalid', async (req, res) => {
   }
 });
 
-// Simple endpoint for frontend to send messages
-app.post('/api/send-message', async (req, res) => {
+// Simple endpoint for frontend to send messages - queued like every other outbound message
+app.post('/api/send-message', authenticateToken, async (req, res) => {
   try {
-    const { to, text, fromName } = req.body;
+    const { to, text, fromName, account_id: accountId } = req.body;
     
-    // Find the WhatsApp account
-    const account = await ChannelAccount.findOne({
-      where: { 
-        user_id: 'e82f8560-e0ac-4de1-9c2d-039541a94a97',
-        provider: 'whatsapp'
-      }
-    });
+    // Find the user's WhatsApp account
+    const account = await ChannelAccount.findForUser(req.user.userId, 'whatsapp', accountId);
     
     if (!account) {
       return res.status(404).json({ error: 'WhatsApp account not found' });
     }
-    
-    // Send message via UniPile
-    const unipileService = new (require('./services/UniPileService'))();
-    const result = await unipileService.sendMessage(
-      account.connection_data.connectionId,
-      to,
-      {
-        text: text,
-        type: 'text'
-      }
-    );
-    
-    // Extract phone number from recipient
-    const phoneNumber = to ? to.replace(/^whatsapp:/, '').replace(/^\+/, '').replace(/\D/g, '') : 'unknown';
-    
-    // Skip creating chat if it's with own phone number
-    const ownPhoneNumber = process.env.WHATSAPP_ACCOUNT_NUMBER || '919566651479';
-    if (phoneNumber === ownPhoneNumber) {
-      console.log(`Skipping chat creation for own phone number: ${phoneNumber}`);
-      return res.json({
-        success: true,
-        message: 'Message sent successfully (own chat not created)',
-        result
-      });
+    await workspaceService.authorize(req.user.userId, 'messages:send', account);
+
+    const hasAccess = await entitlementService.hasAccess(req.user.userId, 'whatsapp');
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'You don\'t have access to whatsapp' });
     }
+    // Shared accounts send against the account owner's plan
+    await entitlementService.enforceUsageLimits(account.user_id, 'whatsapp');
     
-    const uniqueChatId = `${phoneNumber}_whatsapp`;
-    
-    // Create message record in database
-    const [chat] = await ChannelChat.findOrCreate({
-      where: {
-        account_id: account.id,
-        provider_chat_id: uniqueChatId
-      },
-      defaults: {
-        account_id: account.id,
-        provider_chat_id: uniqueChatId,
-        title: fromName || `Chat ${phoneNumber}`,
-        last_message_at: new Date(),
-        chat_info: {
-          original_chat_id: to,
-          phone_number: phoneNumber,
-          to: to,
-        },
-        unread_count: 0,
-        status: 'active'
-      }
-    });
-    
-    const message = await ChannelMessage.create({
-      chat_id: chat.id,
-      provider_msg_id: result.message_id || `sent_${Date.now()}`,
-      direction: 'out',
-      body: text,
-      subject: null,
-      attachments: [],
-      sent_at: new Date(),
-      status: 'sent',
-      provider_metadata: {
-        to: to,
-        from: account.connection_data.phone_number,
-        fromName: fromName || 'You'
-      },
-      is_reply: false,
-      sync_status: 'pending',
-      sync_attempts: 0
-    });
-    
-    // Emit sent message to frontend so user can see their own messages in the conversation
-    if (io) {
-      io.to(`user_e82f8560-e0ac-4de1-9c2d-039541a94a97`).emit('new_message', {
-        id: message.id,
-        text: message.body,
-        from: message.provider_metadata.from,
-        fromName: message.provider_metadata.fromName,
-        to: message.provider_metadata.to,
-        timestamp: message.sent_at,
-        direction: 'out',
-        chat_id: message.chat_id,
-        status: message.status
-      });
+    const chat = await findOrCreateWhatsAppChat(account, to, fromName);
+    if (!chat) {
+      return res.status(400).json({ error: 'Cannot send a message to the account\'s own number', code: 'OWN_NUMBER' });
     }
-    
-    res.json({ 
-      success: true, 
-      message: message,
-      unipile_result: result 
+
+    // Checked again by the outbound worker at send time
+    await outboundMessageService.whatsappTemplateService.enforceServiceWindow(chat);
+
+    // Persist as pending; the outbound worker sends it and reports status over Socket.io
+    const message = await outboundMessageService.enqueue({ account, chat, to, body: text });
+
+    res.status(202).json({
+      success: true,
+      message,
     });
     
   } catch (error) {
     console.error('Error sending message:', error);
-    res.status(500).json({ error: 'Failed to send message', details: error.message });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to send message', code: error.code, details: error.details });
   }
 });
 
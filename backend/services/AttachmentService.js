@@ -0,0 +1,427 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { sequelize } = require('../config/database');
+const { Attachment, ChannelAccount, ChannelMessage } = require('../models');
+const { createStorage } = require('./storage');
+
+const DISPOSITIONS = ['attachment', 'inline'];
+
+// Types safe to render in the browser; anything else is always downloaded
+const INLINE_TYPES = /^(image\/(png|jpeg|gif|webp)|application\/pdf|audio\/[\w.+-]+|video\/[\w.+-]+)$/;
+
+/**
+ * Attachment Service
+ *
+ * Keeps the bytes of uploaded files and inbound media in attachment storage (local
+ * disk or an S3-compatible bucket, see services/storage). Each file is an Attachment
+ * row with its size, mime type and SHA-256 checksum; message.attachments entries point
+ * at it through attachment_id.
+ *
+ * Files are handed out through signed URLs (/api/attachments/:id/download) that expire
+ * after config.storage.urlTtlSeconds, so they work in <img> and <a> tags without a
+ * bearer token. Only users who can see the attachment's account are given one.
+ */
+class AttachmentService {
+  constructor(providerRegistry, storage = createStorage(), storageConfig = config.storage) {
+    this.providerRegistry = providerRegistry;
+    this.storage = storage;
+    this.urlSecret = storageConfig.urlSecret;
+    this.urlTtlSeconds = storageConfig.urlTtlSeconds;
+  }
+
+  /**
+   * Write bytes to storage and record their size and checksum
+   */
+  async store(attachment, data) {
+    attachment.storage_driver = this.storage.driver;
+    attachment.storage_key = `${attachment.account_id}/${attachment.id}`;
+    await this.storage.put(attachment.storage_key, data, { contentType: attachment.mime_type });
+
+    attachment.size = data.length;
+    attachment.checksum_sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    attachment.status = 'stored';
+    attachment.error = null;
+    attachment.stored_at = new Date();
+    return attachment.save();
+  }
+
+  /**
+   * Move a file multer received into storage and remove its temporary copy
+   * @param {Object} file - multer file ({ path, originalname, mimetype, size })
+   */
+  async storeUpload(account, userId, file) {
+    try {
+      const attachment = await Attachment.create({
+        account_id: account.id,
+        uploaded_by: userId,
+        source: 'upload',
+        filename: file.originalname,
+        mime_type: file.mimetype || 'application/octet-stream',
+        size: file.size,
+      });
+      return await this.store(attachment, await fs.promises.readFile(file.path));
+    } finally {
+      await fs.promises.rm(file.path, { force: true });
+    }
+  }
+
+  /**
+   * Link uploads to the message they were sent with
+   */
+  async attachToMessage(attachments, message) {
+    if (attachments.length === 0) return;
+    await Attachment.update(
+      { message_id: message.id },
+      { where: { id: attachments.map(attachment => attachment.id), message_id: null } }
+    );
+  }
+
+  /**
+   * Attachment entries supplied in a send request. Multipart requests carry them as a
+   * JSON string. attachment_id is dropped: only uploads stored by this request may point
+   * at attachment storage.
+   * @returns {Array} Entries safe to store on the message
+   * @throws {Error} 400 INVALID_ATTACHMENTS when they are not a list
+   */
+  fromRequest(value) {
+    if (value === undefined || value === null || value === '') {
+      return [];
+    }
+
+    let entries = value;
+    if (typeof value === 'string') {
+      try {
+        entries = JSON.parse(value);
+      } catch (e) {
+        entries = null;
+      }
+    }
+    if (!Array.isArray(entries) || entries.some(entry => !entry || typeof entry !== 'object')) {
+      const error = new Error('attachments must be a list of objects');
+      error.status = 400;
+      error.code = 'INVALID_ATTACHMENTS';
+      throw error;
+    }
+
+    return entries.map(({ attachment_id: attachmentId, ...entry }) => entry);
+  }
+
+  /**
+   * Entry stored in message.attachments for an Attachment
+   */
+  toMessageEntry(attachment) {
+    return {
+      attachment_id: attachment.id,
+      filename: attachment.filename,
+      contentType: attachment.mime_type,
+      size: Number(attachment.size),
+    };
+  }
+
+  /**
+   * Record the media of a newly stored provider message and, unless its adapter fetches
+   * on demand, download it. Download failures are recorded on the attachment, never
+   * thrown, so a message is not lost over its media.
+   * @returns {Promise<Array>} The message's new Attachments
+   */
+  async ingestInbound(account, message) {
+    const created = await this.record(account, message);
+    await this.prefetch(account, message, created);
+    return created;
+  }
+
+  /**
+   * Download newly recorded attachments now, unless the adapter fetches them on demand
+   */
+  async prefetch(account, message, attachments) {
+    if (!this.providerRegistry.get(account.provider).prefetchAttachments) {
+      return;
+    }
+    for (const attachment of attachments) {
+      await this.download(account, message, attachment);
+    }
+  }
+
+  /**
+   * Create pending Attachments for the entries of message.attachments that have none yet;
+   * each entry gains the attachment_id of its stored copy
+   * @param {Object} options - { transaction }
+   * @returns {Promise<Array>} The new Attachments
+   */
+  async record(account, message, { transaction } = {}) {
+    const created = [];
+
+    const updatedEntries = [];
+    for (const entry of message.attachments || []) {
+      if (entry.attachment_id) {
+        updatedEntries.push(entry);
+        continue;
+      }
+
+      const attachment = await Attachment.create({
+        account_id: account.id,
+        message_id: message.id,
+        source: 'inbound',
+        filename: entry.filename || entry.file_name || entry.name || 'attachment',
+        mime_type: entry.contentType || entry.mimeType || entry.mimetype || 'application/octet-stream',
+        size: Number.isFinite(entry.size) ? entry.size : null,
+        provider_ref: entry,
+      }, { transaction });
+      created.push(attachment);
+      updatedEntries.push({ ...entry, attachment_id: attachment.id });
+    }
+
+    if (created.length > 0) {
+      message.attachments = updatedEntries;
+      await message.save({ transaction });
+    }
+    return created;
+  }
+
+  /**
+   * The stored copy of a message's attachment, fetching it from the provider the first
+   * time (or after a failed download). Later calls are served from storage.
+   * @param {number} index - Position in message.attachments
+   * @throws {Error} 404 ATTACHMENT_NOT_FOUND, 502 ATTACHMENT_UNAVAILABLE when the provider cannot supply it
+   */
+  async fetchForMessage(account, message, index) {
+    const entry = (message.attachments || [])[index];
+    if (!entry) {
+      const error = new Error('Attachment not found');
+      error.status = 404;
+      error.code = 'ATTACHMENT_NOT_FOUND';
+      throw error;
+    }
+
+    // Messages stored before attachment storage existed have no record yet. The message row
+    // is locked and re-read so two first opens do not both record its attachments.
+    if (!entry.attachment_id) {
+      await sequelize.transaction(async (transaction) => {
+        const locked = await ChannelMessage.findByPk(message.id, { transaction, lock: transaction.LOCK.UPDATE });
+        await this.record(account, locked, { transaction });
+        message.attachments = locked.attachments;
+      });
+    }
+
+    const attachmentId = message.attachments[index]?.attachment_id;
+    const attachment = attachmentId && await Attachment.findOne({ where: { id: attachmentId, account_id: account.id } });
+    if (!attachment) {
+      const error = new Error('Attachment not found');
+      error.status = 404;
+      error.code = 'ATTACHMENT_NOT_FOUND';
+      throw error;
+    }
+    if (!attachment.isStored()) {
+      await this.download(account, message, attachment);
+    }
+
+    if (!attachment.isStored()) {
+      const error = new Error(attachment.error
+        ? `Could not download the attachment: ${attachment.error}`
+        : `${account.provider} does not offer this attachment for download`);
+      error.status = 502;
+      error.code = 'ATTACHMENT_UNAVAILABLE';
+      throw error;
+    }
+    return attachment;
+  }
+
+  /**
+   * Fetch an inbound attachment from its provider into storage. Providers without a
+   * download leave it pending.
+   */
+  async download(account, message, attachment) {
+    try {
+      const media = await this.providerRegistry.get(account.provider).fetchAttachment({
+        account,
+        message,
+        attachment: attachment.provider_ref,
+      });
+      if (!media) {
+        return attachment;
+      }
+
+      if (media.mimeType) {
+        attachment.mime_type = media.mimeType.split(';')[0].trim();
+      }
+      if (media.filename && attachment.filename === 'attachment') {
+        attachment.filename = media.filename;
+      }
+      await this.store(attachment, media.data);
+      console.log(`📎 Stored ${account.provider} attachment ${attachment.id} (${attachment.size} bytes)`);
+    } catch (error) {
+      console.error(`Error downloading attachment ${attachment.id}:`, error.message);
+      attachment.status = 'failed';
+      attachment.error = error.message;
+      await attachment.save();
+    }
+    return attachment;
+  }
+
+  /**
+   * Add the stored bytes (base64 content and mimeType) to message.attachments entries
+   * for adapters to send. Only the account's own attachments are read.
+   */
+  async withContent(account, entries) {
+    const ids = entries.map(entry => entry.attachment_id).filter(Boolean);
+    if (ids.length === 0) {
+      return entries;
+    }
+
+    const attachments = await Attachment.findAll({ where: { id: ids, account_id: account.id, status: 'stored' } });
+    const byId = new Map(attachments.map(attachment => [attachment.id, attachment]));
+
+    return Promise.all(entries.map(async (entry) => {
+      const attachment = byId.get(entry.attachment_id);
+      if (!attachment) {
+        return entry;
+      }
+      const data = await this.storage.get(attachment.storage_key);
+      return { ...entry, mimeType: attachment.mime_type, content: data.toString('base64') };
+    }));
+  }
+
+  /**
+   * Load an attachment on an account the user can access
+   * @throws {Error} 404 ATTACHMENT_NOT_FOUND
+   */
+  async findAccessible(attachmentId, userId) {
+    const attachment = await Attachment.findOne({
+      where: { id: attachmentId },
+      include: [{
+        model: ChannelAccount,
+        as: 'account',
+        required: true,
+        where: ChannelAccount.accessibleBy(userId),
+      }],
+    });
+
+    if (!attachment) {
+      const error = new Error('Attachment not found');
+      error.status = 404;
+      error.code = 'ATTACHMENT_NOT_FOUND';
+      throw error;
+    }
+    return attachment;
+  }
+
+  signDownload(attachmentId, expires, disposition) {
+    return crypto
+      .createHmac('sha256', this.urlSecret)
+      .update(`${attachmentId}:${expires}:${disposition}`)
+      .digest('hex');
+  }
+
+  /**
+   * Signed URL for a stored attachment. Inline is only honoured for types browsers
+   * can render safely.
+   * @returns {Object} { url, expires_at }
+   */
+  createDownloadUrl(attachment, disposition = 'attachment') {
+    const mode = disposition === 'inline' && INLINE_TYPES.test(attachment.mime_type) ? 'inline' : 'attachment';
+    const expires = Math.floor(Date.now() / 1000) + this.urlTtlSeconds;
+    const query = new URLSearchParams({
+      expires: String(expires),
+      disposition: mode,
+      signature: this.signDownload(attachment.id, expires, mode),
+    });
+
+    return {
+      url: `/api/attachments/${attachment.id}/download?${query}`,
+      expires_at: new Date(expires * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Check a signed download URL and load its attachment
+   * @throws {Error} 403 INVALID_DOWNLOAD_SIGNATURE, 410 DOWNLOAD_URL_EXPIRED, 404 ATTACHMENT_NOT_FOUND
+   */
+  async verifyDownload(attachmentId, { expires, disposition = 'attachment', signature }) {
+    const expected = Buffer.from(this.signDownload(attachmentId, expires, disposition));
+    const given = Buffer.from(String(signature || ''));
+    if (!DISPOSITIONS.includes(disposition) || given.length !== expected.length
+      || !crypto.timingSafeEqual(given, expected)) {
+      const error = new Error('Invalid download signature');
+      error.status = 403;
+      error.code = 'INVALID_DOWNLOAD_SIGNATURE';
+      throw error;
+    }
+
+    if (Number(expires) * 1000 < Date.now()) {
+      const error = new Error('Download link has expired');
+      error.status = 410;
+      error.code = 'DOWNLOAD_URL_EXPIRED';
+      throw error;
+    }
+
+    const attachment = await Attachment.findByPk(attachmentId);
+    if (!attachment?.isStored()) {
+      const error = new Error('Attachment not found');
+      error.status = 404;
+      error.code = 'ATTACHMENT_NOT_FOUND';
+      throw error;
+    }
+    return attachment;
+  }
+
+  /**
+   * Where to send a verified download: a presigned bucket URL when the backend has
+   * them, else a stream for the app to serve
+   * @returns {Promise<Object>} { redirect } or { stream }
+   */
+  async openDownload(attachment, { expires, disposition }) {
+    if (this.storage.getSignedUrl) {
+      return {
+        redirect: this.storage.getSignedUrl(attachment.storage_key, {
+          expiresIn: Math.max(Number(expires) - Math.floor(Date.now() / 1000), 1),
+          filename: attachment.filename,
+          contentType: attachment.mime_type,
+          disposition,
+        }),
+      };
+    }
+    return { stream: await this.storage.createReadStream(attachment.storage_key) };
+  }
+
+  serialize(attachment) {
+    const stored = attachment.isStored();
+    return {
+      id: attachment.id,
+      message_id: attachment.message_id,
+      source: attachment.source,
+      status: attachment.status,
+      filename: attachment.filename,
+      mime_type: attachment.mime_type,
+      size: attachment.size === null ? null : Number(attachment.size),
+      checksum_sha256: attachment.checksum_sha256,
+      created_at: attachment.created_at,
+      stored_at: attachment.stored_at,
+      download: stored ? this.createDownloadUrl(attachment) : null,
+      preview: stored && INLINE_TYPES.test(attachment.mime_type) ? this.createDownloadUrl(attachment, 'inline') : null,
+    };
+  }
+
+  /**
+   * Merge stored attachment details (status, checksum, signed URLs) into the
+   * attachments of each message; entries pointing at another account's files are left bare
+   * @returns {Promise<Map>} Message ID to its attachments
+   */
+  async describeMessages(account, messages) {
+    const ids = messages.flatMap(message => (message.attachments || []).map(entry => entry.attachment_id)).filter(Boolean);
+    const attachments = ids.length > 0
+      ? await Attachment.findAll({ where: { id: { [Op.in]: ids }, account_id: account.id } })
+      : [];
+    const byId = new Map(attachments.map(attachment => [attachment.id, this.serialize(attachment)]));
+
+    return new Map(messages.map(message => [
+      message.id,
+      (message.attachments || []).map(entry => (
+        byId.has(entry.attachment_id) ? { ...entry, ...byId.get(entry.attachment_id) } : entry
+      )),
+    ]));
+  }
+}
+
+module.exports = AttachmentService;
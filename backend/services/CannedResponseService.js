@@ -0,0 +1,192 @@
+const { User, Contact, ContactIdentity, CannedResponse } = require('../models');
+
+// {{contact.first_name}}, {{ agent.name }}
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const VARIABLES = [
+  'contact.name',
+  'contact.first_name',
+  'contact.last_name',
+  'agent.name',
+  'agent.first_name',
+  'agent.last_name',
+  'agent.email',
+];
+
+/**
+ * Canned Response Service
+ *
+ * Saved replies are personal, or shared with a workspace (managing those takes
+ * responses:manage there). Expanding one fills in its {{contact.*}} and {{agent.*}}
+ * variables for a chat.
+ */
+class CannedResponseService {
+  constructor(workspaceService) {
+    this.workspaceService = workspaceService;
+  }
+
+  async listResponses(userId) {
+    const responses = await CannedResponse.findAll({
+      where: CannedResponse.visibleTo(userId),
+      order: [['shortcut', 'ASC']],
+    });
+    return responses.map(response => this.serialize(response));
+  }
+
+  async createResponse(userId, { shortcut, title, body, workspace_id: workspaceId = null }) {
+    this.validate({ shortcut, title, body });
+    if (workspaceId) {
+      await this.workspaceService.requireMembership(workspaceId, userId, 'responses:manage');
+    }
+
+    const response = await CannedResponse.create({
+      user_id: userId,
+      workspace_id: workspaceId,
+      shortcut: shortcut.trim(),
+      title: title.trim(),
+      body,
+    });
+    return this.serialize(response);
+  }
+
+  /**
+   * Edit a reply. Moving it between personal and shared is not supported; recreate it instead.
+   */
+  async updateResponse(id, userId, changes) {
+    const response = await this.findEditable(id, userId);
+    const updated = {
+      shortcut: changes.shortcut ?? response.shortcut,
+      title: changes.title ?? response.title,
+      body: changes.body ?? response.body,
+    };
+    this.validate(updated);
+
+    response.shortcut = updated.shortcut.trim();
+    response.title = updated.title.trim();
+    response.body = updated.body;
+    await response.save();
+    return this.serialize(response);
+  }
+
+  async deleteResponse(id, userId) {
+    const response = await this.findEditable(id, userId);
+    await response.destroy();
+  }
+
+  /**
+   * Load a reply the user can use
+   * @throws {Error} 404 when it is neither theirs nor shared with one of their workspaces
+   */
+  async findVisible(id, userId) {
+    const response = await CannedResponse.findOne({
+      where: { id, ...CannedResponse.visibleTo(userId) },
+    });
+    if (!response) {
+      const error = new Error('Canned response not found');
+      error.status = 404;
+      error.code = 'CANNED_RESPONSE_NOT_FOUND';
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Load a reply the user may change: their own personal replies, or shared replies
+   * in a workspace where they manage responses
+   */
+  async findEditable(id, userId) {
+    const response = await this.findVisible(id, userId);
+
+    if (response.isShared()) {
+      await this.workspaceService.requireMembership(response.workspace_id, userId, 'responses:manage');
+    } else if (response.user_id !== userId) {
+      const error = new Error('Canned response not found');
+      error.status = 404;
+      error.code = 'CANNED_RESPONSE_NOT_FOUND';
+      throw error;
+    }
+    return response;
+  }
+
+  validate({ shortcut, title, body }) {
+    if (!shortcut || !/^[\w-]+$/.test(shortcut.trim()) || shortcut.trim().length > 50) {
+      const error = new Error('shortcut is required: up to 50 letters, digits, _ or -');
+      error.status = 400;
+      error.code = 'INVALID_SHORTCUT';
+      throw error;
+    }
+    if (!title || !title.trim() || !body || !body.trim()) {
+      const error = new Error('title and body are required');
+      error.status = 400;
+      error.code = 'CANNED_RESPONSE_INVALID';
+      throw error;
+    }
+  }
+
+  /**
+   * Fill in a reply's variables for a chat, as plain text for the composer; email
+   * adapters convert it to HTML when sending. Variables without a value expand to
+   * nothing; unknown ones are left as typed.
+   * @returns {Promise<Object>} { body, missing }
+   */
+  async expand(response, { chat, userId }) {
+    const values = await this.buildVariables(chat, userId);
+    const missing = [];
+
+    const text = response.body.replace(VARIABLE_PATTERN, (placeholder, name) => {
+      if (!VARIABLES.includes(name)) {
+        return placeholder;
+      }
+      if (!values[name]) {
+        missing.push(name);
+      }
+      return values[name] || '';
+    });
+
+    return {
+      body: text,
+      missing: [...new Set(missing)],
+    };
+  }
+
+  async buildVariables(chat, userId) {
+    const [agent, identity] = await Promise.all([
+      User.findByPk(userId, { attributes: ['id', 'email', 'firstName', 'lastName'] }),
+      chat.contact_identity_id
+        ? ContactIdentity.findByPk(chat.contact_identity_id, {
+          include: [{ model: Contact, as: 'contact', attributes: ['display_name'] }],
+        })
+        : null,
+    ]);
+
+    const contactName = (identity?.contact?.display_name || chat.title || '').trim();
+    const [contactFirstName, ...contactLastNames] = contactName.split(/\s+/);
+
+    return {
+      'contact.name': contactName,
+      'contact.first_name': contactFirstName,
+      'contact.last_name': contactLastNames.join(' '),
+      'agent.name': agent ? [agent.firstName, agent.lastName].filter(Boolean).join(' ') : '',
+      'agent.first_name': agent?.firstName,
+      'agent.last_name': agent?.lastName,
+      'agent.email': agent?.email,
+    };
+  }
+
+  serialize(response) {
+    return {
+      id: response.id,
+      shortcut: response.shortcut,
+      title: response.title,
+      body: response.body,
+      scope: response.isShared() ? 'shared' : 'personal',
+      workspace_id: response.workspace_id,
+      user_id: response.user_id,
+      updated_at: response.updatedAt,
+    };
+  }
+}
+
+CannedResponseService.VARIABLES = VARIABLES;
+
+module.exports = CannedResponseService;
@@ -0,0 +1,195 @@
+const config = require('../config');
+const { ChannelChat, ChannelMessage } = require('../models');
+const ContactService = require('./ContactService');
+const ChatStatusService = require('./ChatStatusService');
+const AttachmentService = require('./AttachmentService');
+
+/**
+ * Channel Sync Service
+ *
+ * Copies provider chats and messages into the local database. Used for on-demand
+ * syncs from ChannelsController and incremental background syncs from SyncScheduler.
+ */
+class ChannelSyncService {
+  constructor(
+    providerRegistry,
+    syncConfig = config.sync,
+    chatStatusService = new ChatStatusService(),
+    attachmentService = new AttachmentService(providerRegistry)
+  ) {
+    this.providerRegistry = providerRegistry;
+    this.batchSize = syncConfig.batchSize;
+    this.contactService = new ContactService(providerRegistry);
+    this.chatStatusService = chatStatusService;
+    this.attachmentService = attachmentService;
+  }
+
+  /**
+   * Incremental sync: refresh the latest chats, then pull messages only for chats with
+   * activity after the account's sync cursor (the newest last_message_at seen so far)
+   * @param {Object} account - ChannelAccount
+   * @param {Function} onProgress - Called with { processed, total } after each chat
+   * @returns {Promise<{ chats: number, messages: number, cursor: string|null }>}
+   */
+  async syncAccount(account, onProgress = () => {}) {
+    const adapter = this.providerRegistry.get(account.provider);
+    const since = account.sync_cursor ? new Date(account.sync_cursor) : null;
+
+    const providerChats = await adapter.fetchChats({ account, limit: this.batchSize, offset: 0 });
+    const chats = await this.syncChats(account, providerChats);
+
+    const changedChats = chats.filter(chat =>
+      chat.last_message_at && (!since || new Date(chat.last_message_at) > since)
+    );
+
+    let messageCount = 0;
+    for (const [index, chat] of changedChats.entries()) {
+      const providerMessages = await adapter.fetchMessages({
+        account,
+        chatId: chat.id,
+        limit: this.batchSize,
+        offset: 0,
+      });
+      const messages = await this.syncMessages(account, chat.id, providerMessages);
+      messageCount += messages.length;
+      onProgress({ processed: index + 1, total: changedChats.length });
+    }
+
+    const latest = chats.reduce((max, chat) => {
+      const lastMessageAt = chat.last_message_at ? new Date(chat.last_message_at) : null;
+      return lastMessageAt && (!max || lastMessageAt > max) ? lastMessageAt : max;
+    }, since);
+
+    return {
+      chats: changedChats.length,
+      messages: messageCount,
+      cursor: latest ? latest.toISOString() : null,
+    };
+  }
+
+  /**
+   * Upsert provider chats into the local database, consolidated by the adapter's chat key
+   */
+  async syncChats(account, providerChats) {
+    const adapter = this.providerRegistry.get(account.provider);
+
+    // First, get all existing chats for this account to avoid duplicates
+    const existingChats = await ChannelChat.findAll({
+      where: { account_id: account.id }
+    });
+    
+    // Create a map of existing chats by phone number
+    const existingChatsByPhone = {};
+    existingChats.forEach(chat => {
+      const phoneNumber = chat.chat_info?.phone_number || 'unknown';
+      if (!existingChatsByPhone[phoneNumber]) {
+        existingChatsByPhone[phoneNumber] = chat;
+      }
+    });
+    
+    const chats = [];
+    const processedPhoneNumbers = new Set();
+    
+    for (const providerChat of providerChats) {
+      const normalizedChat = adapter.normalizeChat(providerChat);
+      
+      // Consolidation key from the adapter (phone number for messaging apps)
+      const phoneNumber = adapter.getChatKey(providerChat);
+      const uniqueChatId = `${phoneNumber}_${account.provider}`;
+      
+      // Skip if we've already processed this phone number
+      if (processedPhoneNumbers.has(phoneNumber)) {
+        console.log(`Skipping duplicate chat for phone number: ${phoneNumber}`);
+        continue;
+      }
+      
+      // Check if we already have a chat for this phone number
+      let chat = existingChatsByPhone[phoneNumber];
+      
+      if (chat) {
+        // Update existing chat with latest info
+        chat.title = normalizedChat.title;
+        chat.last_message_at = normalizedChat.last_message_at;
+        chat.chat_info = {
+          ...chat.chat_info,
+          ...normalizedChat.chat_info,
+          original_chat_id: normalizedChat.provider_chat_id,
+          phone_number: phoneNumber,
+        };
+        await chat.save();
+      } else {
+        // Create new chat
+        chat = await ChannelChat.create({
+          account_id: account.id,
+          provider_chat_id: uniqueChatId,
+          title: normalizedChat.title,
+          last_message_at: normalizedChat.last_message_at,
+          chat_info: {
+            ...normalizedChat.chat_info,
+            original_chat_id: normalizedChat.provider_chat_id,
+            phone_number: phoneNumber,
+          },
+          unread_count: normalizedChat.unread_count,
+        });
+      }
+
+      await this.contactService.matchChat(account, chat);
+      chats.push(chat);
+      processedPhoneNumbers.add(phoneNumber);
+    }
+
+    return chats;
+  }
+
+  /**
+   * Upsert provider messages for a local chat. New customer messages reopen the chat
+   * in case their webhook was missed. Media on new messages is downloaded into
+   * attachment storage.
+   */
+  async syncMessages(account, chatId, providerMessages) {
+    const adapter = this.providerRegistry.get(account.provider);
+    const messages = [];
+    let latestInbound = null;
+    
+    for (const providerMessage of providerMessages) {
+      const normalizedMessage = adapter.normalizeMessage(providerMessage);
+      
+      const [message, created] = await ChannelMessage.findOrCreate({
+        where: {
+          chat_id: chatId,
+          provider_msg_id: normalizedMessage.provider_msg_id,
+        },
+        defaults: {
+          chat_id: chatId,
+          ...normalizedMessage,
+        },
+      });
+
+      if (!created) {
+        // Keep the stored attachment entries, which carry their attachment_id
+        const { attachments, ...changes } = normalizedMessage;
+        Object.assign(message, changes);
+        await message.save();
+      } else {
+        await this.attachmentService.ingestInbound(account, message);
+        if (message.direction === 'in'
+          && (!latestInbound || new Date(message.sent_at) > new Date(latestInbound.sent_at))) {
+          latestInbound = message;
+        }
+      }
+
+      messages.push(message);
+    }
+
+    if (latestInbound) {
+      const chat = await ChannelChat.findByPk(chatId);
+      if (chat) {
+        await this.chatStatusService.reopenOnInbound(account, chat, latestInbound);
+      }
+    }
+
+    return messages;
+  }
+}
+
+module.exports = ChannelSyncService;
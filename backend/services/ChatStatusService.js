@@ -0,0 +1,132 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { ChannelAccount, ChannelChat } = require('../models');
+
+const STATUSES = ['open', 'pending', 'snoozed', 'closed'];
+
+/**
+ * Chat Status Service
+ *
+ * Moves conversations through open, pending (waiting on the customer), snoozed and
+ * closed. Snoozed chats return to open at snoozed_until; any new inbound message
+ * reopens a chat. Changes are announced to the account's Socket.io room as chat_status.
+ */
+class ChatStatusService {
+  constructor(io = null, statusConfig = config.chatStatus) {
+    this.io = io;
+    this.sweepIntervalMs = statusConfig.snoozeSweepIntervalMs;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => {
+      this.wakeSnoozed().catch(error => console.error('Error waking snoozed chats:', error));
+    }, this.sweepIntervalMs);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Validate a requested status change
+   * @returns {Date|null} The snooze end for snoozed, else null
+   */
+  parseChange(status, snoozedUntil) {
+    if (!STATUSES.includes(status)) {
+      const error = new Error(`status must be one of: ${STATUSES.join(', ')}`);
+      error.status = 400;
+      error.code = 'INVALID_STATUS';
+      throw error;
+    }
+
+    if (status !== 'snoozed') {
+      return null;
+    }
+
+    const until = snoozedUntil ? new Date(snoozedUntil) : null;
+    if (!until || Number.isNaN(until.getTime()) || until <= new Date()) {
+      const error = new Error('snoozed_until must be a time in the future');
+      error.status = 400;
+      error.code = 'INVALID_SNOOZE_UNTIL';
+      throw error;
+    }
+    return until;
+  }
+
+  /**
+   * Change the status of chats on one account
+   */
+  async setStatus(account, chats, status, snoozedUntil = null) {
+    const until = this.parseChange(status, snoozedUntil);
+
+    for (const chat of chats) {
+      await chat.setStatus(status, until);
+      this.emitStatus(account, chat);
+    }
+    return chats;
+  }
+
+  /**
+   * Reopen a chat when a customer message arrives after it was set aside.
+   * Backfilled messages older than the last status change leave it alone.
+   * @returns {Promise<boolean>} Whether the chat was reopened
+   */
+  async reopenOnInbound(account, chat, message, { transaction } = {}) {
+    if (message.direction !== 'in' || chat.status === 'open') {
+      return false;
+    }
+    if (chat.status_changed_at && new Date(message.sent_at) <= new Date(chat.status_changed_at)) {
+      return false;
+    }
+
+    await chat.setStatus('open', null, { transaction });
+    // Inside a transaction, announce the change only once it is committed
+    if (transaction) {
+      transaction.afterCommit(() => this.emitStatus(account, chat));
+    } else {
+      this.emitStatus(account, chat);
+    }
+    return true;
+  }
+
+  /**
+   * Return chats whose snooze has ended to open
+   */
+  async wakeSnoozed() {
+    const chats = await ChannelChat.findAll({
+      where: { status: 'snoozed', snoozed_until: { [Op.lte]: new Date() } },
+      include: [{ model: ChannelAccount, as: 'account', required: true }],
+    });
+
+    for (const chat of chats) {
+      await chat.setStatus('open');
+      this.emitStatus(chat.account, chat);
+    }
+
+    if (chats.length > 0) {
+      console.log(`⏰ Woke ${chats.length} snoozed chat(s)`);
+    }
+    return chats.length;
+  }
+
+  emitStatus(account, chat) {
+    if (!this.io) return;
+
+    this.io.to(account.getRoom()).emit('chat_status', {
+      chat_id: chat.id,
+      account_id: account.id,
+      provider: account.provider,
+      status: chat.status,
+      snoozed_until: chat.snoozed_until,
+      status_changed_at: chat.status_changed_at,
+    });
+  }
+}
+
+ChatStatusService.STATUSES = STATUSES;
+
+module.exports = ChatStatusService;
@@ -0,0 +1,313 @@
+const { Op, QueryTypes, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Contact, ContactIdentity, ChannelChat, ChannelAccount } = require('../models');
+
+const MAX_LIMIT = 100;
+
+/**
+ * Contact Service
+ *
+ * A Contact is one person behind chats on several channels. Each chat is linked to a
+ * ContactIdentity (phone number, email address, Instagram or Telegram handle) and each
+ * identity belongs to one contact, so merging or splitting contacts only moves identities
+ * and the chats follow.
+ *
+ * Contacts belong to the owner of the accounts their chats came in on. Workspace members
+ * see a contact when one of its chats is on an account shared with them, and only those chats.
+ */
+class ContactService {
+  constructor(providerRegistry) {
+    this.providerRegistry = providerRegistry;
+  }
+
+  /**
+   * Canonical form of an identifier so the same person matches across chats
+   */
+  normalizeIdentity(type, value) {
+    const text = String(value || '').trim();
+    switch (type) {
+      case 'phone':
+        return text.replace(/\D/g, '');
+      case 'email': {
+        const bracketed = text.match(/<([^>]+)>/);
+        return (bracketed ? bracketed[1] : text).trim().toLowerCase();
+      }
+      default:
+        return text.replace(/^@/, '').toLowerCase();
+    }
+  }
+
+  /**
+   * Link a chat to the contact behind it, creating the contact on first sight.
+   * Matching never blocks message processing; failures are logged and retried on the next message.
+   * @param {Object} account - ChannelAccount the chat belongs to
+   * @param {Object} chat - ChannelChat
+   * @returns {Promise<Object|null>} The ContactIdentity, or null when the chat has none
+   */
+  async matchChat(account, chat) {
+    if (chat.contact_identity_id) {
+      return null;
+    }
+
+    try {
+      const identity = this.providerRegistry.get(account.provider).getContactIdentity(chat);
+      if (!identity) {
+        return null;
+      }
+
+      const contactIdentity = await this.resolveIdentity(account.user_id, identity);
+      if (!contactIdentity) {
+        return null;
+      }
+
+      chat.contact_identity_id = contactIdentity.id;
+      await chat.save();
+      return contactIdentity;
+    } catch (error) {
+      console.error(`Error matching chat ${chat.id} to a contact:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find the user's identity for { type, value }, creating it and a new contact if needed
+   */
+  async resolveIdentity(userId, { type, value, name }) {
+    const normalized = this.normalizeIdentity(type, value);
+    if (!normalized) {
+      return null;
+    }
+
+    const where = { user_id: userId, type, value: normalized };
+    const existing = await ContactIdentity.findOne({ where });
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const contact = await Contact.create({
+          user_id: userId,
+          display_name: name || value,
+        }, { transaction });
+
+        return ContactIdentity.create({
+          ...where,
+          contact_id: contact.id,
+          display_name: name,
+        }, { transaction });
+      });
+    } catch (error) {
+      // Another message for the same person created it first
+      if (error instanceof UniqueConstraintError) {
+        return ContactIdentity.findOne({ where });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Where clause for contacts the user can see: their own, plus those with a chat on an
+   * account shared with them
+   */
+  accessibleContacts(userId) {
+    return {
+      [Op.or]: [
+        { user_id: userId },
+        {
+          id: {
+            [Op.in]: sequelize.literal(`(
+              SELECT i.contact_id FROM channels_contact_identity i
+              JOIN channels_chat c ON c.contact_identity_id = i.id
+              JOIN channels_account a ON a.id = c.account_id
+              WHERE ${ChannelAccount.accessibleSql('a', userId)}
+            )`),
+          },
+        },
+      ],
+    };
+  }
+
+  /**
+   * List the user's contacts, most recently active first
+   * @param {Object} params - { q, limit, offset }
+   */
+  async listContacts(userId, params = {}) {
+    const limit = Math.min(parseInt(params.limit) || 50, MAX_LIMIT);
+    const offset = parseInt(params.offset) || 0;
+    const query = (params.q || '').trim();
+    const replacements = { userId, limit, offset };
+
+    if (query) {
+      replacements.pattern = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+    }
+
+    return sequelize.query(`
+      SELECT
+        ct.id, ct.display_name, ct.timezone,
+        MAX(c.last_message_at) AS last_message_at,
+        COALESCE(SUM(c.unread_count), 0)::int AS unread_count,
+        array_remove(array_agg(DISTINCT a.provider::text), NULL) AS providers
+      FROM channels_contact ct
+      LEFT JOIN channels_contact_identity i ON i.contact_id = ct.id
+      LEFT JOIN (
+        channels_chat c
+        JOIN channels_account a ON a.id = c.account_id AND ${ChannelAccount.accessibleSql('a', userId)}
+      ) ON c.contact_identity_id = i.id
+      -- Other users' contacts are listed through the chats shared with this user
+      WHERE (ct.user_id = :userId OR c.id IS NOT NULL)
+        ${query ? `AND (ct.display_name ILIKE :pattern OR EXISTS (
+          SELECT 1 FROM channels_contact_identity si
+          WHERE si.contact_id = ct.id AND si.value ILIKE :pattern
+        ))` : ''}
+      GROUP BY ct.id
+      ORDER BY last_message_at DESC NULLS LAST, ct.id
+      LIMIT :limit OFFSET :offset
+    `, {
+      replacements,
+      type: QueryTypes.SELECT,
+    });
+  }
+
+  /**
+   * Load a contact the user can see with its identities and the chats they can access
+   * @throws {Error} 404 when the contact does not exist or is not visible to the user
+   */
+  async getContact(userId, contactId) {
+    const contact = await Contact.findOne({
+      where: { id: contactId, ...this.accessibleContacts(userId) },
+      include: [{
+        model: ContactIdentity,
+        as: 'identities',
+        include: [{
+          model: ChannelChat,
+          as: 'chats',
+          include: [{
+            model: ChannelAccount,
+            as: 'account',
+            attributes: ['id', 'provider', 'user_id', 'workspace_id'],
+            required: true,
+            where: ChannelAccount.accessibleBy(userId),
+          }],
+        }],
+      }],
+    });
+
+    if (!contact) {
+      const error = new Error('Contact not found');
+      error.status = 404;
+      throw error;
+    }
+    return contact;
+  }
+
+  /**
+   * IDs of the chats linked to a contact that the user can access
+   */
+  async getChatIds(userId, contactId) {
+    const chats = await ChannelChat.findAll({
+      attributes: ['id'],
+      include: [{
+        model: ContactIdentity,
+        as: 'contactIdentity',
+        required: true,
+        attributes: [],
+        where: { contact_id: contactId },
+      }, {
+        model: ChannelAccount,
+        as: 'account',
+        required: true,
+        attributes: [],
+        where: ChannelAccount.accessibleBy(userId),
+      }],
+    });
+    return chats.map(chat => chat.id);
+  }
+
+  /**
+   * Merge other contacts into a target. Their identities (and chats) move to the target,
+   * which keeps its own name and time zone, and the emptied contacts are deleted.
+   */
+  async merge(userId, targetId, sourceIds = []) {
+    const ids = [...new Set(sourceIds)].filter(id => id !== targetId);
+    if (ids.length === 0) {
+      const error = new Error('contact_ids must list at least one other contact');
+      error.status = 400;
+      error.code = 'NO_CONTACTS_TO_MERGE';
+      throw error;
+    }
+
+    const target = await this.getContact(userId, targetId);
+    const sources = await Contact.findAll({ where: { id: ids, ...this.accessibleContacts(userId) } });
+    if (sources.length !== ids.length) {
+      const error = new Error('Contact not found');
+      error.status = 404;
+      throw error;
+    }
+    // Identities stay with the user whose accounts they came from
+    if (sources.some(source => source.user_id !== target.user_id)) {
+      const error = new Error('Only contacts of the same account owner can be merged');
+      error.status = 400;
+      error.code = 'CONTACT_OWNER_MISMATCH';
+      throw error;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await ContactIdentity.update(
+        { contact_id: target.id },
+        { where: { contact_id: ids }, transaction }
+      );
+
+      const fallback = sources.find(source => source.timezone);
+      if (!target.timezone && fallback) {
+        target.timezone = fallback.timezone;
+      }
+      target.metadata = Object.assign({}, ...sources.map(source => source.metadata), target.metadata);
+      await target.save({ transaction });
+
+      await Contact.destroy({ where: { id: ids }, transaction });
+    });
+
+    return this.getContact(userId, target.id);
+  }
+
+  /**
+   * Move some of a contact's identities (and their chats) to a new contact
+   * @returns {Promise<Object>} The new contact
+   */
+  async split(userId, contactId, identityIds = []) {
+    const contact = await this.getContact(userId, contactId);
+    const ids = [...new Set(identityIds)];
+    const moving = contact.identities.filter(identity => ids.includes(identity.id));
+
+    if (ids.length === 0 || moving.length !== ids.length) {
+      const error = new Error('identity_ids must list identities of this contact');
+      error.status = 400;
+      error.code = 'INVALID_IDENTITIES';
+      throw error;
+    }
+    if (moving.length === contact.identities.length) {
+      const error = new Error('At least one identity must stay with the contact');
+      error.status = 400;
+      error.code = 'CANNOT_SPLIT_ALL_IDENTITIES';
+      throw error;
+    }
+
+    const newContact = await sequelize.transaction(async (transaction) => {
+      const created = await Contact.create({
+        user_id: contact.user_id,
+        display_name: moving[0].display_name || moving[0].value,
+      }, { transaction });
+
+      await ContactIdentity.update(
+        { contact_id: created.id },
+        { where: { id: { [Op.in]: ids }, contact_id: contact.id }, transaction }
+      );
+      return created;
+    });
+
+    return this.getContact(userId, newContact.id);
+  }
+}
+
+module.exports = ContactService;
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Credential Encryption Service
+ *
+ * Envelope encryption for provider credentials. Each value gets its own random data
+ * key; the data key is wrapped with a master key from the environment and stored
+ * alongside the ciphertext. The master key ID is stored per row, so rotating keys
+ * only re-wraps data keys and old keys stay usable until every row has moved.
+ *
+ * Keys come from CREDENTIALS_ENCRYPTION_KEYS as comma-separated `keyId:base64Key`
+ * pairs (32-byte keys); CREDENTIALS_ENCRYPTION_KEY_ID picks the one used for writes.
+ */
+class CredentialEncryptionService {
+  constructor(encryptionConfig = config.encryption) {
+    this.keys = this.parseKeys(encryptionConfig.keys);
+    this.currentKeyId = encryptionConfig.currentKeyId || Object.keys(this.keys)[0];
+
+    if (Object.keys(this.keys).length === 0) {
+      // Development fallback so a fresh checkout runs; never rely on this in production
+      console.warn('⚠️  CREDENTIALS_ENCRYPTION_KEYS is not set; using a key derived from JWT_SECRET');
+      this.keys = { default: crypto.createHash('sha256').update(config.jwt.secret).digest() };
+      this.currentKeyId = 'default';
+    }
+
+    if (!this.keys[this.currentKeyId]) {
+      throw new Error(`Encryption key not configured: ${this.currentKeyId}`);
+    }
+  }
+
+  parseKeys(keyring = '') {
+    return keyring
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .reduce((keys, entry) => {
+        const separator = entry.indexOf(':');
+        const keyId = entry.slice(0, separator);
+        const key = Buffer.from(entry.slice(separator + 1), 'base64');
+        if (separator < 1 || key.length !== 32) {
+          throw new Error(`Invalid encryption key entry: ${keyId || entry.slice(0, 8)}`);
+        }
+        keys[keyId] = key;
+        return keys;
+      }, {});
+  }
+
+  getKey(keyId) {
+    const key = this.keys[keyId];
+    if (!key) {
+      const error = new Error(`Encryption key not configured: ${keyId}`);
+      error.status = 500;
+      error.code = 'ENCRYPTION_KEY_NOT_FOUND';
+      throw error;
+    }
+    return key;
+  }
+
+  isEnvelope(value) {
+    return !!value && value.v === ENVELOPE_VERSION && !!value.key && !!value.data;
+  }
+
+  /**
+   * Encrypt a JSON value under a fresh data key
+   * @returns {{ keyId: string, envelope: Object }}
+   */
+  encrypt(value, keyId = this.currentKeyId) {
+    const dataKey = crypto.randomBytes(32);
+    const envelope = {
+      v: ENVELOPE_VERSION,
+      alg: ALGORITHM,
+      key: this.seal(this.getKey(keyId), dataKey),
+      data: this.seal(dataKey, Buffer.from(JSON.stringify(value), 'utf8')),
+    };
+    return { keyId, envelope };
+  }
+
+  decrypt(envelope, keyId) {
+    const dataKey = this.open(this.getKey(keyId), envelope.key);
+    return JSON.parse(this.open(dataKey, envelope.data).toString('utf8'));
+  }
+
+  /**
+   * Re-wrap the data key under another master key; the ciphertext is unchanged
+   */
+  rewrap(envelope, fromKeyId, toKeyId = this.currentKeyId) {
+    const dataKey = this.open(this.getKey(fromKeyId), envelope.key);
+    return {
+      keyId: toKeyId,
+      envelope: { ...envelope, key: this.seal(this.getKey(toKeyId), dataKey) },
+    };
+  }
+
+  seal(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ct: ciphertext.toString('base64'),
+    };
+  }
+
+  open(key, sealed) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.ct, 'base64')), decipher.final()]);
+  }
+}
+
+module.exports = CredentialEncryptionService;
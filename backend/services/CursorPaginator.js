@@ -0,0 +1,102 @@
+const { Op } = require('sequelize');
+
+/**
+ * Cursor Paginator
+ *
+ * Keyset pagination over (timestamp, id), newest first. Cursors are opaque base64url
+ * strings encoding the last row of the previous page, so pages stay stable while new
+ * rows arrive, unlike limit/offset.
+ */
+class CursorPaginator {
+  /**
+   * @param {Object} options - { timeField, defaultLimit, maxLimit }
+   */
+  constructor({ timeField, defaultLimit = 50, maxLimit = 100 }) {
+    this.timeField = timeField;
+    this.defaultLimit = defaultLimit;
+    this.maxLimit = maxLimit;
+  }
+
+  parseLimit(limit) {
+    const parsed = parseInt(limit) || this.defaultLimit;
+    return Math.max(1, Math.min(parsed, this.maxLimit));
+  }
+
+  encode(row) {
+    const time = row[this.timeField];
+    const payload = { t: time ? new Date(time).toISOString() : null, id: row.id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  decode(cursor) {
+    try {
+      const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!payload.id || (payload.t !== null && Number.isNaN(new Date(payload.t).getTime()))) {
+        throw new Error('Malformed cursor');
+      }
+      return payload;
+    } catch (e) {
+      const error = new Error('Invalid pagination cursor');
+      error.status = 400;
+      error.code = 'INVALID_CURSOR';
+      throw error;
+    }
+  }
+
+  /**
+   * Where clause selecting rows strictly after the cursor in (time DESC NULLS LAST, id DESC) order
+   */
+  where(cursor) {
+    if (!cursor) return {};
+
+    const { t, id } = this.decode(cursor);
+    const field = this.timeField;
+
+    if (t === null) {
+      return { [field]: null, id: { [Op.lt]: id } };
+    }
+
+    const time = new Date(t);
+    return {
+      [Op.or]: [
+        { [field]: { [Op.lt]: time } },
+        { [field]: time, id: { [Op.lt]: id } },
+        { [field]: null },
+      ],
+    };
+  }
+
+  order() {
+    return [[this.timeField, 'DESC NULLS LAST'], ['id', 'DESC']];
+  }
+
+  /**
+   * Build findAll options for one page; fetches one extra row to detect a following page
+   * @param {Object} where - Base where clause
+   * @param {Object} params - { cursor, limit }
+   */
+  query(where, { cursor, limit } = {}) {
+    const pageSize = this.parseLimit(limit);
+    return {
+      where: { [Op.and]: [where, this.where(cursor)] },
+      order: this.order(),
+      limit: pageSize + 1,
+    };
+  }
+
+  /**
+   * Trim the extra row from a query() result
+   * @returns {{ rows: Array, nextCursor: string|null }}
+   */
+  page(rows, limit) {
+    const pageSize = this.parseLimit(limit);
+    const hasMore = rows.length > pageSize;
+    const pageRows = hasMore ? rows.slice(0, pageSize) : rows;
+    return {
+      rows: pageRows,
+      nextCursor: hasMore ? this.encode(pageRows[pageRows.length - 1]) : null,
+    };
+  }
+}
+
+module.exports = CursorPaginator;
@@ -1,5 +1,5 @@
 const { google } = require('googleapis');
-const { Client } = require('@azure/msal-node');
+const axios = require('axios');
 const config = require('../config');
 
 class EmailService {
@@ -29,27 +29,20 @@ class EmailService {
    * Initialize Microsoft Graph client
    */
   createMicrosoftClient(credentials) {
-    const msalConfig = {
-      auth: {
-        clientId: this.microsoftConfig.clientId,
-        clientSecret: this.microsoftConfig.clientSecret,
-        authority: 'https://login.microsoftonline.com/common',
+    return axios.create({
+      baseURL: this.microsoftConfig.graphBaseUrl,
+      headers: {
+        Authorization: `Bearer ${credentials.access_token}`,
+        // Immutable IDs survive the move from Drafts to Sent Items
+        Prefer: 'IdType="ImmutableId"',
       },
-    };
-
-    const cca = new Client(msalConfig);
-    
-    if (credentials.access_token) {
-      cca.setCredentials(credentials);
-    }
-
-    return cca;
+    });
   }
 
   /**
    * Get Gmail authorization URL
    */
-  getGmailAuthUrl() {
+  getGmailAuthUrl(state) {
     const oauth2Client = new google.auth.OAuth2(
       this.gmailConfig.clientId,
       this.gmailConfig.clientSecret,
@@ -60,6 +53,7 @@ class EmailService {
       access_type: 'offline',
       scope: this.gmailConfig.scopes,
       prompt: 'consent',
+      state,
     });
 
     return authUrl;
@@ -68,23 +62,20 @@ class EmailService {
   /**
    * Get Microsoft authorization URL
    */
-  getMicrosoftAuthUrl() {
-    const msalConfig = {
-      auth: {
-        clientId: this.microsoftConfig.clientId,
-        clientSecret: this.microsoftConfig.clientSecret,
-        authority: 'https://login.microsoftonline.com/common',
-      },
-    };
-
-    const cca = new Client(msalConfig);
-    
-    const authUrl = cca.getAuthCodeUrl({
-      scopes: this.microsoftConfig.scopes,
-      redirectUri: this.microsoftConfig.redirectUri,
+  getMicrosoftAuthUrl(state) {
+    const params = new URLSearchParams({
+      client_id: this.microsoftConfig.clientId,
+      response_type: 'code',
+      response_mode: 'query',
+      redirect_uri: this.microsoftConfig.redirectUri,
+      scope: this.microsoftConfig.scopes.join(' '),
+      prompt: 'select_account',
     });
+    if (state) {
+      params.set('state', state);
+    }
 
-    return authUrl;
+    return `${this.microsoftConfig.authority}/oauth2/v2.0/authorize?${params}`;
   }
 
   /**
@@ -123,35 +114,52 @@ class EmailService {
    */
   async exchangeMicrosoftCode(code) {
     try {
-      const msalConfig = {
-        auth: {
-          clientId: this.microsoftConfig.clientId,
-          clientSecret: this.microsoftConfig.clientSecret,
-          authority: 'https://login.microsoftonline.com/common',
-        },
-      };
-
-      const cca = new Client(msalConfig);
-      
-      const tokenResponse = await cca.acquireTokenByCode({
+      const tokens = await this.requestMicrosoftToken({
+        grant_type: 'authorization_code',
         code,
-        scopes: this.microsoftConfig.scopes,
-        redirectUri: this.microsoftConfig.redirectUri,
+        redirect_uri: this.microsoftConfig.redirectUri,
+      });
+
+      // Get user info
+      const client = this.createMicrosoftClient(tokens);
+      const { data: profile } = await client.get('/me', {
+        params: { $select: 'mail,userPrincipalName,displayName' },
       });
 
       return {
-        access_token: tokenResponse.accessToken,
-        refresh_token: tokenResponse.refreshToken,
-        expires_in: tokenResponse.expiresOn - Date.now(),
-        email: tokenResponse.account?.username,
-        tokens: tokenResponse,
+        ...tokens,
+        email: profile.mail || profile.userPrincipalName,
+        name: profile.displayName,
       };
     } catch (error) {
-      console.error('Error exchanging Microsoft code:', error);
+      console.error('Error exchanging Microsoft code:', error.response?.data || error);
       throw error;
     }
   }
 
+  /**
+   * Call the Microsoft identity platform token endpoint
+   */
+  async requestMicrosoftToken(params) {
+    const response = await axios.post(
+      `${this.microsoftConfig.authority}/oauth2/v2.0/token`,
+      new URLSearchParams({
+        client_id: this.microsoftConfig.clientId,
+        client_secret: this.microsoftConfig.clientSecret,
+        scope: this.microsoftConfig.scopes.join(' '),
+        ...params,
+      })
+    );
+    const tokens = response.data;
+
+    return {
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token,
+      expires_in: tokens.expires_in * 1000,
+      tokens,
+    };
+  }
+
   /**
    * Refresh Gmail tokens
    */
@@ -186,29 +194,17 @@ class EmailService {
    */
   async refreshMicrosoftTokens(credentials) {
     try {
-      const msalConfig = {
-        auth: {
-          clientId: this.microsoftConfig.clientId,
-          clientSecret: this.microsoftConfig.clientSecret,
-          authority: 'https://login.microsoftonline.com/common',
-        },
-      };
-
-      const cca = new Client(msalConfig);
-      
-      const tokenResponse = await cca.acquireTokenSilent({
-        scopes: this.microsoftConfig.scopes,
-        account: credentials.account,
+      const tokens = await this.requestMicrosoftToken({
+        grant_type: 'refresh_token',
+        refresh_token: credentials.refresh_token,
       });
 
       return {
-        access_token: tokenResponse.accessToken,
-        refresh_token: tokenResponse.refreshToken,
-        expires_in: tokenResponse.expiresOn - Date.now(),
-        tokens: tokenResponse,
+        ...tokens,
+        refresh_token: tokens.refresh_token || credentials.refresh_token,
       };
     } catch (error) {
-      console.error('Error refreshing Microsoft tokens:', error);
+      console.error('Error refreshing Microsoft tokens:', error.response?.data || error);
       throw error;
     }
   }
@@ -244,22 +240,70 @@ class EmailService {
     }
   }
 
+  /**
+   * Download the bytes of a Gmail attachment
+   */
+  async getGmailAttachment(credentials, messageId, attachmentId) {
+    try {
+      const gmail = this.createGmailClient(credentials);
+
+      const response = await gmail.users.messages.attachments.get({
+        userId: 'me',
+        messageId,
+        id: attachmentId,
+      });
+
+      return Buffer.from(response.data.data, 'base64url');
+    } catch (error) {
+      console.error('Error getting Gmail attachment:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get Microsoft messages
    */
   async getMicrosoftMessages(credentials, filter = '', top = 50) {
     try {
       const client = this.createMicrosoftClient(credentials);
-      
-      const response = await client.api('/me/messages').filter(filter).top(top).get();
-      
-      return response.value.map(message => this.normalizeMicrosoftMessage(message));
+
+      // Graph rejects $orderby on a property that is not in $filter, so only sort unfiltered lists
+      const response = await client.get('/me/messages', {
+        params: filter
+          ? { $filter: filter, $top: top }
+          : { $orderby: 'receivedDateTime desc', $top: top },
+      });
+
+      return response.data.value
+        .filter(message => !message.isDraft)
+        .map(message => this.normalizeMicrosoftMessage(message, credentials.email));
     } catch (error) {
-      console.error('Error getting Microsoft messages:', error);
+      console.error('Error getting Microsoft messages:', error.response?.data || error);
       throw error;
     }
   }
 
+  /**
+   * Get a single Microsoft message
+   */
+  async getMicrosoftMessage(credentials, messageId) {
+    const client = this.createMicrosoftClient(credentials);
+    const response = await client.get(`/me/messages/${messageId}`);
+    return this.normalizeMicrosoftMessage(response.data, credentials.email);
+  }
+
+  /**
+   * Get Microsoft messages in one conversation, oldest first
+   */
+  async getMicrosoftConversation(credentials, conversationId, top = 50) {
+    const messages = await this.getMicrosoftMessages(
+      credentials,
+      `conversationId eq '${String(conversationId).replace(/'/g, "''")}'`,
+      top
+    );
+    return messages.sort((a, b) => a.sent_at - b.sent_at);
+  }
+
   /**
    * Send Gmail message
    */
@@ -285,21 +329,51 @@ class EmailService {
 
   /**
    * Send Microsoft message
+   * Sent as a draft first so the message ID is known. With replyToId the draft is a reply,
+   * which keeps it in the original conversation.
    */
-  async sendMicrosoftMessage(credentials, messageData) {
+  async sendMicrosoftMessage(credentials, messageData, replyToId = null) {
     try {
       const client = this.createMicrosoftClient(credentials);
-      
-      const message = this.createMicrosoftMessage(messageData);
-      
-      const response = await client.api('/me/sendMail').post({
-        message,
-        saveToSentItems: true,
-      });
+      const { attachments, ...message } = this.createMicrosoftMessage(messageData);
+
+      let draft;
+      if (replyToId) {
+        ({ data: draft } = await client.post(`/me/messages/${replyToId}/createReply`, {}));
+        // createReply fills in recipients and subject; override only what was given
+        await client.patch(`/me/messages/${draft.id}`, message);
+      } else {
+        ({ data: draft } = await client.post('/me/messages', message));
+      }
 
-      return response;
+      for (const attachment of attachments) {
+        await client.post(`/me/messages/${draft.id}/attachments`, attachment);
+      }
+
+      await client.post(`/me/messages/${draft.id}/send`);
+
+      return {
+        id: draft.id,
+        conversation_id: draft.conversationId,
+      };
     } catch (error) {
-      console.error('Error sending Microsoft message:', error);
+      console.error('Error sending Microsoft message:', error.response?.data || error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark Microsoft messages as read
+   */
+  async markMicrosoftMessagesRead(credentials, messageIds) {
+    try {
+      const client = this.createMicrosoftClient(credentials);
+      for (const messageId of messageIds) {
+        await client.patch(`/me/messages/${messageId}`, { isRead: true });
+      }
+      return true;
+    } catch (error) {
+      console.error('Error marking Microsoft messages as read:', error.response?.data || error);
       throw error;
     }
   }
@@ -335,16 +409,20 @@ class EmailService {
   /**
    * Normalize Microsoft message
    */
-  normalizeMicrosoftMessage(microsoftMessage) {
+  normalizeMicrosoftMessage(microsoftMessage, ownEmail = null) {
+    const fromAddress = microsoftMessage.from?.emailAddress?.address;
+    const isOwn = !!ownEmail && fromAddress?.toLowerCase() === ownEmail.toLowerCase();
+
     return {
       id: microsoftMessage.id,
       provider: 'email',
-      direction: 'in',
+      direction: isOwn ? 'out' : 'in',
       body: microsoftMessage.body?.content || '',
       subject: microsoftMessage.subject || '',
       sent_at: new Date(microsoftMessage.receivedDateTime),
       provider_msg_id: microsoftMessage.id,
       provider_metadata: {
+        thread_id: microsoftMessage.conversationId,
         conversation_id: microsoftMessage.conversationId,
         is_read: microsoftMessage.isRead,
         importance: microsoftMessage.importance,
@@ -433,9 +511,9 @@ class EmailService {
         contentType: 'HTML',
         content: body,
       },
-      toRecipients: to.map(email => ({ emailAddress: { address: email } })),
-      ccRecipients: cc?.map(email => ({ emailAddress: { address: email } })),
-      bccRecipients: bcc?.map(email => ({ emailAddress: { address: email } })),
+      toRecipients: this.toMicrosoftRecipients(to),
+      ccRecipients: this.toMicrosoftRecipients(cc),
+      bccRecipients: this.toMicrosoftRecipients(bcc),
       attachments: attachments.map(att => ({
         '@odata.type': '#microsoft.graph.fileAttachment',
         name: att.filename,
@@ -444,6 +522,20 @@ class EmailService {
       })),
     };
   }
+
+  /**
+   * Accept a comma-separated string or an array of addresses
+   */
+  toMicrosoftRecipients(addresses) {
+    if (!addresses) {
+      return undefined;
+    }
+    const list = Array.isArray(addresses) ? addresses : String(addresses).split(',');
+    return list
+      .map(email => email.trim())
+      .filter(Boolean)
+      .map(email => ({ emailAddress: { address: email } }));
+  }
 }
 
 module.exports = EmailService;
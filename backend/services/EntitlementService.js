@@ -1,5 +1,6 @@
 const config = require('../config');
-const { User, ChannelEntitlement, ChannelUsage } = require('../models');
+const { Op } = require('sequelize');
+const { User, ChannelAccount, ChannelEntitlement, ChannelUsage } = require('../models');
 
 class EntitlementService {
   constructor() {
@@ -25,6 +26,7 @@ class EntitlementService {
         whatsapp: false,
         instagram: false,
         email: false,
+        telegram: false,
       };
 
       // Check plan-based entitlements
@@ -46,6 +48,15 @@ class EntitlementService {
         }
       });
 
+      // Channels shared through a workspace are covered by the account owner's plan
+      const sharedAccounts = await ChannelAccount.findAll({
+        where: { ...ChannelAccount.accessibleBy(userId), user_id: { [Op.ne]: userId } },
+        attributes: ['provider'],
+      });
+      sharedAccounts.forEach(account => {
+        access[account.provider] = true;
+      });
+
       return {
         access,
         plan,
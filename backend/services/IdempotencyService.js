@@ -0,0 +1,90 @@
+const { sequelize } = require('../config/database');
+const { ProcessedEvent } = require('../models');
+
+/**
+ * Idempotency Service
+ *
+ * Providers redeliver webhooks, so every event is keyed on the provider's own
+ * event/message ID and recorded once it has been processed. Replays of a
+ * recorded key are skipped.
+ */
+class IdempotencyService {
+  /**
+   * Derive the idempotency key for a webhook payload
+   * @param {string} source - Webhook source (unipile, email, stripe)
+   * @param {Object} payload - Raw webhook body
+   * @returns {string|null} Key, or null when the payload carries no usable ID
+   */
+  getEventKey(source, payload = {}) {
+    switch (source) {
+      case 'unipile': {
+        const data = payload.data || payload;
+        const id = payload.event_id
+          || data.message_id
+          || data.message?.id
+          || data.id;
+        return id ? `${payload.event || 'event'}:${id}` : null;
+      }
+      case 'email': {
+        // Message IDs are only unique per mailbox (IMAP Message-IDs repeat across recipients)
+        const { accountId, messageId } = payload.data || {};
+        return messageId ? `${payload.provider}:${payload.event}:${accountId}:${messageId}` : null;
+      }
+      case 'stripe':
+        return payload.id || null;
+      case 'telegram': {
+        const updateId = payload.update?.update_id;
+        return updateId !== undefined ? `${payload.bot_id}:${updateId}` : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check whether an event key has already been processed
+   */
+  async isProcessed(source, eventKey) {
+    if (!eventKey) return false;
+    return ProcessedEvent.isProcessed(source, eventKey);
+  }
+
+  /**
+   * Record an event key as processed
+   */
+  async markProcessed(source, eventKey, webhookEventId = null) {
+    if (!eventKey) return null;
+    return ProcessedEvent.markProcessed(source, eventKey, webhookEventId);
+  }
+
+  /**
+   * Run a handler once per event key. A transaction-scoped advisory lock on the key makes
+   * concurrent deliveries of the same event wait, so the check, the handler and the mark
+   * act as one step. The event is only marked once the handler succeeds.
+   * @returns {Promise<{ duplicate: boolean, result?: any }>}
+   */
+  async runOnce(source, eventKey, handler, webhookEventId = null) {
+    if (!eventKey) {
+      return { duplicate: false, result: await handler() };
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:lockKey))', {
+        replacements: { lockKey: `${source}:${eventKey}` },
+        transaction,
+      });
+
+      if (await ProcessedEvent.isProcessed(source, eventKey, { transaction })) {
+        console.log(`🔁 Skipping already processed ${source} event: ${eventKey}`);
+        return { duplicate: true };
+      }
+
+      const result = await handler();
+      await ProcessedEvent.markProcessed(source, eventKey, webhookEventId, { transaction });
+
+      return { duplicate: false, result };
+    });
+  }
+}
+
+module.exports = IdempotencyService;
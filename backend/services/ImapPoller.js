@@ -0,0 +1,85 @@
+const config = require('../config');
+const ImapSmtpService = require('./ImapSmtpService');
+const { ChannelAccount } = require('../models');
+
+/**
+ * IMAP Poller
+ *
+ * Generic IMAP mailboxes cannot push notifications, so connected accounts are
+ * polled for UIDs above the last one seen. Each new message is handed to
+ * onMessage (the webhook queue in server.js) and the UID cursor is saved on
+ * connection_data once the batch is queued.
+ */
+class ImapPoller {
+  constructor(onMessage, pollerConfig = config.platforms.imap) {
+    this.onMessage = onMessage;
+    this.intervalMs = pollerConfig.pollIntervalMs;
+    this.imapSmtpService = new ImapSmtpService();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  start() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.pollAll(), this.intervalMs);
+    console.log(`📬 IMAP poller started (every ${this.intervalMs}ms)`);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Poll every connected IMAP account. Skips a tick while the previous one is still running.
+   */
+  async pollAll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      // connection_data is encrypted, so the mailbox type is checked after loading
+      const accounts = (await ChannelAccount.findAll({
+        where: { provider: 'email', status: 'connected' },
+      })).filter(account => account.connection_data.email_provider === 'imap');
+
+      for (const account of accounts) {
+        try {
+          await this.pollAccount(account);
+        } catch (error) {
+          console.error(`Error polling IMAP account ${account.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading IMAP accounts:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Queue messages that arrived since the account's last seen UID
+   * @returns {Promise<number>} Number of new messages
+   */
+  async pollAccount(account) {
+    const connectionData = account.connection_data;
+    const { messages, lastUid, uidValidity } = await this.imapSmtpService.getMessagesSince(
+      connectionData,
+      connectionData.last_uid || 0
+    );
+
+    for (const message of messages) {
+      await this.onMessage(account, message);
+    }
+
+    if (lastUid !== connectionData.last_uid || uidValidity !== connectionData.uid_validity) {
+      account.connection_data = { ...connectionData, last_uid: lastUid, uid_validity: uidValidity };
+      await account.save();
+    }
+
+    return messages.length;
+  }
+}
+
+module.exports = ImapPoller;
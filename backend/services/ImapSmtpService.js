@@ -0,0 +1,246 @@
+const { ImapFlow } = require('imapflow');
+const nodemailer = require('nodemailer');
+const { simpleParser } = require('mailparser');
+const config = require('../config');
+
+/**
+ * IMAP/SMTP Service
+ *
+ * Generic mailbox connector for hosts without an OAuth API. Credentials live on
+ * ChannelAccount.connection_data as { imap: {...}, smtp: {...}, mailbox }.
+ */
+class ImapSmtpService {
+  constructor() {
+    this.imapConfig = config.platforms.imap;
+  }
+
+  /**
+   * Build an IMAP client (not yet connected)
+   */
+  createImapClient(credentials) {
+    const { host, port, secure, user, pass } = credentials.imap;
+    return new ImapFlow({
+      host,
+      port: parseInt(port) || (secure === false ? 143 : 993),
+      secure: secure !== false,
+      auth: { user, pass },
+      logger: false,
+      connectionTimeout: this.imapConfig.connectionTimeoutMs,
+    });
+  }
+
+  /**
+   * Build an SMTP transport
+   */
+  createSmtpTransport(credentials) {
+    const { host, port, secure, user, pass } = credentials.smtp;
+    return nodemailer.createTransport({
+      host,
+      port: parseInt(port) || (secure ? 465 : 587),
+      secure: !!secure,
+      auth: { user, pass },
+      connectionTimeout: this.imapConfig.connectionTimeoutMs,
+    });
+  }
+
+  /**
+   * Open an IMAP session, run fn with the mailbox locked, and always log out
+   */
+  async withMailbox(credentials, fn) {
+    const client = this.createImapClient(credentials);
+    await client.connect();
+    const lock = await client.getMailboxLock(credentials.mailbox || 'INBOX');
+    try {
+      return await fn(client);
+    } finally {
+      lock.release();
+      await client.logout().catch(() => client.close());
+    }
+  }
+
+  /**
+   * Check both IMAP and SMTP credentials
+   * @returns {Promise<Object>} Mailbox state used as the polling starting point
+   */
+  async verifyCredentials(credentials) {
+    try {
+      const state = await this.withMailbox(credentials, async (client) => ({
+        uid_validity: String(client.mailbox.uidValidity),
+        last_uid: Math.max((client.mailbox.uidNext || 1) - 1, 0),
+      }));
+      await this.createSmtpTransport(credentials).verify();
+      return state;
+    } catch (error) {
+      console.error('Error verifying IMAP/SMTP credentials:', error.message);
+      const authError = new Error(`Could not connect to mail server: ${error.message}`);
+      authError.status = 400;
+      authError.code = 'EMAIL_CONNECTION_FAILED';
+      throw authError;
+    }
+  }
+
+  /**
+   * Get the most recent messages in the mailbox
+   */
+  async getRecentMessages(credentials, limit = 50) {
+    try {
+      return await this.withMailbox(credentials, async (client) => {
+        const total = client.mailbox.exists;
+        if (!total) {
+          return [];
+        }
+        const start = Math.max(total - limit + 1, 1);
+        return this.fetchRange(client, `${start}:*`, { uid: false });
+      });
+    } catch (error) {
+      console.error('Error getting IMAP messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get messages that arrived after a known UID
+   * @returns {Promise<Object>} { messages, lastUid, uidValidity }
+   */
+  async getMessagesSince(credentials, lastUid = 0) {
+    try {
+      return await this.withMailbox(credentials, async (client) => {
+        const uidValidity = String(client.mailbox.uidValidity);
+        const uidNext = client.mailbox.uidNext || 1;
+
+        // UIDVALIDITY changes mean every stored UID is meaningless; restart from now
+        if (credentials.uid_validity && credentials.uid_validity !== uidValidity) {
+          return { messages: [], lastUid: uidNext - 1, uidValidity };
+        }
+        if (uidNext - 1 <= lastUid) {
+          return { messages: [], lastUid, uidValidity };
+        }
+
+        // Oldest first, so a backlog larger than one batch is worked through over several polls
+        // (N:* also matches the newest message when N is past it, hence the filter)
+        const uids = ((await client.search({ uid: `${lastUid + 1}:*` }, { uid: true })) || [])
+          .filter(uid => uid > lastUid)
+          .sort((a, b) => a - b)
+          .slice(0, this.imapConfig.fetchBatchSize);
+        if (uids.length === 0) {
+          return { messages: [], lastUid: uidNext - 1, uidValidity };
+        }
+
+        const messages = await this.fetchRange(client, uids.join(','), { uid: true });
+        // Only advance past messages actually returned
+        const newestUid = messages.reduce((max, message) => Math.max(max, message.provider_metadata.uid), lastUid);
+
+        return { messages, lastUid: newestUid, uidValidity };
+      });
+    } catch (error) {
+      console.error('Error polling IMAP mailbox:', error);
+      throw error;
+    }
+  }
+
+  async fetchRange(client, range, options) {
+    const messages = [];
+    for await (const message of client.fetch(range, { uid: true, flags: true, source: true }, options)) {
+      const parsed = await simpleParser(message.source);
+      messages.push(this.normalizeMessage(parsed, message));
+    }
+    return messages;
+  }
+
+  /**
+   * Add or remove IMAP flags (e.g. \\Seen) by UID
+   */
+  async setFlags(credentials, uids, flags, add = true) {
+    if (!uids.length) {
+      return true;
+    }
+    try {
+      return await this.withMailbox(credentials, async (client) => {
+        if (add) {
+          await client.messageFlagsAdd(uids.join(','), flags, { uid: true });
+        } else {
+          await client.messageFlagsRemove(uids.join(','), flags, { uid: true });
+        }
+        return true;
+      });
+    } catch (error) {
+      console.error('Error setting IMAP flags:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a message over SMTP
+   */
+  async sendMessage(credentials, messageData) {
+    try {
+      const transport = this.createSmtpTransport(credentials);
+      const info = await transport.sendMail({
+        from: credentials.email || credentials.smtp.user,
+        to: messageData.to,
+        cc: messageData.cc,
+        bcc: messageData.bcc,
+        subject: messageData.subject,
+        text: messageData.body,
+        inReplyTo: messageData.inReplyTo,
+        references: messageData.references,
+        attachments: (messageData.attachments || []).map(attachment => ({
+          filename: attachment.filename || attachment.originalname,
+          path: attachment.path,
+          content: attachment.content,
+          contentType: attachment.contentType || attachment.mimetype,
+        })),
+      });
+
+      return {
+        id: info.messageId,
+        accepted: info.accepted,
+        rejected: info.rejected,
+        response: info.response,
+      };
+    } catch (error) {
+      console.error('Error sending SMTP message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize a parsed IMAP message into the same shape as Gmail/Microsoft messages
+   */
+  normalizeMessage(parsed, fetched) {
+    const messageId = parsed.messageId || `uid-${fetched.uid}`;
+    const references = Array.isArray(parsed.references)
+      ? parsed.references
+      : (parsed.references ? [parsed.references] : []);
+
+    return {
+      id: messageId,
+      provider: 'email',
+      direction: 'in',
+      body: parsed.text || '',
+      subject: parsed.subject || '',
+      sent_at: parsed.date || new Date(),
+      provider_msg_id: messageId,
+      provider_metadata: {
+        // The thread is rooted at the first message in the References chain
+        thread_id: references[0] || parsed.inReplyTo || messageId,
+        uid: fetched.uid,
+        flags: Array.from(fetched.flags || []),
+        is_read: (fetched.flags || new Set()).has('\\Seen'),
+        in_reply_to: parsed.inReplyTo,
+        references,
+        from: parsed.from?.text,
+        to: parsed.to?.text,
+        cc: parsed.cc?.text,
+      },
+      attachments: (parsed.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        contentId: attachment.contentId,
+      })),
+    };
+  }
+}
+
+module.exports = ImapSmtpService;
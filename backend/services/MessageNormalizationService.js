@@ -18,13 +18,14 @@ class MessageNormalizationService {
       instagram: this.normalizeInstagramMessage.bind(this),
       email: this.normalizeEmailMessage.bind(this),
       microsoft: this.normalizeMicrosoftMessage.bind(this),
+      telegram: this.normalizeTelegramMessage.bind(this),
     };
   }
 
   /**
    * Normalize a message from any platform into the unified format
    * @param {Object} rawMessage - Raw message from platform API
-   * @param {string} platform - Platform name (whatsapp, instagram, email, microsoft)
+   * @param {string} platform - Platform name (whatsapp, instagram, email, microsoft, telegram)
    * @param {string} userId - User ID who owns this message
    * @returns {Object} Normalized message object
    */
@@ -227,6 +228,92 @@ class MessageNormalizationService {
     };
   }
 
+  /**
+   * Normalize Telegram Bot API message
+   * @param {Object} telegramMessage - Raw Telegram Message object
+   * @param {string} userId - User ID
+   * @returns {Object} Normalized message
+   */
+  normalizeTelegramMessage(telegramMessage, userId) {
+    const from = telegramMessage.from || {};
+    const chat = telegramMessage.chat || {};
+    const senderName = [from.first_name, from.last_name].filter(Boolean).join(' ')
+      || from.username
+      || chat.title
+      || 'Unknown';
+
+    return {
+      id: telegramMessage.message_id ? String(telegramMessage.message_id) : `tg_${Date.now()}`,
+      platform: 'telegram',
+      sender: {
+        name: senderName,
+        id: from.id ? String(from.id) : String(chat.id),
+        username: from.username,
+      },
+      recipient: {
+        name: 'You',
+        id: userId,
+      },
+      content: {
+        text: telegramMessage.text || telegramMessage.caption || '',
+        subject: null,
+        html: null,
+      },
+      timestamp: telegramMessage.date ? new Date(telegramMessage.date * 1000) : new Date(),
+      read: false,
+      avatar: `https://via.placeholder.com/40/229ED9/FFFFFF?text=${senderName.charAt(0).toUpperCase()}`,
+      threadId: `telegram_${chat.id}`,
+      parentMessageId: telegramMessage.reply_to_message ? String(telegramMessage.reply_to_message.message_id) : null,
+      isReply: !!telegramMessage.reply_to_message,
+      replyCount: 0,
+      platformMetadata: {
+        telegram: {
+          messageId: telegramMessage.message_id,
+          chatId: chat.id,
+          chatType: chat.type,
+          isBot: !!from.is_bot,
+          attachments: this.extractTelegramAttachments(telegramMessage),
+        },
+      },
+      syncStatus: 'pending',
+    };
+  }
+
+  /**
+   * Extract media from a Telegram message
+   * @param {Object} telegramMessage - Raw Telegram Message object
+   * @returns {Array} Attachments array
+   */
+  extractTelegramAttachments(telegramMessage) {
+    const attachments = [];
+
+    if (telegramMessage.photo?.length) {
+      // Telegram sends every size; keep the largest
+      const photo = telegramMessage.photo[telegramMessage.photo.length - 1];
+      attachments.push({
+        type: 'image',
+        fileId: photo.file_id,
+        size: photo.file_size,
+        contentType: 'image/jpeg',
+      });
+    }
+
+    for (const type of ['document', 'video', 'audio', 'voice']) {
+      const media = telegramMessage[type];
+      if (media) {
+        attachments.push({
+          type,
+          fileId: media.file_id,
+          filename: media.file_name,
+          size: media.file_size,
+          contentType: media.mime_type,
+        });
+      }
+    }
+
+    return attachments;
+  }
+
   /**
    * Generate a consistent thread ID for a conversation
    * @param {string} platform - Platform name
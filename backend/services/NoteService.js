@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { User, WorkspaceMember, ChannelMessage } = require('../models');
+
+// @username, as stored on User.username
+const MENTION_PATTERN = /@([\w.-]+)/g;
+
+/**
+ * Note Service
+ *
+ * Internal notes are ChannelMessages of type 'note': they sit in the chat's timeline
+ * but are never sent to the provider. @mentions of teammates who can see the chat
+ * are resolved to user IDs and notified.
+ */
+class NoteService {
+  constructor(io, notificationService) {
+    this.io = io;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Users who can see the account's chats: its owner and its workspace's members
+   */
+  async findTeammates(account) {
+    const userIds = [account.user_id];
+    if (account.workspace_id) {
+      const members = await WorkspaceMember.findAll({
+        where: { workspace_id: account.workspace_id },
+        attributes: ['user_id'],
+      });
+      userIds.push(...members.map(member => member.user_id));
+    }
+
+    return User.findAll({
+      where: { id: [...new Set(userIds)] },
+      attributes: ['id', 'username', 'firstName', 'lastName'],
+    });
+  }
+
+  /**
+   * IDs of the teammates whose usernames are @mentioned in the body
+   */
+  parseMentions(body, teammates) {
+    // A sentence-ending period is not part of the username
+    const usernames = new Set([...body.matchAll(MENTION_PATTERN)]
+      .map(match => match[1].replace(/\.+$/, '').toLowerCase()));
+    return teammates
+      .filter(teammate => usernames.has(teammate.username.toLowerCase()))
+      .map(teammate => teammate.id);
+  }
+
+  async createNote(account, chat, authorId, body) {
+    if (!body || !body.trim()) {
+      const error = new Error('Note body is required');
+      error.status = 400;
+      error.code = 'NOTE_BODY_REQUIRED';
+      throw error;
+    }
+
+    const teammates = await this.findTeammates(account);
+    const author = teammates.find(teammate => teammate.id === authorId)
+      || await User.findByPk(authorId, { attributes: ['id', 'username', 'firstName', 'lastName'] });
+
+    const note = await ChannelMessage.create({
+      chat_id: chat.id,
+      provider_msg_id: `note_${crypto.randomUUID()}`,
+      direction: 'out',
+      type: 'note',
+      body: body.trim(),
+      sent_at: new Date(),
+      status: 'sent',
+      author_id: authorId,
+      mentions: this.parseMentions(body, teammates),
+      // Nothing to sync: notes only exist locally
+      sync_status: 'synced',
+    });
+
+    const serialized = this.serialize(note, author);
+    if (this.io) {
+      this.io.to(account.getRoom()).emit('note_added', serialized);
+    }
+
+    try {
+      await this.notificationService.notifyMentions({ note, chat, account, author });
+    } catch (error) {
+      console.error('❌ Error sending mention notifications:', error);
+    }
+
+    return serialized;
+  }
+
+  serialize(note, author = note.author) {
+    return {
+      id: note.id,
+      chat_id: note.chat_id,
+      type: note.type,
+      direction: note.direction,
+      body: note.body,
+      sent_at: note.sent_at,
+      status: note.status,
+      author_id: note.author_id,
+      author_name: author ? `${author.firstName} ${author.lastName}` : null,
+      mentions: note.mentions,
+    };
+  }
+}
+
+module.exports = NoteService;
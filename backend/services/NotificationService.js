@@ -0,0 +1,104 @@
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const { User } = require('../models');
+
+const DEFAULT_PREFERENCES = { email: true, push: true, desktop: true };
+
+/**
+ * Notification Service
+ *
+ * Delivers teammate notifications (currently @mentions in notes). Every notification
+ * reaches the user's Socket.io room; the rest follows preferences.notifications:
+ * - desktop: flagged on the socket event so the client raises a browser notification
+ * - email: sent through the notifications SMTP server when one is configured
+ * - push: no push delivery service exists yet, so it is not delivered
+ */
+class NotificationService {
+  constructor(io = null) {
+    this.io = io;
+    this.config = config.notifications;
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (!this.config.smtp.host) {
+      return null;
+    }
+    if (!this.transport) {
+      const { host, port, secure, user, pass } = this.config.smtp;
+      this.transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+      });
+    }
+    return this.transport;
+  }
+
+  /**
+   * Notify the users mentioned in a note, except its author
+   */
+  async notifyMentions({ note, chat, account, author }) {
+    const userIds = (note.mentions || []).filter(userId => userId !== author.id);
+    if (userIds.length === 0) {
+      return;
+    }
+
+    const users = await User.findAll({
+      where: { id: userIds },
+      attributes: ['id', 'email', 'firstName', 'lastName', 'preferences'],
+    });
+    const mention = {
+      note_id: note.id,
+      chat_id: chat.id,
+      chat_title: chat.title,
+      account_id: account.id,
+      provider: account.provider,
+      author_id: author.id,
+      author_name: `${author.firstName} ${author.lastName}`,
+      body: note.body,
+      sent_at: note.sent_at,
+    };
+
+    await Promise.all(users.map(user => this.notifyMention(user, mention)));
+  }
+
+  async notifyMention(user, mention) {
+    const preferences = { ...DEFAULT_PREFERENCES, ...user.preferences?.notifications };
+
+    if (this.io) {
+      this.io.to(`user_${user.id}`).emit('mention', { ...mention, desktop: preferences.desktop });
+    }
+
+    if (preferences.email) {
+      try {
+        await this.sendMentionEmail(user, mention);
+      } catch (error) {
+        console.error(`❌ Failed to email mention to ${user.email}:`, error.message);
+      }
+    }
+  }
+
+  async sendMentionEmail(user, mention) {
+    const transport = this.getTransport();
+    if (!transport) {
+      return;
+    }
+
+    await transport.sendMail({
+      from: this.config.from,
+      to: user.email,
+      subject: `${mention.author_name} mentioned you in ${mention.chat_title || 'a conversation'}`,
+      text: [
+        `${mention.author_name} left you a note on ${mention.chat_title || 'a conversation'}:`,
+        '',
+        mention.body,
+        '',
+        `Open the inbox: ${this.config.appUrl}/full-inbox`,
+      ].join('\n'),
+    });
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const { UnrecoverableError } = require('bullmq');
+const config = require('../config');
+const QueueService = require('./QueueService');
+const EntitlementService = require('./EntitlementService');
+const WhatsAppTemplateService = require('./WhatsAppTemplateService');
+const AttachmentService = require('./AttachmentService');
+const { ChannelAccount, ChannelChat, ChannelMessage, ChannelUsage } = require('../models');
+
+const HAS_UTC_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Convert a wall-clock time (YYYY-MM-DDTHH:mm[:ss]) in an IANA time zone to a UTC Date.
+ * The offset is applied twice so times next to a DST change land on the right side.
+ */
+const zonedTimeToUtc = (localTime, timeZone) => {
+  const wallClock = new Date(`${localTime}Z`).getTime();
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+  const offsetAt = (time) => {
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+    const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return zoned - Math.floor(time / 1000) * 1000;
+  };
+
+  const firstPass = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(firstPass));
+};
+
+/**
+ * Outbound Message Service
+ *
+ * Every outbound message is stored as `pending` and handed to a queue worker that
+ * calls the provider with retries. The message then moves through sent, delivered
+ * and read as provider receipts arrive, or to failed once retries run out. Each
+ * change is pushed to the account's Socket.io room as `message_status`.
+ *
+ * Scheduled messages are the same pending rows with a scheduled_at; their jobs are
+ * delayed until then and can be rescheduled or cancelled before dispatch.
+ */
+class OutboundMessageService {
+  constructor(
+    io = null,
+    providerRegistry,
+    queueConfig = config.queues.outbound,
+    attachmentService = new AttachmentService(providerRegistry)
+  ) {
+    this.io = io;
+    this.providerRegistry = providerRegistry;
+    this.queue = new QueueService(queueConfig.name, queueConfig);
+    this.entitlementService = new EntitlementService();
+    this.whatsappTemplateService = new WhatsAppTemplateService();
+    this.attachmentService = attachmentService;
+  }
+
+  /**
+   * Persist a pending outbound message and queue it for delivery
+   * @param {Object} params - { account, chat, body, subject, attachments, to, cc, bcc, scheduledAt, template }
+   * @returns {Promise<Object>} The pending ChannelMessage
+   */
+  async enqueue({ account, chat, body, subject, attachments = [], to, cc, bcc, scheduledAt = null, template = null }) {
+    const message = await ChannelMessage.create({
+      chat_id: chat.id,
+      // Replaced with the provider's ID once sent
+      provider_msg_id: `local_${crypto.randomUUID()}`,
+      direction: 'out',
+      body,
+      subject,
+      attachments,
+      // Scheduled messages sort at their send time until they go out
+      sent_at: scheduledAt || new Date(),
+      scheduled_at: scheduledAt,
+      status: 'pending',
+      provider_metadata: { outbound: { to, cc, bcc, template } },
+    });
+
+    // Announce before queueing so the client never sees pending after sent
+    this.emitStatus(account.getRoom(), message);
+
+    try {
+      await this.addJob(account, message);
+    } catch (error) {
+      console.error(`Failed to enqueue outbound message ${message.id}:`, error);
+      await this.markFailed(message, error, account.getRoom());
+      const queueError = new Error('Message queue unavailable, please try again');
+      queueError.status = 503;
+      queueError.code = 'QUEUE_UNAVAILABLE';
+      throw queueError;
+    }
+
+    return message;
+  }
+
+  /**
+   * Move a scheduled message to a new send time. The old delayed job is removed when
+   * possible; if it still fires, processJob skips it because the time no longer matches.
+   */
+  async reschedule(account, message, scheduledAt) {
+    await this.removeJob(message);
+    message.scheduled_at = scheduledAt;
+    message.sent_at = scheduledAt;
+    await message.save();
+    await this.addJob(account, message);
+    return message;
+  }
+
+  /**
+   * Cancel a scheduled message before dispatch
+   */
+  async cancel(message) {
+    await this.removeJob(message);
+    await message.destroy();
+  }
+
+  /**
+   * Each scheduled time gets its own job ID so a rescheduled message is queued afresh
+   */
+  getJobId(message) {
+    return message.scheduled_at ? `${message.id}:${new Date(message.scheduled_at).getTime()}` : message.id;
+  }
+
+  async addJob(account, message) {
+    const delay = message.scheduled_at ? Math.max(new Date(message.scheduled_at).getTime() - Date.now(), 0) : 0;
+    return this.queue.add(account.provider, { messageId: message.id }, { jobId: this.getJobId(message), delay });
+  }
+
+  async removeJob(message) {
+    try {
+      await this.queue.remove(this.getJobId(message));
+    } catch (error) {
+      // Already running or gone; processJob re-checks the message before sending
+      console.error(`Could not remove job for message ${message.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Resolve a requested send time. Times with an explicit offset are absolute; bare
+   * wall-clock times are read in the given time zone.
+   * @param {string} sendAt - ISO 8601 time, with or without an offset
+   * @param {string} timeZone - IANA time zone for bare times
+   * @returns {Date}
+   */
+  resolveScheduledAt(sendAt, timeZone = 'UTC') {
+    const hasOffset = HAS_UTC_OFFSET.test(sendAt || '');
+    if (!sendAt || Number.isNaN(new Date(hasOffset ? sendAt : `${sendAt}Z`).getTime())) {
+      const error = new Error('send_at must be a valid ISO 8601 time');
+      error.status = 400;
+      error.code = 'INVALID_SCHEDULED_TIME';
+      throw error;
+    }
+
+    let scheduledAt;
+    if (hasOffset) {
+      scheduledAt = new Date(sendAt);
+    } else {
+      try {
+        scheduledAt = zonedTimeToUtc(sendAt, timeZone);
+      } catch (e) {
+        const error = new Error(`Unknown time zone: ${timeZone}`);
+        error.status = 400;
+        error.code = 'INVALID_TIMEZONE';
+        throw error;
+      }
+    }
+
+    if (scheduledAt.getTime() <= Date.now()) {
+      const error = new Error('send_at must be in the future');
+      error.status = 400;
+      error.code = 'SCHEDULED_TIME_IN_PAST';
+      throw error;
+    }
+    return scheduledAt;
+  }
+
+  startWorker() {
+    return this.queue.startWorker(
+      (job) => this.processJob(job),
+      {
+        onFailed: async (job, error, isFinal) => {
+          if (!isFinal) return;
+          const message = await ChannelMessage.findByPk(job.data.messageId, {
+            include: [{ model: ChannelChat, as: 'chat', include: [{ model: ChannelAccount, as: 'account' }] }],
+          });
+          if (message) {
+            await this.markFailed(message, error, message.chat.account.getRoom());
+          }
+        },
+      }
+    );
+  }
+
+  /**
+   * Send one queued message. Provider errors propagate so BullMQ retries the job;
+   * client errors (bad request, limits exceeded) fail immediately.
+   */
+  async processJob(job) {
+    const message = await ChannelMessage.findByPk(job.data.messageId, {
+      include: [{ model: ChannelChat, as: 'chat', include: [{ model: ChannelAccount, as: 'account' }] }],
+    });
+    if (!message) {
+      console.error(`Outbound message not found: ${job.data.messageId}`);
+      return;
+    }
+
+    // Internal notes never reach the provider
+    if (message.isNote()) {
+      console.log(`Skipping job ${job.id} for internal note ${message.id}`);
+      return;
+    }
+
+    // Replayed jobs for messages that already went out are no-ops
+    if (message.status !== 'pending') {
+      return;
+    }
+
+    // Superseded by a reschedule whose old job could not be removed
+    if (job.id !== this.getJobId(message)) {
+      console.log(`Skipping stale job ${job.id} for rescheduled message ${message.id}`);
+      return;
+    }
+
+    const { chat } = message;
+    const { account } = chat;
+    const outbound = message.provider_metadata?.outbound || {};
+
+    let providerMessage;
+    try {
+      // Limits are checked at send time; scheduled messages may go out long after they were queued
+      await this.entitlementService.enforceUsageLimits(account.user_id, account.provider);
+      // Scheduled replies may come due after the WhatsApp service window has closed
+      if (account.provider === 'whatsapp' && !outbound.template) {
+        await this.whatsappTemplateService.enforceServiceWindow(chat);
+      }
+      providerMessage = await this.providerRegistry.get(account.provider).sendMessage({
+        account,
+        chatId: chat.id,
+        to: outbound.to,
+        cc: outbound.cc,
+        bcc: outbound.bcc,
+        subject: message.subject,
+        body: message.body,
+        // Uploads are sent from attachment storage
+        attachments: await this.attachmentService.withContent(account, message.attachments || []),
+        template: outbound.template || null,
+      });
+    } catch (error) {
+      if (this.isPermanentError(error)) {
+        throw new UnrecoverableError(error.message);
+      }
+      throw error;
+    }
+
+    if (providerMessage?.id) {
+      message.provider_msg_id = String(providerMessage.id);
+    }
+    message.provider_metadata = { ...message.provider_metadata, ...providerMessage };
+    message.sent_at = new Date();
+    await message.advanceStatus('sent');
+
+    chat.last_message_at = message.sent_at;
+    await chat.save();
+
+    await this.updateUsage(account.user_id, account.provider);
+    this.emitStatus(account.getRoom(), message);
+  }
+
+  /**
+   * 4xx errors other than timeouts and rate limits will not succeed on retry
+   */
+  isPermanentError(error) {
+    const status = error.status || error.response?.status;
+    return status >= 400 && status < 500 && ![408, 429].includes(status);
+  }
+
+  async markFailed(message, error, room) {
+    message.provider_metadata = { ...message.provider_metadata, send_error: error.message };
+    if (await message.advanceStatus('failed')) {
+      this.emitStatus(room, message, error.message);
+    }
+  }
+
+  /**
+   * Apply a provider delivery/read receipt to one of the account's messages
+   * @param {Object} account - ChannelAccount the receipt belongs to
+   * @param {string} providerMsgId - Provider's message ID
+   * @param {string} status - delivered or read
+   */
+  async applyReceipt(account, providerMsgId, status) {
+    const message = await ChannelMessage.findOne({
+      where: { provider_msg_id: String(providerMsgId) },
+      include: [{ model: ChannelChat, as: 'chat', required: true, where: { account_id: account.id } }],
+    });
+
+    if (!message) {
+      console.log(`Receipt for unknown message ignored: ${providerMsgId}`);
+      return null;
+    }
+
+    if (await message.advanceStatus(status)) {
+      this.emitStatus(account.getRoom(), message);
+    }
+    return message;
+  }
+
+  async updateUsage(userId, provider) {
+    try {
+      const usage = await ChannelUsage.getOrCreate(userId, provider, ChannelUsage.getCurrentPeriod());
+      await usage.incrementSent();
+    } catch (error) {
+      console.error('Error updating usage:', error);
+    }
+  }
+
+  emitStatus(room, message, error = null) {
+    if (this.io) {
+      this.io.to(room).emit('message_status', {
+        message_id: message.id,
+        chat_id: message.chat_id,
+        provider_msg_id: message.provider_msg_id,
+        status: message.status,
+        sent_at: message.sent_at,
+        read_at: message.read_at,
+        error,
+      });
+    }
+  }
+}
+
+module.exports = OutboundMessageService;
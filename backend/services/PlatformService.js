@@ -19,6 +19,9 @@ class PlatformService {
     this.rateLimiter = new Map();
     this.retryAttempts = 3;
     this.retryDelay = 1000; // 1 second
+    // Download inbound media as messages arrive; adapters whose provider keeps it
+    // available turn this off and fetch it on first view instead
+    this.prefetchAttachments = true;
   }
 
   /**
@@ -48,6 +51,69 @@ class PlatformService {
     throw new Error(`sendMessage() method must be implemented by ${this.platform} service`);
   }
 
+  /**
+   * Connect a new account on the platform
+   * @param {Object} credentials - Credentials supplied by the user
+   * @returns {Promise<Object>} { connectionData, externalAccountId } or { authUrl } when an OAuth redirect is needed
+   */
+  async connect(credentials) {
+    throw new Error(`connect() method must be implemented by ${this.platform} service`);
+  }
+
+  /**
+   * Fetch chats (conversations/threads) from the platform
+   * @param {Object} options - Fetch options (account, limit, offset)
+   * @returns {Promise<Array>} Array of raw chats
+   */
+  async fetchChats(options = {}) {
+    throw new Error(`fetchChats() method must be implemented by ${this.platform} service`);
+  }
+
+  /**
+   * Mark messages as read on the platform
+   * @param {Object} options - { account, chatId, messageIds }
+   * @returns {Promise<boolean>} Success status
+   */
+  async markAsRead(options = {}) {
+    throw new Error(`markAsRead() method must be implemented by ${this.platform} service`);
+  }
+
+  /**
+   * Convert a raw platform message to the unified message format
+   * @param {Object} rawMessage - Raw message
+   * @returns {Object} Normalized message
+   */
+  normalizeMessage(rawMessage) {
+    throw new Error(`normalizeMessage() method must be implemented by ${this.platform} service`);
+  }
+
+  /**
+   * Convert a raw platform chat to the unified chat format
+   * @param {Object} rawChat - Raw chat
+   * @returns {Object} Normalized chat
+   */
+  normalizeChat(rawChat) {
+    throw new Error(`normalizeChat() method must be implemented by ${this.platform} service`);
+  }
+
+  /**
+   * Identity of the person on the other end of a stored chat, used to match it to a Contact
+   * @param {Object} chat - ChannelChat
+   * @returns {Object|null} { type, value, name }, or null for group or unidentifiable chats
+   */
+  getContactIdentity(chat) {
+    return null;
+  }
+
+  /**
+   * Download the bytes of an inbound attachment
+   * @param {Object} options - { account, message, attachment } where attachment is the entry from message.attachments
+   * @returns {Promise<Object|null>} { data, mimeType, filename }, or null when the platform offers no download
+   */
+  async fetchAttachment(options = {}) {
+    return null;
+  }
+
   /**
    * Handle incoming webhook from platform
    * @param {Object} webhookData - Webhook payload
@@ -83,9 +149,10 @@ class PlatformService {
 
   /**
    * Disconnect from platform
+   * @param {Object} account - Account being disconnected, for adapters shared across accounts
    * @returns {Promise<boolean>} Success status
    */
-  async disconnect() {
+  async disconnect(account) {
     throw new Error(`disconnect() method must be implemented by ${this.platform} service`);
   }
 
@@ -0,0 +1,77 @@
+/**
+ * Provider Registry
+ *
+ * Maps channel providers to their PlatformService adapters. Controllers and the
+ * webhook worker dispatch through the registry, so adding a channel means
+ * registering one adapter here.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Register an adapter under its platform name
+   * @param {PlatformService} adapter - Adapter instance
+   */
+  register(adapter) {
+    if (this.adapters.has(adapter.platform)) {
+      throw new Error(`Adapter already registered for provider: ${adapter.platform}`);
+    }
+    this.adapters.set(adapter.platform, adapter);
+    return this;
+  }
+
+  has(provider) {
+    return this.adapters.has(provider);
+  }
+
+  /**
+   * Get the adapter for a provider
+   * @throws {Error} 400 UNSUPPORTED_PROVIDER when nothing is registered
+   */
+  get(provider) {
+    const adapter = this.adapters.get(provider);
+    if (!adapter) {
+      const error = new Error(`Unsupported provider: ${provider}`);
+      error.status = 400;
+      error.code = 'UNSUPPORTED_PROVIDER';
+      throw error;
+    }
+    return adapter;
+  }
+
+  /**
+   * Get the adapter that parses webhooks from a source (e.g. 'unipile', 'email')
+   */
+  getByWebhookSource(source) {
+    for (const adapter of this.adapters.values()) {
+      if (adapter.webhookSource === source) {
+        return adapter;
+      }
+    }
+    return null;
+  }
+
+  list() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Registry with the built-in channel adapters
+   * @param {Object} [options.tokenManager] - Shared TokenManager for OAuth email accounts
+   */
+  static createDefault({ tokenManager } = {}) {
+    const UniPileAdapter = require('./adapters/UniPileAdapter');
+    const EmailAdapter = require('./adapters/EmailAdapter');
+    const TelegramAdapter = require('./adapters/TelegramAdapter');
+
+    return new ProviderRegistry()
+      .register(new UniPileAdapter('whatsapp'))
+      .register(new UniPileAdapter('instagram'))
+      .register(new EmailAdapter({}, tokenManager))
+      .register(new TelegramAdapter());
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,105 @@
+const { Queue, Worker } = require('bullmq');
+const Redis = require('ioredis');
+const config = require('../config');
+
+/**
+ * Queue Service
+ *
+ * Thin wrapper around a BullMQ queue and its worker. Jobs are retried with
+ * exponential backoff; callers decide what happens once retries run out.
+ */
+class QueueService {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.connection = new Redis(config.redis.url, config.redis.options);
+    this.defaultJobOptions = {
+      attempts: options.attempts || 3,
+      backoff: {
+        type: 'exponential',
+        delay: options.backoffDelayMs || 1000,
+      },
+      removeOnComplete: 1000,
+      removeOnFail: 5000,
+    };
+    this.concurrency = options.concurrency || 1;
+    this.queue = new Queue(name, {
+      connection: this.connection,
+      defaultJobOptions: this.defaultJobOptions,
+    });
+    this.worker = null;
+    this.workerConnection = null;
+  }
+
+  /**
+   * Add a job to the queue
+   */
+  async add(jobName, data, options = {}) {
+    return this.queue.add(jobName, data, options);
+  }
+
+  /**
+   * Remove a waiting or delayed job
+   */
+  async remove(jobId) {
+    const job = await this.queue.getJob(jobId);
+    if (job) {
+      await job.remove();
+    }
+  }
+
+  /**
+   * Start processing jobs
+   * @param {Function} processor - async (job) => result
+   * @param {Object} handlers - Optional { onFailed(job, error, isFinal) }
+   */
+  startWorker(processor, handlers = {}) {
+    if (this.worker) {
+      return this.worker;
+    }
+
+    // Workers use blocking commands, so they need their own connection
+    this.workerConnection = new Redis(config.redis.url, config.redis.options);
+    this.worker = new Worker(this.name, processor, {
+      connection: this.workerConnection,
+      concurrency: this.concurrency,
+    });
+
+    this.worker.on('failed', async (job, error) => {
+      if (!job) return;
+      const maxAttempts = job.opts.attempts || 1;
+      // UnrecoverableError skips the remaining attempts
+      const isFinal = job.attemptsMade >= maxAttempts || error.name === 'UnrecoverableError';
+      console.error(`❌ Job ${job.id} on ${this.name} failed (attempt ${job.attemptsMade}/${maxAttempts}):`, error.message);
+
+      if (handlers.onFailed) {
+        try {
+          await handlers.onFailed(job, error, isFinal);
+        } catch (handlerError) {
+          console.error(`Error in failure handler for ${this.name}:`, handlerError);
+        }
+      }
+    });
+
+    this.worker.on('error', (error) => {
+      console.error(`Worker error on ${this.name}:`, error);
+    });
+
+    console.log(`✅ Worker started for queue: ${this.name}`);
+    return this.worker;
+  }
+
+  /**
+   * Close the queue, worker and their Redis connections
+   */
+  async close() {
+    if (this.worker) {
+      await this.worker.close();
+      await this.workerConnection.quit();
+      this.worker = null;
+    }
+    await this.queue.close();
+    await this.connection.quit();
+  }
+}
+
+module.exports = QueueService;
@@ -0,0 +1,164 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { ChannelAccount } = require('../models');
+
+// Text search configuration; 'simple' avoids English-only stemming in a multilingual inbox.
+// Queries and the GIN indexes in createIndexes() share these expressions; Postgres only
+// uses an expression index when the query repeats the expression exactly.
+const SEARCH_CONFIG = 'simple';
+const messageDocument = (prefix = '') => `to_tsvector('${SEARCH_CONFIG}', coalesce(${prefix}subject, '') || ' ' || coalesce(${prefix}body, ''))`;
+const chatDocument = (prefix = '') => `to_tsvector('${SEARCH_CONFIG}', coalesce(${prefix}title, ''))`;
+const MESSAGE_DOCUMENT = messageDocument('m.');
+const CHAT_DOCUMENT = chatDocument('c.');
+
+const MAX_LIMIT = 100;
+
+/**
+ * Search Service
+ *
+ * Postgres full-text search over every channel's stored messages and chat titles,
+ * scoped to the accounts the requesting user can access (their own and their workspaces').
+ */
+class SearchService {
+  /**
+   * Search messages (subject/body) and chats (title)
+   * @param {string} userId - User whose accessible accounts are searched
+   * @param {Object} params - { q, provider, accountId, direction, from, to, hasAttachment, limit, offset }
+   * @returns {Promise<{ messages: Array, chats: Array, total: number }>}
+   */
+  async search(userId, params = {}) {
+    const query = (params.q || '').trim();
+    if (!query) {
+      const error = new Error('Search query is required');
+      error.status = 400;
+      error.code = 'SEARCH_QUERY_REQUIRED';
+      throw error;
+    }
+
+    const limit = Math.min(parseInt(params.limit) || 20, MAX_LIMIT);
+    const offset = parseInt(params.offset) || 0;
+    const { conditions, replacements } = this.buildFilters(userId, query, params);
+
+    const messages = await sequelize.query(`
+      SELECT
+        m.id, m.chat_id, m.direction, m.subject, m.sent_at, m.attachments,
+        ts_headline('${SEARCH_CONFIG}', regexp_replace(m.body, '<[^>]*>', ' ', 'g'), tsq,
+          'StartSel=<mark>, StopSel=</mark>, MaxFragments=1, MaxWords=24, MinWords=8') AS snippet,
+        ts_rank(${MESSAGE_DOCUMENT}, tsq) AS rank,
+        c.title AS chat_title, c.account_id, a.provider
+      FROM channels_message m
+      JOIN channels_chat c ON c.id = m.chat_id
+      JOIN channels_account a ON a.id = c.account_id
+      CROSS JOIN websearch_to_tsquery('${SEARCH_CONFIG}', :query) AS tsq
+      WHERE ${MESSAGE_DOCUMENT} @@ tsq
+        AND ${conditions.join(' AND ')}
+      ORDER BY rank DESC, m.sent_at DESC
+      LIMIT :limit OFFSET :offset
+    `, {
+      replacements: { ...replacements, limit, offset },
+      type: QueryTypes.SELECT,
+    });
+
+    const [{ total }] = await sequelize.query(`
+      SELECT COUNT(*)::int AS total
+      FROM channels_message m
+      JOIN channels_chat c ON c.id = m.chat_id
+      JOIN channels_account a ON a.id = c.account_id
+      CROSS JOIN websearch_to_tsquery('${SEARCH_CONFIG}', :query) AS tsq
+      WHERE ${MESSAGE_DOCUMENT} @@ tsq
+        AND ${conditions.join(' AND ')}
+    `, {
+      replacements,
+      type: QueryTypes.SELECT,
+    });
+
+    // Chat titles only on the first page; message-level filters do not apply to chats
+    const chats = offset > 0 ? [] : await sequelize.query(`
+      SELECT c.id, c.title, c.account_id, c.last_message_at, c.unread_count, a.provider
+      FROM channels_chat c
+      JOIN channels_account a ON a.id = c.account_id
+      CROSS JOIN websearch_to_tsquery('${SEARCH_CONFIG}', :query) AS tsq
+      WHERE ${CHAT_DOCUMENT} @@ tsq
+        AND ${ChannelAccount.accessibleSql('a', userId)}
+        ${params.provider ? 'AND a.provider = :provider' : ''}
+        ${params.accountId ? 'AND a.id = :accountId' : ''}
+      ORDER BY ts_rank(${CHAT_DOCUMENT}, tsq) DESC, c.last_message_at DESC NULLS LAST
+      LIMIT 10
+    `, {
+      replacements,
+      type: QueryTypes.SELECT,
+    });
+
+    return { messages, chats, total };
+  }
+
+  /**
+   * Build the WHERE clauses shared by the message and count queries
+   */
+  buildFilters(userId, query, params) {
+    const conditions = [ChannelAccount.accessibleSql('a', userId)];
+    const replacements = { query };
+
+    if (params.provider) {
+      conditions.push('a.provider = :provider');
+      replacements.provider = params.provider;
+    }
+    if (params.accountId) {
+      conditions.push('a.id = :accountId');
+      replacements.accountId = params.accountId;
+    }
+    if (params.direction) {
+      if (!['in', 'out'].includes(params.direction)) {
+        const error = new Error('direction must be "in" or "out"');
+        error.status = 400;
+        error.code = 'INVALID_SEARCH_FILTER';
+        throw error;
+      }
+      conditions.push('m.direction = :direction');
+      replacements.direction = params.direction;
+    }
+    if (params.from) {
+      conditions.push('m.sent_at >= :from');
+      replacements.from = this.parseDate(params.from, 'from');
+    }
+    if (params.to) {
+      conditions.push('m.sent_at <= :to');
+      replacements.to = this.parseDate(params.to, 'to');
+    }
+    if (params.hasAttachment !== undefined && params.hasAttachment !== '') {
+      const hasAttachment = params.hasAttachment === true || params.hasAttachment === 'true';
+      conditions.push(hasAttachment
+        ? "coalesce(m.attachments, '[]'::jsonb) <> '[]'::jsonb"
+        : "coalesce(m.attachments, '[]'::jsonb) = '[]'::jsonb");
+    }
+
+    return { conditions, replacements };
+  }
+
+  parseDate(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      const error = new Error(`${name} must be a valid date`);
+      error.status = 400;
+      error.code = 'INVALID_SEARCH_FILTER';
+      throw error;
+    }
+    return date;
+  }
+
+  /**
+   * Create the GIN indexes backing search (see scripts/createSearchIndexes.js)
+   */
+  static async createIndexes() {
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS channels_message_search
+      ON channels_message USING GIN (${messageDocument()})
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS channels_chat_title_search
+      ON channels_chat USING GIN (${chatDocument()})
+    `);
+  }
+}
+
+module.exports = SearchService;
@@ -0,0 +1,110 @@
+const config = require('../config');
+const { ChannelAccount } = require('../models');
+
+/**
+ * Sync Scheduler
+ *
+ * Periodically runs incremental syncs for every connected account that is due.
+ * Each account carries its own sync cursor and next_sync_at; failed syncs are
+ * retried with exponential backoff. Progress is reported to the account's
+ * Socket.io room as sync_started, sync_progress, sync_completed and sync_failed.
+ */
+class SyncScheduler {
+  constructor(io, channelSyncService, syncConfig = config.sync) {
+    this.io = io;
+    this.channelSyncService = channelSyncService;
+    this.tickIntervalMs = syncConfig.tickIntervalMs;
+    this.intervalMs = syncConfig.intervalMs;
+    this.backoffBaseMs = syncConfig.backoffBaseMs;
+    this.backoffMaxMs = syncConfig.backoffMaxMs;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.runDue(), this.tickIntervalMs);
+    console.log(`🔄 Sync scheduler started (every ${this.tickIntervalMs}ms)`);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isDue(account, now = new Date()) {
+    return !account.next_sync_at || new Date(account.next_sync_at) <= now;
+  }
+
+  /**
+   * Delay before retrying after the given number of consecutive failures
+   */
+  getBackoffMs(failures) {
+    return Math.min(this.backoffBaseMs * 2 ** Math.max(failures - 1, 0), this.backoffMaxMs);
+  }
+
+  /**
+   * Sync every due account, one at a time. Skips a tick while the previous one is still running.
+   */
+  async runDue() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const accounts = (await ChannelAccount.findConnectedAccounts())
+        .filter(account => this.isDue(account));
+
+      for (const account of accounts) {
+        await this.syncAccount(account);
+      }
+    } catch (error) {
+      console.error('Error loading accounts to sync:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run one incremental sync and record the outcome on the account
+   * @returns {Promise<boolean>} Whether the sync succeeded
+   */
+  async syncAccount(account) {
+    const details = { account_id: account.id, provider: account.provider };
+
+    try {
+      await account.updateSyncStatus('syncing');
+      this.emit(account, 'sync_started', details);
+
+      const result = await this.channelSyncService.syncAccount(account, (progress) => {
+        this.emit(account, 'sync_progress', { ...details, ...progress });
+      });
+
+      await account.updateSyncStatus('synced', null, {
+        cursor: result.cursor,
+        nextSyncAt: new Date(Date.now() + this.intervalMs),
+      });
+      this.emit(account, 'sync_completed', { ...details, chats: result.chats, messages: result.messages });
+      return true;
+    } catch (error) {
+      console.error(`Error syncing account ${account.id}:`, error.message);
+
+      try {
+        const retryAt = new Date(Date.now() + this.getBackoffMs((account.sync_failures || 0) + 1));
+        await account.updateSyncStatus('failed', error.message, { nextSyncAt: retryAt });
+        this.emit(account, 'sync_failed', { ...details, error: error.message, retry_at: retryAt });
+      } catch (saveError) {
+        console.error(`Error recording sync failure for account ${account.id}:`, saveError.message);
+      }
+      return false;
+    }
+  }
+
+  emit(account, event, payload) {
+    if (this.io) {
+      this.io.to(account.getRoom()).emit(event, payload);
+    }
+  }
+}
+
+module.exports = SyncScheduler;
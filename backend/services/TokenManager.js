@@ -0,0 +1,203 @@
+const config = require('../config');
+const EmailService = require('./EmailService');
+const { ChannelAccount } = require('../models');
+
+/**
+ * Token Manager
+ *
+ * Keeps OAuth email accounts (Gmail, Microsoft) usable: tokens are refreshed shortly
+ * before they expire and persisted to connection_data. When the provider rejects the
+ * refresh token the account is flipped to needs_action and the owner is told over
+ * Socket.io so the client can ask them to reconnect.
+ */
+class TokenManager {
+  constructor(io = null, emailService = new EmailService(), tokenConfig = config.tokens) {
+    this.io = io;
+    this.emailService = emailService;
+    this.refreshSkewMs = tokenConfig.refreshSkewMs;
+    this.sweepIntervalMs = tokenConfig.sweepIntervalMs;
+    this.inFlight = new Map();
+    this.timer = null;
+  }
+
+  isOAuthAccount(account) {
+    return account.provider === 'email'
+      && ['gmail', 'microsoft'].includes(account.connection_data?.email_provider);
+  }
+
+  /**
+   * Expiry timestamp in ms; accounts connected before expires_at was stored fall back
+   * to the raw Google expiry_date, or count as expired so they refresh once
+   */
+  getExpiresAt(account) {
+    const connectionData = account.connection_data || {};
+    return connectionData.expires_at || connectionData.tokens?.expiry_date || 0;
+  }
+
+  needsRefresh(account) {
+    return this.isOAuthAccount(account)
+      && this.getExpiresAt(account) - Date.now() < this.refreshSkewMs;
+  }
+
+  /**
+   * Refresh the account's tokens if they are about to expire
+   * @returns {Promise<ChannelAccount>} The same account, with current tokens
+   */
+  async ensureFresh(account) {
+    if (!this.needsRefresh(account)) {
+      return account;
+    }
+    return this.refresh(account);
+  }
+
+  /**
+   * Run a provider call with current credentials. A 401 from the provider forces one
+   * refresh and retry, for tokens revoked before their expiry.
+   */
+  async withFreshTokens(account, fn) {
+    await this.ensureFresh(account);
+
+    try {
+      return await fn(account.connection_data);
+    } catch (error) {
+      const status = error.response?.status || error.code;
+      if (status !== 401 || !this.isOAuthAccount(account)) {
+        throw error;
+      }
+
+      await this.refresh(account);
+      return fn(account.connection_data);
+    }
+  }
+
+  /**
+   * Refresh and persist tokens. Concurrent callers for one account share a single refresh.
+   * @throws {Error} 409 ACCOUNT_NEEDS_REAUTH when the provider rejects the refresh token,
+   * or the original error when the refresh failed for a transient reason
+   */
+  async refresh(account) {
+    if (!this.inFlight.has(account.id)) {
+      const refreshing = this.performRefresh(account)
+        .finally(() => this.inFlight.delete(account.id));
+      this.inFlight.set(account.id, refreshing);
+    }
+
+    const connectionData = await this.inFlight.get(account.id);
+    account.connection_data = connectionData;
+    return account;
+  }
+
+  async performRefresh(account) {
+    const connectionData = account.connection_data;
+
+    let tokens;
+    try {
+      if (!connectionData.refresh_token) {
+        const error = new Error('No refresh token stored');
+        error.code = 'NO_REFRESH_TOKEN';
+        throw error;
+      }
+      tokens = connectionData.email_provider === 'microsoft'
+        ? await this.emailService.refreshMicrosoftTokens(connectionData)
+        : await this.emailService.refreshGmailTokens(connectionData);
+    } catch (error) {
+      // Network errors and provider outages leave the account alone for the next attempt
+      if (!this.isReauthError(error)) {
+        throw error;
+      }
+      await this.markNeedsAction(account, error);
+
+      const reauthError = new Error('Email account needs to be reconnected');
+      reauthError.status = 409;
+      reauthError.code = 'ACCOUNT_NEEDS_REAUTH';
+      reauthError.accountId = account.id;
+      throw reauthError;
+    }
+
+    account.connection_data = {
+      ...connectionData,
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token || connectionData.refresh_token,
+      expires_in: tokens.expires_in,
+      expires_at: Date.now() + tokens.expires_in,
+      tokens: tokens.tokens,
+    };
+    if (account.status === 'needs_action') {
+      account.status = 'connected';
+      account.sync_error = null;
+    }
+    await account.save();
+
+    console.log(`🔑 Refreshed tokens for account ${account.id}`);
+    return account.connection_data;
+  }
+
+  /**
+   * Whether a failed refresh means the grant is gone and only reconnecting can fix it
+   */
+  isReauthError(error) {
+    if (error.code === 'NO_REFRESH_TOKEN' || error.response?.data?.error === 'invalid_grant') {
+      return true;
+    }
+    return [400, 401].includes(error.response?.status);
+  }
+
+  /**
+   * Flag the account and tell its owner to reconnect
+   */
+  async markNeedsAction(account, error) {
+    const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+    console.error(`Token refresh failed for account ${account.id}:`, reason);
+
+    account.status = 'needs_action';
+    account.sync_error = `Token refresh failed: ${reason}`;
+    await account.save();
+
+    if (this.io) {
+      this.io.to(`user_${account.user_id}`).emit('account_needs_action', {
+        account_id: account.id,
+        provider: account.provider,
+        email_provider: account.connection_data?.email_provider,
+        email: account.account_info?.email || account.external_account_id,
+        reason: 'token_refresh_failed',
+      });
+    }
+  }
+
+  /**
+   * Periodically refresh connected accounts whose tokens expire within the skew window
+   */
+  start() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.refreshExpiring(), this.sweepIntervalMs);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async refreshExpiring() {
+    try {
+      const accounts = await ChannelAccount.findAll({
+        where: { provider: 'email', status: 'connected' },
+      });
+
+      for (const account of accounts.filter(candidate => this.needsRefresh(candidate))) {
+        try {
+          await this.refresh(account);
+        } catch (error) {
+          // Revoked grants are recorded on the account by markNeedsAction; retry the rest next sweep
+          if (error.code !== 'ACCOUNT_NEEDS_REAUTH') {
+            console.error(`Error refreshing tokens for account ${account.id}:`, error.message);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error refreshing expiring tokens:', error);
+    }
+  }
+}
+
+module.exports = TokenManager;
@@ -182,6 +182,27 @@ class UniPileService {
     }
   }
 
+  /**
+   * Download an attachment of a message
+   * @returns {Promise<Object>} { data, mimeType }
+   */
+  async getAttachment(messageId, attachmentId) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/api/v1/messages/${messageId}/attachments/${attachmentId}`,
+        { headers: { ...this.headers, accept: '*/*' }, responseType: 'arraybuffer' }
+      );
+
+      return {
+        data: Buffer.from(response.data),
+        mimeType: response.headers['content-type'],
+      };
+    } catch (error) {
+      console.error('Error downloading attachment:', error.response?.status || error.message);
+      throw error;
+    }
+  }
+
   /**
    * Disconnect a connection
    */
@@ -8,7 +8,7 @@ const crypto = require('crypto');
  * - Message sending and receiving
  * - Webhook verification and handling
  * - Media message support
- * - Template message support
+ * - Template message support and the approved template catalog
  */
 
 class WhatsAppService extends PlatformService {
@@ -17,14 +17,25 @@ class WhatsAppService extends PlatformService {
     this.apiUrl = config.apiUrl || 'https://graph.facebook.com/v18.0';
     this.accessToken = null;
     this.phoneNumberId = null;
+    this.businessAccountId = null;
     this.webhookVerifyToken = null;
   }
 
+  /**
+   * Use credentials without verifying them against the API
+   * @param {Object} credentials - { accessToken, phoneNumberId, businessAccountId, webhookVerifyToken }
+   */
+  setCredentials(credentials) {
+    this.accessToken = credentials.accessToken;
+    this.phoneNumberId = credentials.phoneNumberId;
+    this.businessAccountId = credentials.businessAccountId || null;
+    this.webhookVerifyToken = credentials.webhookVerifyToken;
+    return this;
+  }
+
   async initialize(credentials) {
     try {
-      this.accessToken = credentials.accessToken;
-      this.phoneNumberId = credentials.phoneNumberId;
-      this.webhookVerifyToken = credentials.webhookVerifyToken;
+      this.setCredentials(credentials);
 
       // Verify connection by getting phone number info
       const phoneInfo = await this.getPhoneNumberInfo();
@@ -232,6 +243,29 @@ class WhatsAppService extends PlatformService {
     return await this.sendMessage(message);
   }
 
+  /**
+   * List the business account's message templates, following pagination
+   * @returns {Promise<Array>} Templates as returned by the API (name, language, status, category, components)
+   */
+  async listTemplates() {
+    try {
+      const templates = [];
+      let url = `${this.apiUrl}/${this.businessAccountId}/message_templates?limit=100`;
+
+      while (url) {
+        const response = await this.makeRequest(url);
+        templates.push(...(response.data || []));
+        url = response.paging?.next || null;
+      }
+
+      this.log('templates_listed', { count: templates.length });
+      return templates;
+    } catch (error) {
+      this.log('list_templates_failed', { error: error.message }, 'error');
+      throw error;
+    }
+  }
+
   /**
    * Upload media file
    * @param {Buffer} mediaBuffer - Media file buffer
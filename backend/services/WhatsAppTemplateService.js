@@ -0,0 +1,276 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const WhatsAppService = require('./WhatsAppService');
+const { WhatsAppTemplate, ChannelMessage } = require('../models');
+
+// Positional placeholders: {{1}}, {{2}}, ...
+const PLACEHOLDER_PATTERN = /\{\{(\d+)\}\}/g;
+
+// Components whose text may hold placeholders
+const PARAMETER_COMPONENTS = ['header', 'body'];
+
+// Free-form replies are allowed this long after the customer's last message
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * WhatsApp Template Service
+ *
+ * Keeps a local catalog of each WhatsApp account's message templates, synced from
+ * the WhatsApp Cloud API. Each template records the placeholders it needs, so a send
+ * can be checked before it is queued and rendered into the text shown in the chat.
+ *
+ * Outside the 24-hour customer service window (measured from the customer's last
+ * inbound message) WhatsApp only accepts templates.
+ *
+ * Cloud API credentials come from config.platforms.whatsapp, overridden per account
+ * by connection_data.cloudApi ({ accessToken, businessAccountId, phoneNumberId }).
+ */
+class WhatsAppTemplateService {
+  constructor(whatsappConfig = config.platforms.whatsapp) {
+    this.whatsappConfig = whatsappConfig;
+  }
+
+  /**
+   * Cloud API client for an account
+   * @throws {Error} 400 WHATSAPP_TEMPLATES_NOT_CONFIGURED without credentials
+   */
+  createClient(account) {
+    if (account.provider !== 'whatsapp') {
+      const error = new Error('Message templates are only available for WhatsApp accounts');
+      error.status = 400;
+      error.code = 'UNSUPPORTED_PROVIDER';
+      throw error;
+    }
+
+    const credentials = {
+      accessToken: this.whatsappConfig.accessToken,
+      businessAccountId: this.whatsappConfig.businessAccountId,
+      phoneNumberId: this.whatsappConfig.phoneNumberId,
+      ...(account.connection_data?.cloudApi || {}),
+    };
+
+    if (!credentials.accessToken || !credentials.businessAccountId) {
+      const error = new Error('WhatsApp Cloud API credentials are not configured for this account');
+      error.status = 400;
+      error.code = 'WHATSAPP_TEMPLATES_NOT_CONFIGURED';
+      throw error;
+    }
+
+    return new WhatsAppService(this.whatsappConfig).setCredentials(credentials);
+  }
+
+  /**
+   * Replace the account's catalog with the provider's current templates
+   */
+  async syncTemplates(account) {
+    const remoteTemplates = await this.createClient(account).listTemplates();
+    const syncedAt = new Date();
+
+    for (const remote of remoteTemplates) {
+      const [template] = await WhatsAppTemplate.findOrCreate({
+        where: { account_id: account.id, name: remote.name, language: remote.language },
+        defaults: { account_id: account.id, name: remote.name, language: remote.language, status: 'pending' },
+      });
+
+      template.provider_template_id = remote.id || null;
+      template.category = remote.category ? remote.category.toLowerCase() : null;
+      template.status = (remote.status || 'pending').toLowerCase();
+      template.components = remote.components || [];
+      template.parameters = this.parseParameters(template.components);
+      template.synced_at = syncedAt;
+      await template.save();
+    }
+
+    // Templates deleted at the provider
+    const keep = new Set(remoteTemplates.map(remote => `${remote.name}:${remote.language}`));
+    const stored = await WhatsAppTemplate.findAll({ where: { account_id: account.id } });
+    for (const template of stored) {
+      if (!keep.has(`${template.name}:${template.language}`)) {
+        await template.destroy();
+      }
+    }
+
+    console.log(`📋 Synced ${remoteTemplates.length} WhatsApp template(s) for account ${account.id}`);
+    return this.listTemplates(account);
+  }
+
+  async listTemplates(account) {
+    const templates = await WhatsAppTemplate.findAll({
+      where: { account_id: account.id },
+      order: [['name', 'ASC'], ['language', 'ASC']],
+    });
+    return templates.map(template => this.serialize(template));
+  }
+
+  /**
+   * @throws {Error} 404 TEMPLATE_NOT_FOUND
+   */
+  async findTemplate(account, name, language) {
+    const template = name && language && await WhatsAppTemplate.findOne({
+      where: { account_id: account.id, name, language },
+    });
+    if (!template) {
+      const error = new Error(`Template ${name} (${language}) not found; sync templates and try again`);
+      error.status = 404;
+      error.code = 'TEMPLATE_NOT_FOUND';
+      throw error;
+    }
+    return template;
+  }
+
+  /**
+   * Placeholders a template needs, in order, with the provider's example values
+   */
+  parseParameters(components) {
+    const parameters = [];
+
+    for (const component of components) {
+      const type = component.type?.toLowerCase();
+      if (!PARAMETER_COMPONENTS.includes(type) || !component.text) continue;
+
+      const examples = type === 'header'
+        ? component.example?.header_text || []
+        : component.example?.body_text?.[0] || [];
+      const indexes = [...new Set([...component.text.matchAll(PLACEHOLDER_PATTERN)].map(match => parseInt(match[1])))]
+        .sort((a, b) => a - b);
+
+      indexes.forEach(index => parameters.push({ component: type, index, example: examples[index - 1] || null }));
+    }
+    return parameters;
+  }
+
+  /**
+   * Check the values supplied for a template's placeholders
+   * @param {Object} values - { header: [...], body: [...] }, in placeholder order
+   * @throws {Error} 400 TEMPLATE_NOT_APPROVED or INVALID_TEMPLATE_PARAMETERS
+   */
+  validateParameters(template, values = {}) {
+    if (!template.isApproved()) {
+      const error = new Error(`Template ${template.name} is ${template.status}; only approved templates can be sent`);
+      error.status = 400;
+      error.code = 'TEMPLATE_NOT_APPROVED';
+      throw error;
+    }
+
+    const problems = [];
+    for (const component of PARAMETER_COMPONENTS) {
+      const expected = template.parameters.filter(parameter => parameter.component === component).length;
+      const supplied = values[component] || [];
+
+      if (supplied.length !== expected) {
+        problems.push(`${component} needs ${expected} value(s), got ${supplied.length}`);
+      } else if (supplied.some(value => typeof value !== 'string' || !value.trim())) {
+        problems.push(`${component} values must be non-empty text`);
+      } else if (supplied.some(value => /\n|\t| {5,}/.test(value))) {
+        // The Cloud API rejects these in parameters
+        problems.push(`${component} values cannot contain new lines, tabs or more than 4 spaces in a row`);
+      }
+    }
+
+    if (problems.length > 0) {
+      const error = new Error(`Invalid template parameters: ${problems.join('; ')}`);
+      error.status = 400;
+      error.code = 'INVALID_TEMPLATE_PARAMETERS';
+      error.details = problems;
+      throw error;
+    }
+  }
+
+  renderText(text, values = []) {
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, index) => values[parseInt(index) - 1] ?? placeholder);
+  }
+
+  /**
+   * Validate a template send and build what the provider and the chat need
+   * @param {Object} request - { name, language, parameters: { header, body } }
+   * @returns {Promise<Object>} { template: payload for the Cloud API, body: rendered text for the chat }
+   */
+  async prepare(account, { name, language, parameters = {} } = {}) {
+    const template = await this.findTemplate(account, name, language);
+    this.validateParameters(template, parameters);
+
+    const components = PARAMETER_COMPONENTS
+      .filter(component => (parameters[component] || []).length > 0)
+      .map(component => ({
+        type: component,
+        parameters: parameters[component].map(value => ({ type: 'text', text: value.trim() })),
+      }));
+
+    const header = template.getText('header');
+    const body = [
+      header && this.renderText(header, parameters.header),
+      this.renderText(template.getText('body') || '', parameters.body),
+      template.getText('footer'),
+    ].filter(Boolean).join('\n\n');
+
+    return {
+      template: { name: template.name, language: template.language, components },
+      body,
+    };
+  }
+
+  /**
+   * The chat's customer service window
+   * @returns {Promise<Object>} { open, last_inbound_at, expires_at, duration_ms }
+   */
+  async getServiceWindow(chat) {
+    const lastInbound = await ChannelMessage.findOne({
+      where: { chat_id: chat.id, direction: 'in', type: 'message', sent_at: { [Op.ne]: null } },
+      order: [['sent_at', 'DESC']],
+      attributes: ['sent_at'],
+    });
+
+    const lastInboundAt = lastInbound ? new Date(lastInbound.sent_at) : null;
+    const expiresAt = lastInboundAt ? new Date(lastInboundAt.getTime() + SERVICE_WINDOW_MS) : null;
+    return {
+      open: !!expiresAt && expiresAt > new Date(),
+      last_inbound_at: lastInboundAt,
+      expires_at: expiresAt,
+      duration_ms: SERVICE_WINDOW_MS,
+    };
+  }
+
+  /**
+   * Reject a free-form WhatsApp message outside the service window
+   * @throws {Error} 400 WHATSAPP_WINDOW_CLOSED
+   */
+  async enforceServiceWindow(chat) {
+    const serviceWindow = await this.getServiceWindow(chat);
+    if (!serviceWindow.open) {
+      const error = new Error(serviceWindow.last_inbound_at
+        ? 'More than 24 hours have passed since the customer\'s last message; send an approved template instead'
+        : 'The customer has not messaged this number yet; send an approved template instead');
+      error.status = 400;
+      error.code = 'WHATSAPP_WINDOW_CLOSED';
+      error.details = serviceWindow;
+      throw error;
+    }
+    return serviceWindow;
+  }
+
+  /**
+   * Send a prepared template to a phone number
+   * @returns {Promise<Object>} { id } of the sent message
+   */
+  async sendTemplate(account, to, template) {
+    const response = await this.createClient(account).sendTemplateMessage(template, to);
+    return { id: response.messages?.[0]?.id, template: template.name };
+  }
+
+  serialize(template) {
+    return {
+      id: template.id,
+      name: template.name,
+      language: template.language,
+      category: template.category,
+      status: template.status,
+      header: template.getText('header'),
+      body: template.getText('body'),
+      footer: template.getText('footer'),
+      parameters: template.parameters,
+      synced_at: template.synced_at,
+    };
+  }
+}
+
+module.exports = WhatsAppTemplateService;
@@ -0,0 +1,415 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { User, Workspace, WorkspaceMember, ChannelAccount, ChannelChat } = require('../models');
+
+const MEMBER_ROLES = ['admin', 'agent', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  owner: ['workspace:view', 'messages:send', 'notes:write', 'chats:assign', 'chats:update', 'accounts:manage', 'members:manage', 'responses:manage', 'billing:view'],
+  admin: ['workspace:view', 'messages:send', 'notes:write', 'chats:assign', 'chats:update', 'accounts:manage', 'members:manage', 'responses:manage'],
+  agent: ['workspace:view', 'messages:send', 'notes:write', 'chats:assign', 'chats:update'],
+  viewer: ['workspace:view'],
+};
+
+/**
+ * Workspace Service
+ *
+ * Workspaces let a team share channel accounts. Members see every chat on the
+ * workspace's accounts and can assign them to one another. Each workspace has a
+ * Socket.io room (workspace_<id>) that receives the events of its shared accounts.
+ *
+ * Roles (owner, admin, agent, viewer) map to permissions in ROLE_PERMISSIONS. A user
+ * is the owner of the accounts they connected themselves, whatever their workspace role.
+ * Workspace roles never grant the system-wide admin tools; those need User.isSystemAdmin.
+ */
+class WorkspaceService {
+  constructor(io = null) {
+    this.io = io;
+  }
+
+  /**
+   * Create a workspace owned by the user
+   */
+  async createWorkspace(userId, name) {
+    if (!name || !name.trim()) {
+      const error = new Error('Workspace name is required');
+      error.status = 400;
+      error.code = 'WORKSPACE_NAME_REQUIRED';
+      throw error;
+    }
+
+    const workspace = await sequelize.transaction(async (transaction) => {
+      const created = await Workspace.create({ name: name.trim(), owner_id: userId }, { transaction });
+      await WorkspaceMember.create({ workspace_id: created.id, user_id: userId, role: 'owner' }, { transaction });
+      return created;
+    });
+
+    this.joinRoom(userId, workspace.id);
+    return workspace;
+  }
+
+  /**
+   * Workspaces the user belongs to, with their role in each
+   */
+  async listWorkspaces(userId) {
+    const memberships = await WorkspaceMember.findAll({
+      where: { user_id: userId },
+      include: [{ model: Workspace, as: 'workspace', required: true }],
+      order: [['created_at', 'ASC']],
+    });
+
+    return memberships.map(membership => ({
+      id: membership.workspace.id,
+      name: membership.workspace.name,
+      owner_id: membership.workspace.owner_id,
+      role: membership.role,
+    }));
+  }
+
+  /**
+   * Load the user's membership of a workspace, optionally requiring a permission
+   * @throws {Error} 404 when the user is not a member, 403 when their role lacks the permission
+   */
+  async requireMembership(workspaceId, userId, permission = null) {
+    const membership = await WorkspaceMember.findMembership(workspaceId, userId);
+    if (!membership) {
+      const error = new Error('Workspace not found');
+      error.status = 404;
+      error.code = 'WORKSPACE_NOT_FOUND';
+      throw error;
+    }
+
+    if (permission) {
+      this.checkPermission(membership.role, permission);
+    }
+    return membership;
+  }
+
+  hasPermission(role, permission) {
+    return !!role && ROLE_PERMISSIONS[role].includes(permission);
+  }
+
+  checkPermission(role, permission) {
+    if (!this.hasPermission(role, permission)) {
+      const error = new Error(`Your role (${role || 'none'}) does not allow ${permission}`);
+      error.status = 403;
+      error.code = 'INSUFFICIENT_ROLE';
+      throw error;
+    }
+  }
+
+  /**
+   * The user's role on an account: owner of accounts they connected, else their workspace role
+   */
+  async getAccountRole(account, userId) {
+    if (account.user_id === userId) {
+      return 'owner';
+    }
+    if (!account.workspace_id) {
+      return null;
+    }
+    const membership = await WorkspaceMember.findMembership(account.workspace_id, userId);
+    return membership ? membership.role : null;
+  }
+
+  /**
+   * The user's role for actions not tied to an account: their role in the target workspace
+   * when one is given, else owner, since they own the accounts they connect and their plan
+   */
+  async getUserRole(userId, workspaceId = null) {
+    if (!workspaceId) {
+      return 'owner';
+    }
+    const membership = await this.requireMembership(workspaceId, userId);
+    return membership.role;
+  }
+
+  /**
+   * Require a permission on an account, or globally when no account is given
+   * @returns {Promise<string>} The user's role
+   * @throws {Error} 403 when their role lacks the permission
+   */
+  async authorize(userId, permission, account = null) {
+    const role = account
+      ? await this.getAccountRole(account, userId)
+      : await this.getUserRole(userId);
+    this.checkPermission(role, permission);
+    return role;
+  }
+
+  /**
+   * Permissions the user holds for actions not tied to an account, optionally in a workspace
+   */
+  async getUserPermissions(userId, workspaceId = null) {
+    const [role, user] = await Promise.all([
+      this.getUserRole(userId, workspaceId),
+      User.findByPk(userId, { attributes: ['id', 'isSystemAdmin'] }),
+    ]);
+    return { role, permissions: ROLE_PERMISSIONS[role], system_admin: !!user?.isSystemAdmin };
+  }
+
+  /**
+   * Require the user to be a system admin, for tools that act across all tenants
+   * @throws {Error} 403 SYSTEM_ADMIN_REQUIRED
+   */
+  async requireSystemAdmin(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'isSystemAdmin'] });
+    if (!user?.isSystemAdmin) {
+      const error = new Error('System administrator access required');
+      error.status = 403;
+      error.code = 'SYSTEM_ADMIN_REQUIRED';
+      throw error;
+    }
+  }
+
+  async listMembers(workspaceId) {
+    const members = await WorkspaceMember.findAll({
+      where: { workspace_id: workspaceId },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'username', 'email', 'firstName', 'lastName', 'avatar'],
+      }],
+      order: [['created_at', 'ASC']],
+    });
+
+    return members.map(member => ({
+      user_id: member.user_id,
+      role: member.role,
+      username: member.user?.username,
+      email: member.user?.email,
+      name: member.user ? `${member.user.firstName} ${member.user.lastName}` : null,
+      avatar: member.user?.avatar,
+      joined_at: member.created_at,
+    }));
+  }
+
+  /**
+   * Only owners may grant or change the admin role; admins manage agents and viewers
+   */
+  checkRoleChange(actorRole, role) {
+    if (!MEMBER_ROLES.includes(role)) {
+      const error = new Error(`role must be one of: ${MEMBER_ROLES.join(', ')}`);
+      error.status = 400;
+      error.code = 'INVALID_ROLE';
+      throw error;
+    }
+
+    if (role === 'admin' && actorRole !== 'owner') {
+      const error = new Error('Only the workspace owner can manage admins');
+      error.status = 403;
+      error.code = 'INSUFFICIENT_ROLE';
+      throw error;
+    }
+  }
+
+  /**
+   * Add an existing user to a workspace by email
+   */
+  async addMember(workspaceId, email, role = 'agent', actorRole = 'owner') {
+    this.checkRoleChange(actorRole, role);
+
+    const user = email && await User.findByEmail(email);
+    if (!user) {
+      const error = new Error('No user with that email');
+      error.status = 404;
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    const [member, created] = await WorkspaceMember.findOrCreate({
+      where: { workspace_id: workspaceId, user_id: user.id },
+      defaults: { workspace_id: workspaceId, user_id: user.id, role },
+    });
+
+    if (!created) {
+      const error = new Error('User is already a member of this workspace');
+      error.status = 409;
+      error.code = 'ALREADY_MEMBER';
+      throw error;
+    }
+
+    this.joinRoom(user.id, workspaceId);
+    return member;
+  }
+
+  /**
+   * Load a member other than the owner for the acting user to change or remove
+   */
+  async findManageableMember(workspaceId, userId, actorRole) {
+    const membership = await WorkspaceMember.findMembership(workspaceId, userId);
+    if (!membership) {
+      const error = new Error('Member not found');
+      error.status = 404;
+      throw error;
+    }
+    if (membership.role === 'owner') {
+      const error = new Error('The workspace owner cannot be changed or removed');
+      error.status = 400;
+      error.code = 'CANNOT_CHANGE_OWNER';
+      throw error;
+    }
+    if (membership.role === 'admin' && actorRole !== 'owner') {
+      const error = new Error('Only the workspace owner can manage admins');
+      error.status = 403;
+      error.code = 'INSUFFICIENT_ROLE';
+      throw error;
+    }
+    return membership;
+  }
+
+  /**
+   * Change a member's role. Viewers keep no assignments since they cannot work chats.
+   */
+  async updateMemberRole(workspaceId, userId, role, actorRole = 'owner') {
+    this.checkRoleChange(actorRole, role);
+    const membership = await this.findManageableMember(workspaceId, userId, actorRole);
+
+    membership.role = role;
+    await membership.save();
+
+    if (role === 'viewer') {
+      await this.unassignMember(workspaceId, userId);
+    }
+    return membership;
+  }
+
+  /**
+   * Remove a member. Their chats on the workspace's accounts go back to the unassigned queue,
+   * and their sockets leave the workspace's rooms.
+   */
+  async removeMember(workspaceId, userId, actorRole = 'owner') {
+    const membership = await this.findManageableMember(workspaceId, userId, actorRole);
+
+    await sequelize.transaction(async (transaction) => {
+      await this.unassignMember(workspaceId, userId, transaction);
+      await membership.destroy({ transaction });
+    });
+
+    if (this.io) {
+      const chatRooms = await this.getSharedChatRooms(workspaceId, userId);
+      this.io.in(`user_${userId}`).socketsLeave([`workspace_${workspaceId}`, ...chatRooms]);
+    }
+  }
+
+  /**
+   * chat_<id> rooms of the workspace's accounts that the user reaches only through membership,
+   * not accounts they connected themselves
+   */
+  async getSharedChatRooms(workspaceId, userId) {
+    const chats = await ChannelChat.findAll({
+      attributes: ['id'],
+      include: [{
+        model: ChannelAccount,
+        as: 'account',
+        attributes: [],
+        required: true,
+        where: { workspace_id: workspaceId, user_id: { [Op.ne]: userId } },
+      }],
+    });
+    return chats.map(chat => `chat_${chat.id}`);
+  }
+
+  /**
+   * Return a member's chats on the workspace's accounts to the unassigned queue
+   */
+  async unassignMember(workspaceId, userId, transaction = null) {
+    const accounts = await ChannelAccount.findAll({
+      where: { workspace_id: workspaceId },
+      attributes: ['id'],
+      transaction,
+    });
+    await ChannelChat.update(
+      { assignee_id: null, assigned_at: null },
+      { where: { assignee_id: userId, account_id: accounts.map(account => account.id) }, transaction }
+    );
+  }
+
+  /**
+   * Share an account with a workspace, or make it personal again with null.
+   * Only the user who connected the account may move it, into a workspace where they manage accounts.
+   */
+  async shareAccount(account, userId, workspaceId) {
+    if (account.user_id !== userId) {
+      const error = new Error('Only the account owner can change its workspace');
+      error.status = 403;
+      error.code = 'NOT_ACCOUNT_OWNER';
+      throw error;
+    }
+
+    if (workspaceId) {
+      await this.requireMembership(workspaceId, userId, 'accounts:manage');
+    }
+
+    account.workspace_id = workspaceId || null;
+    await account.save();
+
+    // Assignees outside the new audience, or only viewers in it, can no longer work the chat
+    const allowed = workspaceId
+      ? (await WorkspaceMember.findAll({
+        where: { workspace_id: workspaceId, role: { [Op.ne]: 'viewer' } },
+        attributes: ['user_id'],
+      }))
+        .map(member => member.user_id)
+      : [userId];
+    await ChannelChat.update(
+      { assignee_id: null, assigned_at: null },
+      { where: { account_id: account.id, assignee_id: { [Op.notIn]: allowed } } }
+    );
+
+    return account;
+  }
+
+  /**
+   * Assign a chat to a user who can work its account (not a viewer), or unassign it with null.
+   * Emits chat_assigned to the account's room.
+   */
+  async assignChat(account, chat, assigneeId, assignedBy) {
+    let assignee = null;
+    if (assigneeId) {
+      const role = await this.getAccountRole(account, assigneeId);
+
+      if (!this.hasPermission(role, 'chats:assign')) {
+        const error = new Error('Assignee must be a member of the account\'s workspace who can work chats');
+        error.status = 400;
+        error.code = 'INVALID_ASSIGNEE';
+        throw error;
+      }
+      assignee = await User.findByPk(assigneeId, { attributes: ['id', 'firstName', 'lastName'] });
+    }
+
+    chat.assignee_id = assigneeId || null;
+    chat.assigned_at = assigneeId ? new Date() : null;
+    await chat.save();
+
+    if (this.io) {
+      this.io.to(account.getRoom()).emit('chat_assigned', {
+        chat_id: chat.id,
+        account_id: account.id,
+        provider: account.provider,
+        title: chat.title,
+        assignee_id: chat.assignee_id,
+        assignee_name: assignee ? `${assignee.firstName} ${assignee.lastName}` : null,
+        assigned_by: assignedBy,
+        assigned_at: chat.assigned_at,
+      });
+    }
+    return chat;
+  }
+
+  /**
+   * Put a connected user's sockets in the rooms of every workspace they belong to
+   */
+  async joinRooms(socket, userId) {
+    const workspaceIds = await WorkspaceMember.findWorkspaceIds(userId);
+    workspaceIds.forEach(workspaceId => socket.join(`workspace_${workspaceId}`));
+  }
+
+  joinRoom(userId, workspaceId) {
+    if (this.io) {
+      this.io.in(`user_${userId}`).socketsJoin(`workspace_${workspaceId}`);
+    }
+  }
+}
+
+module.exports = WorkspaceService;
@@ -0,0 +1,443 @@
+const PlatformService = require('../PlatformService');
+const EmailService = require('../EmailService');
+const EmailLimitsService = require('../EmailLimitsService');
+const ImapSmtpService = require('../ImapSmtpService');
+const TokenManager = require('../TokenManager');
+const { ChannelAccount, ChannelChat, ChannelMessage } = require('../../models');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Recent IMAP messages scanned when loading a single thread
+const IMAP_THREAD_WINDOW = 200;
+
+const EMAIL_PATTERN = /[^\s,;<>"]+@[^\s,;<>"]+/;
+
+/**
+ * Composer text as HTML for the Gmail and Microsoft APIs, which send HTML bodies
+ */
+const textToHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+  .replace(/\r?\n/g, '<br>');
+
+/**
+ * First address in a header value: Gmail/IMAP strings ("Name <a@b>, ...") or
+ * Microsoft { address, name } objects and arrays of them
+ * @returns {{ email: string, name: string|null }|null}
+ */
+const parseAddress = (value) => {
+  if (!value) return null;
+  if (Array.isArray(value)) return parseAddress(value[0]);
+  if (typeof value === 'object') {
+    return value.address ? { email: value.address, name: value.name || null } : null;
+  }
+
+  const text = String(value);
+  const bracketed = text.match(/^([^<]*)<([^>]+)>/);
+  if (bracketed) {
+    const name = bracketed[1].trim().replace(/^"|"$/g, '');
+    return { email: bracketed[2].trim(), name: name || null };
+  }
+  const bare = text.match(EMAIL_PATTERN);
+  return bare ? { email: bare[0], name: null } : null;
+};
+
+/**
+ * Email Adapter
+ *
+ * Channel adapter for Gmail, Microsoft and generic IMAP/SMTP mailboxes. The mailbox
+ * flavour is stored on the account as connection_data.email_provider and defaults to Gmail.
+ * IMAP mailboxes have no push notifications; ImapPoller feeds new mail into the webhook queue.
+ */
+class EmailAdapter extends PlatformService {
+  constructor(config = {}, tokenManager = new TokenManager()) {
+    super('email', config);
+    this.tokenManager = tokenManager;
+    this.webhookSource = 'email';
+    this.emailService = new EmailService();
+    this.emailLimitsService = new EmailLimitsService();
+    this.imapSmtpService = new ImapSmtpService();
+    // Gmail keeps attachments; fetch them when someone opens one rather than on every sync
+    this.prefetchAttachments = false;
+  }
+
+  isMicrosoft(account) {
+    return account.connection_data?.email_provider === 'microsoft';
+  }
+
+  isImap(account) {
+    return account.connection_data?.email_provider === 'imap';
+  }
+
+  /**
+   * Start or finish an OAuth connection. oauthState is round-tripped through the
+   * provider so the callback knows which user the mailbox belongs to.
+   */
+  async connect(credentials = {}) {
+    const { code, emailProvider, oauthState } = credentials;
+
+    if (emailProvider === 'imap') {
+      return this.connectImap(credentials);
+    }
+
+    if (!code) {
+      // Return auth URL for OAuth flow
+      const authUrl = emailProvider === 'gmail'
+        ? this.emailService.getGmailAuthUrl(oauthState)
+        : this.emailService.getMicrosoftAuthUrl(oauthState);
+
+      return { authUrl, provider: emailProvider };
+    }
+
+    // Exchange code for tokens
+    const tokens = emailProvider === 'gmail'
+      ? await this.emailService.exchangeGmailCode(code)
+      : await this.emailService.exchangeMicrosoftCode(code);
+
+    return {
+      connectionData: {
+        ...tokens,
+        expires_at: Date.now() + tokens.expires_in,
+        email_provider: emailProvider === 'gmail' ? 'gmail' : 'microsoft',
+      },
+      externalAccountId: tokens.email,
+    };
+  }
+
+  /**
+   * Verify IMAP and SMTP logins and store them on the account.
+   * SMTP falls back to the IMAP username/password when not given separately.
+   */
+  async connectImap({ email, imap = {}, smtp = {}, mailbox = 'INBOX' }) {
+    if (!email || !imap.host || !smtp.host) {
+      const error = new Error('Email address, IMAP host and SMTP host are required');
+      error.status = 400;
+      error.code = 'EMAIL_CREDENTIALS_REQUIRED';
+      throw error;
+    }
+
+    const user = imap.user || email;
+    const connectionData = {
+      email_provider: 'imap',
+      email,
+      mailbox,
+      imap: { ...imap, user },
+      smtp: { ...smtp, user: smtp.user || user, pass: smtp.pass || imap.pass },
+    };
+
+    // Start polling from the current end of the mailbox
+    const mailboxState = await this.imapSmtpService.verifyCredentials(connectionData);
+    this.log('connected', { email, host: imap.host });
+
+    return {
+      connectionData: { ...connectionData, ...mailboxState },
+      externalAccountId: email,
+    };
+  }
+
+  /**
+   * Email has no chat listing; recent messages are grouped into threads instead
+   */
+  async fetchChats({ account, limit = 50 }) {
+    const messages = await this.tokenManager.withFreshTokens(account, (credentials) => {
+      if (this.isImap(account)) {
+        return this.imapSmtpService.getRecentMessages(credentials, limit);
+      }
+      return this.isMicrosoft(account)
+        ? this.emailService.getMicrosoftMessages(credentials, '', limit)
+        : this.emailService.getGmailMessages(credentials, '', limit);
+    });
+
+    return this.groupMessagesIntoChats(messages);
+  }
+
+  async fetchMessages({ account, chatId, limit = 50 }) {
+    const threadId = await this.resolveThreadId(account, chatId);
+
+    return this.tokenManager.withFreshTokens(account, async (credentials) => {
+      if (this.isImap(account)) {
+        // IMAP cannot search by thread, so filter the recent window
+        const messages = await this.imapSmtpService.getRecentMessages(credentials, IMAP_THREAD_WINDOW);
+        return messages
+          .filter(message => message.provider_metadata.thread_id === threadId)
+          .slice(-limit);
+      }
+      if (this.isMicrosoft(account)) {
+        return this.emailService.getMicrosoftConversation(credentials, threadId, limit);
+      }
+      return this.emailService.getGmailMessages(credentials, `thread:${threadId}`, limit);
+    });
+  }
+
+  /**
+   * Send an email after applying the mailbox safety limits
+   */
+  async sendMessage({ account, chatId, to, cc, bcc, subject, body, attachments = [] }) {
+    const recipients = [to].filter(Boolean);
+    const domains = recipients.map(email => email.split('@')[1]);
+    const attachmentBytes = attachments.reduce((total, att) => total + (att.size || 0), 0);
+
+    await this.emailLimitsService.enforceLimits({
+      userId: account.user_id,
+      mailboxId: account.id,
+      to: recipients,
+      domains,
+      attachmentBytes,
+    });
+
+    const messageData = { to, cc, bcc, subject, body, attachments };
+    const htmlMessage = { ...messageData, body: textToHtml(body) };
+    const threadId = chatId ? await this.resolveThreadId(account, chatId) : null;
+
+    return this.tokenManager.withFreshTokens(account, async (credentials) => {
+      if (this.isImap(account)) {
+        // SMTP sends the plain text body as is. Replies reference the thread root so
+        // mail clients keep them in the conversation
+        return this.imapSmtpService.sendMessage(credentials, {
+          ...messageData,
+          inReplyTo: threadId || undefined,
+          references: threadId || undefined,
+        });
+      }
+
+      if (this.isMicrosoft(account)) {
+        // Reply to the latest message so Outlook keeps the conversation together
+        const conversation = threadId
+          ? await this.emailService.getMicrosoftConversation(credentials, threadId)
+          : [];
+        const latest = conversation[conversation.length - 1];
+        return this.emailService.sendMicrosoftMessage(credentials, htmlMessage, latest?.provider_msg_id);
+      }
+
+      return this.emailService.sendGmailMessage(credentials, htmlMessage);
+    });
+  }
+
+  /**
+   * Mark messages read in Outlook or IMAP (\\Seen); Gmail read state is tracked locally
+   */
+  async markAsRead({ account, messageIds = [] }) {
+    if (!(this.isImap(account) || this.isMicrosoft(account)) || messageIds.length === 0) {
+      return true;
+    }
+
+    // Only this mailbox's messages; UIDs from another mailbox would flag unrelated mail here
+    const messages = await ChannelMessage.findAll({
+      where: { id: messageIds, direction: 'in' },
+      attributes: ['provider_msg_id', 'provider_metadata'],
+      include: [{
+        model: ChannelChat,
+        as: 'chat',
+        required: true,
+        attributes: [],
+        where: { account_id: account.id },
+      }],
+    });
+    if (messages.length === 0) {
+      return true;
+    }
+
+    return this.tokenManager.withFreshTokens(account, (credentials) => {
+      if (this.isMicrosoft(account)) {
+        return this.emailService.markMicrosoftMessagesRead(
+          credentials,
+          messages.map(message => message.provider_msg_id).filter(Boolean)
+        );
+      }
+
+      const uids = messages
+        .map(message => message.provider_metadata?.uid)
+        .filter(Boolean);
+      return this.imapSmtpService.setFlags(credentials, uids, ['\\Seen']);
+    });
+  }
+
+  /**
+   * Download a Gmail attachment by the attachmentId captured when the message was normalized.
+   * Microsoft and IMAP messages are stored without attachment IDs.
+   */
+  async fetchAttachment({ account, message, attachment }) {
+    if (this.isImap(account) || this.isMicrosoft(account) || !attachment.attachmentId) {
+      return null;
+    }
+
+    const data = await this.tokenManager.withFreshTokens(account, (credentials) => (
+      this.emailService.getGmailAttachment(credentials, message.provider_msg_id, attachment.attachmentId)
+    ));
+    return {
+      data,
+      mimeType: attachment.mimeType || attachment.contentType,
+      filename: attachment.filename,
+    };
+  }
+
+  /**
+   * Map a local chat ID to the provider's thread ID; anything else is used as-is
+   */
+  async resolveThreadId(account, chatId) {
+    if (!UUID_PATTERN.test(String(chatId))) {
+      return chatId;
+    }
+
+    const chat = await ChannelChat.findOne({
+      where: { id: chatId, account_id: account.id },
+    });
+    return chat?.provider_chat_id || chatId;
+  }
+
+  async disconnect() {
+    // OAuth grants are dropped with the stored tokens
+    return true;
+  }
+
+  /**
+   * Email messages are normalized by EmailService when fetched
+   */
+  normalizeMessage(rawMessage) {
+    if (rawMessage.provider_msg_id) {
+      return rawMessage;
+    }
+    return rawMessage.payload
+      ? this.emailService.normalizeGmailMessage(rawMessage)
+      : this.emailService.normalizeMicrosoftMessage(rawMessage);
+  }
+
+  normalizeChat(rawChat) {
+    return {
+      provider_chat_id: rawChat.id,
+      title: rawChat.name || 'No Subject',
+      last_message_at: rawChat.last_message_at ? new Date(rawChat.last_message_at) : null,
+      chat_info: {
+        participants: rawChat.participants || [],
+        participant_email: rawChat.participant?.email,
+        participant_name: rawChat.participant?.name,
+        type: 'thread',
+      },
+      unread_count: rawChat.unread_count || 0,
+    };
+  }
+
+  getChatKey(rawChat) {
+    return rawChat.id || rawChat.name || 'unknown';
+  }
+
+  /**
+   * Group normalized email messages into thread chats
+   */
+  groupMessagesIntoChats(messages) {
+    const chatMap = new Map();
+
+    for (const message of messages) {
+      const threadId = message.provider_metadata.thread_id || message.provider_metadata.conversation_id;
+      if (!chatMap.has(threadId)) {
+        chatMap.set(threadId, {
+          id: threadId,
+          name: message.subject || 'No Subject',
+          last_message_at: message.sent_at,
+          unread_count: 0,
+          participants: [],
+          participant: null,
+        });
+      }
+
+      const chat = chatMap.get(threadId);
+      chat.participant = chat.participant || this.getParticipant(message);
+      if (message.sent_at > chat.last_message_at) {
+        chat.last_message_at = message.sent_at;
+      }
+    }
+
+    return Array.from(chatMap.values());
+  }
+
+  /**
+   * Translate an email push notification (or polled IMAP message) into channel events
+   */
+  async handleWebhook(payload) {
+    const { provider, event, data } = payload;
+
+    switch (event) {
+      case 'message.received':
+        return [{ type: 'message.received', emailProvider: provider, ...data }];
+      case 'message.read':
+        return [{ type: 'message.read', emailProvider: provider, ...data }];
+      default:
+        console.log(`Unhandled email event: ${event}`);
+        return [];
+    }
+  }
+
+  async findWebhookAccount(event) {
+    return ChannelAccount.findOne({
+      where: {
+        id: event.accountId,
+        provider: 'email',
+      },
+    });
+  }
+
+  /**
+   * Fetch the full message referenced by a push notification.
+   * Polled IMAP events already carry the normalized message.
+   */
+  async resolveInboundMessage(account, event) {
+    const { messageId, emailProvider } = event;
+
+    if (emailProvider === 'imap') {
+      return event.message
+        ? { ...event.message, sent_at: new Date(event.message.sent_at) }
+        : null;
+    }
+
+    return this.tokenManager.withFreshTokens(account, async (credentials) => {
+      if (emailProvider === 'gmail') {
+        const gmail = this.emailService.createGmailClient(credentials);
+        const message = await gmail.users.messages.get({
+          userId: 'me',
+          id: messageId,
+          format: 'full',
+        });
+        return this.emailService.normalizeGmailMessage(message.data);
+      } else if (emailProvider === 'microsoft') {
+        return this.emailService.getMicrosoftMessage(credentials, messageId);
+      }
+
+      return null;
+    });
+  }
+
+  getInboundChat(account, normalizedMessage) {
+    const participant = this.getParticipant(normalizedMessage);
+    return {
+      provider_chat_id: normalizedMessage.provider_metadata.thread_id || normalizedMessage.provider_metadata.conversation_id,
+      title: normalizedMessage.subject || 'No Subject',
+      chat_info: participant
+        ? { participant_email: participant.email, participant_name: participant.name }
+        : undefined,
+    };
+  }
+
+  /**
+   * The other party of a message: the sender of inbound mail, the first recipient of our own
+   */
+  getParticipant(normalizedMessage) {
+    const metadata = normalizedMessage.provider_metadata || {};
+    return normalizedMessage.direction === 'out'
+      ? parseAddress(metadata.to)
+      : parseAddress(metadata.from);
+  }
+
+  getContactIdentity(chat) {
+    const email = chat.chat_info?.participant_email;
+    return email ? { type: 'email', value: email, name: chat.chat_info.participant_name } : null;
+  }
+
+  getAuthHeaders() {
+    return {};
+  }
+}
+
+module.exports = EmailAdapter;
@@ -0,0 +1,320 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const PlatformService = require('../PlatformService');
+const MessageNormalizationService = require('../MessageNormalizationService');
+const config = require('../../config');
+const { ChannelAccount, ChannelChat } = require('../../models');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Bot API method used to send each attachment type
+const MEDIA_METHODS = {
+  image: { method: 'sendPhoto', field: 'photo' },
+  video: { method: 'sendVideo', field: 'video' },
+  audio: { method: 'sendAudio', field: 'audio' },
+  voice: { method: 'sendVoice', field: 'voice' },
+  document: { method: 'sendDocument', field: 'document' },
+};
+
+/**
+ * Telegram Adapter
+ *
+ * Channel adapter for the Telegram Bot API. Each account is one bot, connected with
+ * its bot token; updates arrive on /api/webhooks/telegram/:botId and are checked
+ * against the per-bot secret token registered with setWebhook.
+ */
+class TelegramAdapter extends PlatformService {
+  constructor(telegramConfig = config.platforms.telegram) {
+    super('telegram', telegramConfig);
+    this.webhookSource = 'telegram';
+    this.apiBaseUrl = telegramConfig.apiBaseUrl;
+    this.webhookBaseUrl = telegramConfig.webhookBaseUrl;
+    this.normalizationService = new MessageNormalizationService();
+  }
+
+  /**
+   * Call a Bot API method
+   */
+  async callApi(botToken, method, params = {}) {
+    try {
+      const response = await axios.post(`${this.apiBaseUrl}/bot${botToken}/${method}`, params);
+      return response.data.result;
+    } catch (error) {
+      const description = error.response?.data?.description || error.message;
+      this.log('api_request_failed', { method, error: description }, 'error');
+
+      const apiError = new Error(`Telegram ${method} failed: ${description}`);
+      apiError.status = error.response?.status === 401 ? 400 : 502;
+      apiError.code = 'TELEGRAM_API_ERROR';
+      throw apiError;
+    }
+  }
+
+  getWebhookUrl(botId) {
+    return `${this.webhookBaseUrl}/api/webhooks/telegram/${botId}`;
+  }
+
+  /**
+   * Verify the bot token and point the bot's webhook at this server
+   */
+  async connect(credentials = {}) {
+    const { botToken } = credentials;
+    if (!botToken) {
+      const error = new Error('Telegram bot token is required');
+      error.status = 400;
+      error.code = 'TELEGRAM_BOT_TOKEN_REQUIRED';
+      throw error;
+    }
+
+    const bot = await this.callApi(botToken, 'getMe');
+    const webhookSecret = crypto.randomBytes(24).toString('hex');
+
+    await this.callApi(botToken, 'setWebhook', {
+      url: this.getWebhookUrl(bot.id),
+      secret_token: webhookSecret,
+      allowed_updates: ['message', 'channel_post'],
+    });
+
+    this.log('connected', { botId: bot.id, username: bot.username });
+
+    return {
+      connectionData: {
+        bot_token: botToken,
+        bot_id: String(bot.id),
+        username: bot.username,
+        name: bot.first_name,
+        webhook_secret: webhookSecret,
+      },
+      externalAccountId: String(bot.id),
+    };
+  }
+
+  async disconnect(account) {
+    await this.callApi(account.connection_data.bot_token, 'deleteWebhook');
+    return true;
+  }
+
+  /**
+   * The Bot API has no chat listing; chats are created as updates arrive
+   */
+  async fetchChats() {
+    return [];
+  }
+
+  /**
+   * The Bot API has no message history; messages are stored as updates arrive
+   */
+  async fetchMessages() {
+    return [];
+  }
+
+  /**
+   * Send text, or each attachment with the text as the first caption
+   */
+  async sendMessage({ account, chatId, body, attachments = [] }) {
+    const botToken = account.connection_data.bot_token;
+    const telegramChatId = await this.resolveTelegramChatId(account, chatId);
+
+    if (attachments.length === 0) {
+      const sent = await this.callApi(botToken, 'sendMessage', {
+        chat_id: telegramChatId,
+        text: body,
+      });
+      return { id: String(sent.message_id), ...sent };
+    }
+
+    let firstSent;
+    for (const [index, attachment] of attachments.entries()) {
+      const { method, field } = MEDIA_METHODS[attachment.type || this.getMediaType(attachment.mimeType)]
+        || MEDIA_METHODS.document;
+      const params = {
+        chat_id: telegramChatId,
+        caption: index === 0 ? body : undefined,
+      };
+      // Uploads from attachment storage carry their bytes; anything else is a file_id or URL
+      const sent = await this.callApi(botToken, method, attachment.content
+        ? this.toFormData(params, field, attachment)
+        : { ...params, [field]: attachment.fileId || attachment.url });
+      firstSent = firstSent || sent;
+    }
+
+    return { id: String(firstSent.message_id), ...firstSent };
+  }
+
+  getMediaType(mimeType = '') {
+    const type = mimeType.split('/')[0];
+    return ['image', 'video', 'audio'].includes(type) ? type : 'document';
+  }
+
+  /**
+   * Multipart body for uploading a file's bytes with a send* method
+   */
+  toFormData(params, field, attachment) {
+    const form = new FormData();
+    Object.entries(params)
+      .filter(([, value]) => value !== undefined)
+      .forEach(([name, value]) => form.append(name, String(value)));
+    form.append(
+      field,
+      new Blob([Buffer.from(attachment.content, 'base64')], { type: attachment.mimeType }),
+      attachment.filename || 'file'
+    );
+    return form;
+  }
+
+  /**
+   * Download a media file by its file_id. Bots can fetch files up to 20 MB.
+   */
+  async fetchAttachment({ account, attachment }) {
+    if (!attachment.fileId) {
+      return null;
+    }
+
+    const botToken = account.connection_data.bot_token;
+    const file = await this.callApi(botToken, 'getFile', { file_id: attachment.fileId });
+    const response = await axios.get(`${this.apiBaseUrl}/file/bot${botToken}/${file.file_path}`, {
+      responseType: 'arraybuffer',
+    });
+
+    return {
+      data: Buffer.from(response.data),
+      mimeType: attachment.contentType,
+      filename: attachment.filename || file.file_path.split('/').pop(),
+    };
+  }
+
+  /**
+   * Map a local chat ID to the Telegram chat ID; anything else is used as-is
+   */
+  async resolveTelegramChatId(account, chatId) {
+    if (!UUID_PATTERN.test(String(chatId))) {
+      return chatId;
+    }
+
+    const chat = await ChannelChat.findOne({
+      where: { id: chatId, account_id: account.id },
+    });
+    return chat?.chat_info?.telegram_chat_id || chatId;
+  }
+
+  async markAsRead() {
+    // Bots cannot mark messages as read; read state is tracked locally
+    return true;
+  }
+
+  normalizeMessage(rawMessage) {
+    const unified = this.normalizationService.normalize(rawMessage, 'telegram', null);
+    const metadata = unified.platformMetadata.telegram;
+
+    return {
+      id: unified.id,
+      provider: 'telegram',
+      direction: metadata.isBot ? 'out' : 'in',
+      body: unified.content.text,
+      subject: null,
+      attachments: metadata.attachments,
+      sent_at: unified.timestamp,
+      provider_msg_id: unified.id,
+      provider_metadata: {
+        chat_id: metadata.chatId,
+        chat_type: metadata.chatType,
+        chat_title: rawMessage.chat?.title,
+        from: unified.sender.id,
+        fromName: unified.sender.name,
+        username: unified.sender.username,
+        reply_to: unified.parentMessageId,
+      },
+    };
+  }
+
+  normalizeChat(rawChat) {
+    return {
+      provider_chat_id: String(rawChat.id),
+      title: rawChat.title || [rawChat.first_name, rawChat.last_name].filter(Boolean).join(' ') || 'Unknown Chat',
+      last_message_at: null,
+      chat_info: {
+        telegram_chat_id: rawChat.id,
+        type: rawChat.type,
+        username: rawChat.username,
+      },
+      unread_count: 0,
+    };
+  }
+
+  getChatKey(rawChat) {
+    return String(rawChat.id);
+  }
+
+  /**
+   * Translate a stored Telegram update ({ bot_id, update }) into channel events
+   */
+  async handleWebhook(payload) {
+    const { bot_id: botId, update = {} } = payload;
+    const message = update.message || update.channel_post;
+
+    if (!message) {
+      console.log(`Unhandled Telegram update: ${update.update_id}`);
+      return [];
+    }
+
+    return [{ type: 'message.received', botId, message }];
+  }
+
+  /**
+   * Check the secret token Telegram echoes back on every webhook call
+   */
+  validateWebhookSignature(account, secretToken) {
+    const expected = account.connection_data?.webhook_secret;
+    if (!expected || !secretToken || expected.length !== secretToken.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(secretToken));
+  }
+
+  /**
+   * Updates for a disconnected bot (or one since reconnected on another account) are ignored
+   */
+  async findWebhookAccount(event) {
+    return ChannelAccount.findOne({
+      where: {
+        provider: 'telegram',
+        external_account_id: String(event.botId),
+        status: 'connected',
+      },
+    });
+  }
+
+  async resolveInboundMessage(account, event) {
+    return this.normalizeMessage(event.message);
+  }
+
+  getInboundChat(account, normalizedMessage) {
+    const { chat_id: chatId, chat_type: chatType, chat_title: chatTitle, fromName } = normalizedMessage.provider_metadata;
+    return {
+      provider_chat_id: `${chatId}_telegram`,
+      title: chatTitle || fromName || `Chat ${chatId}`,
+      chat_info: {
+        telegram_chat_id: chatId,
+        type: chatType,
+      },
+    };
+  }
+
+  /**
+   * Private chats share their ID with the user on the other end
+   */
+  getContactIdentity(chat) {
+    const info = chat.chat_info || {};
+    if (info.type !== 'private' || !info.telegram_chat_id) {
+      return null;
+    }
+    return { type: 'telegram', value: String(info.telegram_chat_id), name: chat.title };
+  }
+
+  getAuthHeaders() {
+    // The bot token is part of the request path
+    return {};
+  }
+}
+
+module.exports = TelegramAdapter;
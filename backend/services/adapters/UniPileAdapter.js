@@ -0,0 +1,276 @@
+const PlatformService = require('../PlatformService');
+const UniPileService = require('../UniPileService');
+const WhatsAppTemplateService = require('../WhatsAppTemplateService');
+const { ChannelAccount, ChannelChat } = require('../../models');
+
+/**
+ * UniPile Adapter
+ *
+ * Channel adapter for providers connected through UniPile (WhatsApp, Instagram).
+ * One instance is registered per provider; all of them share the 'unipile' webhook source.
+ * WhatsApp template messages go out through the WhatsApp Cloud API instead, since UniPile
+ * cannot send them.
+ */
+class UniPileAdapter extends PlatformService {
+  constructor(platform, config = {}) {
+    super(platform, config);
+    this.webhookSource = 'unipile';
+    this.unipileService = new UniPileService();
+    this.templateService = new WhatsAppTemplateService();
+  }
+
+  async connect(credentials = {}) {
+    const connectionData = await this.unipileService.initializeConnection(this.platform, credentials);
+    return {
+      connectionData,
+      externalAccountId: connectionData.connectionId,
+    };
+  }
+
+  async fetchChats({ account, limit = 50, offset = 0 }) {
+    return this.unipileService.getChats(account.connection_data.connectionId, limit, offset);
+  }
+
+  async fetchMessages({ account, chatId, limit = 50, offset = 0 }) {
+    return this.unipileService.getMessages(account.connection_data.connectionId, chatId, limit, offset);
+  }
+
+  async sendMessage({ account, chatId, to, body, attachments = [], template = null }) {
+    if (template) {
+      return this.sendTemplate(account, chatId, template);
+    }
+
+    // Messages started from /api/send-message name their recipient
+    return this.unipileService.sendMessage(
+      account.connection_data.connectionId,
+      to || chatId,
+      { text: body, attachments }
+    );
+  }
+
+  /**
+   * Send a prepared WhatsApp template to the chat's phone number
+   */
+  async sendTemplate(account, chatId, template) {
+    const chat = await ChannelChat.findByPk(chatId);
+    const identity = chat && this.getContactIdentity(chat);
+
+    if (identity?.type !== 'phone') {
+      const error = new Error('Templates can only be sent to one-to-one WhatsApp chats with a known phone number');
+      error.status = 400;
+      error.code = 'NO_RECIPIENT_PHONE';
+      throw error;
+    }
+
+    return this.templateService.sendTemplate(account, identity.value, template);
+  }
+
+  /**
+   * Download a message attachment through UniPile, which proxies the provider's media
+   */
+  async fetchAttachment({ message, attachment }) {
+    if (!attachment.id || attachment.unavailable) {
+      return null;
+    }
+
+    const { data, mimeType } = await this.unipileService.getAttachment(message.provider_msg_id, attachment.id);
+    return {
+      data,
+      mimeType: attachment.mimetype || mimeType,
+      filename: attachment.file_name || attachment.filename,
+    };
+  }
+
+  async markAsRead({ account, chatId, messageIds }) {
+    return this.unipileService.markAsRead(account.connection_data.connectionId, chatId, messageIds);
+  }
+
+  async disconnect(account) {
+    return this.unipileService.disconnect(account.connection_data.connectionId);
+  }
+
+  normalizeMessage(rawMessage) {
+    return this.unipileService.normalizeMessage(rawMessage, this.platform);
+  }
+
+  normalizeChat(rawChat) {
+    return this.unipileService.normalizeChat(rawChat, this.platform);
+  }
+
+  /**
+   * Key used to consolidate provider chats: the contact's phone number when available
+   */
+  getChatKey(rawChat) {
+    if (rawChat.participants && rawChat.participants.length > 0) {
+      for (const participant of rawChat.participants) {
+        if (participant.phone || participant.id) {
+          const phoneNumber = participant.phone || participant.id;
+          const cleanPhone = phoneNumber.replace(/^whatsapp:/, '').replace(/^\+/, '').replace(/\D/g, '');
+          if (cleanPhone && cleanPhone.length >= 10) {
+            return cleanPhone;
+          }
+        }
+      }
+    }
+
+    // Fallback to chat ID or name
+    return rawChat.id || rawChat.name || 'unknown';
+  }
+
+  /**
+   * Translate a UniPile webhook payload into channel events
+   */
+  async handleWebhook(payload) {
+    const { event, data } = payload;
+
+    switch (event) {
+      case 'message.new':
+      case 'message_received': {
+        // Handle direct webhook format (no data wrapper)
+        const message = this.parseMessageEvent(data || payload);
+        return message ? [{ type: 'message.received', ...message }] : [];
+      }
+      case 'message.delivered':
+      case 'message_delivered':
+      case 'message.read':
+      case 'message_read': {
+        const receipt = data || payload;
+        return [{
+          type: event.endsWith('read') ? 'message.read' : 'message.delivered',
+          connectionId: receipt.connectionId || receipt.account_id,
+          messageId: receipt.messageId || receipt.message_id,
+        }];
+      }
+      case 'account.updated':
+        return [{
+          type: 'account.updated',
+          connectionId: data.connectionId,
+          status: data.status,
+          accountInfo: data.accountInfo,
+        }];
+      case 'connection.status':
+        return [{
+          type: 'connection.status',
+          connectionId: data.connectionId,
+          status: data.status,
+        }];
+      default:
+        console.log(`Unhandled UniPile event: ${event}`);
+        return [];
+    }
+  }
+
+  /**
+   * Extract the connection ID and raw message from the payload shapes UniPile sends
+   */
+  parseMessageEvent(data) {
+    console.log('Processing new message with data:', JSON.stringify(data, null, 2));
+
+    let connectionId, message;
+
+    if (data.connectionId && data.message) {
+      // Direct structure: { connectionId, message }
+      connectionId = data.connectionId;
+      message = data.message;
+    } else if (data.connection_id && data.message) {
+      // Alternative structure: { connection_id, message }
+      connectionId = data.connection_id;
+      message = data.message;
+    } else if (data.message && data.message.connectionId) {
+      // Message contains connectionId
+      connectionId = data.message.connectionId;
+      message = data.message;
+    } else if (data.account_id && data.message) {
+      // Real UniPile format: { account_id, message, sender, etc. }
+      connectionId = data.account_id;
+      message = {
+        id: data.message_id,
+        body: data.message,
+        from: data.sender?.attendee_provider_id || data.sender?.attendee_id,
+        to: data.provider_chat_id,
+        timestamp: data.timestamp,
+        chat_id: data.chat_id,
+        subject: data.subject,
+        attachments: data.attachments || [],
+        sender: data.sender, // Add sender object
+      };
+    } else {
+      console.error('Invalid data structure for new message:', data);
+      return null;
+    }
+
+    if (!connectionId) {
+      console.error('No connectionId found in data:', data);
+      return null;
+    }
+
+    return { connectionId, message };
+  }
+
+  /**
+   * Find the account a webhook event belongs to
+   */
+  async findWebhookAccount(event) {
+    // The connection ID doubles as external_account_id (connection_data is encrypted).
+    // One adapter handles the shared UniPile webhook for every UniPile provider.
+    return ChannelAccount.findOne({
+      where: {
+        provider: ['whatsapp', 'instagram'],
+        external_account_id: event.connectionId,
+      },
+    });
+  }
+
+  async resolveInboundMessage(account, event) {
+    return this.normalizeMessage(event.message);
+  }
+
+  /**
+   * Chat an inbound message belongs to, keyed on the contact's phone number.
+   * Returns null for messages from the account's own number.
+   */
+  getInboundChat(account, normalizedMessage) {
+    const phoneNumber = normalizedMessage.provider_metadata.phone_number;
+
+    // Skip processing if it's from own phone number
+    const ownPhoneNumber = account.getOwnPhoneNumber();
+    if (ownPhoneNumber && phoneNumber === ownPhoneNumber) {
+      console.log(`Skipping webhook processing for own phone number: ${phoneNumber}`);
+      return null;
+    }
+
+    return {
+      provider_chat_id: `${phoneNumber}_${account.provider}`,
+      title: normalizedMessage.provider_metadata.fromName || `Chat ${phoneNumber}`,
+      chat_info: {
+        original_chat_id: normalizedMessage.provider_metadata.chat_id,
+        phone_number: phoneNumber,
+        from: normalizedMessage.provider_metadata.from,
+      },
+    };
+  }
+
+  /**
+   * WhatsApp chats are keyed on the phone number; Instagram on the sender handle
+   */
+  getContactIdentity(chat) {
+    const info = chat.chat_info || {};
+    if (info.type === 'group') {
+      return null;
+    }
+
+    if (this.platform === 'whatsapp') {
+      const phoneNumber = String(info.phone_number || '').replace(/\D/g, '');
+      return phoneNumber ? { type: 'phone', value: phoneNumber, name: chat.title } : null;
+    }
+
+    const handle = info.username || info.phone_number;
+    return handle && handle !== 'unknown' ? { type: 'instagram', value: handle, name: chat.title } : null;
+  }
+
+  getAuthHeaders() {
+    return this.unipileService.headers;
+  }
+}
+
+module.exports = UniPileAdapter;
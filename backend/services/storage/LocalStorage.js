@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local Storage
+ *
+ * Keeps attachment bytes under a directory on local disk. Files are served by the
+ * app itself, so there are no signed URLs at this level.
+ */
+class LocalStorage {
+  constructor(root) {
+    this.driver = 'local';
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Absolute path for a key; keys never leave the storage root
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  async createReadStream(key) {
+    const filePath = this.resolve(key);
+    // Fail before the response starts rather than halfway through streaming it
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
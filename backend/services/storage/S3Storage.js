@@ -0,0 +1,172 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as Signature Version 4 expects
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * S3 Storage
+ *
+ * Keeps attachment bytes in an S3-compatible bucket (AWS S3, MinIO). Requests are
+ * signed with AWS Signature Version 4; downloads go straight to the bucket through
+ * presigned GET URLs. Path-style addressing (endpoint/bucket/key) is the default
+ * since MinIO and most self-hosted stores expect it.
+ */
+class S3Storage {
+  constructor(s3Config) {
+    if (!s3Config.bucket || !s3Config.accessKeyId || !s3Config.secretAccessKey) {
+      throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    this.driver = 's3';
+    this.endpoint = new URL(s3Config.endpoint);
+    this.region = s3Config.region;
+    this.bucket = s3Config.bucket;
+    this.accessKeyId = s3Config.accessKeyId;
+    this.secretAccessKey = s3Config.secretAccessKey;
+    this.forcePathStyle = s3Config.forcePathStyle;
+  }
+
+  /**
+   * Host and canonical path of an object
+   */
+  locate(key) {
+    const objectPath = key.split('/').map(encode).join('/');
+    if (this.forcePathStyle) {
+      return { host: this.endpoint.host, path: `/${encode(this.bucket)}/${objectPath}` };
+    }
+    return { host: `${this.bucket}.${this.endpoint.host}`, path: `/${objectPath}` };
+  }
+
+  /**
+   * Sign a request; returns the signature and the pieces it covered
+   */
+  sign(method, key, { query = {}, headers = {}, payloadHash = UNSIGNED_PAYLOAD, date = new Date() }) {
+    const { host, path } = this.locate(key);
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+
+    const signedHeaders = { host, ...headers };
+    const headerNames = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+    const canonicalHeaders = Object.keys(signedHeaders)
+      .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+      .map(name => `${name.toLowerCase()}:${String(signedHeaders[name]).trim()}\n`)
+      .join('');
+
+    const canonicalQuery = (extra) => Object.entries({ ...query, ...extra })
+      .map(([name, value]) => [encode(name), encode(value)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+
+    return {
+      host,
+      path,
+      amzDate,
+      scope,
+      headerNames: headerNames.join(';'),
+      canonicalQuery,
+      signature: (extraQuery = {}) => {
+        const canonicalRequest = [
+          method,
+          path,
+          canonicalQuery(extraQuery),
+          canonicalHeaders,
+          headerNames.join(';'),
+          payloadHash,
+        ].join('\n');
+        const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+        const signingKey = [amzDate.slice(0, 8), this.region, 's3', 'aws4_request']
+          .reduce((derived, part) => hmac(derived, part), `AWS4${this.secretAccessKey}`);
+        return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+      },
+    };
+  }
+
+  /**
+   * Send a request signed in the Authorization header
+   */
+  async request(method, key, { data, headers = {}, responseType } = {}) {
+    const payloadHash = data ? sha256(data) : sha256('');
+    const date = new Date();
+    const amzHeaders = {
+      ...headers,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': date.toISOString().replace(/[:-]|\.\d{3}/g, ''),
+    };
+    const signed = this.sign(method, key, { headers: amzHeaders, payloadHash, date });
+
+    try {
+      return await axios({
+        method,
+        url: `${this.endpoint.protocol}//${signed.host}${signed.path}`,
+        data,
+        responseType,
+        maxBodyLength: Infinity,
+        headers: {
+          ...amzHeaders,
+          Authorization: `${ALGORITHM} Credential=${this.accessKeyId}/${signed.scope}, `
+            + `SignedHeaders=${signed.headerNames}, Signature=${signed.signature()}`,
+        },
+      });
+    } catch (error) {
+      const storageError = new Error(`S3 ${method} ${key} failed: ${error.response?.status || error.message}`);
+      storageError.status = error.response?.status === 404 ? 404 : 502;
+      storageError.code = 'STORAGE_REQUEST_FAILED';
+      throw storageError;
+    }
+  }
+
+  async put(key, data, { contentType = 'application/octet-stream' } = {}) {
+    await this.request('PUT', key, { data, headers: { 'content-type': contentType } });
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  }
+
+  async createReadStream(key) {
+    const response = await this.request('GET', key, { responseType: 'stream' });
+    return response.data;
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+
+  /**
+   * Presigned GET URL, optionally overriding the response's disposition, filename and type
+   */
+  getSignedUrl(key, { expiresIn, filename, contentType, disposition = 'attachment' } = {}) {
+    const query = {};
+    if (filename) {
+      query['response-content-disposition'] = `${disposition}; filename*=UTF-8''${encode(filename)}`;
+    }
+    if (contentType) {
+      query['response-content-type'] = contentType;
+    }
+
+    const signed = this.sign('GET', key, { query });
+    const authQuery = {
+      'X-Amz-Algorithm': ALGORITHM,
+      'X-Amz-Credential': `${this.accessKeyId}/${signed.scope}`,
+      'X-Amz-Date': signed.amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': signed.headerNames,
+    };
+    const signature = signed.signature(authQuery);
+
+    return `${this.endpoint.protocol}//${signed.host}${signed.path}?${signed.canonicalQuery(authQuery)}&X-Amz-Signature=${signature}`;
+  }
+}
+
+module.exports = S3Storage;
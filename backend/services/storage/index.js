@@ -0,0 +1,19 @@
+const config = require('../../config');
+const LocalStorage = require('./LocalStorage');
+const S3Storage = require('./S3Storage');
+
+/**
+ * Create the attachment storage backend selected by STORAGE_DRIVER
+ */
+function createStorage(storageConfig = config.storage) {
+  switch (storageConfig.driver) {
+    case 'local':
+      return new LocalStorage(storageConfig.localPath);
+    case 's3':
+      return new S3Storage(storageConfig.s3);
+    default:
+      throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+  }
+}
+
+module.exports = { createStorage, LocalStorage, S3Storage };
@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { Card, Button, Typography, Space, message, Statistic, Row, Col, Divider, Select, InputNumber } from 'antd';
+import { Card, Button, Typography, Space, message, Statistic, Row, Col, Divider, Select, InputNumber, Result, Spin } from 'antd';
 import { DatabaseOutlined, ReloadOutlined, InfoCircleOutlined, SendOutlined, PlayCircleOutlined, StopOutlined } from '@ant-design/icons';
 import axios from 'axios';
+import { usePermissions } from '../hooks/usePermissions';
 
 const { Title, Text } = Typography;
 
 const AdminPanel = () => {
+  const { systemAdmin, loading: permissionsLoading } = usePermissions();
   const [loading, setLoading] = useState(false);
   const [mockDataStatus, setMockDataStatus] = useState(null);
   const [selectedPlatform, setSelectedPlatform] = useState('whatsapp');
@@ -21,9 +23,14 @@ const AdminPanel = () => {
     }
   };
 
+  // The admin tools act across all tenants, so workspace roles do not unlock them
+  const allowed = systemAdmin;
+
   useEffect(() => {
-    fetchMockDataStatus();
-  }, []);
+    if (allowed) {
+      fetchMockDataStatus();
+    }
+  }, [allowed]);
 
   const seedMockData = async () => {
     setLoading(true);
@@ -61,6 +68,26 @@ const AdminPanel = () => {
     }
   };
 
+  if (permissionsLoading) {
+    return (
+      <div style={{ padding: '24px', textAlign: 'center' }}>
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  if (!allowed) {
+    return (
+      <div style={{ padding: '24px', maxWidth: '800px', margin: '0 auto' }}>
+        <Result
+          status="403"
+          title="Admin access required"
+          subTitle="Only system administrators can run the admin tools."
+        />
+      </div>
+    );
+  }
+
   return (
     <div style={{ padding: '24px', maxWidth: '800px', margin: '0 auto' }}>
       <Card>
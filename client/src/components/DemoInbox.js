@@ -19,7 +19,7 @@ const DemoInbox = () => {
     // Connect to Socket.io with authentication
     const newSocket = io('http://localhost:5001', {
       auth: {
-        token: null // No token for testing
+        token: localStorage.getItem('token')
       }
     });
     setSocket(newSocket);
@@ -88,6 +88,7 @@ const DemoInbox = () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Authorization: `Bearer ${localStorage.getItem('token')}`,
         },
         body: JSON.stringify({
           to: targetRecipient,
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { Drawer, List, Button, Input, Select, Space, Typography, Popconfirm, Tag, Empty, message } from 'antd';
+import { Plus, Pencil, Trash2 } from 'lucide-react';
+import { useWorkspaces } from '../../hooks/useWorkspaces';
+import { useAuth } from '../../contexts/AuthContext';
+import './UnifiedInbox.css';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+const variableHelp = '{{contact.first_name}}, {{contact.last_name}}, {{contact.name}}, {{agent.name}}, {{agent.first_name}}, {{agent.email}}';
+
+const emptyDraft = { shortcut: '', title: '', body: '', workspace_id: null };
+
+const CannedResponsesManager = ({ visible, onClose, cannedResponses }) => {
+  const { user } = useAuth();
+  const { workspaces } = useWorkspaces();
+  const { responses, loading, createResponse, updateResponse, deleteResponse } = cannedResponses;
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Shared replies are managed by the workspace's owners and admins
+  const managedWorkspaces = workspaces.filter(workspace => ['owner', 'admin'].includes(workspace.role));
+  const canEdit = (response) => (
+    response.scope === 'shared'
+      ? managedWorkspaces.some(workspace => workspace.id === response.workspace_id)
+      : response.user_id === user?.id
+  );
+  const getWorkspaceName = (workspaceId) => workspaces.find(workspace => workspace.id === workspaceId)?.name;
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      if (draft.id) {
+        await updateResponse(draft.id, { shortcut: draft.shortcut, title: draft.title, body: draft.body });
+      } else {
+        await createResponse(draft);
+      }
+      setDraft(null);
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to save reply');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (response) => {
+    try {
+      await deleteResponse(response.id);
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to delete reply');
+    }
+  };
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  return (
+    <Drawer
+      title="Saved replies"
+      open={visible}
+      onClose={onClose}
+      width={520}
+      extra={!draft && (
+        <Button type="primary" icon={<Plus size={14} />} onClick={() => setDraft(emptyDraft)}>
+          New reply
+        </Button>
+      )}
+    >
+      {draft ? (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Input
+            addonBefore="/"
+            placeholder="shortcut"
+            value={draft.shortcut}
+            onChange={(e) => updateDraft({ shortcut: e.target.value })}
+          />
+          <Input
+            placeholder="Title"
+            value={draft.title}
+            onChange={(e) => updateDraft({ title: e.target.value })}
+          />
+          <TextArea
+            placeholder="Hi {{contact.first_name}}, ..."
+            value={draft.body}
+            onChange={(e) => updateDraft({ body: e.target.value })}
+            autoSize={{ minRows: 4, maxRows: 10 }}
+          />
+          <Text type="secondary" style={{ fontSize: '12px' }}>Variables: {variableHelp}</Text>
+          {!draft.id && (
+            <Select
+              value={draft.workspace_id || ''}
+              onChange={(workspaceId) => updateDraft({ workspace_id: workspaceId || null })}
+              options={[
+                { value: '', label: 'Only me' },
+                ...managedWorkspaces.map(workspace => ({ value: workspace.id, label: `Shared with ${workspace.name}` })),
+              ]}
+            />
+          )}
+          <Space>
+            <Button type="primary" onClick={handleSave} loading={saving}>Save</Button>
+            <Button onClick={() => setDraft(null)}>Cancel</Button>
+          </Space>
+        </Space>
+      ) : (
+        <List
+          loading={loading}
+          dataSource={responses}
+          locale={{
+            emptyText: (
+              <Empty
+                image={Empty.PRESENTED_IMAGE_SIMPLE}
+                description="Save answers you send often, then type / in the composer to insert them"
+              />
+            ),
+          }}
+          renderItem={(response) => (
+            <List.Item
+              actions={canEdit(response) ? [
+                <Button
+                  key="edit"
+                  type="text"
+                  size="small"
+                  icon={<Pencil size={14} />}
+                  onClick={() => setDraft(response)}
+                />,
+                <Popconfirm key="delete" title={`Delete /${response.shortcut}?`} onConfirm={() => handleDelete(response)}>
+                  <Button type="text" size="small" danger icon={<Trash2 size={14} />} />
+                </Popconfirm>,
+              ] : []}
+            >
+              <List.Item.Meta
+                title={(
+                  <Space size={4}>
+                    <Text code>/{response.shortcut}</Text>
+                    <Text strong>{response.title}</Text>
+                    {response.scope === 'shared' && <Tag>{getWorkspaceName(response.workspace_id) || 'Shared'}</Tag>}
+                  </Space>
+                )}
+                description={<Text type="secondary" ellipsis>{response.body}</Text>}
+              />
+            </List.Item>
+          )}
+        />
+      )}
+    </Drawer>
+  );
+};
+
+export default CannedResponsesManager;
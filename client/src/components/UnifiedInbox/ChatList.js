@@ -1,18 +1,65 @@
 import React, { useState, useEffect } from 'react';
-import { List, Avatar, Typography, Empty, Spin, Button } from 'antd';
-import { MessageSquare, Mail, Instagram, RefreshCw, Trash2 } from 'lucide-react';
+import axios from 'axios';
+import { List, Avatar, Typography, Empty, Spin, Button, Segmented, Select, Tag, Checkbox, Dropdown, message } from 'antd';
+import { MessageSquare, Mail, Instagram, Send, RefreshCw, Trash2, Clock, CheckCircle, RotateCcw, Hourglass } from 'lucide-react';
 import { useConnections } from '../../hooks/useConnections';
+import { useAuth } from '../../contexts/AuthContext';
+import socketService from '../../services/socketService';
 import { useDispatch } from 'react-redux';
 import { clearMessages } from '../../store/slices/messagesSlice';
 import './UnifiedInbox.css';
 
 const { Text } = Typography;
 
+const statusOptions = [
+  { label: 'Open', value: 'open' },
+  { label: 'Pending', value: 'pending' },
+  { label: 'Snoozed', value: 'snoozed' },
+  { label: 'Closed', value: 'closed' },
+  { label: 'All', value: 'all' },
+];
+
+const statusColors = {
+  pending: 'orange',
+  snoozed: 'purple',
+  closed: 'default',
+};
+
+// Snooze presets, resolved when picked
+const snoozeOptions = [
+  { key: 'hour', label: 'For 1 hour', until: () => new Date(Date.now() + 60 * 60 * 1000) },
+  {
+    key: 'tomorrow',
+    label: 'Until tomorrow, 9:00',
+    until: () => {
+      const date = new Date();
+      date.setDate(date.getDate() + 1);
+      date.setHours(9, 0, 0, 0);
+      return date;
+    },
+  },
+  {
+    key: 'week',
+    label: 'Until next Monday, 9:00',
+    until: () => {
+      const date = new Date();
+      date.setDate(date.getDate() + ((8 - date.getDay()) % 7 || 7));
+      date.setHours(9, 0, 0, 0);
+      return date;
+    },
+  },
+];
+
 const ChatList = ({ provider, selectedChat, onChatSelect }) => {
   const { connections } = useConnections();
+  const { user } = useAuth();
   const dispatch = useDispatch();
   const [chats, setChats] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [assigneeFilter, setAssigneeFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [updatingStatus, setUpdatingStatus] = useState(false);
 
   const providerConnections = connections.filter(conn => 
     conn.provider === provider && conn.status === 'connected'
@@ -26,6 +73,8 @@ const ChatList = ({ provider, selectedChat, onChatSelect }) => {
         return <Instagram size={16} />;
       case 'email':
         return <Mail size={16} />;
+      case 'telegram':
+        return <Send size={16} />;
       default:
         return <MessageSquare size={16} />;
     }
@@ -69,7 +118,7 @@ const ChatList = ({ provider, selectedChat, onChatSelect }) => {
             });
           } else {
             // Get from local database
-            response = await fetch(`/api/channels/${provider}/${connection.id}/chats`);
+            response = await fetch(`/api/channels/${provider}/${connection.id}/chats?assignee=${assigneeFilter}&status=${statusFilter}`);
           }
           
           const data = await response.json();
@@ -79,6 +128,8 @@ const ChatList = ({ provider, selectedChat, onChatSelect }) => {
               ...chat,
               account_id: connection.id,
               account_info: connection.account_info,
+              workspace_id: data.workspace_id,
+              role: connection.role,
             }));
             allChats.push(...connectionChats);
           }
@@ -93,6 +144,7 @@ const ChatList = ({ provider, selectedChat, onChatSelect }) => {
       );
       
       setChats(allChats);
+      setSelectedIds([]);
     } catch (error) {
       console.error('Error fetching chats:', error);
     } finally {
@@ -111,7 +163,87 @@ const ChatList = ({ provider, selectedChat, onChatSelect }) => {
 
   useEffect(() => {
     fetchChats();
-  }, [provider, providerConnections]);
+  }, [provider, providerConnections, assigneeFilter, statusFilter]);
+
+  // Keep assignees current when a teammate (or another tab) reassigns a chat
+  useEffect(() => {
+    const matchesFilter = (assigneeId) => {
+      if (assigneeFilter === 'me') return assigneeId === user?.id;
+      if (assigneeFilter === 'unassigned') return !assigneeId;
+      return true;
+    };
+
+    const handleAssigned = (assignment) => {
+      if (assignment.provider !== provider) return;
+
+      if (assignment.assignee_id === user?.id && assignment.assigned_by !== user?.id) {
+        message.info(`${assignment.title || 'A conversation'} was assigned to you`);
+      }
+
+      setChats(prev => prev
+        .map(chat => (chat.id === assignment.chat_id ? {
+          ...chat,
+          assignee_id: assignment.assignee_id,
+          assignee_name: assignment.assignee_name,
+          assigned_at: assignment.assigned_at,
+        } : chat))
+        .filter(chat => chat.id !== assignment.chat_id || matchesFilter(chat.assignee_id)));
+    };
+
+    socketService.on('chat_assigned', handleAssigned);
+    return () => {
+      socketService.off('chat_assigned', handleAssigned);
+    };
+  }, [provider, assigneeFilter, user]);
+
+  // Follow status changes from the bulk toolbar, other tabs, snooze wake-ups and inbound replies
+  useEffect(() => {
+    const handleStatus = (update) => {
+      if (update.provider !== provider) return;
+
+      const inView = statusFilter === 'all' || update.status === statusFilter;
+      setChats(prev => prev
+        .map(chat => (chat.id === update.chat_id ? {
+          ...chat,
+          status: update.status,
+          snoozed_until: update.snoozed_until,
+        } : chat))
+        .filter(chat => chat.id !== update.chat_id || inView));
+      if (!inView) {
+        setSelectedIds(prev => prev.filter(id => id !== update.chat_id));
+      }
+    };
+
+    socketService.on('chat_status', handleStatus);
+    return () => {
+      socketService.off('chat_status', handleStatus);
+    };
+  }, [provider, statusFilter]);
+
+  const toggleSelected = (chatId, checked) => {
+    setSelectedIds(prev => (checked ? [...prev, chatId] : prev.filter(id => id !== chatId)));
+  };
+
+  const handleBulkStatus = async (status, snoozedUntil = null) => {
+    setUpdatingStatus(true);
+    try {
+      await axios.post('/api/chats/status', {
+        chat_ids: selectedIds,
+        status,
+        snoozed_until: snoozedUntil,
+      });
+      // The chat_status events update the list
+      setSelectedIds([]);
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to update conversations');
+    } finally {
+      setUpdatingStatus(false);
+    }
+  };
+
+  const getAssigneeLabel = (chat) => (
+    chat.assignee_id === user?.id ? 'You' : chat.assignee_name || 'Assigned'
+  );
 
   if (providerConnections.length === 0) {
     return (
@@ -134,33 +266,28 @@ const ChatList = ({ provider, selectedChat, onChatSelect }) => {
     );
   }
 
-  if (loading) {
-    return (
-      <div className="chat-list">
-        <div style={{ padding: '24px', textAlign: 'center' }}>
-          <Spin size="large" />
-        </div>
-      </div>
-    );
-  }
-
-  if (chats.length === 0) {
-    return (
-      <div className="chat-list">
-        <div style={{ padding: '24px', textAlign: 'center' }}>
-          <Empty
-            image={Empty.PRESENTED_IMAGE_SIMPLE}
-            description="No conversations yet"
-          />
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="chat-list">
       <div style={{ padding: '8px 16px', borderBottom: '1px solid #f0f0f0', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-        <Text strong>Chats</Text>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <Segmented
+            size="small"
+            value={assigneeFilter}
+            onChange={setAssigneeFilter}
+            options={[
+              { label: 'Mine', value: 'me' },
+              { label: 'Unassigned', value: 'unassigned' },
+              { label: 'All', value: 'all' },
+            ]}
+          />
+          <Select
+            size="small"
+            value={statusFilter}
+            onChange={setStatusFilter}
+            options={statusOptions}
+            style={{ width: 100 }}
+          />
+        </div>
         <div style={{ display: 'flex', gap: '8px' }}>
           <Button 
             type="text" 
@@ -180,47 +307,109 @@ const ChatList = ({ provider, selectedChat, onChatSelect }) => {
           />
         </div>
       </div>
-      <List
-        dataSource={chats}
-        renderItem={(chat) => (
-          <List.Item
-            className={`chat-item ${selectedChat?.id === chat.id ? 'selected' : ''}`}
-            onClick={() => onChatSelect(chat)}
-            style={{ padding: 0 }}
+      {selectedIds.length > 0 && (
+        <div className="chat-list-bulk-actions">
+          <Checkbox
+            checked={selectedIds.length === chats.length}
+            indeterminate={selectedIds.length < chats.length}
+            onChange={(e) => setSelectedIds(e.target.checked ? chats.map(chat => chat.id) : [])}
           >
-            <div style={{ width: '100%', padding: '12px 16px' }}>
-              <div className="chat-item-header">
-                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                  <Avatar 
-                    size="small" 
-                    icon={getProviderIcon(provider)}
-                    style={{ backgroundColor: '#1890ff' }}
-                  />
-                  <Text strong className="chat-item-title">
-                    {chat.title || 'Unknown Chat'}
-                  </Text>
+            {selectedIds.length} selected
+          </Checkbox>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <Button size="small" type="text" icon={<RotateCcw size={14} />} loading={updatingStatus} onClick={() => handleBulkStatus('open')} title="Reopen" />
+            <Button size="small" type="text" icon={<Hourglass size={14} />} disabled={updatingStatus} onClick={() => handleBulkStatus('pending')} title="Mark pending" />
+            <Dropdown
+              trigger={['click']}
+              disabled={updatingStatus}
+              menu={{
+                items: snoozeOptions.map(option => ({ key: option.key, label: option.label })),
+                onClick: ({ key }) => handleBulkStatus('snoozed', snoozeOptions.find(option => option.key === key).until().toISOString()),
+              }}
+            >
+              <Button size="small" type="text" icon={<Clock size={14} />} title="Snooze" />
+            </Dropdown>
+            <Button size="small" type="text" icon={<CheckCircle size={14} />} disabled={updatingStatus} onClick={() => handleBulkStatus('closed')} title="Close" />
+          </div>
+        </div>
+      )}
+      {loading ? (
+        <div style={{ padding: '24px', textAlign: 'center' }}>
+          <Spin size="large" />
+        </div>
+      ) : chats.length === 0 ? (
+        <div style={{ padding: '24px', textAlign: 'center' }}>
+          <Empty
+            image={Empty.PRESENTED_IMAGE_SIMPLE}
+            description={assigneeFilter === 'all' && statusFilter === 'all' ? 'No conversations yet' : 'No conversations in this view'}
+          />
+        </div>
+      ) : (
+        <List
+          dataSource={chats}
+          renderItem={(chat) => (
+            <List.Item
+              className={`chat-item ${selectedChat?.id === chat.id ? 'selected' : ''}`}
+              onClick={() => onChatSelect(chat)}
+              style={{ padding: 0 }}
+            >
+              <div style={{ width: '100%', padding: '12px 16px' }}>
+                <div className="chat-item-header">
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <Checkbox
+                      checked={selectedIds.includes(chat.id)}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={(e) => toggleSelected(chat.id, e.target.checked)}
+                    />
+                    <Avatar 
+                      size="small" 
+                      icon={getProviderIcon(provider)}
+                      style={{ backgroundColor: '#1890ff' }}
+                    />
+                    <Text strong className="chat-item-title">
+                      {chat.title || 'Unknown Chat'}
+                    </Text>
+                  </div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    {chat.unread_count > 0 && (
+                      <div className="chat-item-unread">
+                        {chat.unread_count}
+                      </div>
+                    )}
+                    <Text className="chat-item-time">
+                      {formatTime(chat.last_message_at)}
+                    </Text>
+                  </div>
                 </div>
-                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                  {chat.unread_count > 0 && (
-                    <div className="chat-item-unread">
-                      {chat.unread_count}
-                    </div>
+                
+                <div className="chat-item-meta">
+                  {chat.account_info && (
+                    <Text type="secondary" style={{ fontSize: '11px' }}>
+                      {chat.account_info.name || chat.account_info.email}
+                    </Text>
                   )}
-                  <Text className="chat-item-time">
-                    {formatTime(chat.last_message_at)}
-                  </Text>
+                  <div>
+                    {chat.status && chat.status !== 'open' && (
+                      <Tag color={statusColors[chat.status]} className="chat-item-status">
+                        {chat.status === 'snoozed' && chat.snoozed_until
+                          ? `Snoozed until ${new Date(chat.snoozed_until).toLocaleString([], {
+                            weekday: 'short', hour: '2-digit', minute: '2-digit',
+                          })}`
+                          : chat.status}
+                      </Tag>
+                    )}
+                    {chat.assignee_id && (
+                      <Tag color={chat.assignee_id === user?.id ? 'blue' : 'default'} className="chat-item-assignee">
+                        {getAssigneeLabel(chat)}
+                      </Tag>
+                    )}
+                  </div>
                 </div>
               </div>
-              
-              {chat.account_info && (
-                <Text type="secondary" style={{ fontSize: '11px' }}>
-                  {chat.account_info.name || chat.account_info.email}
-                </Text>
-              )}
-            </div>
-          </List.Item>
-        )}
-      />
+            </List.Item>
+          )}
+        />
+      )}
     </div>
   );
 };
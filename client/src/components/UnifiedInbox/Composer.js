@@ -1,13 +1,20 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Button, Input, Space, Typography, message, Tooltip, Progress } from 'antd';
-import { Send, Paperclip, Smile } from 'lucide-react';
+import { Button, Input, Space, Typography, message, Tooltip, Progress, Popover, DatePicker, Radio, Segmented, Mentions } from 'antd';
+import { Send, Paperclip, Smile, Clock, StickyNote, Zap, FileText } from 'lucide-react';
 import { useEmailLimits } from '../../hooks/useEmailLimits';
+import { useCannedResponses, expandCannedResponse } from '../../hooks/useCannedResponses';
+import CannedResponsesManager from './CannedResponsesManager';
+import TemplatePicker from './TemplatePicker';
 import './UnifiedInbox.css';
 
 const { TextArea } = Input;
 const { Text } = Typography;
 
-const Composer = ({ provider, onSendMessage, chat }) => {
+// A /shortcut being typed at the end of the message
+const SLASH_COMMAND = /(^|\s)\/([\w-]*)$/;
+
+const Composer = ({ provider, onSendMessage, onScheduleMessage, onAddNote, teammates = [], serviceWindow, chat }) => {
+  const [mode, setMode] = useState('reply');
   const [messageText, setMessageText] = useState('');
   const [subject, setSubject] = useState('');
   const [to, setTo] = useState('');
@@ -15,44 +22,130 @@ const Composer = ({ provider, onSendMessage, chat }) => {
   const [bcc, setBcc] = useState('');
   const [attachments, setAttachments] = useState([]);
   const [sending, setSending] = useState(false);
+  const [scheduleOpen, setScheduleOpen] = useState(false);
+  const [scheduleAt, setScheduleAt] = useState(null);
+  const [scheduleZone, setScheduleZone] = useState('recipient');
+  const [pickerIndex, setPickerIndex] = useState(0);
+  const [pickerDismissed, setPickerDismissed] = useState(false);
+  const [managerOpen, setManagerOpen] = useState(false);
+  const [templatePickerOpen, setTemplatePickerOpen] = useState(false);
+  const [now, setNow] = useState(Date.now());
   const textareaRef = useRef(null);
+  const cannedResponses = useCannedResponses();
 
   // Email limits for email provider
   const { limits, loading: limitsLoading } = useEmailLimits(
     provider === 'email' ? chat?.account_id : null
   );
 
+  // Tick the WhatsApp reply window countdown
+  useEffect(() => {
+    if (!serviceWindow) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
+  }, [serviceWindow]);
+
+  const windowRemainingMs = serviceWindow?.expires_at ? new Date(serviceWindow.expires_at).getTime() - now : 0;
+  // Outside the window WhatsApp only accepts templates
+  const windowClosed = !!serviceWindow && windowRemainingMs <= 0;
+
+  const formatRemaining = (ms) => {
+    const minutes = Math.max(Math.ceil(ms / 60000), 1);
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  };
+
   const isEmailProvider = provider === 'email';
   const canSend = !sending && messageText.trim() && 
     (isEmailProvider ? to.trim() : true) &&
     (limits ? limits.remainingHour > 0 && limits.remainingDay > 0 : true);
 
+  const slashCommand = messageText.match(SLASH_COMMAND);
+  const pickerQuery = slashCommand ? slashCommand[2].toLowerCase() : '';
+  const pickerResponses = slashCommand
+    ? cannedResponses.responses
+      .filter(response => response.shortcut.toLowerCase().startsWith(pickerQuery)
+        || response.title.toLowerCase().includes(pickerQuery))
+      .slice(0, 8)
+    : [];
+  const pickerOpen = !!slashCommand && !pickerDismissed;
+
+  const handleMessageChange = (value) => {
+    setMessageText(value);
+    setPickerIndex(0);
+    setPickerDismissed(false);
+  };
+
+  // Replace the /shortcut with the reply, expanded for this chat and channel
+  const insertCannedResponse = async (cannedResponse) => {
+    try {
+      const expanded = await expandCannedResponse(chat, provider, cannedResponse.id);
+      setMessageText(prev => prev.replace(/\/[\w-]*$/, () => expanded.body));
+      if (expanded.missing.length > 0) {
+        message.warning(`No value for ${expanded.missing.join(', ')}; check the reply before sending`);
+      }
+      textareaRef.current?.focus();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to insert saved reply');
+    }
+  };
+
+  const handlePickerKeyDown = (e) => {
+    if (!pickerOpen) return;
+
+    if (e.key === 'Escape') {
+      setPickerDismissed(true);
+    } else if (pickerResponses.length === 0) {
+      return;
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setPickerIndex(prev => (prev + step + pickerResponses.length) % pickerResponses.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertCannedResponse(pickerResponses[Math.min(pickerIndex, pickerResponses.length - 1)]);
+    }
+  };
+
+  const openPicker = () => {
+    handleMessageChange(messageText && !/\s$/.test(messageText) ? `${messageText} /` : `${messageText}/`);
+    textareaRef.current?.focus();
+  };
+
+  const buildMessageData = () => {
+    const messageData = {
+      body: messageText.trim(),
+      attachments,
+    };
+
+    if (isEmailProvider) {
+      messageData.subject = subject.trim();
+      messageData.to = to.trim();
+      if (cc.trim()) messageData.cc = cc.trim();
+      if (bcc.trim()) messageData.bcc = bcc.trim();
+    }
+
+    return messageData;
+  };
+
+  const resetForm = () => {
+    setMessageText('');
+    setSubject('');
+    setTo('');
+    setCc('');
+    setBcc('');
+    setAttachments([]);
+  };
+
   const handleSend = async () => {
     if (!canSend) return;
 
     setSending(true);
     try {
-      const messageData = {
-        body: messageText.trim(),
-        attachments,
-      };
-
-      if (isEmailProvider) {
-        messageData.subject = subject.trim();
-        messageData.to = to.trim();
-        if (cc.trim()) messageData.cc = cc.trim();
-        if (bcc.trim()) messageData.bcc = bcc.trim();
-      }
-
-      await onSendMessage(messageData);
+      await onSendMessage(buildMessageData());
       
       // Clear form
-      setMessageText('');
-      setSubject('');
-      setTo('');
-      setCc('');
-      setBcc('');
-      setAttachments([]);
+      resetForm();
       
       message.success('Message sent successfully!');
     } catch (error) {
@@ -62,7 +155,62 @@ const Composer = ({ provider, onSendMessage, chat }) => {
     }
   };
 
+  const handleSchedule = async () => {
+    if (!canSend || !scheduleAt) return;
+
+    setSending(true);
+    try {
+      // Wall-clock time; the server reads it in the recipient's zone unless we pass ours
+      await onScheduleMessage({
+        ...buildMessageData(),
+        send_at: scheduleAt.format('YYYY-MM-DDTHH:mm:ss'),
+        timezone: scheduleZone === 'mine'
+          ? Intl.DateTimeFormat().resolvedOptions().timeZone
+          : undefined,
+      });
+
+      resetForm();
+      setScheduleAt(null);
+      setScheduleOpen(false);
+
+      message.success(`Message scheduled for ${scheduleAt.format('MMM D, HH:mm')}`);
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to schedule message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleSendTemplate = async (template) => {
+    await onSendMessage({ template });
+    message.success('Template sent');
+  };
+
+  const handleAddNote = async () => {
+    if (sending || !messageText.trim()) return;
+
+    setSending(true);
+    try {
+      await onAddNote(messageText.trim());
+      setMessageText('');
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to add note');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  // Plain Enter picks a teammate from the mention list, so notes save on Ctrl/Cmd+Enter
+  const handleNoteKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleAddNote();
+    }
+  };
+
   const handleKeyPress = (e) => {
+    if (pickerOpen && pickerResponses.length > 0) return;
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       if (canSend) {
@@ -110,8 +258,93 @@ const Composer = ({ provider, onSendMessage, chat }) => {
     return '';
   };
 
+  const modeSwitch = onAddNote && (
+    <Segmented
+      size="small"
+      className="composer-mode"
+      value={mode}
+      onChange={setMode}
+      options={[
+        { label: 'Reply', value: 'reply' },
+        { label: 'Internal note', value: 'note' },
+      ]}
+    />
+  );
+
+  const templatePicker = (
+    <TemplatePicker
+      visible={templatePickerOpen}
+      onClose={() => setTemplatePickerOpen(false)}
+      accountId={chat?.account_id}
+      canSync={['owner', 'admin'].includes(chat?.role)}
+      onSend={handleSendTemplate}
+    />
+  );
+
+  if (mode === 'note') {
+    return (
+      <div className="composer note-mode">
+        {modeSwitch}
+        <div className="composer-input">
+          <Mentions
+            className="composer-textarea"
+            placeholder="Only your team sees notes. @mention a teammate; Ctrl+Enter to save"
+            value={messageText}
+            onChange={setMessageText}
+            onKeyDown={handleNoteKeyDown}
+            autoSize={{ minRows: 1, maxRows: 4 }}
+            disabled={sending}
+            options={teammates.map(teammate => ({
+              value: teammate.username,
+              label: `${teammate.name || teammate.username} (@${teammate.username})`,
+            }))}
+          />
+          <Tooltip title="Add note">
+            <Button
+              className="composer-send"
+              icon={<StickyNote size={16} />}
+              onClick={handleAddNote}
+              disabled={sending || !messageText.trim()}
+              loading={sending}
+            />
+          </Tooltip>
+        </div>
+      </div>
+    );
+  }
+
+  if (windowClosed) {
+    return (
+      <div className="composer">
+        {modeSwitch}
+        <div className="composer-template-mode">
+          <Text type="secondary">
+            {serviceWindow.last_inbound_at
+              ? 'It has been more than 24 hours since the customer\'s last message. WhatsApp only allows templates until they reply.'
+              : 'The customer has not messaged you yet. WhatsApp only allows templates until they do.'}
+          </Text>
+          <Button type="primary" icon={<FileText size={16} />} onClick={() => setTemplatePickerOpen(true)}>
+            Choose a template
+          </Button>
+        </div>
+        {templatePicker}
+      </div>
+    );
+  }
+
   return (
     <div className="composer">
+      {modeSwitch}
+      {serviceWindow && (
+        <Tooltip title="WhatsApp allows free-form replies for 24 hours after the customer's last message">
+          <Text
+            className="composer-window"
+            type={windowRemainingMs < 60 * 60 * 1000 ? 'warning' : 'secondary'}
+          >
+            <Clock size={12} /> Reply window closes in {formatRemaining(windowRemainingMs)}
+          </Text>
+        </Tooltip>
+      )}
       {isEmailProvider && (
         <div className="email-composer">
           <div className="email-fields">
@@ -225,16 +458,46 @@ const Composer = ({ provider, onSendMessage, chat }) => {
       )}
 
       <div className="composer-input">
+        {pickerOpen && (
+          <div className="canned-picker">
+            {pickerResponses.length === 0 ? (
+              <div className="canned-picker-empty">
+                <Text type="secondary">No saved replies match /{pickerQuery}</Text>
+              </div>
+            ) : pickerResponses.map((response, index) => (
+              <div
+                key={response.id}
+                className={`canned-picker-item ${index === pickerIndex ? 'active' : ''}`}
+                onMouseEnter={() => setPickerIndex(index)}
+                onMouseDown={(e) => {
+                  // Keep focus in the textarea
+                  e.preventDefault();
+                  insertCannedResponse(response);
+                }}
+              >
+                <Text code>/{response.shortcut}</Text>
+                <Text strong>{response.title}</Text>
+                <Text type="secondary" ellipsis className="canned-picker-preview">{response.body}</Text>
+              </div>
+            ))}
+            <div className="canned-picker-footer">
+              <Button type="link" size="small" onMouseDown={(e) => e.preventDefault()} onClick={() => setManagerOpen(true)}>
+                Manage saved replies
+              </Button>
+            </div>
+          </div>
+        )}
         <TextArea
           ref={textareaRef}
           className="composer-textarea"
           placeholder={
             isEmailProvider 
-              ? "Type your email message..." 
-              : `Type your ${provider} message...`
+              ? "Type your email message... (/ for saved replies)" 
+              : `Type your ${provider} message... (/ for saved replies)`
           }
           value={messageText}
-          onChange={(e) => setMessageText(e.target.value)}
+          onChange={(e) => handleMessageChange(e.target.value)}
+          onKeyDown={handlePickerKeyDown}
           onKeyPress={handleKeyPress}
           autoSize={{ minRows: 1, maxRows: 4 }}
           disabled={sending}
@@ -261,7 +524,72 @@ const Composer = ({ provider, onSendMessage, chat }) => {
             icon={<Smile size={16} />}
             style={{ color: '#666' }}
           />
+
+          {provider === 'whatsapp' && (
+            <Tooltip title="WhatsApp templates">
+              <Button
+                type="text"
+                icon={<FileText size={16} />}
+                style={{ color: '#666' }}
+                onClick={() => setTemplatePickerOpen(true)}
+              />
+            </Tooltip>
+          )}
+
+          <Tooltip title="Saved replies (type /)">
+            <Button
+              type="text"
+              icon={<Zap size={16} />}
+              style={{ color: '#666' }}
+              onClick={openPicker}
+            />
+          </Tooltip>
           
+          {onScheduleMessage && (
+            <Popover
+              trigger="click"
+              open={scheduleOpen}
+              onOpenChange={setScheduleOpen}
+              title="Send later"
+              content={(
+                <Space direction="vertical">
+                  <DatePicker
+                    showTime={{ format: 'HH:mm' }}
+                    format="YYYY-MM-DD HH:mm"
+                    value={scheduleAt}
+                    onChange={setScheduleAt}
+                    disabledDate={(current) => current && current.endOf('day').valueOf() < Date.now()}
+                  />
+                  <Radio.Group
+                    size="small"
+                    value={scheduleZone}
+                    onChange={(e) => setScheduleZone(e.target.value)}
+                  >
+                    <Radio.Button value="recipient">Recipient's time</Radio.Button>
+                    <Radio.Button value="mine">My time</Radio.Button>
+                  </Radio.Group>
+                  <Button
+                    type="primary"
+                    block
+                    onClick={handleSchedule}
+                    disabled={!canSend || !scheduleAt}
+                    loading={sending}
+                  >
+                    Schedule
+                  </Button>
+                </Space>
+              )}
+            >
+              <Tooltip title="Send later">
+                <Button
+                  type="text"
+                  icon={<Clock size={16} />}
+                  style={{ color: '#666' }}
+                />
+              </Tooltip>
+            </Popover>
+          )}
+
           <Button
             className="composer-send"
             icon={<Send size={16} />}
@@ -271,6 +599,14 @@ const Composer = ({ provider, onSendMessage, chat }) => {
           />
         </div>
       </div>
+
+      <CannedResponsesManager
+        visible={managerOpen}
+        onClose={() => setManagerOpen(false)}
+        cannedResponses={cannedResponses}
+      />
+
+      {provider === 'whatsapp' && templatePicker}
     </div>
   );
 };
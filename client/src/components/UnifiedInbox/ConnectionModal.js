@@ -1,15 +1,37 @@
-import React, { useState } from 'react';
-import { Modal, Button, Steps, Typography, Space, Card, message } from 'antd';
-import { MessageSquare, Mail, Instagram, CheckCircle, ExternalLink } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Steps, Typography, Space, Card, Input, InputNumber, Radio, Alert, message } from 'antd';
+import { MessageSquare, Mail, Instagram, Send, CheckCircle, ExternalLink } from 'lucide-react';
 import axios from 'axios';
 
 const { Title, Text } = Typography;
 const { Step } = Steps;
 
-const ConnectionModal = ({ visible, provider, onClose, onSuccess }) => {
+const ConnectionModal = ({ visible, provider, reconnectAccount, onClose, onSuccess }) => {
   const [currentStep, setCurrentStep] = useState(0);
   const [loading, setLoading] = useState(false);
   const [authUrl, setAuthUrl] = useState(null);
+  const [botToken, setBotToken] = useState('');
+  const [emailProvider, setEmailProvider] = useState('gmail');
+  const [imapSettings, setImapSettings] = useState({
+    email: '',
+    password: '',
+    imapHost: '',
+    imapPort: 993,
+    smtpHost: '',
+    smtpPort: 465,
+  });
+
+  // Reconnecting starts from the mailbox type the account already uses
+  useEffect(() => {
+    if (reconnectAccount?.email_provider) {
+      setEmailProvider(reconnectAccount.email_provider);
+      setCurrentStep(0);
+    }
+  }, [reconnectAccount]);
+
+  const updateImapSetting = (field) => (value) => {
+    setImapSettings((settings) => ({ ...settings, [field]: value }));
+  };
 
   const providerInfo = {
     whatsapp: {
@@ -40,14 +62,49 @@ const ConnectionModal = ({ visible, provider, onClose, onSuccess }) => {
       name: 'Email',
       icon: <Mail size={24} />,
       color: '#4285F4',
-      description: 'Connect your Gmail or Outlook account to manage emails',
+      description: 'Connect your Gmail, Outlook or IMAP/SMTP mailbox to manage emails',
       features: [
         'Send and receive emails',
-        'Support for Gmail and Outlook',
+        'Support for Gmail, Outlook and any IMAP/SMTP server',
         'Email threading and organization',
         'Attachment support',
       ],
     },
+    telegram: {
+      name: 'Telegram',
+      icon: <Send size={24} />,
+      color: '#229ED9',
+      description: 'Connect a Telegram bot with the token from @BotFather',
+      features: [
+        'Send and receive Telegram messages',
+        'Photos, documents and voice notes',
+        'Real-time message updates',
+        'One inbox per bot',
+      ],
+      requiresBotToken: true,
+    },
+  };
+
+  const isImap = provider === 'email' && emailProvider === 'imap';
+
+  const buildCredentials = () => {
+    if (info.requiresBotToken) {
+      return { botToken: botToken.trim() };
+    }
+    if (provider !== 'email') {
+      return {};
+    }
+    if (!isImap) {
+      return { emailProvider };
+    }
+
+    const { email, password, imapHost, imapPort, smtpHost, smtpPort } = imapSettings;
+    return {
+      emailProvider: 'imap',
+      email: email.trim(),
+      imap: { host: imapHost.trim(), port: imapPort, secure: imapPort === 993, pass: password },
+      smtp: { host: smtpHost.trim(), port: smtpPort, secure: smtpPort === 465 },
+    };
   };
 
   const info = providerInfo[provider];
@@ -76,10 +133,19 @@ const ConnectionModal = ({ visible, provider, onClose, onSuccess }) => {
 
   const handleConnect = async () => {
     if (!provider) return;
+    if (info.requiresBotToken && !botToken.trim()) {
+      message.error('Please enter your bot token');
+      return;
+    }
+    if (isImap && !(imapSettings.email && imapSettings.password && imapSettings.imapHost && imapSettings.smtpHost)) {
+      message.error('Please fill in your email address, password and mail servers');
+      return;
+    }
 
     setLoading(true);
     try {
-      const response = await axios.post(`/api/channels/${provider}/connect`, {});
+      const credentials = buildCredentials();
+      const response = await axios.post(`/api/channels/${provider}/connect`, { credentials });
       
       if (response.data.authUrl) {
         setAuthUrl(response.data.authUrl);
@@ -138,6 +204,16 @@ const ConnectionModal = ({ visible, provider, onClose, onSuccess }) => {
               {info.description}
             </Text>
 
+            {reconnectAccount && (
+              <Alert
+                type="warning"
+                showIcon
+                message={`${reconnectAccount.email || info.name} needs to be reconnected`}
+                description="Access to this account expired or was revoked. Sign in again to resume syncing."
+                style={{ textAlign: 'left', marginBottom: '24px' }}
+              />
+            )}
+
             <Card style={{ textAlign: 'left', marginBottom: '24px' }}>
               <Title level={5}>What you'll get:</Title>
               <ul style={{ margin: 0, paddingLeft: '20px' }}>
@@ -150,6 +226,68 @@ const ConnectionModal = ({ visible, provider, onClose, onSuccess }) => {
               </ul>
             </Card>
 
+            {info.requiresBotToken && (
+              <Input.Password
+                placeholder="Bot token, e.g. 123456789:AA..."
+                value={botToken}
+                onChange={(e) => setBotToken(e.target.value)}
+                style={{ marginBottom: '24px' }}
+              />
+            )}
+
+            {provider === 'email' && (
+              <div style={{ textAlign: 'left', marginBottom: '24px' }}>
+                <Radio.Group
+                  value={emailProvider}
+                  onChange={(e) => setEmailProvider(e.target.value)}
+                  style={{ marginBottom: '16px' }}
+                >
+                  <Radio.Button value="gmail">Gmail</Radio.Button>
+                  <Radio.Button value="microsoft">Outlook</Radio.Button>
+                  <Radio.Button value="imap">IMAP/SMTP</Radio.Button>
+                </Radio.Group>
+
+                {isImap && (
+                  <Space direction="vertical" style={{ width: '100%' }}>
+                    <Input
+                      placeholder="Email address"
+                      value={imapSettings.email}
+                      onChange={(e) => updateImapSetting('email')(e.target.value)}
+                    />
+                    <Input.Password
+                      placeholder="Password or app password"
+                      value={imapSettings.password}
+                      onChange={(e) => updateImapSetting('password')(e.target.value)}
+                    />
+                    <Space.Compact style={{ width: '100%' }}>
+                      <Input
+                        placeholder="IMAP host, e.g. imap.example.com"
+                        value={imapSettings.imapHost}
+                        onChange={(e) => updateImapSetting('imapHost')(e.target.value)}
+                      />
+                      <InputNumber
+                        placeholder="Port"
+                        value={imapSettings.imapPort}
+                        onChange={updateImapSetting('imapPort')}
+                      />
+                    </Space.Compact>
+                    <Space.Compact style={{ width: '100%' }}>
+                      <Input
+                        placeholder="SMTP host, e.g. smtp.example.com"
+                        value={imapSettings.smtpHost}
+                        onChange={(e) => updateImapSetting('smtpHost')(e.target.value)}
+                      />
+                      <InputNumber
+                        placeholder="Port"
+                        value={imapSettings.smtpPort}
+                        onChange={updateImapSetting('smtpPort')}
+                      />
+                    </Space.Compact>
+                  </Space>
+                )}
+              </div>
+            )}
+
             <Space>
               <Button onClick={onClose}>
                 Cancel
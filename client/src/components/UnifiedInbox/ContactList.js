@@ -0,0 +1,87 @@
+import React from 'react';
+import { List, Avatar, Typography, Empty, Spin, Input, Tag } from 'antd';
+import { User } from 'lucide-react';
+import './UnifiedInbox.css';
+
+const { Text } = Typography;
+
+const formatTime = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  const diff = Date.now() - date;
+
+  if (diff < 24 * 60 * 60 * 1000) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  } else if (diff < 7 * 24 * 60 * 60 * 1000) {
+    return date.toLocaleDateString([], { weekday: 'short' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+const ContactList = ({ contacts, loading, providers, selectedContact, onContactSelect, onSearch }) => {
+  const getProvider = (key) => providers.find(provider => provider.key === key);
+
+  return (
+    <div className="chat-list">
+      <div style={{ padding: '8px 16px', borderBottom: '1px solid #f0f0f0' }}>
+        <Input.Search
+          placeholder="Find a contact"
+          allowClear
+          onSearch={onSearch}
+          size="small"
+        />
+      </div>
+
+      {loading ? (
+        <div style={{ padding: '24px', textAlign: 'center' }}>
+          <Spin size="large" />
+        </div>
+      ) : contacts.length === 0 ? (
+        <div style={{ padding: '24px', textAlign: 'center' }}>
+          <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No contacts yet" />
+        </div>
+      ) : (
+        <List
+          dataSource={contacts}
+          renderItem={(contact) => (
+            <List.Item
+              className={`chat-item ${selectedContact?.id === contact.id ? 'selected' : ''}`}
+              onClick={() => onContactSelect(contact)}
+              style={{ padding: 0 }}
+            >
+              <div style={{ width: '100%', padding: '12px 16px' }}>
+                <div className="chat-item-header">
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <Avatar size="small" icon={<User size={14} />} style={{ backgroundColor: '#1890ff' }} />
+                    <Text strong className="chat-item-title">
+                      {contact.display_name || 'Unknown Contact'}
+                    </Text>
+                  </div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    {contact.unread_count > 0 && (
+                      <div className="chat-item-unread">
+                        {contact.unread_count}
+                      </div>
+                    )}
+                    <Text className="chat-item-time">
+                      {formatTime(contact.last_message_at)}
+                    </Text>
+                  </div>
+                </div>
+                <div className="contact-providers">
+                  {(contact.providers || []).map(key => (
+                    <Tag key={key} color={getProvider(key)?.color}>
+                      {getProvider(key)?.label || key}
+                    </Tag>
+                  ))}
+                </div>
+              </div>
+            </List.Item>
+          )}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ContactList;
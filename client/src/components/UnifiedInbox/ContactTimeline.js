@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Typography, Tag, Button, Space, Checkbox, Modal, Select, message } from 'antd';
+import { User, GitMerge, Scissors } from 'lucide-react';
+import { useContactTimeline } from '../../hooks/useContacts';
+import './UnifiedInbox.css';
+
+const { Title, Text } = Typography;
+
+const identityLabels = {
+  phone: 'Phone',
+  email: 'Email',
+  instagram: 'Instagram',
+  telegram: 'Telegram',
+};
+
+const timeZoneOptions = (Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [])
+  .map(timeZone => ({ value: timeZone, label: timeZone }));
+
+const ContactTimeline = ({ contactId, contacts, providers, onMerge, onSplit, onOpenChat }) => {
+  const {
+    contact,
+    messages,
+    loading,
+    loadingOlder,
+    hasMore,
+    loadOlderMessages,
+    updateContact,
+    refetch,
+  } = useContactTimeline(contactId);
+  const [selectedIdentities, setSelectedIdentities] = useState([]);
+  const [mergeVisible, setMergeVisible] = useState(false);
+  const [mergeIds, setMergeIds] = useState([]);
+  const messagesEndRef = useRef(null);
+
+  useEffect(() => {
+    setSelectedIdentities([]);
+  }, [contactId]);
+
+  // Start at the newest message once the timeline loads
+  useEffect(() => {
+    if (!loading) {
+      messagesEndRef.current?.scrollIntoView();
+    }
+  }, [loading]);
+
+  const getProvider = (key) => providers.find(provider => provider.key === key);
+
+  const handleRename = async (displayName) => {
+    if (!displayName.trim() || displayName === contact.display_name) return;
+    try {
+      await updateContact({ display_name: displayName.trim() });
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to rename contact');
+    }
+  };
+
+  const handleTimeZoneChange = async (timezone) => {
+    try {
+      await updateContact({ timezone: timezone || null });
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to update time zone');
+    }
+  };
+
+  const handleMerge = async () => {
+    try {
+      await onMerge(contactId, mergeIds);
+      message.success('Contacts merged');
+      setMergeVisible(false);
+      setMergeIds([]);
+      refetch();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to merge contacts');
+    }
+  };
+
+  const handleSplit = async () => {
+    try {
+      await onSplit(contactId, selectedIdentities);
+      message.success('Identities moved to a new contact');
+      setSelectedIdentities([]);
+      refetch();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to split contact');
+    }
+  };
+
+  if (!contact) {
+    return (
+      <div className="no-chat-selected">
+        <Text type="secondary">{loading ? 'Loading contact...' : 'Contact not found'}</Text>
+      </div>
+    );
+  }
+
+  const chatsById = Object.fromEntries(contact.chats.map(chat => [chat.id, chat]));
+  const canSplit = selectedIdentities.length > 0 && selectedIdentities.length < contact.identities.length;
+
+  return (
+    <div className="conversation">
+      <div className="conversation-header">
+        <div>
+          <Space align="center">
+            <User size={20} />
+            <Title
+              level={4}
+              className="conversation-title"
+              style={{ margin: 0 }}
+              editable={{ onChange: handleRename }}
+            >
+              {contact.display_name || 'Unknown Contact'}
+            </Title>
+          </Space>
+          <Checkbox.Group
+            className="contact-identities"
+            value={selectedIdentities}
+            onChange={setSelectedIdentities}
+          >
+            {contact.identities.map(identity => (
+              <Checkbox key={identity.id} value={identity.id} disabled={contact.identities.length < 2}>
+                <Tag>{identityLabels[identity.type]}: {identity.value}</Tag>
+              </Checkbox>
+            ))}
+          </Checkbox.Group>
+        </div>
+
+        <div className="conversation-actions">
+          <Space>
+            <Select
+              showSearch
+              allowClear
+              placeholder="Contact's time zone"
+              value={contact.timezone || undefined}
+              onChange={handleTimeZoneChange}
+              options={timeZoneOptions}
+              style={{ width: 200 }}
+            />
+            <Button icon={<GitMerge size={14} />} onClick={() => setMergeVisible(true)}>
+              Merge
+            </Button>
+            <Button icon={<Scissors size={14} />} disabled={!canSplit} onClick={handleSplit}>
+              Split
+            </Button>
+          </Space>
+        </div>
+      </div>
+
+      <div className="conversation-messages">
+        {hasMore && (
+          <div style={{ textAlign: 'center', padding: '8px' }}>
+            <Button size="small" loading={loadingOlder} onClick={loadOlderMessages}>
+              Load earlier messages
+            </Button>
+          </div>
+        )}
+        {messages.length === 0 ? (
+          <div style={{ textAlign: 'center', padding: '40px' }}>
+            <Text type="secondary">{loading ? 'Loading messages...' : 'No messages yet'}</Text>
+          </div>
+        ) : (
+          messages.map((timelineMessage) => {
+            const provider = getProvider(timelineMessage.provider);
+            return (
+              <div key={timelineMessage.id} className={`message ${timelineMessage.direction}`}>
+                <div className="timeline-message-source">
+                  <Tag color={provider?.color}>{provider?.label || timelineMessage.provider}</Tag>
+                  <Button
+                    type="link"
+                    size="small"
+                    onClick={() => onOpenChat({
+                      provider: timelineMessage.provider,
+                      chat: chatsById[timelineMessage.chat_id] || {
+                        id: timelineMessage.chat_id,
+                        account_id: timelineMessage.account_id,
+                        title: timelineMessage.chat_title,
+                      },
+                      messageId: timelineMessage.id,
+                    })}
+                  >
+                    {timelineMessage.chat_title}
+                  </Button>
+                </div>
+                <div className="message-bubble">
+                  {timelineMessage.subject && (
+                    <div style={{ fontWeight: 'bold', marginBottom: '4px', fontSize: '12px', opacity: 0.8 }}>
+                      {timelineMessage.subject}
+                    </div>
+                  )}
+                  <div>{timelineMessage.body}</div>
+                </div>
+                <div className="message-time">
+                  {new Date(timelineMessage.sent_at).toLocaleString([], {
+                    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+                  })}
+                </div>
+              </div>
+            );
+          })
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+
+      <Modal
+        title="Merge contacts"
+        open={mergeVisible}
+        onOk={handleMerge}
+        onCancel={() => setMergeVisible(false)}
+        okText="Merge"
+        okButtonProps={{ disabled: mergeIds.length === 0 }}
+      >
+        <Text type="secondary">
+          The selected contacts' channels and messages will be combined into {contact.display_name}.
+        </Text>
+        <Select
+          mode="multiple"
+          showSearch
+          optionFilterProp="label"
+          placeholder="Contacts to merge"
+          value={mergeIds}
+          onChange={setMergeIds}
+          options={contacts
+            .filter(other => other.id !== contactId)
+            .map(other => ({ value: other.id, label: other.display_name || 'Unknown Contact' }))}
+          style={{ width: '100%', marginTop: '12px' }}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default ContactTimeline;
@@ -1,27 +1,152 @@
-import React, { useEffect, useRef } from 'react';
-import { Typography, Button, Space, Avatar } from 'antd';
-import { MoreVertical, Phone, Video, Info } from 'lucide-react';
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { Typography, Button, Space, Avatar, Popconfirm, Select, message as antMessage } from 'antd';
+import { MoreVertical, Phone, Video, Info, StickyNote } from 'lucide-react';
 import { useMessages } from '../../hooks/useMessages';
+import { useWorkspaceMembers, assignChat } from '../../hooks/useWorkspaces';
+import { useAuth } from '../../contexts/AuthContext';
+import socketService from '../../services/socketService';
 import Composer from './Composer';
+import ScheduledMessageEditor from './ScheduledMessageEditor';
+import MessageAttachment from './MessageAttachment';
 import './UnifiedInbox.css';
 
 const { Title, Text } = Typography;
 
-const Conversation = ({ chat, provider }) => {
-  const { messages, loading, sendMessage, markAsRead } = useMessages(
+const formatNoteTime = (timestamp) => (
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+);
+
+// Internal notes are only visible to the team; @mentions are highlighted
+const NoteMessage = ({ note, highlighted, messageRef }) => (
+  <div ref={messageRef} className={`message note${highlighted ? ' highlighted' : ''}`}>
+    <div className="note-header">
+      <StickyNote size={12} />
+      Internal note{note.author_name ? ` · ${note.author_name}` : ''}
+    </div>
+    <div className="message-bubble">
+      {note.body.split(/(@[\w.-]+)/g).map((part, index) => (
+        part.startsWith('@')
+          ? <span key={index} className="note-mention">{part}</span>
+          : <React.Fragment key={index}>{part}</React.Fragment>
+      ))}
+    </div>
+    <div className="message-time">{formatNoteTime(note.sent_at)}</div>
+  </div>
+);
+
+const Conversation = ({ chat, provider, highlightMessageId }) => {
+  const {
+    messages,
+    loading,
+    loadingOlder,
+    hasMore,
+    loadOlderMessages,
+    sendMessage,
+    scheduleMessage,
+    updateScheduledMessage,
+    cancelScheduledMessage,
+    markAsRead,
+    addNote,
+    serviceWindow,
+  } = useMessages(
     provider,
     chat.account_id,
     chat.id
   );
+  const { user } = useAuth();
+  const { members } = useWorkspaceMembers(chat.workspace_id);
+  const [assigneeId, setAssigneeId] = useState(chat.assignee_id || null);
+  // Viewers can read a shared account's chats but not reply or assign them
+  const readOnly = chat.role === 'viewer';
+  const [editingScheduled, setEditingScheduled] = useState(null);
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const messageRefs = useRef({});
+  // Distance from the bottom to restore after older messages are prepended
+  const preservedScrollRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    setAssigneeId(chat.assignee_id || null);
+
+    const handleAssigned = (assignment) => {
+      if (assignment.chat_id === chat.id) {
+        setAssigneeId(assignment.assignee_id);
+      }
+    };
+
+    socketService.on('chat_assigned', handleAssigned);
+    return () => {
+      socketService.off('chat_assigned', handleAssigned);
+    };
+  }, [chat.id, chat.assignee_id]);
+
+  // Personal accounts can only be assigned to their owner
+  const assigneeOptions = [
+    { value: '', label: 'Unassigned' },
+    ...(chat.workspace_id
+      ? members.filter(member => member.role !== 'viewer').map(member => ({
+        value: member.user_id,
+        label: member.user_id === user?.id ? 'Me' : member.name || member.email,
+      }))
+      : [{ value: user?.id, label: 'Me' }]),
+  ];
+
+  const handleAssign = async (value) => {
+    const previous = assigneeId;
+    setAssigneeId(value || null);
+    try {
+      await assignChat(chat, provider, value);
+    } catch (error) {
+      setAssigneeId(previous);
+      antMessage.error(error.response?.data?.error || 'Failed to assign conversation');
+    }
+  };
+
+  const loadOlder = async () => {
+    const container = messagesContainerRef.current;
+    if (container) {
+      preservedScrollRef.current = container.scrollHeight - container.scrollTop;
+    }
+    const loaded = await loadOlderMessages();
+    if (!loaded) {
+      preservedScrollRef.current = null;
+    }
+  };
+
+  const handleScroll = (e) => {
+    if (e.currentTarget.scrollTop < 80 && hasMore && !loadingOlder) {
+      loadOlder();
+    }
+  };
+
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (preservedScrollRef.current !== null && container) {
+      container.scrollTop = container.scrollHeight - preservedScrollRef.current;
+      preservedScrollRef.current = null;
+      return;
+    }
+
+    // Jump to a search result when one is selected, otherwise follow the latest message
+    const highlighted = highlightMessageId && messageRefs.current[highlightMessageId];
+    if (highlighted) {
+      highlighted.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+      scrollToBottom();
+    }
+  }, [messages, highlightMessageId]);
+
+  useEffect(() => {
+    // Page back until a search result outside the latest page is loaded
+    const missing = highlightMessageId && !messages.some(msg => msg.id === highlightMessageId);
+    if (missing && !loading && hasMore && !loadingOlder) {
+      loadOlderMessages();
+    }
+  }, [messages, highlightMessageId, loading, hasMore, loadingOlder]);
 
   useEffect(() => {
     // Mark unread messages as read when conversation is opened
@@ -39,11 +164,32 @@ const Conversation = ({ chat, provider }) => {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
+  const statusLabels = {
+    pending: 'Sending…',
+    sent: 'Sent',
+    delivered: 'Delivered',
+    read: 'Read',
+    failed: 'Failed to send',
+  };
+
   const handleSendMessage = async (messageData) => {
     try {
       await sendMessage(messageData);
     } catch (error) {
       console.error('Error sending message:', error);
+      // The composer reports the failure
+      throw error;
+    }
+  };
+
+  const isScheduled = (message) => message.status === 'pending' && message.scheduled_at;
+
+  const handleCancelScheduled = async (messageId) => {
+    try {
+      await cancelScheduledMessage(messageId);
+      antMessage.success('Scheduled message cancelled');
+    } catch (error) {
+      antMessage.error(error.response?.data?.error || 'Failed to cancel scheduled message');
     }
   };
 
@@ -55,6 +201,8 @@ const Conversation = ({ chat, provider }) => {
         return '📸';
       case 'email':
         return '📧';
+      case 'telegram':
+        return '✈️';
       default:
         return '💬';
     }
@@ -82,6 +230,14 @@ const Conversation = ({ chat, provider }) => {
         
         <div className="conversation-actions">
           <Space>
+            <Select
+              size="small"
+              value={assigneeId || ''}
+              onChange={handleAssign}
+              options={assigneeOptions}
+              disabled={readOnly}
+              style={{ width: 160 }}
+            />
             {provider === 'whatsapp' && (
               <>
                 <Button type="text" icon={<Phone size={16} />} />
@@ -94,7 +250,16 @@ const Conversation = ({ chat, provider }) => {
         </div>
       </div>
 
-      <div className="conversation-messages">
+      <div
+        className="conversation-messages"
+        ref={messagesContainerRef}
+        onScroll={handleScroll}
+      >
+        {loadingOlder && (
+          <div style={{ textAlign: 'center', padding: '8px' }}>
+            <Text type="secondary" style={{ fontSize: '12px' }}>Loading earlier messages...</Text>
+          </div>
+        )}
         {loading ? (
           <div style={{ textAlign: 'center', padding: '20px' }}>
             <Text type="secondary">Loading messages...</Text>
@@ -108,52 +273,102 @@ const Conversation = ({ chat, provider }) => {
             </Text>
           </div>
         ) : (
-          messages.map((message) => (
-            <div
+          messages.map((message) => (message.type === 'note' ? (
+            <NoteMessage
               key={message.id}
-              className={`message ${message.direction}`}
-            >
-              <div className="message-bubble">
-                {message.subject && (
-                  <div style={{ 
-                    fontWeight: 'bold', 
-                    marginBottom: '4px',
-                    fontSize: '12px',
-                    opacity: 0.8
-                  }}>
-                    {message.subject}
+              note={message}
+              highlighted={message.id === highlightMessageId}
+              messageRef={(el) => { messageRefs.current[message.id] = el; }}
+            />
+          ) : (
+              <div
+                key={message.id}
+                ref={(el) => { messageRefs.current[message.id] = el; }}
+                className={`message ${message.direction}${message.id === highlightMessageId ? ' highlighted' : ''}`}
+              >
+                <div className="message-bubble">
+                  {message.subject && (
+                    <div style={{ 
+                      fontWeight: 'bold', 
+                      marginBottom: '4px',
+                      fontSize: '12px',
+                      opacity: 0.8
+                    }}>
+                      {message.subject}
+                    </div>
+                  )}
+                  <div>{message.body}</div>
+                  {message.attachments && message.attachments.length > 0 && (
+                    <div style={{ marginTop: '8px' }}>
+                      {message.attachments.map((attachment, index) => (
+                        <MessageAttachment
+                          key={index}
+                          provider={provider}
+                          chat={chat}
+                          messageId={message.id}
+                          index={index}
+                          attachment={attachment}
+                        />
+                      ))}
+                    </div>
+                  )}
+                </div>
+                {isScheduled(message) ? (
+                  <div className="message-time">
+                    <span className="message-status scheduled">
+                      Scheduled for {new Date(message.scheduled_at).toLocaleString([], {
+                        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+                      })}
+                    </span>
+                    {' · '}
+                    <Button type="link" size="small" onClick={() => setEditingScheduled(message)}>
+                      Edit
+                    </Button>
+                    <Popconfirm
+                      title="Cancel this scheduled message?"
+                      onConfirm={() => handleCancelScheduled(message.id)}
+                    >
+                      <Button type="link" size="small" danger>
+                        Cancel
+                      </Button>
+                    </Popconfirm>
                   </div>
-                )}
-                <div>{message.body}</div>
-                {message.attachments && message.attachments.length > 0 && (
-                  <div style={{ marginTop: '8px' }}>
-                    {message.attachments.map((attachment, index) => (
-                      <div key={index} style={{ 
-                        padding: '4px 8px', 
-                        background: 'rgba(0,0,0,0.1)', 
-                        borderRadius: '4px',
-                        fontSize: '12px',
-                        marginTop: '4px'
-                      }}>
-                        📎 {attachment.filename || 'Attachment'}
-                      </div>
-                    ))}
+                ) : (
+                  <div className="message-time">
+                    {formatMessageTime(message.sent_at)}
+                    {message.direction === 'out' && statusLabels[message.status] && (
+                      <span className={`message-status ${message.status}`}>
+                        {' · '}{statusLabels[message.status]}
+                      </span>
+                    )}
                   </div>
                 )}
               </div>
-              <div className="message-time">
-                {formatMessageTime(message.sent_at)}
-              </div>
-            </div>
-          ))
+          )))
         )}
         <div ref={messagesEndRef} />
       </div>
 
-      <Composer
-        provider={provider}
-        onSendMessage={handleSendMessage}
-        chat={chat}
+      {readOnly ? (
+        <div className="composer-read-only">
+          <Text type="secondary">You have view-only access to this conversation</Text>
+        </div>
+      ) : (
+        <Composer
+          provider={provider}
+          onSendMessage={handleSendMessage}
+          onScheduleMessage={scheduleMessage}
+          onAddNote={addNote}
+          teammates={members}
+          serviceWindow={serviceWindow}
+          chat={chat}
+        />
+      )}
+
+      <ScheduledMessageEditor
+        scheduledMessage={editingScheduled}
+        onSave={updateScheduledMessage}
+        onClose={() => setEditingScheduled(null)}
       />
     </div>
   );
@@ -44,6 +44,11 @@ const FeatureGuard = ({ children, feature, fallback = null }) => {
         description: 'Connect Gmail and Outlook accounts',
         icon: '📧',
       },
+      telegram: {
+        name: 'Telegram',
+        description: 'Chat with customers through your Telegram bot',
+        icon: '✈️',
+      },
     };
     return features[feature] || { name: feature, description: '', icon: '🔒' };
   };
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Button, Image, Modal, Tooltip, message as antMessage } from 'antd';
+import { Download, Eye, Paperclip } from 'lucide-react';
+import { useMessageAttachment, toApiUrl, getAttachmentMimeType } from '../../hooks/useAttachments';
+import './UnifiedInbox.css';
+
+const formatSize = (bytes) => {
+  if (!bytes && bytes !== 0) return null;
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// One attachment of a message: an inline preview for images and PDFs, and a download button
+const MessageAttachment = ({ provider, chat, messageId, index, attachment }) => {
+  const { stored, loading, getFresh } = useMessageAttachment(provider, chat, messageId, index, attachment);
+  const [pdfUrl, setPdfUrl] = useState(null);
+
+  const mimeType = stored?.mime_type || getAttachmentMimeType(attachment);
+  const isImage = mimeType.startsWith('image/');
+  const isPdf = mimeType === 'application/pdf';
+  const filename = stored?.filename || attachment.filename || attachment.file_name || 'Attachment';
+  const size = formatSize(stored?.size ?? attachment.size);
+
+  // Run an action with valid signed URLs, fetching the file from the provider if needed
+  const withUrls = async (action) => {
+    try {
+      action(await getFresh());
+    } catch (error) {
+      antMessage.error(error.response?.data?.error || 'Failed to load attachment');
+    }
+  };
+
+  const handleDownload = () => withUrls((fresh) => {
+    window.location.assign(toApiUrl(fresh.download.url));
+  });
+
+  const handlePreview = () => withUrls((fresh) => {
+    if (isPdf && fresh.preview) {
+      setPdfUrl(toApiUrl(fresh.preview.url));
+    }
+  });
+
+  return (
+    <div className="message-attachment">
+      {isImage && stored?.preview && (
+        <Image
+          className="message-attachment-image"
+          src={toApiUrl(stored.preview.url)}
+          alt={filename}
+          width={200}
+        />
+      )}
+      <div className="message-attachment-file">
+        <Paperclip size={14} />
+        <span className="message-attachment-name" title={filename}>{filename}</span>
+        {size && <span className="message-attachment-size">{size}</span>}
+        {((isImage && !stored?.preview) || isPdf) && (
+          <Tooltip title="Preview">
+            <Button
+              type="text"
+              size="small"
+              icon={<Eye size={14} />}
+              loading={loading}
+              onClick={handlePreview}
+            />
+          </Tooltip>
+        )}
+        <Tooltip title="Download">
+          <Button
+            type="text"
+            size="small"
+            icon={<Download size={14} />}
+            loading={loading}
+            onClick={handleDownload}
+          />
+        </Tooltip>
+      </div>
+
+      <Modal
+        title={filename}
+        open={!!pdfUrl}
+        onCancel={() => setPdfUrl(null)}
+        footer={null}
+        width={800}
+        destroyOnClose
+      >
+        <iframe className="message-attachment-pdf" src={pdfUrl || undefined} title={filename} />
+      </Modal>
+    </div>
+  );
+};
+
+export default MessageAttachment;
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Input, DatePicker, Space, Typography, message } from 'antd';
+
+const { TextArea } = Input;
+const { Text } = Typography;
+
+const ScheduledMessageEditor = ({ scheduledMessage, onSave, onClose }) => {
+  const [body, setBody] = useState('');
+  const [sendAt, setSendAt] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (scheduledMessage) {
+      setBody(scheduledMessage.body || '');
+      setSendAt(null);
+    }
+  }, [scheduledMessage]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const changes = { body: body.trim() };
+      if (sendAt) {
+        changes.send_at = sendAt.format('YYYY-MM-DDTHH:mm:ss');
+        changes.timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      }
+
+      await onSave(scheduledMessage.id, changes);
+      message.success('Scheduled message updated');
+      onClose();
+    } catch (error) {
+      message.error(error.response?.data?.error || 'Failed to update scheduled message');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="Edit scheduled message"
+      open={!!scheduledMessage}
+      onOk={handleSave}
+      onCancel={onClose}
+      okText="Save"
+      okButtonProps={{ disabled: !body.trim() }}
+      confirmLoading={saving}
+    >
+      <Space direction="vertical" style={{ width: '100%' }}>
+        <TextArea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          autoSize={{ minRows: 3, maxRows: 8 }}
+        />
+        <Text type="secondary" style={{ fontSize: '12px' }}>
+          Currently scheduled for {scheduledMessage && new Date(scheduledMessage.scheduled_at).toLocaleString()}
+        </Text>
+        <DatePicker
+          showTime={{ format: 'HH:mm' }}
+          format="YYYY-MM-DD HH:mm"
+          placeholder="New send time (your time)"
+          value={sendAt}
+          onChange={setSendAt}
+          disabledDate={(current) => current && current.endOf('day').valueOf() < Date.now()}
+          style={{ width: '100%' }}
+        />
+      </Space>
+    </Modal>
+  );
+};
+
+export default ScheduledMessageEditor;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { Drawer, Input, Select, DatePicker, Checkbox, List, Typography, Space, Empty, Tag, Alert } from 'antd';
+import { useSearch } from '../../hooks/useSearch';
+import './UnifiedInbox.css';
+
+const { Text } = Typography;
+const { RangePicker } = DatePicker;
+
+// ts_headline wraps matches in <mark>; split on the markers instead of rendering HTML
+const renderSnippet = (snippet) => {
+  if (!snippet) return null;
+  return snippet.split(/(<mark>.*?<\/mark>)/g).map((part, index) => (
+    part.startsWith('<mark>')
+      ? <mark key={index}>{part.slice(6, -7)}</mark>
+      : <React.Fragment key={index}>{part}</React.Fragment>
+  ));
+};
+
+const SearchPanel = ({ visible, initialQuery, providers, onClose, onSelectResult }) => {
+  const { results, loading, error, search } = useSearch();
+  const [query, setQuery] = useState(initialQuery || '');
+  const [filters, setFilters] = useState({
+    provider: undefined,
+    direction: undefined,
+    dateRange: null,
+    hasAttachment: false,
+  });
+
+  useEffect(() => {
+    if (visible) {
+      setQuery(initialQuery || '');
+    }
+  }, [visible, initialQuery]);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    search({
+      q: query,
+      provider: filters.provider,
+      direction: filters.direction,
+      from: filters.dateRange?.[0]?.startOf('day').toISOString(),
+      to: filters.dateRange?.[1]?.endOf('day').toISOString(),
+      has_attachment: filters.hasAttachment || undefined,
+    });
+  }, [visible, query, filters, search]);
+
+  const updateFilter = (field) => (value) => {
+    setFilters((current) => ({ ...current, [field]: value }));
+  };
+
+  const getProvider = (key) => providers.find(provider => provider.key === key);
+
+  return (
+    <Drawer
+      title="Search messages"
+      placement="right"
+      width={480}
+      open={visible}
+      onClose={onClose}
+    >
+      <Space direction="vertical" style={{ width: '100%' }} size="middle">
+        <Input.Search
+          placeholder="Search all conversations"
+          defaultValue={initialQuery}
+          key={initialQuery}
+          onSearch={setQuery}
+          allowClear
+          enterButton
+        />
+
+        <Space wrap>
+          <Select
+            placeholder="All channels"
+            allowClear
+            style={{ width: 140 }}
+            value={filters.provider}
+            onChange={updateFilter('provider')}
+            options={providers.map(provider => ({ value: provider.key, label: provider.label }))}
+          />
+          <Select
+            placeholder="Any direction"
+            allowClear
+            style={{ width: 140 }}
+            value={filters.direction}
+            onChange={updateFilter('direction')}
+            options={[
+              { value: 'in', label: 'Received' },
+              { value: 'out', label: 'Sent' },
+            ]}
+          />
+          <RangePicker
+            value={filters.dateRange}
+            onChange={updateFilter('dateRange')}
+          />
+          <Checkbox
+            checked={filters.hasAttachment}
+            onChange={(e) => updateFilter('hasAttachment')(e.target.checked)}
+          >
+            Has attachment
+          </Checkbox>
+        </Space>
+
+        {error && <Alert type="error" message={error} showIcon />}
+
+        {results.chats.length > 0 && (
+          <List
+            header={<Text strong>Conversations</Text>}
+            size="small"
+            dataSource={results.chats}
+            renderItem={(chat) => (
+              <List.Item
+                className="search-result"
+                onClick={() => onSelectResult({
+                  provider: chat.provider,
+                  chat: { id: chat.id, account_id: chat.account_id, title: chat.title },
+                })}
+              >
+                <Space>
+                  {getProvider(chat.provider)?.icon}
+                  <Text>{chat.title || 'Unknown Chat'}</Text>
+                </Space>
+              </List.Item>
+            )}
+          />
+        )}
+
+        <List
+          header={<Text strong>Messages{results.total ? ` (${results.total})` : ''}</Text>}
+          loading={loading}
+          dataSource={results.messages}
+          locale={{ emptyText: <Empty description={query ? 'No matching messages' : 'Type to search'} /> }}
+          renderItem={(result) => (
+            <List.Item
+              className="search-result"
+              onClick={() => onSelectResult({
+                provider: result.provider,
+                chat: { id: result.chat_id, account_id: result.account_id, title: result.chat_title },
+                messageId: result.id,
+              })}
+            >
+              <List.Item.Meta
+                avatar={getProvider(result.provider)?.icon}
+                title={(
+                  <Space size="small">
+                    <Text>{result.chat_title || 'Unknown Chat'}</Text>
+                    <Tag>{result.direction === 'in' ? 'Received' : 'Sent'}</Tag>
+                  </Space>
+                )}
+                description={(
+                  <>
+                    {result.subject && <div><Text strong>{result.subject}</Text></div>}
+                    <div>{renderSnippet(result.snippet)}</div>
+                    <Text type="secondary" style={{ fontSize: '12px' }}>
+                      {new Date(result.sent_at).toLocaleString()}
+                    </Text>
+                  </>
+                )}
+              />
+            </List.Item>
+          )}
+        />
+      </Space>
+    </Drawer>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import { Drawer, Select, Table, Button, Input, Space, Typography, Popconfirm, Tag, Empty, message } from 'antd';
+import { UserPlus, Trash2 } from 'lucide-react';
+import { useWorkspaces, useWorkspaceMembers } from '../../hooks/useWorkspaces';
+import { useAuth } from '../../contexts/AuthContext';
+import './UnifiedInbox.css';
+
+const { Text } = Typography;
+
+const roleOptions = [
+  { value: 'admin', label: 'Admin' },
+  { value: 'agent', label: 'Agent' },
+  { value: 'viewer', label: 'Viewer' },
+];
+
+const roleDescriptions = {
+  owner: 'Full access, including billing',
+  admin: 'Manages accounts, members and admin tools',
+  agent: 'Replies to and assigns conversations',
+  viewer: 'Reads conversations only',
+};
+
+const TeamSettings = ({ visible, onClose }) => {
+  const { user } = useAuth();
+  const { workspaces, createWorkspace } = useWorkspaces();
+  const [workspaceId, setWorkspaceId] = useState(null);
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('agent');
+  const {
+    members,
+    loading,
+    addMember,
+    updateMemberRole,
+    removeMember,
+  } = useWorkspaceMembers(workspaceId);
+
+  useEffect(() => {
+    if (!workspaceId && workspaces.length > 0) {
+      setWorkspaceId(workspaces[0].id);
+    }
+  }, [workspaces, workspaceId]);
+
+  const myRole = workspaces.find(workspace => workspace.id === workspaceId)?.role;
+  const canManage = myRole === 'owner' || myRole === 'admin';
+  // Admins manage agents and viewers; only the owner manages admins
+  const canManageMember = (member) => (
+    canManage && member.role !== 'owner' && member.user_id !== user?.id
+      && (myRole === 'owner' || member.role !== 'admin')
+  );
+  const assignableRoles = roleOptions.filter(option => myRole === 'owner' || option.value !== 'admin');
+
+  const showError = (error, fallback) => {
+    message.error(error.response?.data?.error || fallback);
+  };
+
+  const handleCreateWorkspace = async () => {
+    if (!newWorkspaceName.trim()) return;
+    try {
+      const workspace = await createWorkspace(newWorkspaceName.trim());
+      setWorkspaceId(workspace.id);
+      setNewWorkspaceName('');
+    } catch (error) {
+      showError(error, 'Failed to create workspace');
+    }
+  };
+
+  const handleInvite = async () => {
+    if (!inviteEmail.trim()) return;
+    try {
+      await addMember(inviteEmail.trim(), inviteRole);
+      message.success(`${inviteEmail.trim()} added`);
+      setInviteEmail('');
+    } catch (error) {
+      showError(error, 'Failed to add member');
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await updateMemberRole(member.user_id, role);
+    } catch (error) {
+      showError(error, 'Failed to change role');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    try {
+      await removeMember(member.user_id);
+    } catch (error) {
+      showError(error, 'Failed to remove member');
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Member',
+      key: 'member',
+      render: (_, member) => (
+        <div>
+          <Text strong>{member.name || member.username}</Text>
+          {member.user_id === user?.id && <Tag style={{ marginLeft: '8px' }}>You</Tag>}
+          <br />
+          <Text type="secondary" style={{ fontSize: '12px' }}>{member.email}</Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Role',
+      key: 'role',
+      width: 140,
+      render: (_, member) => (
+        canManageMember(member) ? (
+          <Select
+            size="small"
+            value={member.role}
+            onChange={(role) => handleRoleChange(member, role)}
+            options={assignableRoles}
+            style={{ width: 110 }}
+          />
+        ) : (
+          <Tag title={roleDescriptions[member.role]}>{member.role}</Tag>
+        )
+      ),
+    },
+    {
+      key: 'actions',
+      width: 48,
+      render: (_, member) => canManageMember(member) && (
+        <Popconfirm
+          title={`Remove ${member.name || member.email}?`}
+          description="Their assigned conversations return to the unassigned queue."
+          onConfirm={() => handleRemove(member)}
+          okText="Remove"
+        >
+          <Button type="text" size="small" danger icon={<Trash2 size={14} />} />
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  return (
+    <Drawer title="Team" open={visible} onClose={onClose} width={560}>
+      <Space direction="vertical" size="large" style={{ width: '100%' }}>
+        <Space.Compact style={{ width: '100%' }}>
+          <Select
+            placeholder="Select a workspace"
+            value={workspaceId || undefined}
+            onChange={setWorkspaceId}
+            options={workspaces.map(workspace => ({ value: workspace.id, label: workspace.name }))}
+            style={{ width: '50%' }}
+          />
+          <Input
+            placeholder="New workspace name"
+            value={newWorkspaceName}
+            onChange={(e) => setNewWorkspaceName(e.target.value)}
+            onPressEnter={handleCreateWorkspace}
+          />
+          <Button onClick={handleCreateWorkspace}>Create</Button>
+        </Space.Compact>
+
+        {workspaceId ? (
+          <>
+            {myRole && (
+              <Text type="secondary">
+                Your role: <Tag>{myRole}</Tag>{roleDescriptions[myRole]}
+              </Text>
+            )}
+
+            {canManage && (
+              <Space.Compact style={{ width: '100%' }}>
+                <Input
+                  placeholder="Teammate's email"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  onPressEnter={handleInvite}
+                />
+                <Select
+                  value={inviteRole}
+                  onChange={setInviteRole}
+                  options={assignableRoles}
+                  style={{ width: 110 }}
+                />
+                <Button type="primary" icon={<UserPlus size={14} />} onClick={handleInvite}>
+                  Add
+                </Button>
+              </Space.Compact>
+            )}
+
+            <Table
+              rowKey="user_id"
+              size="small"
+              loading={loading}
+              columns={columns}
+              dataSource={members}
+              pagination={false}
+            />
+          </>
+        ) : (
+          <Empty
+            image={Empty.PRESENTED_IMAGE_SIMPLE}
+            description="Create a workspace to share accounts with your team"
+          />
+        )}
+      </Space>
+    </Drawer>
+  );
+};
+
+export default TeamSettings;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Select, Input, Button, Space, Typography, Tag, Empty, Alert, message } from 'antd';
+import { RefreshCw } from 'lucide-react';
+import { useWhatsAppTemplates } from '../../hooks/useWhatsAppTemplates';
+import './UnifiedInbox.css';
+
+const { Text } = Typography;
+
+const statusColors = {
+  approved: 'green',
+  pending: 'orange',
+  rejected: 'red',
+  paused: 'default',
+  disabled: 'default',
+};
+
+const templateKey = (template) => `${template.name}:${template.language}`;
+
+// {{1}} → the value typed for it, or the placeholder while empty
+const renderText = (text, values = []) => (
+  text ? text.replace(/\{\{(\d+)\}\}/g, (placeholder, index) => values[index - 1] || placeholder) : null
+);
+
+const TemplatePicker = ({ visible, onClose, accountId, canSync, onSend }) => {
+  const { templates, loading, syncing, error, syncTemplates } = useWhatsAppTemplates(visible ? accountId : null);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [values, setValues] = useState({ header: [], body: [] });
+  const [sending, setSending] = useState(false);
+
+  const template = templates.find(item => templateKey(item) === selectedKey);
+  const parametersFor = (component) => (template?.parameters || []).filter(parameter => parameter.component === component);
+  const complete = template && template.parameters.every(parameter => values[parameter.component][parameter.index - 1]?.trim());
+
+  useEffect(() => {
+    setValues({ header: [], body: [] });
+  }, [selectedKey]);
+
+  const setValue = (component, index, value) => {
+    setValues(prev => {
+      const next = [...prev[component]];
+      next[index - 1] = value;
+      return { ...prev, [component]: next };
+    });
+  };
+
+  const handleSync = async () => {
+    try {
+      await syncTemplates();
+    } catch (err) {
+      message.error(err.response?.data?.error || 'Failed to sync templates');
+    }
+  };
+
+  const handleSend = async () => {
+    setSending(true);
+    try {
+      await onSend({
+        name: template.name,
+        language: template.language,
+        parameters: {
+          header: parametersFor('header').map(parameter => values.header[parameter.index - 1].trim()),
+          body: parametersFor('body').map(parameter => values.body[parameter.index - 1].trim()),
+        },
+      });
+      setSelectedKey(null);
+      onClose();
+    } catch (err) {
+      message.error(err.response?.data?.error || 'Failed to send template');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const renderInputs = (component) => parametersFor(component).map(parameter => (
+    <Input
+      key={`${component}-${parameter.index}`}
+      addonBefore={`${component === 'header' ? 'Header' : 'Body'} {{${parameter.index}}}`}
+      placeholder={parameter.example || ''}
+      value={values[component][parameter.index - 1] || ''}
+      onChange={(e) => setValue(component, parameter.index, e.target.value)}
+    />
+  ));
+
+  return (
+    <Modal
+      title="Send a WhatsApp template"
+      open={visible}
+      onCancel={onClose}
+      onOk={handleSend}
+      okText="Send template"
+      okButtonProps={{ disabled: !complete, loading: sending }}
+      width={560}
+    >
+      <Space direction="vertical" style={{ width: '100%' }}>
+        <Space.Compact style={{ width: '100%' }}>
+          <Select
+            showSearch
+            placeholder="Choose a template"
+            loading={loading}
+            value={selectedKey}
+            onChange={setSelectedKey}
+            optionFilterProp="label"
+            style={{ width: '100%' }}
+            notFoundContent={<Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No templates; sync them from WhatsApp" />}
+            options={templates.map(item => ({
+              value: templateKey(item),
+              label: `${item.name} (${item.language})`,
+              disabled: item.status !== 'approved',
+            }))}
+            optionRender={(option) => {
+              const item = templates.find(candidate => templateKey(candidate) === option.value);
+              return (
+                <Space>
+                  <span>{option.label}</span>
+                  {item.status !== 'approved' && <Tag color={statusColors[item.status]}>{item.status}</Tag>}
+                </Space>
+              );
+            }}
+          />
+          {canSync && (
+            <Button icon={<RefreshCw size={14} />} loading={syncing} onClick={handleSync} title="Sync templates from WhatsApp" />
+          )}
+        </Space.Compact>
+
+        {error && <Alert type="warning" showIcon message={error} />}
+
+        {template && (
+          <>
+            {template.category && <Text type="secondary">Category: {template.category}</Text>}
+            {renderInputs('header')}
+            {renderInputs('body')}
+            <div className="template-preview">
+              {template.header && <div className="template-preview-header">{renderText(template.header, values.header)}</div>}
+              <div>{renderText(template.body, values.body)}</div>
+              {template.footer && <div className="template-preview-footer">{template.footer}</div>}
+            </div>
+          </>
+        )}
+      </Space>
+    </Modal>
+  );
+};
+
+export default TemplatePicker;
@@ -1,35 +1,131 @@
 import React, { useState, useEffect } from 'react';
-import { Layout, Tabs, Card, Typography, Space, Button, message } from 'antd';
+import { Layout, Tabs, Card, Typography, Space, Button, Input, message, notification } from 'antd';
 import { 
   MessageSquare, 
   Mail, 
   Instagram, 
+  Send,
   Settings,
   Plus,
-  Bell
+  Bell,
+  Users
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useEntitlements } from '../../hooks/useEntitlements';
 import { useConnections } from '../../hooks/useConnections';
+import { useContacts } from '../../hooks/useContacts';
+import { usePermissions } from '../../hooks/usePermissions';
 import ProviderTabs from './ProviderTabs';
 import ChatList from './ChatList';
 import Conversation from './Conversation';
 import Composer from './Composer';
 import FeatureGuard from './FeatureGuard';
 import ConnectionModal from './ConnectionModal';
+import SearchPanel from './SearchPanel';
+import TeamSettings from './TeamSettings';
+import ContactList from './ContactList';
+import ContactTimeline from './ContactTimeline';
+import socketService from '../../services/socketService';
 import './UnifiedInbox.css';
 
 const { Header, Content, Sider } = Layout;
 const { Title, Text } = Typography;
 
 const UnifiedInbox = () => {
-  const { user } = useAuth();
+  const { user, token } = useAuth();
   const { entitlements, loading: entitlementsLoading } = useEntitlements();
   const { connections, loading: connectionsLoading, refetch } = useConnections();
+  const { can } = usePermissions();
   const [selectedProvider, setSelectedProvider] = useState('whatsapp');
   const [selectedChat, setSelectedChat] = useState(null);
   const [connectionModalVisible, setConnectionModalVisible] = useState(false);
   const [selectedProviderForConnection, setSelectedProviderForConnection] = useState(null);
+  const [reconnectAccount, setReconnectAccount] = useState(null);
+  const [searchVisible, setSearchVisible] = useState(false);
+  const [teamSettingsVisible, setTeamSettingsVisible] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [highlightMessageId, setHighlightMessageId] = useState(null);
+  const [view, setView] = useState('chats');
+  const [selectedContact, setSelectedContact] = useState(null);
+  const {
+    contacts,
+    loading: contactsLoading,
+    fetchContacts,
+    mergeContacts,
+    splitContact,
+  } = useContacts();
+
+  // Prompt a reconnect when the server reports an account's authorization has lapsed
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const handleNeedsAction = (account) => {
+      message.warning(`${account.email || 'An account'} needs to be reconnected`);
+      setReconnectAccount(account);
+      setSelectedProviderForConnection(account.provider);
+      setConnectionModalVisible(true);
+      refetch();
+    };
+
+    socketService.connect(token);
+    socketService.on('account_needs_action', handleNeedsAction);
+    return () => {
+      socketService.off('account_needs_action', handleNeedsAction);
+    };
+  }, [token, refetch]);
+
+  // @mentions in teammates' notes: in-app toast, plus a desktop alert when the user allows them
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const openMentionedChat = (mention) => {
+      const connection = connections.find(conn => conn.id === mention.account_id);
+      handleSearchResult({
+        provider: mention.provider,
+        chat: {
+          id: mention.chat_id,
+          account_id: mention.account_id,
+          title: mention.chat_title,
+          account_info: connection?.account_info,
+          workspace_id: connection?.workspace_id,
+          role: connection?.role,
+        },
+        messageId: mention.note_id,
+      });
+    };
+
+    const handleMention = (mention) => {
+      const title = `${mention.author_name} mentioned you in ${mention.chat_title || 'a conversation'}`;
+      notification.info({
+        message: title,
+        description: mention.body,
+        onClick: () => openMentionedChat(mention),
+      });
+
+      if (mention.desktop && 'Notification' in window) {
+        const showDesktop = () => {
+          const desktopNotification = new Notification(title, { body: mention.body });
+          desktopNotification.onclick = () => {
+            window.focus();
+            openMentionedChat(mention);
+          };
+        };
+
+        if (Notification.permission === 'granted') {
+          showDesktop();
+        } else if (Notification.permission === 'default') {
+          Notification.requestPermission().then(permission => {
+            if (permission === 'granted') showDesktop();
+          });
+        }
+      }
+    };
+
+    socketService.on('mention', handleMention);
+    return () => {
+      socketService.off('mention', handleMention);
+    };
+  }, [token, connections]);
 
   const providers = [
     {
@@ -50,11 +146,53 @@ const UnifiedInbox = () => {
       icon: <Mail size={16} />,
       color: '#4285F4',
     },
+    {
+      key: 'telegram',
+      label: 'Telegram',
+      icon: <Send size={16} />,
+      color: '#229ED9',
+    },
   ];
 
   const handleProviderChange = (provider) => {
+    setView('chats');
     setSelectedProvider(provider);
     setSelectedChat(null);
+    setHighlightMessageId(null);
+  };
+
+  const handleChatSelect = (chat) => {
+    setSelectedChat(chat);
+    setHighlightMessageId(null);
+  };
+
+  const handleSearch = (query) => {
+    if (!query.trim()) return;
+    setSearchQuery(query);
+    setSearchVisible(true);
+  };
+
+  const handleSearchResult = ({ provider, chat, messageId }) => {
+    setView('chats');
+    setSelectedProvider(provider);
+    setSelectedChat(chat);
+    setHighlightMessageId(messageId || null);
+    setSearchVisible(false);
+  };
+
+  const handleShowContacts = () => {
+    setView('contacts');
+    fetchContacts();
+  };
+
+  const handleMergeContacts = async (contactId, contactIds) => {
+    await mergeContacts(contactId, contactIds);
+    fetchContacts();
+  };
+
+  const handleSplitContact = async (contactId, identityIds) => {
+    await splitContact(contactId, identityIds);
+    fetchContacts();
   };
 
   const handleConnectProvider = (provider) => {
@@ -65,6 +203,7 @@ const UnifiedInbox = () => {
   const handleConnectionSuccess = () => {
     setConnectionModalVisible(false);
     setSelectedProviderForConnection(null);
+    setReconnectAccount(null);
     refetch();
     message.success('Account connected successfully!');
   };
@@ -114,14 +253,21 @@ const UnifiedInbox = () => {
           </div>
           <div className="header-right">
             <Space>
+              <Input.Search
+                placeholder="Search messages"
+                allowClear
+                onSearch={handleSearch}
+                style={{ width: 260 }}
+              />
               <Button 
                 type="primary" 
                 icon={<Plus size={16} />}
                 onClick={() => setConnectionModalVisible(true)}
+                disabled={!can('accounts:manage')}
               >
                 Connect Account
               </Button>
-              <Button icon={<Settings size={16} />}>
+              <Button icon={<Settings size={16} />} onClick={() => setTeamSettingsVisible(true)}>
                 Settings
               </Button>
             </Space>
@@ -134,7 +280,7 @@ const UnifiedInbox = () => {
           <div className="sidebar-content">
             <ProviderTabs
               providers={providers}
-              selectedProvider={selectedProvider}
+              selectedProvider={view === 'chats' ? selectedProvider : null}
               onProviderChange={handleProviderChange}
               providerStatus={getProviderStatus}
               connectionCounts={providers.reduce((acc, provider) => {
@@ -142,6 +288,22 @@ const UnifiedInbox = () => {
                 return acc;
               }, {})}
             />
+
+            <div
+              className={`provider-tab contacts-tab ${view === 'contacts' ? 'active' : ''}`}
+              onClick={handleShowContacts}
+              style={{
+                borderLeft: view === 'contacts' ? '3px solid #1890ff' : '3px solid transparent'
+              }}
+            >
+              <div className="provider-tab-icon" style={{ color: '#1890ff' }}>
+                <Users size={16} />
+              </div>
+              <div className="provider-tab-content">
+                <div className="provider-tab-label">Contacts</div>
+                <div className="provider-tab-status">All channels</div>
+              </div>
+            </div>
             
             <div className="sidebar-actions">
               {providers.map(provider => (
@@ -168,56 +330,110 @@ const UnifiedInbox = () => {
 
         <Layout>
           <Content className="inbox-content">
-            <div className="content-header">
-              <div className="content-header-left">
-                <Title level={4} style={{ margin: 0 }}>
-                  {providers.find(p => p.key === selectedProvider)?.label} Conversations
-                </Title>
-                <Text type="secondary">
-                  {getProviderConnectionCount(selectedProvider)} connected account(s)
-                </Text>
-              </div>
-              <div className="content-header-right">
-                <Button 
-                  type="primary" 
-                  icon={<Plus size={16} />}
-                  onClick={() => handleConnectProvider(selectedProvider)}
-                >
-                  Add Account
-                </Button>
-              </div>
-            </div>
+            {view === 'contacts' ? (
+              <>
+                <div className="content-header">
+                  <div className="content-header-left">
+                    <Title level={4} style={{ margin: 0 }}>
+                      Contacts
+                    </Title>
+                    <Text type="secondary">
+                      One timeline per person across every channel
+                    </Text>
+                  </div>
+                </div>
 
-            <div className="content-body">
-              <div className="chat-list-container">
-                <FeatureGuard feature={selectedProvider}>
-                  <ChatList
-                    provider={selectedProvider}
-                    selectedChat={selectedChat}
-                    onChatSelect={setSelectedChat}
-                  />
-                </FeatureGuard>
-              </div>
+                <div className="content-body">
+                  <div className="chat-list-container">
+                    <ContactList
+                      contacts={contacts}
+                      loading={contactsLoading}
+                      providers={providers}
+                      selectedContact={selectedContact}
+                      onContactSelect={setSelectedContact}
+                      onSearch={fetchContacts}
+                    />
+                  </div>
 
-              <div className="conversation-container">
-                {selectedChat ? (
-                  <Conversation
-                    chat={selectedChat}
-                    provider={selectedProvider}
-                  />
-                ) : (
-                  <div className="no-chat-selected">
-                    <MessageSquare size={48} style={{ color: '#d9d9d9' }} />
-                    <Title level={4} type="secondary">
-                      Select a conversation to start messaging
+                  <div className="conversation-container">
+                    {selectedContact ? (
+                      <ContactTimeline
+                        contactId={selectedContact.id}
+                        contacts={contacts}
+                        providers={providers}
+                        onMerge={handleMergeContacts}
+                        onSplit={handleSplitContact}
+                        onOpenChat={handleSearchResult}
+                      />
+                    ) : (
+                      <div className="no-chat-selected">
+                        <Users size={48} style={{ color: '#d9d9d9' }} />
+                        <Title level={4} type="secondary">
+                          Select a contact to see their messages
+                        </Title>
+                        <Text type="secondary">
+                          WhatsApp, Instagram, Telegram and email in one timeline
+                        </Text>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="content-header">
+                  <div className="content-header-left">
+                    <Title level={4} style={{ margin: 0 }}>
+                      {providers.find(p => p.key === selectedProvider)?.label} Conversations
                     </Title>
                     <Text type="secondary">
-                      Choose a conversation from the list to view and send messages
+                      {getProviderConnectionCount(selectedProvider)} connected account(s)
                     </Text>
                   </div>
-                )}
-              </div>
-            </div>
+                  <div className="content-header-right">
+                    <Button 
+                      type="primary" 
+                      icon={<Plus size={16} />}
+                      onClick={() => handleConnectProvider(selectedProvider)}
+                    >
+                      Add Account
+                    </Button>
+                  </div>
+                </div>
+
+                <div className="content-body">
+                  <div className="chat-list-container">
+                    <FeatureGuard feature={selectedProvider}>
+                      <ChatList
+                        provider={selectedProvider}
+                        selectedChat={selectedChat}
+                        onChatSelect={handleChatSelect}
+                      />
+                    </FeatureGuard>
+                  </div>
+
+                  <div className="conversation-container">
+                    {selectedChat ? (
+                      <Conversation
+                        chat={selectedChat}
+                        provider={selectedProvider}
+                        highlightMessageId={highlightMessageId}
+                      />
+                    ) : (
+                      <div className="no-chat-selected">
+                        <MessageSquare size={48} style={{ color: '#d9d9d9' }} />
+                        <Title level={4} type="secondary">
+                          Select a conversation to start messaging
+                        </Title>
+                        <Text type="secondary">
+                          Choose a conversation from the list to view and send messages
+                        </Text>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </>
+            )}
           </Content>
         </Layout>
       </Layout>
@@ -225,12 +441,27 @@ const UnifiedInbox = () => {
       <ConnectionModal
         visible={connectionModalVisible}
         provider={selectedProviderForConnection}
+        reconnectAccount={reconnectAccount}
         onClose={() => {
           setConnectionModalVisible(false);
           setSelectedProviderForConnection(null);
+          setReconnectAccount(null);
         }}
         onSuccess={handleConnectionSuccess}
       />
+
+      <SearchPanel
+        visible={searchVisible}
+        initialQuery={searchQuery}
+        providers={providers}
+        onClose={() => setSearchVisible(false)}
+        onSelectResult={handleSearchResult}
+      />
+
+      <TeamSettings
+        visible={teamSettingsVisible}
+        onClose={() => setTeamSettingsVisible(false)}
+      />
     </Layout>
   );
 };
@@ -5,6 +5,7 @@ import { useSelector, useDispatch } from 'react-redux';
 import { addMessage, setReplyingTo, clearReplyingTo, setConnected, setSocket, clearMessages } from '../store/slices/messagesSlice';
 import { setConnected as setConnectionStatus, setSocket as setSocketInstance } from '../store/slices/connectionSlice';
 import { loadMessages, addMessageWithPersistence } from '../store/thunks/messageThunks';
+import { useAuth } from '../contexts/AuthContext';
 import io from 'socket.io-client';
 import './WhatsAppInbox.css';
 
@@ -14,6 +15,7 @@ const { TextArea } = Input;
 
 const WhatsAppInbox = () => {
   const dispatch = useDispatch();
+  const { token } = useAuth();
   const { messages, replyingTo } = useSelector(state => state.messages);
   const { connected, accountNumber } = useSelector(state => state.connection);
   const [newMessage, setNewMessage] = useState('');
@@ -25,13 +27,18 @@ const WhatsAppInbox = () => {
     // Don't clear messages first - let loadMessages handle merging
     dispatch(loadMessages());
 
+    // Socket.io requires the JWT issued at login
+    if (!token) {
+      return;
+    }
+
         // Connect to Socket.io - simplified
         console.log('🔌 Attempting to connect to Socket.io...');
         const socket = io('http://localhost:5001', {
           transports: ['websocket', 'polling'],
           forceNew: true,
           auth: {
-            token: null // No token for testing
+            token
           }
         });
     dispatch(setSocketInstance(socket));
@@ -39,12 +46,7 @@ const WhatsAppInbox = () => {
     socket.on('connect', () => {
       console.log('✅ Socket.io connected successfully!', socket.id);
       dispatch(setConnectionStatus(true));
-      
-      // Join user-specific room for receiving messages
-      // Using the default user ID from the backend
-      const userId = 'e82f8560-e0ac-4de1-9c2d-039541a94a97';
-      socket.emit('join_room', `user_${userId}`);
-      console.log('🏠 Joined user room:', `user_${userId}`);
+      // The server joins this socket to the authenticated user's room
     });
 
     socket.on('disconnect', () => {
@@ -101,7 +103,7 @@ const WhatsAppInbox = () => {
     return () => {
       socket.close();
     };
-  }, [dispatch]);
+  }, [dispatch, token]);
 
   const sendMessage = async () => {
     if (!newMessage.trim()) return;
@@ -145,6 +147,7 @@ const WhatsAppInbox = () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
         },
         body: JSON.stringify({
           to: targetRecipient,
@@ -5,6 +5,7 @@ import { useSelector, useDispatch } from 'react-redux';
 import { addMessage, setReplyingTo, clearReplyingTo, clearMessages } from '../store/slices/messagesSlice';
 import { setConnected as setConnectionStatus, setSocket as setSocketInstance } from '../store/slices/connectionSlice';
 import { loadMessages, addMessageWithPersistence } from '../store/thunks/messageThunks';
+import { useAuth } from '../contexts/AuthContext';
 import { RootState, AppDispatch } from '../store';
 import { Message, SocketMessage, Chat } from '../types';
 
@@ -28,6 +29,7 @@ const { TextArea } = Input;
 
 const WhatsAppInbox: React.FC = () => {
   const dispatch = useDispatch<AppDispatch>();
+  const { token } = useAuth();
   const { messages, replyingTo } = useSelector((state: RootState) => state.messages);
   const { connected, accountNumber } = useSelector((state: RootState) => state.connection);
   const [newMessage, setNewMessage] = useState<string>('');
@@ -39,13 +41,18 @@ const WhatsAppInbox: React.FC = () => {
     // Don't clear messages first - let loadMessages handle merging
     dispatch(loadMessages());
 
+    // Socket.io requires the JWT issued at login
+    if (!token) {
+      return;
+    }
+
     // Connect to Socket.io - simplified
     console.log('🔌 Attempting to connect to Socket.io...');
     const socket: Socket = io('http://localhost:5001', {
       transports: ['websocket', 'polling'],
       forceNew: true,
       auth: {
-        token: null // No token for testing
+        token
       }
     });
     dispatch(setSocketInstance(socket));
@@ -53,12 +60,7 @@ const WhatsAppInbox: React.FC = () => {
     socket.on('connect', () => {
       console.log('✅ Socket.io connected successfully!', socket.id);
       dispatch(setConnectionStatus(true));
-      
-      // Join user-specific room for receiving messages
-      // Using the default user ID from the backend
-      const userId = 'e82f8560-e0ac-4de1-9c2d-039541a94a97';
-      socket.emit('join_room', `user_${userId}`);
-      console.log('🏠 Joined user room:', `user_${userId}`);
+      // The server joins this socket to the authenticated user's room
     });
 
     socket.on('disconnect', () => {
@@ -103,7 +105,7 @@ const WhatsAppInbox: React.FC = () => {
       socket.disconnect();
       dispatch(setConnectionStatus(false));
     };
-  }, [dispatch]);
+  }, [dispatch, token]);
 
   const handleSendMessage = async () => {
     if (!newMessage.trim()) return;
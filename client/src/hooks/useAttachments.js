@@ -0,0 +1,68 @@
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+
+// Signed URLs are reused until shortly before they expire
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+const attachmentCache = new Map();
+
+const isFresh = (link) => (
+  !!link && new Date(link.expires_at).getTime() - EXPIRY_MARGIN_MS > Date.now()
+);
+
+// Download URLs are relative to the API server
+export const toApiUrl = (url) => (url ? new URL(url, axios.defaults.baseURL || window.location.origin).toString() : null);
+
+export const getAttachmentMimeType = (attachment) => (
+  attachment.mime_type || attachment.contentType || attachment.mimeType || attachment.mimetype || ''
+);
+
+/**
+ * Stored details and signed URLs of one attachment of a message. Messages list
+ * stored attachments with their URLs already; anything else (including email
+ * attachments not opened before) is fetched from the provider on first use.
+ */
+export const useMessageAttachment = (provider, chat, messageId, index, attachment) => {
+  const cacheKey = `${messageId}:${index}`;
+  const initial = isFresh(attachment.download) ? attachment : attachmentCache.get(cacheKey) || null;
+  const [stored, setStored] = useState(initial);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    const cached = attachmentCache.get(cacheKey);
+    if (cached && isFresh(cached.download)) {
+      setStored(cached);
+      return cached;
+    }
+
+    try {
+      setLoading(true);
+      const response = await axios.get(
+        `/api/channels/${provider}/${chat.account_id}/chats/${chat.id}/messages/${messageId}/attachments/${index}`
+      );
+      attachmentCache.set(cacheKey, response.data);
+      setStored(response.data);
+      setError(null);
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load attachment');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [provider, chat.account_id, chat.id, messageId, index, cacheKey]);
+
+  // Stored details with URLs that are still valid, refreshing them when needed
+  const getFresh = useCallback(async () => (
+    stored && isFresh(stored.download) ? stored : load()
+  ), [stored, load]);
+
+  return {
+    stored,
+    loading,
+    error,
+    load,
+    getFresh,
+  };
+};
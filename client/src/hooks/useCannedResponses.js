@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// Saved replies: the user's personal ones and those shared with their workspaces
+export const useCannedResponses = () => {
+  const [responses, setResponses] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchResponses = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/canned-responses');
+      setResponses(response.data.responses || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load canned responses');
+      console.error('Error fetching canned responses:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchResponses();
+  }, [fetchResponses]);
+
+  const createResponse = useCallback(async (data) => {
+    const response = await axios.post('/api/canned-responses', data);
+    setResponses(prev => [...prev, response.data]);
+    return response.data;
+  }, []);
+
+  const updateResponse = useCallback(async (id, changes) => {
+    const response = await axios.put(`/api/canned-responses/${id}`, changes);
+    setResponses(prev => prev.map(item => (item.id === id ? response.data : item)));
+    return response.data;
+  }, []);
+
+  const deleteResponse = useCallback(async (id) => {
+    await axios.delete(`/api/canned-responses/${id}`);
+    setResponses(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  return {
+    responses,
+    loading,
+    error,
+    createResponse,
+    updateResponse,
+    deleteResponse,
+    refetch: fetchResponses,
+  };
+};
+
+// Fill in a reply's variables for a chat as plain text: { body, missing }
+export const expandCannedResponse = async (chat, provider, responseId) => {
+  const response = await axios.get(
+    `/api/channels/${provider}/${chat.account_id}/chats/${chat.id}/canned-responses/${responseId}`
+  );
+  return response.data;
+};
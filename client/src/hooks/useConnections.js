@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 
 export const useConnections = () => {
@@ -6,10 +6,10 @@ export const useConnections = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  const fetchConnections = async () => {
+  const fetchConnections = useCallback(async () => {
     try {
       setLoading(true);
-      const providers = ['whatsapp', 'instagram', 'email'];
+      const providers = ['whatsapp', 'instagram', 'email', 'telegram'];
       const allConnections = [];
 
       for (const provider of providers) {
@@ -34,11 +34,11 @@ export const useConnections = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
 
   useEffect(() => {
     fetchConnections();
-  }, []);
+  }, [fetchConnections]);
 
   return {
     connections,
@@ -0,0 +1,118 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+export const useContacts = () => {
+  const [contacts, setContacts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchContacts = useCallback(async (q = '') => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/contacts', { params: { q: q || undefined } });
+      setContacts(response.data.contacts || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load contacts');
+      console.error('Error fetching contacts:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchContacts();
+  }, [fetchContacts]);
+
+  const mergeContacts = useCallback(async (contactId, contactIds) => {
+    const response = await axios.post(`/api/contacts/${contactId}/merge`, { contact_ids: contactIds });
+    setContacts(prev => prev.filter(contact => !contactIds.includes(contact.id)));
+    return response.data;
+  }, []);
+
+  const splitContact = useCallback(async (contactId, identityIds) => {
+    const response = await axios.post(`/api/contacts/${contactId}/split`, { identity_ids: identityIds });
+    return response.data;
+  }, []);
+
+  return {
+    contacts,
+    loading,
+    error,
+    fetchContacts,
+    mergeContacts,
+    splitContact,
+  };
+};
+
+export const useContactTimeline = (contactId) => {
+  const [contact, setContact] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchTimeline = useCallback(async () => {
+    if (!contactId) return;
+
+    try {
+      setLoading(true);
+      const [contactResponse, timelineResponse] = await Promise.all([
+        axios.get(`/api/contacts/${contactId}`),
+        axios.get(`/api/contacts/${contactId}/timeline`),
+      ]);
+      setContact(contactResponse.data);
+      setMessages(timelineResponse.data.messages || []);
+      setNextCursor(timelineResponse.data.next_cursor || null);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load contact');
+      console.error('Error fetching contact timeline:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [contactId]);
+
+  useEffect(() => {
+    setContact(null);
+    setMessages([]);
+    setNextCursor(null);
+    fetchTimeline();
+  }, [fetchTimeline]);
+
+  const loadOlderMessages = useCallback(async () => {
+    if (!nextCursor || loadingOlder) return;
+
+    try {
+      setLoadingOlder(true);
+      const response = await axios.get(`/api/contacts/${contactId}/timeline`, {
+        params: { cursor: nextCursor },
+      });
+      setMessages(prev => [...(response.data.messages || []), ...prev]);
+      setNextCursor(response.data.next_cursor || null);
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+    } finally {
+      setLoadingOlder(false);
+    }
+  }, [contactId, nextCursor, loadingOlder]);
+
+  const updateContact = useCallback(async (changes) => {
+    const response = await axios.put(`/api/contacts/${contactId}`, changes);
+    setContact(response.data);
+    return response.data;
+  }, [contactId]);
+
+  return {
+    contact,
+    messages,
+    loading,
+    loadingOlder,
+    error,
+    hasMore: !!nextCursor,
+    loadOlderMessages,
+    updateContact,
+    refetch: fetchTimeline,
+  };
+};
@@ -1,14 +1,21 @@
 import { useState, useEffect } from 'react';
 import axios from 'axios';
+import socketService from '../services/socketService';
 
 export const useMessages = (provider, accountId, chatId) => {
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  // WhatsApp customer service window: { open, last_inbound_at, expires_at, duration_ms }, null elsewhere
+  const [serviceWindow, setServiceWindow] = useState(null);
 
   const fetchMessages = async () => {
     if (!provider || !accountId || !chatId) {
       setMessages([]);
+      setNextCursor(null);
+      setServiceWindow(null);
       return;
     }
 
@@ -18,6 +25,8 @@ export const useMessages = (provider, accountId, chatId) => {
         `/api/channels/${provider}/${accountId}/chats/${chatId}/messages`
       );
       setMessages(response.data.messages || []);
+      setNextCursor(response.data.next_cursor || null);
+      setServiceWindow(response.data.service_window || null);
       setError(null);
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to fetch messages');
@@ -27,6 +36,29 @@ export const useMessages = (provider, accountId, chatId) => {
     }
   };
 
+  // Prepend the page of messages before the oldest one loaded; resolves to the number loaded
+  const loadOlderMessages = async () => {
+    if (!nextCursor || loadingOlder) return 0;
+
+    try {
+      setLoadingOlder(true);
+      const response = await axios.get(
+        `/api/channels/${provider}/${accountId}/chats/${chatId}/messages`,
+        { params: { cursor: nextCursor } }
+      );
+      const olderMessages = response.data.messages || [];
+      setMessages(prev => [...olderMessages, ...prev]);
+      setNextCursor(response.data.next_cursor || null);
+      return olderMessages.length;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch messages');
+      console.error('Error fetching older messages:', err);
+      return 0;
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
   const sendMessage = async (messageData) => {
     try {
       const response = await axios.post(
@@ -34,15 +66,16 @@ export const useMessages = (provider, accountId, chatId) => {
         messageData
       );
       
-      // Add the sent message to the list
+      // Add the queued message to the list; message_status events move it along
       const newMessage = {
         id: response.data.message_id,
         direction: 'out',
-        body: messageData.body,
+        // Template sends come back with the rendered text
+        body: response.data.body ?? messageData.body,
         subject: messageData.subject,
         attachments: messageData.attachments || [],
         sent_at: new Date().toISOString(),
-        status: 'sent',
+        status: response.data.status || 'pending',
       };
       
       setMessages(prev => [...prev, newMessage]);
@@ -53,6 +86,50 @@ export const useMessages = (provider, accountId, chatId) => {
     }
   };
 
+  const scheduleMessage = async (messageData) => {
+    try {
+      const response = await axios.post(
+        `/api/channels/${provider}/${accountId}/chats/${chatId}/schedule`,
+        messageData
+      );
+      setMessages(prev => [...prev, response.data]);
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to schedule message');
+      throw err;
+    }
+  };
+
+  // Notes arrive both from our own request and over the socket; keep one copy
+  const appendMessage = (newMessage) => {
+    setMessages(prev => (
+      prev.some(msg => msg.id === newMessage.id) ? prev : [...prev, newMessage]
+    ));
+  };
+
+  // Internal notes are stored with the chat's messages but never sent to the customer
+  const addNote = async (body) => {
+    const response = await axios.post(
+      `/api/channels/${provider}/${accountId}/chats/${chatId}/notes`,
+      { body }
+    );
+    appendMessage(response.data);
+    return response.data;
+  };
+
+  const updateScheduledMessage = async (messageId, changes) => {
+    const response = await axios.put(`/api/scheduled-messages/${messageId}`, changes);
+    setMessages(prev =>
+      prev.map(msg => (msg.id === messageId ? { ...msg, ...response.data } : msg))
+    );
+    return response.data;
+  };
+
+  const cancelScheduledMessage = async (messageId) => {
+    await axios.delete(`/api/scheduled-messages/${messageId}`);
+    setMessages(prev => prev.filter(msg => msg.id !== messageId));
+  };
+
   const markAsRead = async (messageIds) => {
     try {
       await axios.post(
@@ -77,12 +154,66 @@ export const useMessages = (provider, accountId, chatId) => {
     fetchMessages();
   }, [provider, accountId, chatId]);
 
+  useEffect(() => {
+    if (!chatId) return undefined;
+
+    const handleStatus = (update) => {
+      if (update.chat_id !== chatId) return;
+      setMessages(prev =>
+        prev.map(msg =>
+          msg.id === update.message_id
+            ? {
+              ...msg,
+              status: update.status,
+              sent_at: update.sent_at || msg.sent_at,
+              read_at: update.read_at || msg.read_at,
+            }
+            : msg
+        )
+      );
+    };
+
+    const handleNote = (note) => {
+      if (note.chat_id === chatId) {
+        appendMessage(note);
+      }
+    };
+
+    // A customer message reopens the WhatsApp service window
+    const handleNewMessage = (newMessage) => {
+      if (newMessage.chat_id !== chatId || newMessage.direction !== 'in') return;
+      setServiceWindow(prev => (prev ? {
+        ...prev,
+        open: true,
+        last_inbound_at: newMessage.timestamp,
+        expires_at: new Date(new Date(newMessage.timestamp).getTime() + prev.duration_ms).toISOString(),
+      } : prev));
+    };
+
+    socketService.on('message_status', handleStatus);
+    socketService.on('note_added', handleNote);
+    socketService.on('new_message', handleNewMessage);
+    return () => {
+      socketService.off('message_status', handleStatus);
+      socketService.off('note_added', handleNote);
+      socketService.off('new_message', handleNewMessage);
+    };
+  }, [chatId]);
+
   return {
     messages,
     loading,
+    loadingOlder,
+    hasMore: Boolean(nextCursor),
+    serviceWindow,
     error,
+    loadOlderMessages,
     sendMessage,
+    scheduleMessage,
+    updateScheduledMessage,
+    cancelScheduledMessage,
     markAsRead,
+    addNote,
     refetch: fetchMessages,
   };
 };
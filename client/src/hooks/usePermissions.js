@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+// The user's overall role and permissions, for actions not tied to one account
+export const usePermissions = () => {
+  const [role, setRole] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  const [systemAdmin, setSystemAdmin] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPermissions = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/auth/permissions');
+      setRole(response.data.role);
+      setPermissions(response.data.permissions || []);
+      setSystemAdmin(!!response.data.system_admin);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch permissions');
+      console.error('Error fetching permissions:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPermissions();
+  }, []);
+
+  return {
+    role,
+    systemAdmin,
+    loading,
+    error,
+    can: (permission) => permissions.includes(permission),
+    refetch: fetchPermissions,
+  };
+};
@@ -0,0 +1,34 @@
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+
+export const useSearch = () => {
+  const [results, setResults] = useState({ messages: [], chats: [], total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const search = useCallback(async (params) => {
+    if (!params.q?.trim()) {
+      setResults({ messages: [], chats: [], total: 0 });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/search', { params });
+      setResults(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Search failed');
+      console.error('Error searching:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return {
+    results,
+    loading,
+    error,
+    search,
+  };
+};
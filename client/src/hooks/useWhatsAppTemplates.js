@@ -0,0 +1,53 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// Approved and pending message templates of a WhatsApp account
+export const useWhatsAppTemplates = (accountId) => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchTemplates = useCallback(async () => {
+    if (!accountId) {
+      setTemplates([]);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/channels/whatsapp/${accountId}/templates`);
+      setTemplates(response.data.templates || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load templates');
+      console.error('Error fetching templates:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [accountId]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const syncTemplates = useCallback(async () => {
+    try {
+      setSyncing(true);
+      const response = await axios.post(`/api/channels/whatsapp/${accountId}/templates/sync`);
+      setTemplates(response.data.templates || []);
+      setError(null);
+    } finally {
+      setSyncing(false);
+    }
+  }, [accountId]);
+
+  return {
+    templates,
+    loading,
+    syncing,
+    error,
+    syncTemplates,
+    refetch: fetchTemplates,
+  };
+};
@@ -0,0 +1,103 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+export const useWorkspaces = () => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchWorkspaces = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/workspaces');
+      setWorkspaces(response.data.workspaces || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load workspaces');
+      console.error('Error fetching workspaces:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWorkspaces();
+  }, [fetchWorkspaces]);
+
+  const createWorkspace = useCallback(async (name) => {
+    const response = await axios.post('/api/workspaces', { name });
+    setWorkspaces(prev => [...prev, response.data]);
+    return response.data;
+  }, []);
+
+  return {
+    workspaces,
+    loading,
+    error,
+    createWorkspace,
+    refetch: fetchWorkspaces,
+  };
+};
+
+export const useWorkspaceMembers = (workspaceId) => {
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchMembers = useCallback(async () => {
+    if (!workspaceId) {
+      setMembers([]);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/workspaces/${workspaceId}/members`);
+      setMembers(response.data.members || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load members');
+      console.error('Error fetching workspace members:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  const addMember = useCallback(async (email, role) => {
+    await axios.post(`/api/workspaces/${workspaceId}/members`, { email, role });
+    await fetchMembers();
+  }, [workspaceId, fetchMembers]);
+
+  const updateMemberRole = useCallback(async (userId, role) => {
+    const response = await axios.put(`/api/workspaces/${workspaceId}/members/${userId}`, { role });
+    setMembers(prev => prev.map(member => (member.user_id === userId ? { ...member, role } : member)));
+    return response.data;
+  }, [workspaceId]);
+
+  const removeMember = useCallback(async (userId) => {
+    await axios.delete(`/api/workspaces/${workspaceId}/members/${userId}`);
+    setMembers(prev => prev.filter(member => member.user_id !== userId));
+  }, [workspaceId]);
+
+  return {
+    members,
+    loading,
+    error,
+    addMember,
+    updateMemberRole,
+    removeMember,
+    refetch: fetchMembers,
+  };
+};
+
+export const assignChat = async (chat, provider, assigneeId) => {
+  const response = await axios.put(
+    `/api/channels/${provider}/${chat.account_id}/chats/${chat.id}/assignee`,
+    { assignee_id: assigneeId || null }
+  );
+  return response.data;
+};
@@ -2,14 +2,21 @@
 const API_BASE_URL = 'http://localhost:5001';
 
 class MessageService {
+  // Build request headers, including the JWT stored at login
+  getHeaders() {
+    const token = localStorage.getItem('token');
+    return {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    };
+  }
+
   // Save message to backend
   async saveMessage(message) {
     try {
       const response = await fetch(`${API_BASE_URL}/api/messages`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.getHeaders(),
         body: JSON.stringify(message),
       });
 
@@ -28,13 +35,16 @@ class MessageService {
   // Load messages from backend
   async loadMessages() {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/messages`);
+      const response = await fetch(`${API_BASE_URL}/api/messages`, {
+        headers: this.getHeaders(),
+      });
       
       if (!response.ok) {
         throw new Error(`Failed to load messages: ${response.statusText}`);
       }
 
-      return await response.json();
+      const data = await response.json();
+      return data.messages || [];
     } catch (error) {
       console.error('Error loading messages from backend:', error);
       return [];
@@ -46,9 +56,7 @@ class MessageService {
     try {
       const response = await fetch(`${API_BASE_URL}/api/messages/sync`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.getHeaders(),
         body: JSON.stringify({ messages }),
       });
 
@@ -68,6 +76,7 @@ class MessageService {
     try {
       const response = await fetch(`${API_BASE_URL}/api/messages/${messageId}`, {
         method: 'DELETE',
+        headers: this.getHeaders(),
       });
 
       if (!response.ok) {
@@ -86,9 +95,7 @@ class MessageService {
     try {
       const response = await fetch(`${API_BASE_URL}/api/messages/${messageId}`, {
         method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.getHeaders(),
         body: JSON.stringify(updates),
       });
 
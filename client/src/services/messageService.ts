@@ -4,14 +4,21 @@ import { Message, ApiResponse } from '../types';
 const API_BASE_URL = 'http://localhost:5001';
 
 class MessageService {
+  // Build request headers, including the JWT stored at login
+  private getHeaders(): Record<string, string> {
+    const token = localStorage.getItem('token');
+    return {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    };
+  }
+
   // Save message to backend
   async saveMessage(message: Partial<Message>): Promise<Message | null> {
     try {
       const response = await fetch(`${API_BASE_URL}/api/messages`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.getHeaders(),
         body: JSON.stringify(message),
       });
 
@@ -31,7 +38,9 @@ class MessageService {
   // Load messages from backend
   async loadMessages(): Promise<Message[]> {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/messages`);
+      const response = await fetch(`${API_BASE_URL}/api/messages`, {
+        headers: this.getHeaders(),
+      });
       
       if (!response.ok) {
         throw new Error(`Failed to load messages: ${response.statusText}`);
@@ -50,9 +59,7 @@ class MessageService {
     try {
       const response = await fetch(`${API_BASE_URL}/api/messages/sync`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.getHeaders(),
         body: JSON.stringify({ messages }),
       });
 
@@ -73,6 +80,7 @@ class MessageService {
     try {
       const response = await fetch(`${API_BASE_URL}/api/messages/${messageId}`, {
         method: 'DELETE',
+        headers: this.getHeaders(),
       });
 
       if (!response.ok) {
@@ -92,9 +100,7 @@ class MessageService {
     try {
       const response = await fetch(`${API_BASE_URL}/api/messages/${messageId}`, {
         method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.getHeaders(),
         body: JSON.stringify(updates),
       });
 
@@ -115,9 +121,7 @@ class MessageService {
     try {
       const response = await fetch(`${API_BASE_URL}/api/send-message`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.getHeaders(),
         body: JSON.stringify({
           to: to || '919566651479',
           text: content,
@@ -62,6 +62,36 @@ class SocketService {
       this.emit('message_read', data);
     });
 
+    // Outbound message moved through pending/sent/delivered/read/failed
+    this.socket.on('message_status', (data) => {
+      this.emit('message_status', data);
+    });
+
+    // Conversation assigned to a teammate or returned to the unassigned queue
+    this.socket.on('chat_assigned', (data) => {
+      this.emit('chat_assigned', data);
+    });
+
+    // Conversation opened, set pending, snoozed, closed or reopened by an inbound message
+    this.socket.on('chat_status', (data) => {
+      this.emit('chat_status', data);
+    });
+
+    // Internal note added to a conversation by a teammate
+    this.socket.on('note_added', (note) => {
+      this.emit('note_added', note);
+    });
+
+    // A teammate @mentioned this user in a note
+    this.socket.on('mention', (mention) => {
+      this.emit('mention', mention);
+    });
+
+    // Channel account lost its authorization and must be reconnected
+    this.socket.on('account_needs_action', (data) => {
+      this.emit('account_needs_action', data);
+    });
+
     // User typing indicator
     this.socket.on('user_typing', (data) => {
       this.emit('user_typing', data);
@@ -72,13 +72,14 @@ export interface Chat {
   unreadCount: number;
   platform: Platform;
   status: ChatStatus;
+  snoozed_until?: Date | null;
   participants: Participant[];
   createdAt: Date;
   updatedAt: Date;
 }
 
-export type Platform = 'whatsapp' | 'instagram' | 'email';
-export type ChatStatus = 'active' | 'archived' | 'muted';
+export type Platform = 'whatsapp' | 'instagram' | 'email' | 'telegram';
+export type ChatStatus = 'open' | 'pending' | 'snoozed' | 'closed';
 
 export interface Participant {
   id: string;